@@ -1,111 +1,57 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { MapContainer, TileLayer, Polyline, Marker, Popup, Tooltip } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 
 // Import modular components and utilities
-import { routes, calculateRouteDistance } from './data/routes';
-import { fetchWaypointWeather, getWeatherIcon, getWindArrow, getDirectionName } from './services/weatherService';
+import { calculateRouteDistance } from './data/routes';
+import { formatDistance, kmToNm, greatCircleDistance, KM_PER_NM } from './utils/navigation';
+import { getRoutes, saveRoute, deleteRoute, subscribeToRoutes } from './data/routeRepository';
+import { createRouteFromWaypoints, getRouteWaypoints, ROUTE_COLORS } from './data/customRoutes';
+import {
+  fetchWaypointWeather,
+  getWeatherIcon,
+  getWindArrow,
+  getDirectionName,
+  getWeatherProviders,
+  getActiveWeatherProvider,
+  setActiveWeatherProvider
+} from './services/weatherService';
 import { calculateWeatherAffectedSpeed } from './utils/maritimeCalculations';
+import {
+  calculateVoyageEconomics,
+  calculateFuelConsumption,
+  calculateRouteCost,
+  getSegmentCourse,
+  getPortCallsAhead,
+  getCanalTransitsAhead,
+  DEFAULT_PRICE_INPUTS
+} from './utils/voyageEconomics';
+import { detectCanalTransits } from './utils/canalTransits';
+import { getCanal } from './data/canals';
+import { getRoutePortInfo, formatPortTime } from './data/ports';
+import { CII_RATING_COLORS } from './utils/emissions';
+import { detectEcaSegments } from './utils/ecaDetection';
+import { validateRoute, describeValidationIssue, DEFAULT_VALIDATION_OPTIONS } from './utils/routeValidation';
+import { DEFAULT_VESSEL_PROFILE } from './data/vesselProfiles';
 import WeatherSpeedDisplay from './components/WeatherSpeedDisplay';
 import ShipSimulation from './components/ShipSimulation';
 import RouteCostAnalysis from './components/RouteCostAnalysis';
-
-// Import calculation functions from ShipSimulation (we'll need to extract them)
-const calculateFuelConsumption = (weatherSpeed, currentWaypointIndex, totalWaypoints, weatherData = null) => {
-  const baseFuelConsumption = 1260; // kg/h at base speed (20 knots)
-  const remainingWaypoints = totalWaypoints - currentWaypointIndex;
-  
-  // Fuel consumption increases with resistance and decreases with speed
-  // Higher resistance = more power needed = more fuel
-  const speedFactor = Math.max(0.5, weatherSpeed / 20); // Speed ratio (assuming 20 knots base)
-  const resistanceFactor = 1 + (Math.abs(weatherSpeed - 20) / 20) * 0.5; // Resistance impact
-  
-  // Additional weather-based fuel adjustments
-  let weatherFuelMultiplier = 1.0;
-  if (weatherData && weatherData.weather && weatherData.ocean) {
-    const windSpeed = weatherData.weather.wind?.speed || 0;
-    const waveHeight = weatherData.ocean.waveHeight || 0;
-    
-    // High winds increase fuel consumption
-    if (windSpeed > 15) weatherFuelMultiplier *= 1.2;
-    else if (windSpeed > 10) weatherFuelMultiplier *= 1.1;
-    
-    // High waves increase fuel consumption
-    if (waveHeight > 3) weatherFuelMultiplier *= 1.25;
-    else if (waveHeight > 2) weatherFuelMultiplier *= 1.15;
-  }
-  
-  // Calculate fuel consumption for current waypoint
-  const currentFuelConsumption = baseFuelConsumption * resistanceFactor * weatherFuelMultiplier / speedFactor;
-  
-  // Estimate remaining fuel for the route (more accurate calculation)
-  const estimatedRemainingFuel = currentFuelConsumption * remainingWaypoints * 2; // 2 hours per waypoint
-  
-  return {
-    current: currentFuelConsumption,
-    remaining: estimatedRemainingFuel,
-    total: currentFuelConsumption + estimatedRemainingFuel,
-    weatherMultiplier: weatherFuelMultiplier,
-    speedFactor: speedFactor,
-    resistanceFactor: resistanceFactor
-  };
-};
-
-const calculateRouteCost = (fuelConsumption, currentWaypointIndex, totalWaypoints, weatherData = null, routeStyle = 'solid') => {
-  const fuelPrice = 0.8; // USD per kg (marine fuel oil price)
-  const operationalCost = 5000; // USD per hour (crew, maintenance, etc.)
-  const portFees = 15000; // USD per port call
-  const canalFees = routeStyle === 'dashed' ? 500000 : 0; // Suez Canal fees
-  
-  const remainingWaypoints = totalWaypoints - currentWaypointIndex;
-  const remainingHours = remainingWaypoints * 2; // 2 hours per waypoint
-  
-  // Fuel cost
-  const fuelCost = fuelConsumption.total * fuelPrice;
-  
-  // Operational cost
-  const operationalCostTotal = operationalCost * remainingHours;
-  
-  // Port fees (only for major ports)
-  const majorPortsRemaining = Math.max(0, Math.floor(remainingWaypoints / 10)); // Estimate major ports
-  const portFeesTotal = majorPortsRemaining * portFees;
-  
-  // Canal fees (if applicable and not yet passed)
-  const canalFeesTotal = canalFees;
-  
-  // Weather-related additional costs
-  let weatherCostMultiplier = 1.0;
-  if (weatherData && weatherData.weather && weatherData.ocean) {
-    const windSpeed = weatherData.weather.wind?.speed || 0;
-    const waveHeight = weatherData.ocean.waveHeight || 0;
-    
-    if (windSpeed > 15 || waveHeight > 3) {
-      weatherCostMultiplier = 1.1; // 10% additional cost for severe conditions
-    }
-  }
-  
-  // Total route cost from current waypoint to destination
-  const baseCost = fuelCost + operationalCostTotal + portFeesTotal + canalFeesTotal;
-  const totalRouteCost = baseCost * weatherCostMultiplier;
-  
-  return {
-    fuelCost: fuelCost,
-    operationalCost: operationalCostTotal,
-    portFees: portFeesTotal,
-    canalFees: canalFeesTotal,
-    weatherMultiplier: weatherCostMultiplier,
-    baseCost: baseCost,
-    total: totalRouteCost,
-    breakdown: {
-      fuel: fuelCost,
-      operational: operationalCostTotal,
-      ports: portFeesTotal,
-      canal: canalFeesTotal,
-      weather: baseCost * (weatherCostMultiplier - 1)
-    }
-  };
-};
+import VesselProfileSelector from './components/VesselProfileSelector';
+import PriceInputsPanel from './components/PriceInputsPanel';
+import WeatherRoutingPanel from './components/WeatherRoutingPanel';
+import SpeedOptimizerPanel from './components/SpeedOptimizerPanel';
+import RouteEditorPanel from './components/RouteEditorPanel';
+import RouteEditorLayer from './components/RouteEditorLayer';
+import FleetSimulation from './components/FleetSimulation';
+import FleetLayer from './components/FleetLayer';
+import VoyageReplay from './components/VoyageReplay';
+import VoyageReplayLayer from './components/VoyageReplayLayer';
+import AisTrackPanel from './components/AisTrackPanel';
+import AisTrackLayer from './components/AisTrackLayer';
+import RouteValidationLayer from './components/RouteValidationLayer';
+import EcaLayer from './components/EcaLayer';
+import CurrentLayer from './components/CurrentLayer';
 
 // Simple icon fix
 const defaultIcon = L.icon({
@@ -143,10 +89,15 @@ export default function SimpleMap() {
   const [isMapReady, setIsMapReady] = useState(false);
   const mapRef = useRef(null);
   
-  const [visibleRoutes, setVisibleRoutes] = useState({
-    1: true,
-    2: true
-  });
+  const [routes, setRoutes] = useState(() => getRoutes());
+  const [visibleRoutes, setVisibleRoutes] = useState(() =>
+    Object.fromEntries(getRoutes().map(route => [route.id, true]))
+  );
+  const [draftRoute, setDraftRoute] = useState(null); // route being drawn in the editor
+  const [coastBuffer, setCoastBuffer] = useState(DEFAULT_VALIDATION_OPTIONS.coastBuffer); // km
+  const [showEcaLayer, setShowEcaLayer] = useState(true); // emission control areas drawn on the map
+  const [showCurrentLayer, setShowCurrentLayer] = useState(false); // current climatology arrows
+  const [currentMonth, setCurrentMonth] = useState(() => new Date().getMonth());
   const [selectedRoute, setSelectedRoute] = useState(null);
   const [waypointData, setWaypointData] = useState({});
   const [loadingWaypoints, setLoadingWaypoints] = useState({});
@@ -157,12 +108,43 @@ export default function SimpleMap() {
   const [selectedRouteForAnalysis, setSelectedRouteForAnalysis] = useState(null);
   const [analysisWaypointIndex, setAnalysisWaypointIndex] = useState(0);
   const [shipSpeed, setShipSpeed] = useState(20); // knots
+  const [vesselProfile, setVesselProfile] = useState(DEFAULT_VESSEL_PROFILE);
+  const [priceInputs, setPriceInputs] = useState(DEFAULT_PRICE_INPUTS);
+  const [weatherProviderId, setWeatherProviderId] = useState(() => getActiveWeatherProvider().id);
+  const [weatherRoutingResult, setWeatherRoutingResult] = useState(null); // optimized track from the weather routing panel
   const [shipPosition, setShipPosition] = useState(0); // current waypoint index
+  const [shipCoordinates, setShipCoordinates] = useState(null); // interpolated [lat, lng] between waypoints
+  const [fleet, setFleet] = useState([]); // fleet simulation ships with their current state
+  const [voyageReplay, setVoyageReplay] = useState(null); // recorded run being replayed
+  const [aisTrack, setAisTrack] = useState(null); // imported AIS track compared with a route
   const [isSimulationRunning, setIsSimulationRunning] = useState(false);
   const [simulationProgress, setSimulationProgress] = useState(0); // 0 to 100
   const [currentWeatherAffectedSpeed, setCurrentWeatherAffectedSpeed] = useState(0); // current speed affected by weather
   const [currentWaypointWeather, setCurrentWaypointWeather] = useState(null); // current waypoint weather data
 
+  // Follow the shared route repository and swap stale selections for the saved copies
+  useEffect(() => subscribeToRoutes((allRoutes) => {
+    const findCurrent = (route) => (route ? allRoutes.find(r => r.id === route.id) || null : null);
+    setRoutes(allRoutes);
+    setVisibleRoutes(prev => ({ ...Object.fromEntries(allRoutes.map(route => [route.id, true])), ...prev }));
+    setSelectedRoute(findCurrent);
+    setSelectedRouteForSimulation(findCurrent);
+    setSelectedRouteForCalculation(findCurrent);
+    setSelectedRouteForAnalysis(findCurrent);
+  }), []);
+
+  // Re-validate whenever routes are loaded, imported or saved, and live while a route is edited
+  const routeValidations = useMemo(
+    () => Object.fromEntries(routes.map(route => [route.id, validateRoute(route, { coastBuffer })])),
+    [routes, coastBuffer]
+  );
+  const draftValidation = useMemo(
+    () => (draftRoute && draftRoute.waypoints.length > 1
+      ? validateRoute(createRouteFromWaypoints(draftRoute), { coastBuffer })
+      : null),
+    [draftRoute, coastBuffer]
+  );
+
   useEffect(() => {
     try {
       console.log('SimpleMap component mounted');
@@ -211,6 +193,64 @@ export default function SimpleMap() {
     setSelectedRoute(selectedRoute?.id === route.id ? null : route);
   };
 
+  const handleNewRoute = () => {
+    const customCount = routes.filter(route => route.custom).length;
+    setDraftRoute({
+      id: null,
+      name: `Custom Route ${customCount + 1}`,
+      color: ROUTE_COLORS[customCount % ROUTE_COLORS.length],
+      style: 'solid',
+      waypoints: []
+    });
+  };
+
+  const handleEditRoute = (route) => {
+    setDraftRoute({
+      id: route.id,
+      name: route.name,
+      color: route.color,
+      style: route.style,
+      waypoints: getRouteWaypoints(route)
+    });
+    zoomToRoute(route);
+  };
+
+  const handleSaveRoute = () => {
+    const { waypoints } = draftRoute;
+    if (!draftRoute.name.trim() || waypoints.length < 2) {
+      alert('A route needs a name and at least two waypoints');
+      return;
+    }
+    if (!waypoints[0].portName || !waypoints[waypoints.length - 1].portName) {
+      alert('Name the start and end waypoints as ports before saving');
+      return;
+    }
+
+    const saved = saveRoute(createRouteFromWaypoints({ ...draftRoute, name: draftRoute.name.trim() }));
+    setVisibleRoutes(prev => ({ ...prev, [saved.id]: true }));
+    // Cached conditions and optimized tracks belong to the old geometry
+    setWaypointData({});
+    setWeatherRoutingResult(null);
+    setDraftRoute(null);
+  };
+
+  const handleImportRoute = (route) => {
+    const validation = validateRoute(route, { coastBuffer });
+    if (!validation.valid) {
+      alert(`Imported "${route.name}" with ${validation.issues.length} flagged segment(s):\n` +
+        validation.issues.slice(0, 5).map(describeValidationIssue).join('\n'));
+    }
+    const saved = saveRoute(route);
+    setVisibleRoutes(prev => ({ ...prev, [saved.id]: true }));
+    zoomToRoute(saved);
+  };
+
+  const handleDeleteRoute = (route) => {
+    if (!window.confirm(`Delete route "${route.name}"?`)) return;
+    deleteRoute(route.id);
+    if (weatherRoutingResult?.routeId === route.id) setWeatherRoutingResult(null);
+  };
+
   // Function to zoom to route bounds
   const zoomToRoute = (route) => {
     if (mapRef.current && route) {
@@ -225,98 +265,90 @@ export default function SimpleMap() {
     }
   };
 
-  // Handle simulation updates from ShipSimulation component
+  // Handle simulation updates from ShipSimulation component (sent on every clock tick)
   const handleSimulationUpdate = (simulationData) => {
-    console.log('SimpleMap received simulation update:', simulationData);
-    
     setIsSimulationRunning(simulationData.isRunning);
     setShipPosition(simulationData.position);
+    setShipCoordinates(simulationData.coordinates || null);
     setSimulationProgress(simulationData.progress);
     setCurrentWeatherAffectedSpeed(simulationData.weatherSpeed);
     
     // Zoom to route when simulation starts
-    if (simulationData.isRunning && selectedRouteForSimulation) {
+    if (simulationData.started && selectedRouteForSimulation) {
       setTimeout(() => {
         zoomToRoute(selectedRouteForSimulation);
       }, 200);
     }
     
     if (simulationData.weatherData) {
-      console.log('Setting currentWaypointWeather:', simulationData.weatherData);
       setCurrentWaypointWeather(simulationData.weatherData);
     }
-    
-    console.log('Updated states:', {
-      isSimulationRunning: simulationData.isRunning,
-      shipPosition: simulationData.position,
-      simulationProgress: simulationData.progress,
-      currentWeatherAffectedSpeed: simulationData.weatherSpeed,
-      hasWeatherData: !!simulationData.weatherData
-    });
   };
 
-  // Calculate estimated travel time and fuel usage
+
+  // Calculate estimated travel time and fuel usage leg by leg with the shared voyage engine, at the ship speed
+  // and the weather loaded at each leg's start waypoint (calm water where none is loaded)
   const calculateRouteMetrics = (route) => {
     if (!route) return null;
     
     const totalDistance = calculateRouteDistance(route.coordinates);
-    const baseSpeed = 20; // Base speed in knots (typical container ship)
+    const baseSpeed = shipSpeed;
     
-    // Get average weather conditions from waypoints
+    let sailingHours = 0;
+    let totalFuelKg = 0;
     let totalWindSpeed = 0;
     let totalWaveHeight = 0;
     let waypointCount = 0;
     
-    route.coordinates.forEach((coord, index) => {
-      const waypointId = `${route.id}-waypoint-${index}`;
-      const waypointInfo = waypointData[waypointId];
-      
+    route.coordinates.slice(0, -1).forEach((coord, index) => {
+      const waypointInfo = waypointData[`${route.id}-waypoint-${index}`];
       if (waypointInfo && waypointInfo.weather && waypointInfo.ocean) {
         totalWindSpeed += waypointInfo.weather.wind?.speed || 0;
         totalWaveHeight += parseFloat(waypointInfo.ocean.waveHeight) || 0;
         waypointCount++;
       }
+      
+      const weatherSpeed = calculateWeatherAffectedSpeed(baseSpeed, waypointInfo, getSegmentCourse(route, index), vesselProfile);
+      const legHours = greatCircleDistance(coord, route.coordinates[index + 1]) / (Math.max(weatherSpeed.sog, 1) * KM_PER_NM);
+      sailingHours += legHours;
+      totalFuelKg += calculateFuelConsumption(weatherSpeed, legHours, vesselProfile).total;
     });
     
-    const avgWindSpeed = waypointCount > 0 ? totalWindSpeed / waypointCount : 10;
-    const avgWaveHeight = waypointCount > 0 ? totalWaveHeight / waypointCount : 1.5;
-    
-    // Calculate speed adjustments based on conditions
-    let speedAdjustment = 1.0;
-    
-    // Wind impact (headwind reduces speed, tailwind increases)
-    if (avgWindSpeed > 15) speedAdjustment *= 0.9; // Strong winds
-    else if (avgWindSpeed > 10) speedAdjustment *= 0.95; // Moderate winds
-    
-    // Wave height impact
-    if (avgWaveHeight > 3) speedAdjustment *= 0.8; // High waves
-    else if (avgWaveHeight > 2) speedAdjustment *= 0.9; // Moderate waves
-    
-    // Route type adjustments
-    if (route.style === 'dashed') speedAdjustment *= 0.95; // Suez route (more congested)
+    const avgWindSpeed = waypointCount > 0 ? totalWindSpeed / waypointCount : 0;
+    const avgWaveHeight = waypointCount > 0 ? totalWaveHeight / waypointCount : 0;
     
-    const adjustedSpeed = baseSpeed * speedAdjustment;
-    const travelTimeHours = totalDistance / (adjustedSpeed * 1.852); // Convert knots to km/h
+    const adjustedSpeed = sailingHours > 0 ? kmToNm(totalDistance) / sailingHours : baseSpeed; // average SOG
+    const speedAdjustment = adjustedSpeed / baseSpeed;
+    const portHours = getPortCallsAhead(route, 0, priceInputs).reduce((total, call) => total + call.hours, 0);
+    const canalWaitingHours = getCanalTransitsAhead(route, 0, vesselProfile, priceInputs)
+      .reduce((total, transit) => total + transit.waitingHours, 0);
+    const travelTimeHours = sailingHours + portHours + canalWaitingHours;
     const travelTimeDays = travelTimeHours / 24;
     
-    // Fuel consumption calculation (typical container ship: 150-200 tons per day)
-    const baseFuelPerDay = 175; // tons per day
-    let fuelAdjustment = 1.0;
+    // Fuel against the calm-water consumption at the ship speed for the same sailing time
+    const baseFuelPerDay = calculateWeatherAffectedSpeed(baseSpeed, null, 0, vesselProfile).baseFuelRate * 24 / 1000; // tons per day
+    const totalFuel = totalFuelKg / 1000;
+    const fuelAdjustment = sailingHours > 0 ? totalFuel / (baseFuelPerDay * sailingHours / 24) : 1;
     
-    // Adjust fuel based on conditions
-    if (avgWindSpeed > 15) fuelAdjustment *= 1.15; // High winds increase fuel usage
-    if (avgWaveHeight > 3) fuelAdjustment *= 1.2; // High waves increase fuel usage
-    if (route.style === 'dashed') fuelAdjustment *= 1.05; // Suez route (more maneuvering)
-    
-    const totalFuel = baseFuelPerDay * travelTimeDays * fuelAdjustment;
+    // ECA fuel switching and emissions for the voyage fuel, as in the route cost
+    const { eca, emissions } = calculateRouteCost({ total: totalFuelKg }, travelTimeHours, route, 0, null, priceInputs, vesselProfile);
     
     return {
       totalDistance,
       baseSpeed,
       adjustedSpeed,
+      sailingHours,
+      portHours,
+      canalWaitingHours,
       travelTimeHours,
       travelTimeDays,
       totalFuel,
+      baseFuelPerDay,
+      ecaDistance: eca.distance,
+      ecaFuel: eca,
+      ecaFuelTons: eca.fuelKg / 1000,
+      ecaExtraCost: eca.extraCost,
+      emissions,
       avgWindSpeed,
       avgWaveHeight,
       speedAdjustment,
@@ -350,7 +382,7 @@ export default function SimpleMap() {
     if (!selectedRouteForSimulation || shipPosition >= selectedRouteForSimulation.coordinates.length) {
       return null;
     }
-    return selectedRouteForSimulation.coordinates[shipPosition];
+    return shipCoordinates || selectedRouteForSimulation.coordinates[shipPosition];
   };
 
   return (
@@ -419,7 +451,7 @@ export default function SimpleMap() {
               <label key={route.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
                 <input
                   type="checkbox"
-                  checked={visibleRoutes[route.id]}
+                  checked={!!visibleRoutes[route.id]}
                   onChange={(e) => setVisibleRoutes(prev => ({ ...prev, [route.id]: e.target.checked }))}
                   style={{ accentColor: route.color }}
                 />
@@ -436,6 +468,106 @@ export default function SimpleMap() {
             ))}
           </div>
 
+          {/* Weather Source */}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '20px', flexWrap: 'wrap' }}>
+            <label style={{ fontWeight: '500', color: '#34495e' }}>Weather Source:</label>
+            <select
+              value={weatherProviderId}
+              onChange={(e) => {
+                setActiveWeatherProvider(e.target.value);
+                setWeatherProviderId(e.target.value);
+                // Cached conditions came from the previous source
+                setWaypointData({});
+              }}
+              style={{
+                padding: '8px',
+                borderRadius: '6px',
+                border: '1px solid #ddd',
+                fontSize: '14px',
+                backgroundColor: '#f8f9fa'
+              }}
+            >
+              {getWeatherProviders().map(provider => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Route Validation */}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '20px', flexWrap: 'wrap' }}>
+            <label style={{ fontWeight: '500', color: '#34495e' }}>Coast Buffer:</label>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={coastBuffer}
+              onChange={(e) => setCoastBuffer(Math.max(0, parseFloat(e.target.value) || 0))}
+              style={{
+                width: '80px',
+                padding: '8px',
+                borderRadius: '6px',
+                border: '1px solid #ddd',
+                fontSize: '14px',
+                backgroundColor: '#f8f9fa'
+              }}
+            />
+            <span style={{ fontSize: '13px', color: '#626C71' }}>
+              km — segments crossing land or closer to the coast than this are highlighted in red
+            </span>
+          </div>
+
+          {/* Map Layers */}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '20px', flexWrap: 'wrap' }}>
+            <label style={{ fontWeight: '500', color: '#34495e' }}>Map Layers:</label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', fontSize: '14px', color: '#34495e' }}>
+              <input
+                type="checkbox"
+                checked={showEcaLayer}
+                onChange={(e) => setShowEcaLayer(e.target.checked)}
+                style={{ accentColor: '#00838f' }}
+              />
+              Emission Control Areas (ECA/SECA)
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', fontSize: '14px', color: '#34495e' }}>
+              <input
+                type="checkbox"
+                checked={showCurrentLayer}
+                onChange={(e) => setShowCurrentLayer(e.target.checked)}
+                style={{ accentColor: '#00838f' }}
+              />
+              Ocean Currents
+            </label>
+            <select
+              value={currentMonth}
+              onChange={(e) => setCurrentMonth(parseInt(e.target.value, 10))}
+              disabled={!showCurrentLayer}
+              style={{ padding: '4px 6px', borderRadius: '6px', border: '1px solid #ddd', fontSize: '13px', backgroundColor: '#f8f9fa' }}
+            >
+              {Array.from({ length: 12 }, (_, month) => (
+                <option key={month} value={month}>
+                  {new Date(2000, month, 1).toLocaleString(undefined, { month: 'long' })}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Route Editor */}
+          <RouteEditorPanel
+            draft={draftRoute}
+            onDraftChange={setDraftRoute}
+            draftValidation={draftValidation}
+            routes={routes}
+            customRoutes={routes.filter(route => route.custom)}
+            onNewRoute={handleNewRoute}
+            onEditRoute={handleEditRoute}
+            onDeleteRoute={handleDeleteRoute}
+            onImportRoute={handleImportRoute}
+            onSave={handleSaveRoute}
+            onCancel={() => setDraftRoute(null)}
+          />
+
           {/* Route Information */}
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '15px' }}>
             {routes.map(route => (
@@ -468,9 +600,15 @@ export default function SimpleMap() {
                 <h4 style={{ margin: '0 0 10px 0', color: route.color, fontSize: '1.1rem' }}>{route.name}</h4>
                 <div style={{ fontSize: '0.9rem', color: '#626C71', lineHeight: '1.5' }}>
                   <div><strong>Total Waypoints:</strong> {route.coordinates.length}</div>
-                  <div><strong>Distance:</strong> {calculateRouteDistance(route.coordinates).toFixed(0)} km</div>
-                  <div><strong>Major Ports:</strong> {route.ports.map(p => p.name).join(', ')}</div>
-                  <div><strong>Route Type:</strong> {route.style === 'solid' ? 'Direct Atlantic' : 'Suez Canal'}</div>
+                  <div><strong>Distance:</strong> {formatDistance(calculateRouteDistance(route.coordinates))}</div>
+                  <div><strong>Ports:</strong> {route.ports.map(p => (p.portId ? `${p.name} (${p.portId})` : p.name)).join(', ')}</div>
+                  <div><strong>Canals:</strong> {detectCanalTransits(route.coordinates).map(transit => `${getCanal(transit.canalId).name} (${transit.direction})`).join(', ') || 'none'}</div>
+                  <div>
+                    <strong>Validation:</strong>{' '}
+                    {routeValidations[route.id]?.valid
+                      ? '✅ Stays at sea'
+                      : <span style={{ color: '#dc3545' }}>⚠️ {routeValidations[route.id]?.issues.length} segment(s) cross land or hug the coast</span>}
+                  </div>
                 </div>
                 {selectedRoute?.id === route.id && (
                   <div style={{ 
@@ -492,7 +630,7 @@ export default function SimpleMap() {
                           borderRadius: '4px',
                           borderLeft: `3px solid ${index === 0 ? '#28a745' : index === route.coordinates.length - 1 ? '#dc3545' : route.color}`
                         }}>
-                          <strong>Waypoint {index + 1}:</strong> {coord[0].toFixed(4)}, {coord[1].toFixed(4)}
+                          <strong>Waypoint {index + 1}{route.waypointNames?.[index] ? ` (${route.waypointNames[index]})` : ''}:</strong> {coord[0].toFixed(4)}, {coord[1].toFixed(4)}
                           {index === 0 && <span style={{ color: '#28a745', marginLeft: '8px' }}>🚢 Start</span>}
                           {index === route.coordinates.length - 1 && <span style={{ color: '#dc3545', marginLeft: '8px' }}>🏁 End</span>}
                           {route.ports.find(p => p.position[0] === coord[0] && p.position[1] === coord[1]) && (
@@ -521,6 +659,15 @@ export default function SimpleMap() {
             🚢 Ship Movement Simulation
           </h3>
 
+          {/* Vessel Profile Selection */}
+          <VesselProfileSelector
+            selectedProfile={vesselProfile}
+            onProfileChange={(profile) => {
+              setVesselProfile(profile);
+              setShipSpeed(Math.round(profile.designSpeed));
+            }}
+          />
+
           {/* Route Selection for Simulation */}
           <div style={{ marginBottom: '20px', textAlign: 'center' }}>
             <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#34495e' }}>
@@ -555,10 +702,62 @@ export default function SimpleMap() {
             selectedRoute={selectedRouteForSimulation}
             shipSpeed={shipSpeed}
             setShipSpeed={setShipSpeed}
+            vesselProfile={vesselProfile}
+            priceInputs={priceInputs}
             onSimulationUpdate={handleSimulationUpdate}
           />
         </div>
 
+        {/* Fleet Simulation Section */}
+        <div style={{ 
+          width: '100%', 
+          background: '#fff', 
+          borderRadius: '12px', 
+          padding: '20px', 
+          boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+          boxSizing: 'border-box'
+        }}>
+          <h3 style={{ margin: '0 0 20px 0', color: '#FF6B35', fontSize: '1.3rem', textAlign: 'center' }}>
+            🛳️ Fleet Simulation
+          </h3>
+          <FleetSimulation routes={routes} onFleetUpdate={setFleet} />
+        </div>
+
+        {/* Voyage Replay Section */}
+        <div style={{ 
+          width: '100%', 
+          background: '#fff', 
+          borderRadius: '12px', 
+          padding: '20px', 
+          boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+          boxSizing: 'border-box'
+        }}>
+          <h3 style={{ margin: '0 0 20px 0', color: '#FF6B35', fontSize: '1.3rem', textAlign: 'center' }}>
+            📼 Voyage Replay
+          </h3>
+          <VoyageReplay onReplayUpdate={setVoyageReplay} />
+        </div>
+
+        {/* AIS Track Comparison Section */}
+        <div style={{ 
+          width: '100%', 
+          background: '#fff', 
+          borderRadius: '12px', 
+          padding: '20px', 
+          boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+          boxSizing: 'border-box'
+        }}>
+          <h3 style={{ margin: '0 0 20px 0', color: '#FF6B35', fontSize: '1.3rem', textAlign: 'center' }}>
+            📡 AIS Track Comparison
+          </h3>
+          <AisTrackPanel
+            routes={routes}
+            shipSpeed={shipSpeed}
+            vesselProfile={vesselProfile}
+            onTrackChange={setAisTrack}
+          />
+        </div>
+
         {/* Map and Weather Speed Display Container */}
         <div style={{ 
           display: 'flex', 
@@ -587,8 +786,22 @@ export default function SimpleMap() {
                 url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
               />
               
+              {/* Route being drawn in the editor */}
+              {draftRoute && <RouteEditorLayer draft={draftRoute} onChange={setDraftRoute} />}
+              <FleetLayer fleet={fleet} />
+              <VoyageReplayLayer replay={voyageReplay} />
+              <AisTrackLayer track={aisTrack} />
+              {showEcaLayer && <EcaLayer routes={routes.filter(route => visibleRoutes[route.id])} />}
+              {showCurrentLayer && <CurrentLayer month={currentMonth} />}
+              {draftRoute && (
+                <RouteValidationLayer
+                  coordinates={draftRoute.waypoints.map(waypoint => waypoint.position)}
+                  validation={draftValidation}
+                />
+              )}
+
               {routes.map(route => 
-                visibleRoutes[route.id] ? (
+                visibleRoutes[route.id] && route.id !== draftRoute?.id ? (
                   <React.Fragment key={route.id}>
                     {/* Route Line */}
                     <Polyline
@@ -603,17 +816,42 @@ export default function SimpleMap() {
                       <Tooltip sticky>
                         <strong>{route.name}</strong><br/>
                         {route.coordinates.length} waypoints<br/>
-                        {calculateRouteDistance(route.coordinates).toFixed(0)} km
+                        {formatDistance(calculateRouteDistance(route.coordinates))}
                       </Tooltip>
                       <Popup>
                         <div style={{ minWidth: '200px' }}>
                           <h4 style={{ margin: '0 0 8px 0', color: route.color }}>{route.name}</h4>
                           <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Waypoints:</strong> {route.coordinates.length}</p>
-                          <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Distance:</strong> {calculateRouteDistance(route.coordinates).toFixed(0)} km</p>
+                          <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Distance:</strong> {formatDistance(calculateRouteDistance(route.coordinates))}</p>
                           <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Ports:</strong> {route.ports.map(p => p.name).join(', ')}</p>
+                          {detectEcaSegments(route.coordinates).segments.length > 0 && (
+                            <p style={{ margin: '4px 0', fontSize: '12px' }}>
+                              <strong>ECAs:</strong> {detectEcaSegments(route.coordinates).segments.map(segment => `${segment.area.name} (${formatDistance(segment.distance)})`).join(', ')}
+                            </p>
+                          )}
                         </div>
                       </Popup>
                     </Polyline>
+
+                    {/* Segments failing land/coast validation */}
+                    <RouteValidationLayer coordinates={route.coordinates} validation={routeValidations[route.id]} />
+
+                    {/* Weather-Optimized Track */}
+                    {weatherRoutingResult?.routeId === route.id && (
+                      <>
+                        <Polyline
+                          positions={weatherRoutingResult.track}
+                          pathOptions={{ color: '#2e7d32', weight: 3, opacity: 0.9, dashArray: '4, 8' }}
+                        >
+                          <Tooltip sticky>
+                            <strong>Weather-Routed Track</strong><br/>
+                            {weatherRoutingResult.optimized.hours.toFixed(1)} hrs ({weatherRoutingResult.savings.hours >= 0 ? '-' : '+'}{Math.abs(weatherRoutingResult.savings.hours).toFixed(1)} hrs)<br/>
+                            {(weatherRoutingResult.optimized.fuel / 1000).toFixed(1)} tons fuel ({weatherRoutingResult.savings.fuel >= 0 ? '-' : '+'}{Math.abs(weatherRoutingResult.savings.fuel / 1000).toFixed(1)} tons)
+                          </Tooltip>
+                        </Polyline>
+                        <RouteValidationLayer coordinates={weatherRoutingResult.track} validation={weatherRoutingResult.validation} />
+                      </>
+                    )}
                     
                     {/* Port Markers */}
                     {route.ports.map((port, index) => (
@@ -630,6 +868,18 @@ export default function SimpleMap() {
                             </p>
                             <p style={{ margin: '4px 0', fontSize: '12px' }}>Route: {route.name}</p>
                             <p style={{ margin: '4px 0', fontSize: '12px' }}>Coordinates: {port.position[0].toFixed(4)}, {port.position[1].toFixed(4)}</p>
+                            {(() => {
+                              const info = getRoutePortInfo(port);
+                              if (!info) return null;
+                              return (
+                                <>
+                                  <p style={{ margin: '4px 0', fontSize: '12px' }}>UN/LOCODE: {info.id} ({info.country})</p>
+                                  <p style={{ margin: '4px 0', fontSize: '12px' }}>Local Time: {formatPortTime(Date.now(), info)}</p>
+                                  <p style={{ margin: '4px 0', fontSize: '12px' }}>Waiting / Berth: {info.waitingHours}h / {info.berthHours}h</p>
+                                  <p style={{ margin: '4px 0', fontSize: '12px' }}>Dues / Pilotage: ${info.portDues.toLocaleString()} / ${info.pilotage.toLocaleString()}</p>
+                                </>
+                              );
+                            })()}
                           </div>
                         </Popup>
                         <Tooltip direction="top">{port.name}</Tooltip>
@@ -742,7 +992,7 @@ export default function SimpleMap() {
                           <Popup>
                             <div style={{ minWidth: '280px', maxWidth: '320px' }}>
                               <h4 style={{ margin: '0 0 12px 0', color: route.color, fontSize: '1.1rem', textAlign: 'center' }}>
-                                {index === 0 ? '🚢 Start Point' : index === route.coordinates.length - 1 ? '🏁 End Point' : `Waypoint ${index + 1}`}
+                                {index === 0 ? '🚢 Start Point' : index === route.coordinates.length - 1 ? '🏁 End Point' : route.waypointNames?.[index] || `Waypoint ${index + 1}`}
                               </h4>
                               
                               {/* Basic Info */}
@@ -854,10 +1104,9 @@ export default function SimpleMap() {
                                     <h5 style={{ margin: '0 0 8px 0', color: '#f57c00', fontSize: '14px' }}>💰 Cost & Fuel Analysis</h5>
                                     {(() => {
                                       // Calculate fuel consumption and cost for this waypoint
-                                      const baseSpeed = 20; // knots
-                                      const weatherSpeed = calculateWeatherAffectedSpeed(baseSpeed, waypointInfo, 0);
-                                      const fuelConsumption = calculateFuelConsumption(weatherSpeed.sog, index, route.coordinates.length, waypointInfo);
-                                      const routeCost = calculateRouteCost(fuelConsumption, index, route.coordinates.length, waypointInfo, route.style);
+                                      const { weatherSpeed, fuelConsumption, routeCost } = calculateVoyageEconomics(
+                                        route, index, waypointInfo, shipSpeed, vesselProfile, priceInputs
+                                      );
                                       
                                       return (
                                         <div style={{ fontSize: '12px' }}>
@@ -868,7 +1117,7 @@ export default function SimpleMap() {
                                             </div>
                                             <div>
                                               <p style={{ margin: '4px 0' }}><strong>Speed Impact:</strong> {weatherSpeed.sog.toFixed(1)} knots</p>
-                                              <p style={{ margin: '4px 0' }}><strong>Speed Factor:</strong> {(weatherSpeed.sog / baseSpeed * 100).toFixed(0)}%</p>
+                                              <p style={{ margin: '4px 0' }}><strong>Speed Factor:</strong> {(weatherSpeed.sog / shipSpeed * 100).toFixed(0)}%</p>
                                             </div>
                                           </div>
                                           
@@ -918,7 +1167,7 @@ export default function SimpleMap() {
                                   <div style={{ marginTop: '10px', fontSize: '10px', color: '#666', textAlign: 'center' }}>
                                     <div>🕐 Last updated: {new Date(waypointInfo.timestamp).toLocaleTimeString()}</div>
                                     <div style={{ fontSize: '9px', color: '#999', marginTop: '2px' }}>
-                                      Real-time weather data from OpenWeatherMap
+                                      Weather data from {getWeatherProviders().find(p => p.id === waypointInfo.source)?.name || 'unknown source'}
                                     </div>
                                   </div>
                                 </div>
@@ -1092,6 +1341,12 @@ export default function SimpleMap() {
                         <div style={{ fontSize: '13px', lineHeight: '1.6' }}>
                           <div><strong>Hours:</strong> {metrics.travelTimeHours.toFixed(1)} hrs</div>
                           <div><strong>Days:</strong> {metrics.travelTimeDays.toFixed(1)} days</div>
+                          {metrics.portHours > 0 && (
+                            <div><strong>Sailing / In Port:</strong> {metrics.sailingHours.toFixed(1)} / {metrics.portHours.toFixed(1)} hrs</div>
+                          )}
+                          {metrics.canalWaitingHours > 0 && (
+                            <div><strong>Canal Convoy/Queue:</strong> {metrics.canalWaitingHours.toFixed(1)} hrs</div>
+                          )}
                           <div style={{ marginTop: '8px', padding: '8px', background: '#e8f5e8', borderRadius: '4px', fontSize: '12px' }}>
                             <strong>Estimated Arrival:</strong><br/>
                             {new Date(Date.now() + metrics.travelTimeHours * 60 * 60 * 1000).toLocaleDateString()}
@@ -1103,12 +1358,44 @@ export default function SimpleMap() {
                       <div style={{ padding: '12px', background: '#fff', borderRadius: '6px' }}>
                         <h5 style={{ margin: '0 0 10px 0', color: '#dc3545', fontSize: '14px' }}>⛽ Fuel Consumption</h5>
                         <div style={{ fontSize: '13px', lineHeight: '1.6' }}>
-                          <div><strong>Base Consumption:</strong> {metrics.baseFuelPerDay} tons/day</div>
+                          <div><strong>Base Consumption:</strong> {metrics.baseFuelPerDay.toFixed(1)} tons/day</div>
                           <div><strong>Fuel Factor:</strong> {(metrics.fuelAdjustment * 100).toFixed(0)}%</div>
                           <div><strong>Total Fuel:</strong> {metrics.totalFuel.toFixed(1)} tons</div>
                           <div style={{ marginTop: '8px', padding: '8px', background: '#ffe6e6', borderRadius: '4px', fontSize: '12px' }}>
                             <strong>Cost Estimate:</strong><br/>
-                            ${(metrics.totalFuel * 650).toFixed(0)} (at $650/ton)
+                            ${(metrics.totalFuel * priceInputs.fuelPrice * 1000 + metrics.ecaExtraCost).toFixed(0)} (at ${(priceInputs.fuelPrice * 1000).toFixed(0)}/ton)
+                            {metrics.ecaExtraCost > 0 && <><br/>incl. +${metrics.ecaExtraCost.toFixed(0)} {metrics.ecaFuel.fuelType} in ECAs</>}
+                          </div>
+                          {metrics.ecaDistance > 0 && (
+                            <div style={{ marginTop: '8px', padding: '8px', background: '#e0f2f1', borderRadius: '4px', fontSize: '12px' }}>
+                              <strong>Emission Control Areas:</strong><br/>
+                              {formatDistance(metrics.ecaDistance)} inside, {metrics.ecaFuelTons.toFixed(1)} tons {metrics.ecaFuel.fuelType}<br/>
+                              {metrics.ecaFuel.switched ? `Switch from ${metrics.ecaFuel.mainFuelType} at entry` : `${metrics.ecaFuel.mainFuelType} is compliant`}
+                              {metrics.ecaFuel.compliant ? ' ✅' : ' ⚠️ non-compliant'}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+
+                      {/* Emissions */}
+                      <div style={{ padding: '12px', background: '#fff', borderRadius: '6px' }}>
+                        <h5 style={{ margin: '0 0 10px 0', color: '#2e7d32', fontSize: '14px' }}>🌱 Emissions ({metrics.emissions.fuelType})</h5>
+                        <div style={{ fontSize: '13px', lineHeight: '1.6' }}>
+                          <div><strong>CO2:</strong> {(metrics.emissions.co2 / 1000).toFixed(1)} tons</div>
+                          <div><strong>SOx / NOx:</strong> {(metrics.emissions.sox / 1000).toFixed(2)} / {(metrics.emissions.nox / 1000).toFixed(2)} tons</div>
+                          <div>
+                            <strong>CII Rating:</strong>{' '}
+                            {metrics.emissions.cii ? (
+                              <span style={{ color: CII_RATING_COLORS[metrics.emissions.cii.rating], fontWeight: 'bold' }}>
+                                {metrics.emissions.cii.rating} ({metrics.emissions.cii.attained.toFixed(2)} g/DWT·nm, required {metrics.emissions.cii.required.toFixed(2)})
+                              </span>
+                            ) : 'N/A (no deadweight)'}
+                          </div>
+                          <div style={{ marginTop: '8px', padding: '8px', background: '#e8f5e9', borderRadius: '4px', fontSize: '12px' }}>
+                            <strong>EU ETS:</strong><br/>
+                            {metrics.emissions.ets.legs.length > 0
+                              ? `${metrics.emissions.ets.allowances.toFixed(0)} allowances, $${metrics.emissions.ets.cost.toFixed(0)} (${(metrics.emissions.ets.phaseIn * 100).toFixed(0)}% phase-in)`
+                              : 'No EU/EEA port calls - not covered'}
                           </div>
                         </div>
                       </div>
@@ -1141,8 +1428,15 @@ export default function SimpleMap() {
                     
                     const recommendations = [];
                     
-                    if (metrics.avgWindSpeed > 15) {
-                      recommendations.push('• Consider route adjustment for high winds');
+                    const routingResult = weatherRoutingResult?.routeId === selectedRouteForCalculation.id ? weatherRoutingResult : null;
+                    if (routingResult && !routingResult.validation.valid) {
+                      recommendations.push(`• Weather-routed track has ${routingResult.validation.issues.length} segment(s) flagged near land - keep to the planned track`);
+                    } else if (routingResult && (routingResult.savings.hours > 0.5 || routingResult.savings.fuel > 1000)) {
+                      recommendations.push(`• Take the weather-routed track (green dashed): ${routingResult.savings.hours.toFixed(1)} hrs and ${(routingResult.savings.fuel / 1000).toFixed(1)} tons fuel saved`);
+                    } else if (routingResult) {
+                      recommendations.push('• Planned track is already close to the weather-optimal route');
+                    } else if (metrics.avgWindSpeed > 15) {
+                      recommendations.push('• High winds on the planned track - run Weather Routing below for an alternative');
                     }
                     if (metrics.avgWaveHeight > 3) {
                       recommendations.push('• Monitor wave conditions closely');
@@ -1164,6 +1458,24 @@ export default function SimpleMap() {
                   })()}
                 </div>
               </div>
+
+              {/* Weather Routing */}
+              <WeatherRoutingPanel
+                route={selectedRouteForCalculation}
+                shipSpeed={shipSpeed}
+                vesselProfile={vesselProfile}
+                priceInputs={priceInputs}
+                coastBuffer={coastBuffer}
+                result={weatherRoutingResult}
+                onResult={setWeatherRoutingResult}
+              />
+
+              {/* Just-in-Time Arrival */}
+              <SpeedOptimizerPanel
+                route={selectedRouteForCalculation}
+                vesselProfile={vesselProfile}
+                priceInputs={priceInputs}
+              />
             </div>
           )}
 
@@ -1177,7 +1489,8 @@ export default function SimpleMap() {
                 • Fuel consumption<br/>
                 • Weather impact analysis<br/>
                 • Cost estimates<br/>
-                • Route recommendations
+                • Route recommendations<br/>
+                • Weather routing alternatives
               </div>
             </div>
           )}
@@ -1196,6 +1509,9 @@ export default function SimpleMap() {
             💰 Route Cost & Fuel Analysis
           </h3>
 
+          {/* Price Inputs */}
+          <PriceInputsPanel priceInputs={priceInputs} onChange={setPriceInputs} />
+
           {/* Route Selection for Analysis */}
           <div style={{ marginBottom: '20px', textAlign: 'center' }}>
             <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#34495e' }}>
@@ -1253,6 +1569,8 @@ export default function SimpleMap() {
             waypointData={waypointData}
             currentWaypointIndex={selectedRouteForAnalysis ? analysisWaypointIndex : shipPosition}
             shipSpeed={shipSpeed}
+            vesselProfile={vesselProfile}
+            priceInputs={priceInputs}
           />
         </div>
 
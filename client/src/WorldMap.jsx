@@ -4,6 +4,9 @@ import { MapContainer, TileLayer, Polyline, Marker, Popup, Tooltip, useMap } fro
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import "./WorldMap.css";
+import { calculateRouteDistance } from "./data/routes";
+import { formatDistance } from "./utils/navigation";
+import { getRoutes, subscribeToRoutes } from "./data/routeRepository";
 
 // Import marker images explicitly
 import markerIcon from 'leaflet/dist/images/marker-icon.png';
@@ -18,75 +21,6 @@ L.Icon.Default.mergeOptions({
   shadowUrl: markerShadow,
 });
 
-const ROUTES = [
-  {
-    id: "route1",
-    name: "Alexandria to New York (Atlantic Route)",
-    waypoints: [
-      // Alexandria, Egypt
-      [31.2001, 29.9187],
-      // Mediterranean Sea
-      [31.5, 30.2], [32.0, 31.0], [32.8, 32.5], [33.5, 33.8], [34.2, 34.9],
-      // Gibraltar Strait
-      [36.1408, -5.3536],
-      // Atlantic Ocean - European Coast
-      [36.5, -6.5], [37.2, -8.1], [38.7, -9.4], [40.6, -8.9],
-      // Lisbon, Portugal
-      [38.7223, -9.1393],
-      // Atlantic crossing waypoints
-      [39.0, -12.0], [40.0, -15.0], [41.0, -20.0], [42.0, -25.0],
-      [43.0, -30.0], [44.0, -35.0], [45.0, -40.0], [46.0, -45.0],
-      [47.0, -50.0], [46.5, -55.0], [45.5, -60.0], [44.0, -65.0],
-      [42.5, -68.0], [41.0, -70.0], [40.0, -72.0],
-      // New York, USA
-      [40.7128, -74.0060]
-    ],
-    style: "solid",
-    color: "#FF4444",
-    ports: [
-      { name: "Alexandria", position: [31.2001, 29.9187] },
-      { name: "Gibraltar", position: [36.1408, -5.3536] },
-      { name: "Lisbon", position: [38.7223, -9.1393] },
-      { name: "New York", position: [40.7128, -74.0060] }
-    ]
-  },
-  {
-    id: "route2",
-    name: "Alexandria to Singapore (Suez Route)",
-    waypoints: [
-      // Alexandria, Egypt
-      [31.2001, 29.9187],
-      // Suez Canal
-      [30.8025, 32.2735], [30.5944, 32.2631], [30.0444, 31.2357],
-      // Red Sea
-      [27.2583, 33.8116], [25.0, 35.0], [22.0, 36.5], [20.0, 37.5],
-      [18.0, 38.8], [16.0, 40.0], [14.0, 41.5], [12.6302, 43.1462],
-      // Aden, Yemen
-      [12.7797, 45.0369],
-      // Arabian Sea
-      [12.0, 48.0], [11.5, 52.0], [12.0, 56.0], [13.0, 60.0],
-      [15.0, 64.0], [17.0, 68.0], [18.9750, 72.8258],
-      // Mumbai, India
-      [19.0760, 72.8777],
-      // Indian Ocean
-      [18.0, 75.0], [16.0, 78.0], [14.0, 82.0], [12.0, 86.0],
-      [10.0, 90.0], [8.0, 94.0], [6.0, 98.0], [4.0, 101.0],
-      [2.0, 103.0],
-      // Singapore
-      [1.3521, 103.8198]
-    ],
-    style: "dotted",
-    color: "#4444FF",
-    ports: [
-      { name: "Alexandria", position: [31.2001, 29.9187] },
-      { name: "Suez", position: [30.0444, 31.2357] },
-      { name: "Aden", position: [12.7797, 45.0369] },
-      { name: "Mumbai", position: [19.0760, 72.8777] },
-      { name: "Singapore", position: [1.3521, 103.8198] }
-    ]
-  }
-];
-
 const startIcon = new L.DivIcon({
   className: "custom-marker start-marker",
   html: '<div style="background-color: #28a745; width: 14px; height: 14px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>',
@@ -100,26 +34,6 @@ const endIcon = new L.DivIcon({
   iconAnchor: [9, 9]
 });
 
-function calculateDistance(latLngs) {
-  let total = 0;
-  for (let i = 0; i < latLngs.length - 1; i++) {
-    const [lat1, lng1] = latLngs[i];
-    const [lat2, lng2] = latLngs[i + 1];
-    const R = 6371;
-    const dLat = ((lat2 - lat1) * Math.PI) / 180;
-    const dLng = ((lng2 - lng1) * Math.PI) / 180;
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos((lat1 * Math.PI) / 180) *
-        Math.cos((lat2 * Math.PI) / 180) *
-        Math.sin(dLng / 2) *
-        Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    total += R * c;
-  }
-  return total;
-}
-
 function FitBounds({ bounds }) {
   const map = useMap();
   useEffect(() => {
@@ -131,12 +45,13 @@ function FitBounds({ bounds }) {
 }
 
 export default function WorldMap() {
-  const [visibleRoutes, setVisibleRoutes] = useState({
-    route1: true,
-    route2: true
-  });
+  const [routes, setRoutes] = useState(() => getRoutes());
+  const [visibleRoutes, setVisibleRoutes] = useState({});
+
+  // Routes come from the shared repository, so edits and imports made elsewhere show up here
+  useEffect(() => subscribeToRoutes(setRoutes), []);
 
-  const allLatLngs = ROUTES.flatMap(route => route.waypoints);
+  const allLatLngs = routes.flatMap(route => route.coordinates);
   const bounds = L.latLngBounds(allLatLngs);
 
   // Create port icons
@@ -154,11 +69,11 @@ export default function WorldMap() {
         <div className="panel-section">
           <div className="panel-title">Route Controls</div>
           <div className="route-toggles">
-            {ROUTES.map(route => (
+            {routes.map(route => (
               <label key={route.id}>
                 <input
                   type="checkbox"
-                  checked={visibleRoutes[route.id]}
+                  checked={visibleRoutes[route.id] !== false}
                   onChange={e =>
                     setVisibleRoutes(v => ({
                       ...v,
@@ -183,17 +98,17 @@ export default function WorldMap() {
         <div className="panel-section">
           <div className="panel-title">Route Information</div>
           <div>
-            {ROUTES.map(route => (
+            {routes.map(route => (
               <div className="route-info__item" key={route.id}>
                 <h4>{route.name}</h4>
                 <div className="route-info__detail">
-                  Waypoints: <span>{route.waypoints.length}</span>
+                  Waypoints: <span>{route.coordinates.length}</span>
                 </div>
                 <div className="route-info__detail">
                   Status: <span className="status">Active</span>
                 </div>
                 <div className="route-info__detail">
-                  Distance: <span>{calculateDistance(route.waypoints).toFixed(0)} km</span>
+                  Distance: <span>{formatDistance(calculateRouteDistance(route.coordinates))}</span>
                 </div>
               </div>
             ))}
@@ -205,11 +120,11 @@ export default function WorldMap() {
           <div className="legend">
             <div className="legend-item">
               <div className="route-indicator route-indicator--solid"></div>
-              <span>Solid Route (Route 1)</span>
+              <span>Solid Route</span>
             </div>
             <div className="legend-item">
               <div className="route-indicator route-indicator--dotted"></div>
-              <span>Dotted Route (Route 2)</span>
+              <span>Dashed Route</span>
             </div>
             <div className="legend-item">
               <div className="legend-marker legend-marker--start"></div>
@@ -238,16 +153,16 @@ export default function WorldMap() {
           />
           <FitBounds bounds={bounds} />
 
-          {ROUTES.map(route =>
-            visibleRoutes[route.id] ? (
+          {routes.map(route =>
+            visibleRoutes[route.id] !== false ? (
               <React.Fragment key={route.id}>
                 <Polyline
-                  positions={route.waypoints}
+                  positions={route.coordinates}
                   pathOptions={{
                     color: route.color,
                     weight: 4,
                     opacity: 0.8,
-                    dashArray: route.style === "dotted" ? "10, 15" : undefined
+                    dashArray: route.style === "solid" ? undefined : "10, 15"
                   }}
                 >
                   <Tooltip sticky direction="center">
@@ -274,11 +189,11 @@ export default function WorldMap() {
                         <strong>Style:</strong> {route.style}
                       </p>
                       <p style={{ margin: 4, fontSize: 12, color: "#626C71" }}>
-                        <strong>Waypoints:</strong> {route.waypoints.length}
+                        <strong>Waypoints:</strong> {route.coordinates.length}
                       </p>
                       <p style={{ margin: 4, fontSize: 12, color: "#626C71" }}>
                         <strong>Distance:</strong>{" "}
-                        {calculateDistance(route.waypoints).toFixed(0)} km (approx.)
+                        {formatDistance(calculateRouteDistance(route.coordinates))}
                       </p>
                     </div>
                   </Popup>
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+
+// Most reports drawn as markers; longer tracks are thinned evenly
+const MAX_MARKERS = 200;
+
+const getDeviationColor = (deviation) => {
+  if (deviation > 50) return '#dc3545';
+  if (deviation > 10) return '#ffc107';
+  return '#28a745';
+};
+
+/**
+ * Map layer for an imported AIS track: the planned route, the actual track and its reports
+ * coloured by deviation from the route. Must be rendered inside a MapContainer.
+ */
+const AisTrackLayer = ({ track }) => {
+  if (!track) return null;
+  const { mmsi, route, comparison } = track;
+  const step = Math.max(1, Math.ceil(comparison.points.length / MAX_MARKERS));
+  const markers = comparison.points.filter((point, index) => index % step === 0);
+
+  return (
+    <>
+      <Polyline
+        positions={route.coordinates}
+        pathOptions={{ color: route.color, weight: 3, opacity: 0.5, dashArray: '4, 8' }}
+      />
+      <Polyline
+        positions={comparison.points.map(point => point.position)}
+        pathOptions={{ color: '#6f42c1', weight: 3, opacity: 0.9 }}
+      />
+      {markers.map((point, index) => (
+        <CircleMarker
+          key={index}
+          center={point.position}
+          radius={4}
+          pathOptions={{ color: getDeviationColor(point.deviation), fillOpacity: 0.9, weight: 1 }}
+        >
+          <Tooltip direction="top">
+            📡 MMSI {mmsi}{point.time !== null && ` · ${new Date(point.time).toLocaleString()}`}<br />
+            SOG: {point.sog !== null ? `${point.sog.toFixed(1)} knots` : 'N/A'} | Deviation: {point.deviation.toFixed(1)} nm
+          </Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+};
+
+export default AisTrackLayer;
@@ -0,0 +1,241 @@
+import React, { useState, useMemo } from 'react';
+import { importAisTrack } from '../utils/aisParser';
+import { compareTrackToRoute, compareLegSpeedsWithModel } from '../services/trackComparison';
+import { getWeatherSeed } from '../services/weatherService';
+import { formatDistance } from '../utils/navigation';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 120;
+
+const selectStyle = {
+  padding: '8px',
+  borderRadius: '6px',
+  border: '1px solid #ddd',
+  fontSize: '13px',
+  backgroundColor: '#f8f9fa'
+};
+
+const cellStyle = { padding: '4px 8px', borderBottom: '1px solid #e9ecef', textAlign: 'left' };
+
+/**
+ * Speed-over-ground profile of the actual track, against time (or distance sailed when the log has no times)
+ */
+const SpeedProfileChart = ({ profile, color }) => {
+  const entries = profile.filter(entry => entry.sog !== null);
+  if (entries.length < 2) return null;
+
+  const useTime = entries.every(entry => entry.time !== null);
+  const xValues = entries.map(entry => (useTime ? entry.time : entry.distance));
+  const minX = xValues.reduce((min, value) => Math.min(min, value), Infinity);
+  const rangeX = xValues.reduce((max, value) => Math.max(max, value), -Infinity) - minX || 1;
+  const maxSog = entries.reduce((max, entry) => Math.max(max, entry.sog), 1);
+  const points = entries
+    .map((entry, i) => `${((xValues[i] - minX) / rangeX) * CHART_WIDTH},${CHART_HEIGHT - (entry.sog / maxSog) * CHART_HEIGHT}`)
+    .join(' ');
+
+  return (
+    <div style={{ marginTop: '10px' }}>
+      <div style={{ fontSize: '12px', color: '#626C71', marginBottom: '4px' }}>
+        Actual SOG (0-{maxSog.toFixed(1)} kn) against {useTime ? 'time' : 'distance sailed'}
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" style={{ width: '100%', height: `${CHART_HEIGHT}px`, background: '#f8f9fa', borderRadius: '6px' }}>
+        <polyline points={points} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * AIS track import: loads an NMEA !AIVDM log or CSV export, compares the actual track of one vessel
+ * with a planned route and, on request, with the speed model's prediction for each leg.
+ * Reports the track to the map via onTrackChange (null when cleared).
+ */
+const AisTrackPanel = ({ routes, shipSpeed, vesselProfile = DEFAULT_VESSEL_PROFILE, onTrackChange }) => {
+  const [importResult, setImportResult] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [selectedMmsi, setSelectedMmsi] = useState('');
+  const [routeId, setRouteId] = useState(routes[0]?.id ?? '');
+  const [modelComparison, setModelComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+
+  const vessel = importResult?.vessels.find(candidate => candidate.mmsi === selectedMmsi) || null;
+  const route = routes.find(candidate => candidate.id === routeId) || null;
+
+  const comparison = useMemo(
+    () => (vessel && route ? compareTrackToRoute(vessel.reports, route) : null),
+    [vessel, route]
+  );
+
+  const publishTrack = (nextVessel, nextRoute) => {
+    onTrackChange?.(nextVessel && nextRoute
+      ? { mmsi: nextVessel.mmsi, route: nextRoute, comparison: compareTrackToRoute(nextVessel.reports, nextRoute) }
+      : null);
+  };
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const result = importAisTrack(reader.result, file.name);
+        setImportResult(result);
+        setFileName(file.name);
+        setSelectedMmsi(result.vessels[0].mmsi);
+        setModelComparison(null);
+        publishTrack(result.vessels[0], route);
+      } catch (error) {
+        alert(`Could not import ${file.name}: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const selectVessel = (mmsi) => {
+    setSelectedMmsi(mmsi);
+    setModelComparison(null);
+    publishTrack(importResult.vessels.find(candidate => candidate.mmsi === mmsi), route);
+  };
+
+  const selectRoute = (id) => {
+    const nextRoute = routes.find(candidate => candidate.id === id) || null;
+    setRouteId(id);
+    setModelComparison(null);
+    publishTrack(vessel, nextRoute);
+  };
+
+  const clearTrack = () => {
+    setImportResult(null);
+    setFileName('');
+    setSelectedMmsi('');
+    setModelComparison(null);
+    onTrackChange?.(null);
+  };
+
+  const runModelComparison = async () => {
+    setIsComparing(true);
+    try {
+      setModelComparison(await compareLegSpeedsWithModel(comparison, route, {
+        baseSpeed: shipSpeed,
+        vessel: vesselProfile,
+        seed: getWeatherSeed()
+      }));
+    } catch (error) {
+      console.error('Model comparison failed:', error);
+      alert(`Model comparison failed: ${error.message}`);
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '15px' }}>
+        <label style={{ padding: '8px 14px', background: '#217A8A', color: 'white', borderRadius: '6px', cursor: 'pointer', fontSize: '13px' }}>
+          📂 Import AIS Log
+          <input type="file" accept=".nmea,.txt,.log,.ais,.csv" onChange={handleFile} style={{ display: 'none' }} />
+        </label>
+        {importResult && (
+          <>
+            <select value={selectedMmsi} onChange={(e) => selectVessel(e.target.value)} style={selectStyle} title="Vessel (MMSI)">
+              {importResult.vessels.map(candidate => (
+                <option key={candidate.mmsi} value={candidate.mmsi}>
+                  MMSI {candidate.mmsi} ({candidate.reports.length} reports)
+                </option>
+              ))}
+            </select>
+            <select value={routeId} onChange={(e) => selectRoute(parseInt(e.target.value))} style={selectStyle} title="Planned route">
+              {routes.map(candidate => (
+                <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={clearTrack}
+              style={{ padding: '8px 14px', background: '#6c757d', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '13px' }}
+            >
+              ✖️ Clear
+            </button>
+          </>
+        )}
+      </div>
+
+      {!importResult && (
+        <div style={{ color: '#6c757d', fontSize: '13px' }}>
+          Import an NMEA log of !AIVDM sentences (position reports, message types 1, 2, 3 and 18; receive times from
+          NMEA 4.0 tag blocks or a timestamp before each sentence) or a CSV with MMSI, time, LAT, LON, SOG and COG columns.
+        </div>
+      )}
+
+      {importResult && comparison && (
+        <div style={{ fontSize: '13px', color: '#34495e' }}>
+          <div style={{ color: '#626C71', marginBottom: '8px' }}>
+            {fileName}: {importResult.vessels.length} vessel(s)
+            {importResult.skipped > 0 && `, ${importResult.skipped} sentence(s) skipped (bad checksum, incomplete or unusable)`}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '8px' }}>
+            <div><strong>Actual Passage Time:</strong> {comparison.passageHours !== null ? `${comparison.passageHours.toFixed(1)}h` : 'no times in log'}</div>
+            <div><strong>Period:</strong> {comparison.startTime !== null ? `${new Date(comparison.startTime).toLocaleString()} - ${new Date(comparison.endTime).toLocaleString()}` : 'N/A'}</div>
+            <div><strong>Distance Sailed:</strong> {formatDistance(comparison.distance)}</div>
+            <div><strong>Planned Distance:</strong> {formatDistance(comparison.plannedDistance)}</div>
+            <div><strong>Average SOG:</strong> {comparison.averageSog !== null ? `${comparison.averageSog.toFixed(1)} kn` : 'N/A'}</div>
+            <div><strong>Deviation:</strong> mean {comparison.meanDeviation.toFixed(1)} nm, max {comparison.maxDeviation.toFixed(1)} nm</div>
+          </div>
+
+          <SpeedProfileChart profile={comparison.profile} color={route.color} />
+
+          <div style={{ marginTop: '12px' }}>
+            <button
+              onClick={runModelComparison}
+              disabled={isComparing}
+              style={{ padding: '8px 14px', background: isComparing ? '#ccc' : '#28a745', color: 'white', border: 'none', borderRadius: '6px', cursor: isComparing ? 'not-allowed' : 'pointer', fontSize: '13px' }}
+            >
+              {isComparing ? '⏳ Comparing...' : `⚖️ Compare with Speed Model (${shipSpeed} kn, ${vesselProfile.name})`}
+            </button>
+          </div>
+
+          {modelComparison && (
+            <div style={{ marginTop: '10px', overflowX: 'auto' }}>
+              <div style={{ marginBottom: '6px' }}>
+                <strong>Model Bias:</strong>{' '}
+                {modelComparison.meanDifference !== null
+                  ? `actual speeds average ${modelComparison.meanDifference >= 0 ? '+' : ''}${modelComparison.meanDifference.toFixed(2)} kn against the model`
+                  : 'no legs with speed data'}
+              </div>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                <thead>
+                  <tr style={{ background: '#f8f9fa' }}>
+                    <th style={cellStyle}>Leg</th>
+                    <th style={cellStyle}>Reports</th>
+                    <th style={cellStyle}>Sailed</th>
+                    <th style={cellStyle}>Actual SOG</th>
+                    <th style={cellStyle}>Model SOG</th>
+                    <th style={cellStyle}>Difference</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {modelComparison.legs.filter(leg => leg.reportCount > 0).map(leg => (
+                    <tr key={leg.legIndex}>
+                      <td style={cellStyle}>{leg.legIndex + 1}-{leg.legIndex + 2}</td>
+                      <td style={cellStyle}>{leg.reportCount}</td>
+                      <td style={cellStyle}>{leg.startTime !== null ? new Date(leg.startTime).toLocaleString() : 'N/A'}</td>
+                      <td style={cellStyle}>{leg.actualSog !== null ? `${leg.actualSog.toFixed(1)} kn` : 'N/A'}</td>
+                      <td style={cellStyle}>{leg.modelSog !== null ? `${leg.modelSog.toFixed(1)} kn` : 'N/A'}</td>
+                      <td style={{ ...cellStyle, color: leg.difference === null ? '#626C71' : Math.abs(leg.difference) > 1 ? '#dc3545' : '#28a745' }}>
+                        {leg.difference !== null ? `${leg.difference >= 0 ? '+' : ''}${leg.difference.toFixed(1)} kn` : 'N/A'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AisTrackPanel;
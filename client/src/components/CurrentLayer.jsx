@@ -0,0 +1,52 @@
+import React, { useMemo } from 'react';
+import { Polyline, Tooltip } from 'react-leaflet';
+import { getCurrentField } from '../utils/oceanCurrents';
+import { destinationPoint } from '../utils/navigation';
+import { getDirectionName } from '../services/weatherService';
+
+// Arrow length grows with speed and stays shorter than the 5° grid spacing
+const ARROW_BASE_LENGTH = 80;   // km
+const ARROW_KM_PER_KNOT = 220;
+const ARROW_MAX_LENGTH = 450;   // km
+const ARROW_HEAD_LENGTH = 0.35; // fraction of the arrow
+const MIN_DRAWN_SPEED = 0.2;    // knots
+
+const getSpeedColor = (speed) => {
+  if (speed > 1.5) return '#c2185b';
+  if (speed > 0.8) return '#7b1fa2';
+  if (speed > 0.4) return '#1976d2';
+  return '#4fc3f7';
+};
+
+/**
+ * Map layer drawing the monthly current climatology as arrows at the grid nodes, pointing the way the
+ * current sets and coloured by speed. Must be rendered inside a MapContainer.
+ */
+const CurrentLayer = ({ month = new Date().getMonth() }) => {
+  const arrows = useMemo(() => getCurrentField(month, MIN_DRAWN_SPEED).map(node => {
+    const length = Math.min(ARROW_BASE_LENGTH + node.speed * ARROW_KM_PER_KNOT, ARROW_MAX_LENGTH);
+    const tail = destinationPoint(node.position, node.direction + 180, length / 2);
+    const tip = destinationPoint(node.position, node.direction, length / 2);
+    const head = [-25, 25].map(offset => destinationPoint(tip, node.direction + 180 + offset, length * ARROW_HEAD_LENGTH));
+    return { ...node, positions: [[tail, tip], [head[0], tip, head[1]]] };
+  }), [month]);
+
+  return (
+    <>
+      {arrows.map(arrow => (
+        <Polyline
+          key={arrow.position.join(',')}
+          positions={arrow.positions}
+          pathOptions={{ color: getSpeedColor(arrow.speed), weight: 2, opacity: 0.8 }}
+        >
+          <Tooltip sticky>
+            🌊 {arrow.speed.toFixed(1)} kn setting {getDirectionName(arrow.direction)} ({arrow.direction.toFixed(0)}°)<br/>
+            Monthly mean surface current
+          </Tooltip>
+        </Polyline>
+      ))}
+    </>
+  );
+};
+
+export default CurrentLayer;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Polygon, CircleMarker, Tooltip } from 'react-leaflet';
+import { emissionControlAreas, ECA_SULPHUR_LIMIT } from '../data/emissionControlAreas';
+import { detectEcaSegments } from '../utils/ecaDetection';
+import { formatDistance } from '../utils/navigation';
+
+/**
+ * Map layer drawing the emission control areas, with the points where the given routes enter and leave them.
+ * Must be rendered inside a MapContainer.
+ */
+const EcaLayer = ({ routes = [] }) => (
+  <>
+    {emissionControlAreas.map(area => (
+      <Polygon
+        key={area.id}
+        positions={area.polygon}
+        pathOptions={{ color: area.color, weight: 1, fillOpacity: 0.12, dashArray: '6, 4' }}
+      >
+        <Tooltip sticky>
+          <strong>{area.name}</strong><br/>
+          Controls: {area.pollutants.join(', ')}<br/>
+          Fuel sulphur limit: {(ECA_SULPHUR_LIMIT * 100).toFixed(2)}%
+        </Tooltip>
+      </Polygon>
+    ))}
+    {routes.flatMap(route => detectEcaSegments(route.coordinates).segments.map((segment, index) => (
+      <React.Fragment key={`${route.id}-eca-${index}`}>
+        {[['Entry', segment.entryPoint], ['Exit', segment.exitPoint]].map(([label, point]) => (
+          <CircleMarker
+            key={label}
+            center={point}
+            radius={5}
+            pathOptions={{ color: segment.area.color, fillColor: '#fff', fillOpacity: 1, weight: 2 }}
+          >
+            <Tooltip>
+              <strong>{route.name}</strong><br/>
+              {segment.area.name} {label.toLowerCase()}<br/>
+              {formatDistance(segment.distance)} inside the ECA
+            </Tooltip>
+          </CircleMarker>
+        ))}
+      </React.Fragment>
+    )))}
+  </>
+);
+
+export default EcaLayer;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { Polyline, Marker, Popup, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+
+const createShipIcon = (color) => L.divIcon({
+  className: 'fleet-ship-marker',
+  html: `<div style="background-color: ${color}; width: 24px; height: 24px; border-radius: 50%; border: 3px solid white; box-shadow: 0 4px 12px rgba(0,0,0,0.6); display: flex; align-items: center; justify-content: center; font-size: 14px;">🚢</div>`,
+  iconSize: [28, 28],
+  iconAnchor: [14, 14]
+});
+
+/**
+ * Map layer for the fleet simulation: a marker and a trail of the distance sailed for every ship.
+ * Ships that have not departed yet are not shown. Must be rendered inside a MapContainer.
+ */
+const FleetLayer = ({ fleet }) => (
+  <>
+    {fleet.filter(ship => ship.state && ship.state.status !== 'scheduled').map(ship => (
+      <React.Fragment key={ship.id}>
+        <Polyline
+          positions={ship.state.trail}
+          pathOptions={{ color: ship.color, weight: 4, opacity: 0.9 }}
+        />
+        <Marker position={ship.state.position} icon={createShipIcon(ship.color)}>
+          <Popup>
+            <div style={{ minWidth: '200px' }}>
+              <h4 style={{ margin: '0 0 8px 0', color: ship.color }}>🚢 {ship.name}</h4>
+              <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Route:</strong> {ship.routeName}</p>
+              <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Vessel:</strong> {ship.vesselName}</p>
+              <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>SOG:</strong> {ship.state.sog.toFixed(1)} knots</p>
+              <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Course:</strong> {ship.state.course.toFixed(0)}°</p>
+              <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Fuel Burned:</strong> {(ship.state.fuelBurned / 1000).toFixed(1)} t</p>
+              <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>ETA:</strong> {new Date(ship.state.eta).toLocaleString()}</p>
+            </div>
+          </Popup>
+          <Tooltip direction="top">
+            🚢 {ship.name}: {ship.state.sog.toFixed(1)} knots | {ship.state.progress.toFixed(0)}%
+          </Tooltip>
+        </Marker>
+      </React.Fragment>
+    ))}
+  </>
+);
+
+export default FleetLayer;
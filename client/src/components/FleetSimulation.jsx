@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createFleetShip, planFleetVoyage, getFleetShipState } from '../services/fleetSimulation';
+import { createSimulationClock, DEFAULT_TIME_MULTIPLIER } from '../services/simulationClock';
+import { getVesselProfiles, getVesselProfile } from '../data/vesselProfiles';
+import { toDateTimeLocal } from '../utils/voyageTimeline';
+import PlaybackControls from './PlaybackControls';
+
+const STATUS_LABELS = {
+  scheduled: '🕒 Scheduled',
+  underway: '🔄 Underway',
+  arrived: '✅ Arrived'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px',
+  borderRadius: '4px',
+  border: '1px solid #ddd',
+  fontSize: '13px',
+  boxSizing: 'border-box'
+};
+
+const cellStyle = { padding: '6px 8px', borderBottom: '1px solid #e9ecef', textAlign: 'left' };
+
+const buttonStyle = (background, disabled = false) => ({
+  padding: '10px 16px',
+  background: disabled ? '#ccc' : background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontSize: '14px',
+  fontWeight: '500'
+});
+
+/**
+ * Fleet simulation: several ships, each with its own route, vessel profile, departure time and speed,
+ * running on one shared simulation clock. Reports every ship's state to the map via onFleetUpdate.
+ */
+const FleetSimulation = ({ routes, onFleetUpdate }) => {
+  const [vesselProfiles] = useState(() => getVesselProfiles());
+  const [ships, setShips] = useState([]);
+  const [fleetStates, setFleetStates] = useState({});
+  const [clockState, setClockState] = useState(null);
+  const [timelineRange, setTimelineRange] = useState(null);
+  const [timeMultiplier, setTimeMultiplier] = useState(DEFAULT_TIME_MULTIPLIER);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const clockRef = useRef(null);
+  const runRef = useRef(null); // token of the current run; planning for an older or reset run is abandoned
+
+  const isActive = timelineRange !== null || isPlanning;
+
+  // Stop the clock and abandon any planning in progress on unmount
+  useEffect(() => {
+    return () => {
+      runRef.current = null;
+      clockRef.current?.dispose();
+    };
+  }, []);
+
+  const addShip = () => {
+    setShips(prev => [...prev, createFleetShip({ routeId: routes[prev.length % routes.length]?.id ?? null }, prev.length)]);
+  };
+
+  const updateShip = (id, changes) => {
+    setShips(prev => prev.map(ship => (ship.id === id ? { ...ship, ...changes } : ship)));
+  };
+
+  const removeShip = (id) => {
+    setShips(prev => prev.filter(ship => ship.id !== id));
+  };
+
+  const resetFleet = () => {
+    runRef.current = null;
+    clockRef.current?.dispose();
+    clockRef.current = null;
+    setClockState(null);
+    setTimelineRange(null);
+    setFleetStates({});
+    onFleetUpdate?.([]);
+  };
+
+  // Plan every ship's voyage, then run them all on one clock from the first departure to the last arrival
+  const startFleet = async () => {
+    const activeShips = ships.filter(ship => routes.some(route => route.id === ship.routeId));
+    if (activeShips.length === 0) {
+      alert('Add at least one ship with a route');
+      return;
+    }
+
+    resetFleet();
+    const run = {};
+    runRef.current = run;
+    setIsPlanning(true);
+    try {
+      const plans = await Promise.all(activeShips.map(ship =>
+        planFleetVoyage(ship, routes.find(route => route.id === ship.routeId))
+      ));
+      if (runRef.current !== run) return;
+      const startTime = Math.min(...plans.map(plan => plan.timeline.departure));
+      const endTime = Math.max(...plans.map(plan => plan.timeline.arrival));
+
+      const clock = createSimulationClock({ startTime, endTime, multiplier: timeMultiplier });
+      clock.subscribe((state) => {
+        const states = {};
+        plans.forEach(plan => {
+          states[plan.shipId] = getFleetShipState(plan, state.time);
+        });
+        setClockState(state);
+        setFleetStates(states);
+        onFleetUpdate?.(activeShips.map(ship => ({
+          id: ship.id,
+          name: ship.name,
+          color: ship.color,
+          routeName: routes.find(route => route.id === ship.routeId)?.name,
+          vesselName: getVesselProfile(ship.vesselProfileId).name,
+          state: states[ship.id]
+        })));
+      });
+
+      clockRef.current = clock;
+      setTimelineRange({ startTime, endTime });
+      clock.start();
+    } catch (error) {
+      if (runRef.current !== run) return;
+      console.error('Failed to plan fleet voyages:', error);
+      alert(`Failed to plan fleet voyages: ${error.message}`);
+    } finally {
+      if (runRef.current === run) setIsPlanning(false);
+    }
+  };
+
+  const togglePause = () => {
+    const clock = clockRef.current;
+    if (!clock) return;
+    if (clock.getState().isRunning) clock.pause();
+    else clock.start();
+  };
+
+  const changeTimeMultiplier = (multiplier) => {
+    setTimeMultiplier(multiplier);
+    clockRef.current?.setMultiplier(multiplier);
+  };
+
+  const totalFuelBurned = Object.values(fleetStates).reduce((total, state) => total + state.fuelBurned, 0);
+
+  return (
+    <div>
+      {/* Fleet Setup */}
+      {ships.length === 0 ? (
+        <div style={{ textAlign: 'center', color: '#6c757d', fontSize: '14px', marginBottom: '15px' }}>
+          No ships yet. Add ships, give each a route, vessel, departure and speed, then start the fleet.
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto', marginBottom: '15px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa' }}>
+                <th style={cellStyle}>Ship</th>
+                <th style={cellStyle}>Route</th>
+                <th style={cellStyle}>Vessel</th>
+                <th style={cellStyle}>Departure</th>
+                <th style={cellStyle}>Speed (kn)</th>
+                <th style={cellStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {ships.map(ship => (
+                <tr key={ship.id}>
+                  <td style={cellStyle}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                      <span style={{ width: '12px', height: '12px', borderRadius: '50%', background: ship.color, flexShrink: 0 }}></span>
+                      <input
+                        value={ship.name}
+                        disabled={isActive}
+                        onChange={(e) => updateShip(ship.id, { name: e.target.value })}
+                        style={inputStyle}
+                      />
+                    </div>
+                  </td>
+                  <td style={cellStyle}>
+                    <select
+                      value={ship.routeId ?? ''}
+                      disabled={isActive}
+                      onChange={(e) => updateShip(ship.id, { routeId: e.target.value ? parseInt(e.target.value) : null })}
+                      style={inputStyle}
+                    >
+                      <option value="">Choose a route...</option>
+                      {routes.map(route => (
+                        <option key={route.id} value={route.id}>{route.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={cellStyle}>
+                    <select
+                      value={ship.vesselProfileId}
+                      disabled={isActive}
+                      onChange={(e) => {
+                        const profile = getVesselProfile(e.target.value);
+                        updateShip(ship.id, { vesselProfileId: profile.id, speed: profile.designSpeed });
+                      }}
+                      style={inputStyle}
+                    >
+                      {vesselProfiles.map(profile => (
+                        <option key={profile.id} value={profile.id}>{profile.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={cellStyle}>
+                    <input
+                      type="datetime-local"
+                      value={toDateTimeLocal(new Date(ship.departureTime))}
+                      disabled={isActive}
+                      onChange={(e) => e.target.value && updateShip(ship.id, { departureTime: new Date(e.target.value).getTime() })}
+                      style={inputStyle}
+                    />
+                  </td>
+                  <td style={cellStyle}>
+                    <input
+                      type="number"
+                      min="5"
+                      max="30"
+                      value={ship.speed}
+                      disabled={isActive}
+                      onChange={(e) => updateShip(ship.id, { speed: parseFloat(e.target.value) || 1 })}
+                      style={{ ...inputStyle, width: '70px' }}
+                    />
+                  </td>
+                  <td style={cellStyle}>
+                    <button
+                      onClick={() => removeShip(ship.id)}
+                      disabled={isActive}
+                      style={{ background: 'none', border: 'none', cursor: isActive ? 'not-allowed' : 'pointer', fontSize: '16px' }}
+                      title="Remove ship"
+                    >
+                      🗑️
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Fleet Controls */}
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center', marginBottom: '15px' }}>
+        <button onClick={addShip} disabled={isActive} style={buttonStyle('#217A8A', isActive)}>
+          ➕ Add Ship
+        </button>
+        <button onClick={startFleet} disabled={isActive || ships.length === 0} style={buttonStyle('#28a745', isActive || ships.length === 0)}>
+          {isPlanning ? '⏳ Planning voyages...' : '▶️ Start Fleet'}
+        </button>
+        <button onClick={resetFleet} disabled={isPlanning} style={buttonStyle('#6c757d', isPlanning)}>
+          🔄 Reset
+        </button>
+      </div>
+
+      {/* Shared Clock */}
+      {timelineRange && (
+        <PlaybackControls
+          clockState={clockState}
+          startTime={timelineRange.startTime}
+          endTime={timelineRange.endTime}
+          timeMultiplier={timeMultiplier}
+          onTogglePause={togglePause}
+          onSeek={(time) => clockRef.current?.seek(time)}
+          onMultiplierChange={changeTimeMultiplier}
+          finishedLabel="✅ All ships arrived"
+        />
+      )}
+
+      {/* Fleet Table */}
+      {Object.keys(fleetStates).length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa' }}>
+                <th style={cellStyle}>Ship</th>
+                <th style={cellStyle}>Status</th>
+                <th style={cellStyle}>Position</th>
+                <th style={cellStyle}>SOG</th>
+                <th style={cellStyle}>Progress</th>
+                <th style={cellStyle}>Fuel Burned</th>
+                <th style={cellStyle}>ETA</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ships.filter(ship => fleetStates[ship.id]).map(ship => {
+                const state = fleetStates[ship.id];
+                return (
+                  <tr key={ship.id}>
+                    <td style={{ ...cellStyle, color: ship.color, fontWeight: 'bold' }}>🚢 {ship.name}</td>
+                    <td style={cellStyle}>{STATUS_LABELS[state.status]}</td>
+                    <td style={cellStyle}>{state.position[0].toFixed(2)}°, {state.position[1].toFixed(2)}°</td>
+                    <td style={cellStyle}>{state.sog.toFixed(1)} kn</td>
+                    <td style={cellStyle}>{state.progress.toFixed(1)}%</td>
+                    <td style={cellStyle}>{(state.fuelBurned / 1000).toFixed(1)} t</td>
+                    <td style={cellStyle}>{new Date(state.eta).toLocaleString()}</td>
+                  </tr>
+                );
+              })}
+              <tr style={{ background: '#f8f9fa', fontWeight: 'bold' }}>
+                <td style={cellStyle} colSpan={5}>Fleet Total</td>
+                <td style={cellStyle}>{(totalFuelBurned / 1000).toFixed(1)} t</td>
+                <td style={cellStyle}></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FleetSimulation;
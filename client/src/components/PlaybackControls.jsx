@@ -0,0 +1,70 @@
+import React from 'react';
+import { SIMULATION_SPEEDS } from '../services/simulationClock';
+
+/**
+ * Playback controls for a simulation clock: pause/resume, playback speed and a timeline slider
+ * that jumps to any moment between startTime and endTime.
+ */
+const PlaybackControls = ({
+  clockState,
+  startTime,
+  endTime,
+  timeMultiplier,
+  onTogglePause,
+  onSeek,
+  onMultiplierChange,
+  finishedLabel = '✅ Arrived',
+  color = '#FF6B35'
+}) => (
+  <div style={{ marginBottom: '15px' }}>
+    <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center', marginBottom: '10px' }}>
+      <button
+        onClick={onTogglePause}
+        disabled={!clockState || clockState.isFinished}
+        style={{
+          padding: '8px 14px',
+          background: !clockState || clockState.isFinished ? '#ccc' : clockState.isRunning ? '#dc3545' : '#217A8A',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: !clockState || clockState.isFinished ? 'not-allowed' : 'pointer',
+          fontSize: '13px',
+          fontWeight: '500'
+        }}
+      >
+        {clockState && !clockState.isRunning ? '⏯️ Resume' : '⏸️ Pause'}
+      </button>
+      <select
+        value={timeMultiplier}
+        onChange={(e) => onMultiplierChange(Number(e.target.value))}
+        style={{ padding: '6px', borderRadius: '4px', border: '1px solid #ddd', fontSize: '13px' }}
+        title="Simulated voyage time per second of real time"
+      >
+        {SIMULATION_SPEEDS.map(speed => (
+          <option key={speed.value} value={speed.value}>{speed.label}</option>
+        ))}
+      </select>
+    </div>
+
+    {clockState && (
+      <>
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px', fontSize: '13px', color: '#666' }}>
+          <span>🕒 {new Date(clockState.time).toLocaleString()}</span>
+          <span>{clockState.isFinished ? finishedLabel : clockState.isRunning ? '🔄 Running' : '⏸️ Paused'}</span>
+        </div>
+        <input
+          type="range"
+          min={startTime}
+          max={endTime}
+          step={60000}
+          value={clockState.time}
+          onChange={(e) => onSeek(Number(e.target.value))}
+          style={{ width: '100%', accentColor: color }}
+          title="Voyage timeline"
+        />
+      </>
+    )}
+  </div>
+);
+
+export default PlaybackControls;
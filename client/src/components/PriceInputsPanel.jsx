@@ -0,0 +1,96 @@
+import React from 'react';
+import { DEFAULT_PRICE_INPUTS } from '../utils/voyageEconomics';
+import { canals } from '../data/canals';
+
+const PRICE_FIELDS = [
+  { key: 'fuelPrice', label: 'Fuel Price (USD/kg)', step: '0.01' },
+  { key: 'ecaFuelPrice', label: 'ECA Fuel Price (USD/kg, 0.1% S)', step: '0.01' },
+  { key: 'operationalCostPerHour', label: 'Operational Cost (USD/h)', step: '100' },
+  { key: 'portFeePerCall', label: 'Port Fee (USD/call, unlisted ports)', step: '1000' },
+  { key: 'euaPrice', label: 'EU ETS Allowance (USD/t CO2)', step: '1' },
+  { key: 'severeWeatherSurcharge', label: 'Severe Weather Surcharge (fraction)', step: '0.01' }
+];
+
+const PriceInputsPanel = ({ priceInputs = DEFAULT_PRICE_INPUTS, onChange }) => {
+  // Replace one band rate of one canal's tariff
+  const updateCanalRate = (canalId, bandIndex, rate) => {
+    const tariff = priceInputs.canalTariffs[canalId];
+    const bands = tariff.bands.map((band, index) => (index === bandIndex ? { ...band, rate } : band));
+    onChange?.({ ...priceInputs, canalTariffs: { ...priceInputs.canalTariffs, [canalId]: { ...tariff, bands } } });
+  };
+
+  return (
+    <div style={{
+      padding: '15px',
+      background: '#f8f9fa',
+      borderRadius: '8px',
+      border: '1px solid #e9ecef',
+      marginBottom: '20px'
+    }}>
+      <h5 style={{ margin: '0 0 10px 0', color: '#6c757d', fontSize: '14px', textAlign: 'center' }}>
+        ⚙️ Price Inputs
+      </h5>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '10px' }}>
+        {PRICE_FIELDS.map(({ key, label, step }) => (
+          <div key={key}>
+            <label style={{ display: 'block', fontSize: '12px', color: '#666', marginBottom: '4px' }}>{label}</label>
+            <input
+              type="number"
+              min="0"
+              step={step}
+              value={priceInputs[key]}
+              onChange={(e) => onChange?.({ ...priceInputs, [key]: parseFloat(e.target.value) || 0 })}
+              style={{
+                width: '100%',
+                padding: '6px 8px',
+                borderRadius: '4px',
+                border: '1px solid #ddd',
+                fontSize: '13px',
+                boxSizing: 'border-box'
+              }}
+            />
+          </div>
+        ))}
+      </div>
+      <div style={{ marginTop: '12px', fontSize: '12px', color: '#666' }}>
+        <div style={{ marginBottom: '4px' }}>Canal Tolls (USD per net ton, by tonnage band)</div>
+        {canals.map(canal => (
+          <div key={canal.id} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', marginBottom: '6px' }}>
+            <strong style={{ width: '100px' }}>{canal.name}</strong>
+            {priceInputs.canalTariffs[canal.id].bands.map((band, index, bands) => (
+              <label key={index} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                {band.upTo === Infinity ? `>${bands[index - 1].upTo.toLocaleString()}` : `≤${band.upTo.toLocaleString()}`}
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={band.rate}
+                  onChange={(e) => updateCanalRate(canal.id, index, parseFloat(e.target.value) || 0)}
+                  style={{ width: '60px', padding: '4px 6px', borderRadius: '4px', border: '1px solid #ddd', fontSize: '12px' }}
+                />
+              </label>
+            ))}
+          </div>
+        ))}
+      </div>
+      <div style={{ marginTop: '10px', textAlign: 'right' }}>
+        <button
+          onClick={() => onChange?.(DEFAULT_PRICE_INPUTS)}
+          style={{
+            padding: '4px 10px',
+            background: '#6c757d',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '11px'
+          }}
+        >
+          🔄 Reset to Defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PriceInputsPanel;
@@ -1,10 +1,16 @@
 import React from 'react';
+import { calculateVoyageEconomics, DEFAULT_PRICE_INPUTS } from '../utils/voyageEconomics';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+import { FUEL_TYPES, CII_RATING_COLORS } from '../utils/emissions';
+import { formatDistance } from '../utils/navigation';
 
 const RouteCostAnalysis = ({ 
   selectedRoute, 
   waypointData, 
   currentWaypointIndex = 0,
-  shipSpeed = 20 
+  shipSpeed = 20,
+  vesselProfile = DEFAULT_VESSEL_PROFILE,
+  priceInputs = DEFAULT_PRICE_INPUTS
 }) => {
   if (!selectedRoute) {
     return (
@@ -21,187 +27,27 @@ const RouteCostAnalysis = ({
           • Route cost breakdown<br/>
           • Fuel consumption analysis<br/>
           • Weather impact assessment<br/>
-          • Port and canal fees
+          • Port and canal fees<br/>
+          • Emissions, CII rating and EU ETS cost<br/>
+          • Emission control areas and fuel switching
         </div>
       </div>
     );
   }
 
-  // Calculate fuel consumption based on weather conditions and speed
-  const calculateFuelConsumption = (weatherSpeed, currentWaypointIndex, totalWaypoints, weatherData = null) => {
-    const baseFuelConsumption = 1260; // kg/h at base speed (20 knots)
-    const remainingWaypoints = totalWaypoints - currentWaypointIndex;
-    
-    // Fuel consumption increases with resistance and decreases with speed
-    const speedFactor = Math.max(0.5, weatherSpeed / shipSpeed); // Speed ratio
-    const resistanceFactor = 1 + (Math.abs(weatherSpeed - shipSpeed) / shipSpeed) * 0.5; // Resistance impact
-    
-    // Additional weather-based fuel adjustments
-    let weatherFuelMultiplier = 1.0;
-    if (weatherData && weatherData.weather && weatherData.ocean) {
-      const windSpeed = weatherData.weather.wind?.speed || 0;
-      const waveHeight = weatherData.ocean.waveHeight || 0;
-      
-      // High winds increase fuel consumption
-      if (windSpeed > 15) weatherFuelMultiplier *= 1.2;
-      else if (windSpeed > 10) weatherFuelMultiplier *= 1.1;
-      
-      // High waves increase fuel consumption
-      if (waveHeight > 3) weatherFuelMultiplier *= 1.25;
-      else if (waveHeight > 2) weatherFuelMultiplier *= 1.15;
-    }
-    
-    // Calculate fuel consumption for current waypoint
-    const currentFuelConsumption = baseFuelConsumption * resistanceFactor * weatherFuelMultiplier / speedFactor;
-    
-    // Estimate remaining fuel for the route
-    const estimatedRemainingFuel = currentFuelConsumption * remainingWaypoints * 2; // 2 hours per waypoint
-    
-    return {
-      current: currentFuelConsumption,
-      remaining: estimatedRemainingFuel,
-      total: currentFuelConsumption + estimatedRemainingFuel,
-      weatherMultiplier: weatherFuelMultiplier,
-      speedFactor: speedFactor,
-      resistanceFactor: resistanceFactor
-    };
-  };
-
-  // Calculate overall route cost at current waypoint
-  const calculateRouteCost = (fuelConsumption, currentWaypointIndex, totalWaypoints, weatherData = null) => {
-    const fuelPrice = 0.8; // USD per kg (marine fuel oil price)
-    const operationalCost = 5000; // USD per hour (crew, maintenance, etc.)
-    const portFees = 15000; // USD per port call
-    const canalFees = selectedRoute?.style === 'dashed' ? 500000 : 0; // Suez Canal fees
-    
-    const remainingWaypoints = totalWaypoints - currentWaypointIndex;
-    const remainingHours = remainingWaypoints * 2; // 2 hours per waypoint
-    
-    // Fuel cost
-    const fuelCost = fuelConsumption.total * fuelPrice;
-    
-    // Operational cost
-    const operationalCostTotal = operationalCost * remainingHours;
-    
-    // Port fees (only for major ports)
-    const majorPortsRemaining = selectedRoute?.ports?.filter((port, index) => 
-      index > currentWaypointIndex && port.type === 'major'
-    ).length || 0;
-    const portFeesTotal = majorPortsRemaining * portFees;
-    
-    // Canal fees (if applicable and not yet passed)
-    const canalFeesTotal = canalFees;
-    
-    // Weather-related additional costs
-    let weatherCostMultiplier = 1.0;
-    if (weatherData && weatherData.weather && weatherData.ocean) {
-      const windSpeed = weatherData.weather.wind?.speed || 0;
-      const waveHeight = weatherData.ocean.waveHeight || 0;
-      
-      if (windSpeed > 15 || waveHeight > 3) {
-        weatherCostMultiplier = 1.1; // 10% additional cost for severe conditions
-      }
-    }
-    
-    // Total route cost from current waypoint to destination
-    const baseCost = fuelCost + operationalCostTotal + portFeesTotal + canalFeesTotal;
-    const totalRouteCost = baseCost * weatherCostMultiplier;
-    
-    return {
-      fuelCost: fuelCost,
-      operationalCost: operationalCostTotal,
-      portFees: portFeesTotal,
-      canalFees: canalFeesTotal,
-      weatherMultiplier: weatherCostMultiplier,
-      baseCost: baseCost,
-      total: totalRouteCost,
-      breakdown: {
-        fuel: fuelCost,
-        operational: operationalCostTotal,
-        ports: portFeesTotal,
-        canal: canalFeesTotal,
-        weather: baseCost * (weatherCostMultiplier - 1)
-      }
-    };
-  };
-
-  // Calculate weather-affected speed
-  const calculateWeatherAffectedSpeed = (baseSpeed, weatherData, course) => {
-    if (!weatherData || !weatherData.weather || !weatherData.ocean) {
-      return { sog: baseSpeed, cog: course };
-    }
-
-    const windSpeed = weatherData.weather.wind?.speed || 0;
-    const windDirection = weatherData.weather.wind?.deg || 0;
-    const waveHeight = weatherData.ocean.waveHeight || 0;
-    const currentSpeed = weatherData.ocean.currentSpeed || 0;
-    const currentDirection = weatherData.ocean.currentDirection || 0;
-
-    // Calculate wind impact
-    const windAngle = Math.abs((windDirection - course + 360) % 360);
-    let windImpact = 1.0;
-    
-    if (windAngle < 45 || windAngle > 315) {
-      // Tailwind - increases speed
-      windImpact = 1 + (windSpeed * 0.02);
-    } else if (windAngle > 135 && windAngle < 225) {
-      // Headwind - decreases speed
-      windImpact = 1 - (windSpeed * 0.03);
-    } else {
-      // Crosswind - moderate impact
-      windImpact = 1 - (windSpeed * 0.01);
-    }
-
-    // Calculate wave impact
-    let waveImpact = 1.0;
-    if (waveHeight > 3) {
-      waveImpact = 0.8; // High waves reduce speed by 20%
-    } else if (waveHeight > 2) {
-      waveImpact = 0.9; // Moderate waves reduce speed by 10%
-    }
-
-    // Calculate current impact
-    const currentAngle = Math.abs((currentDirection - course + 360) % 360);
-    let currentImpact = 1.0;
-    
-    if (currentAngle < 45 || currentAngle > 315) {
-      // Favorable current
-      currentImpact = 1 + (currentSpeed * 0.1);
-    } else if (currentAngle > 135 && currentAngle < 225) {
-      // Adverse current
-      currentImpact = 1 - (currentSpeed * 0.1);
-    }
-
-    // Calculate final speed
-    const adjustedSpeed = baseSpeed * windImpact * waveImpact * currentImpact;
-    
-    return {
-      sog: Math.max(5, Math.min(30, adjustedSpeed)), // Speed over ground, limited between 5-30 knots
-      cog: course // Course over ground
-    };
-  };
-
   // Get current waypoint data
   const currentWaypointData = waypointData[`${selectedRoute.id}-waypoint-${currentWaypointIndex}`];
   
-  // Calculate metrics
-  const weatherSpeed = currentWaypointData ? 
-    calculateWeatherAffectedSpeed(shipSpeed, currentWaypointData, 0) : 
-    { sog: shipSpeed, cog: 0 };
-  
-  const fuelConsumption = calculateFuelConsumption(
-    weatherSpeed.sog, 
-    currentWaypointIndex, 
-    selectedRoute.coordinates.length, 
-    currentWaypointData
-  );
-  
-  const routeCost = calculateRouteCost(
-    fuelConsumption, 
-    currentWaypointIndex, 
-    selectedRoute.coordinates.length, 
-    currentWaypointData
+  // Calculate metrics with the shared voyage engine
+  const { weatherSpeed, sailingHours, portHours, canalWaitingHours, remainingHours, fuelConsumption, routeCost } = calculateVoyageEconomics(
+    selectedRoute,
+    currentWaypointIndex,
+    currentWaypointData,
+    shipSpeed,
+    vesselProfile,
+    priceInputs
   );
+  const { emissions } = routeCost;
 
   return (
     <div style={{ 
@@ -233,6 +79,7 @@ const RouteCostAnalysis = ({
           <div style={{ padding: '12px', background: '#fff', borderRadius: '6px' }}>
             <h5 style={{ margin: '0 0 10px 0', color: '#1976d2', fontSize: '14px' }}>⚡ Speed Analysis</h5>
             <div style={{ fontSize: '13px', lineHeight: '1.6' }}>
+              <div><strong>Vessel:</strong> {vesselProfile.name}</div>
               <div><strong>Base Speed:</strong> {shipSpeed} knots</div>
               <div><strong>Weather Speed:</strong> {weatherSpeed.sog.toFixed(1)} knots</div>
               <div><strong>Speed Factor:</strong> {(weatherSpeed.sog / shipSpeed * 100).toFixed(0)}%</div>
@@ -308,8 +155,26 @@ const RouteCostAnalysis = ({
               </div>
               <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                 <span>Fuel Price:</span>
-                <span>$0.80/kg</span>
+                <span>${priceInputs.fuelPrice.toFixed(2)}/kg</span>
               </div>
+              {routeCost.eca.distance > 0 && (
+                <>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', color: '#626C71' }}>
+                    <span>ECA Distance:</span>
+                    <span>{formatDistance(routeCost.eca.distance)}</span>
+                  </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', color: '#626C71' }}>
+                    <span>Fuel in ECA ({routeCost.eca.fuelType}):</span>
+                    <span>{routeCost.eca.fuelKg.toFixed(0)} kg</span>
+                  </div>
+                  {routeCost.eca.switched && (
+                    <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                      <span>ECA Fuel Premium:</span>
+                      <span>+${routeCost.eca.extraCost.toFixed(0)}</span>
+                    </div>
+                  )}
+                </>
+              )}
               <hr style={{ margin: '6px 0', border: 'none', borderTop: '1px solid #e9ecef' }} />
               <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 'bold' }}>
                 <span>Total Fuel Cost:</span>
@@ -324,11 +189,23 @@ const RouteCostAnalysis = ({
             <div style={{ fontSize: '12px', lineHeight: '1.5' }}>
               <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                 <span>Remaining Hours:</span>
-                <span>{((selectedRoute.coordinates.length - currentWaypointIndex) * 2).toFixed(0)} hrs</span>
+                <span>{remainingHours.toFixed(0)} hrs</span>
               </div>
+              {portHours > 0 && (
+                <div style={{ display: 'flex', justifyContent: 'space-between', color: '#626C71' }}>
+                  <span>Sailing / In Port:</span>
+                  <span>{sailingHours.toFixed(0)} / {portHours.toFixed(0)} hrs</span>
+                </div>
+              )}
+              {canalWaitingHours > 0 && (
+                <div style={{ display: 'flex', justifyContent: 'space-between', color: '#626C71' }}>
+                  <span>Canal Convoy/Queue:</span>
+                  <span>{canalWaitingHours.toFixed(0)} hrs</span>
+                </div>
+              )}
               <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                 <span>Hourly Rate:</span>
-                <span>$5,000/hr</span>
+                <span>${priceInputs.operationalCostPerHour.toLocaleString()}/hr</span>
               </div>
               <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                 <span>Crew & Maintenance:</span>
@@ -346,16 +223,26 @@ const RouteCostAnalysis = ({
           <div style={{ padding: '12px', background: '#fff', borderRadius: '6px', border: '1px solid #e9ecef' }}>
             <h6 style={{ margin: '0 0 8px 0', color: '#6f42c1', fontSize: '13px' }}>🏛️ Additional Fees</h6>
             <div style={{ fontSize: '12px', lineHeight: '1.5' }}>
-              {routeCost.portFees > 0 && (
-                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                  <span>Port Fees:</span>
-                  <span>${routeCost.portFees.toFixed(0)}</span>
+              {routeCost.portCalls.map(call => (
+                <div key={call.waypointIndex} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span title={call.info ? `Dues $${call.portDues.toLocaleString()} + pilotage $${call.pilotage.toLocaleString()}` : 'Not in the port database: default port fee'}>
+                    {call.port.name}{call.info ? ` (${call.info.id})` : ''}:
+                  </span>
+                  <span>${call.cost.toFixed(0)}</span>
                 </div>
-              )}
-              {routeCost.canalFees > 0 && (
+              ))}
+              {routeCost.canalTransits.map(transit => (
+                <div key={`${transit.canalId}-${transit.entryIndex}`} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span title={`${transit.direction}, ${transit.netTonnage.toLocaleString()} NT, ${transit.waitingHours}h convoy/queue wait`}>
+                    {transit.canal.name} Toll:
+                  </span>
+                  <span>${transit.toll.toFixed(0)}</span>
+                </div>
+              ))}
+              {routeCost.etsCost > 0 && (
                 <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                  <span>Canal Fees:</span>
-                  <span>${routeCost.canalFees.toFixed(0)}</span>
+                  <span title={`${emissions.ets.allowances.toFixed(0)} allowances at $${priceInputs.euaPrice}/t CO2`}>EU ETS Allowances:</span>
+                  <span>${routeCost.etsCost.toFixed(0)}</span>
                 </div>
               )}
               {routeCost.breakdown.weather > 0 && (
@@ -367,11 +254,65 @@ const RouteCostAnalysis = ({
               <hr style={{ margin: '6px 0', border: 'none', borderTop: '1px solid #e9ecef' }} />
               <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 'bold' }}>
                 <span>Total Additional:</span>
-                <span>${(routeCost.portFees + routeCost.canalFees + routeCost.breakdown.weather).toFixed(0)}</span>
+                <span>${(routeCost.portFees + routeCost.canalFees + routeCost.etsCost + routeCost.breakdown.weather).toFixed(0)}</span>
               </div>
             </div>
           </div>
 
+          {/* Emissions */}
+          <div style={{ padding: '12px', background: '#fff', borderRadius: '6px', border: '1px solid #e9ecef' }}>
+            <h6 style={{ margin: '0 0 8px 0', color: '#2e7d32', fontSize: '13px' }}>🌱 Emissions</h6>
+            <div style={{ fontSize: '12px', lineHeight: '1.5' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>Fuel Type:</span>
+                <span>{FUEL_TYPES[emissions.fuelType]?.name ?? emissions.fuelType}</span>
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>CO2:</span>
+                <span>{(emissions.co2 / 1000).toFixed(1)} t</span>
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>SOx:</span>
+                <span>{(emissions.sox / 1000).toFixed(2)} t</span>
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>NOx:</span>
+                <span>{(emissions.nox / 1000).toFixed(2)} t</span>
+              </div>
+              {emissions.cii ? (
+                <>
+                  <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <span>Attained / Required CII:</span>
+                    <span>{emissions.cii.attained.toFixed(2)} / {emissions.cii.required.toFixed(2)} g/DWT·nm</span>
+                  </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 'bold' }}>
+                    <span>CII Rating:</span>
+                    <span style={{ color: CII_RATING_COLORS[emissions.cii.rating] }}>{emissions.cii.rating}</span>
+                  </div>
+                </>
+              ) : (
+                <div style={{ color: '#666', fontStyle: 'italic' }}>No deadweight in the vessel profile for a CII rating</div>
+              )}
+              <hr style={{ margin: '6px 0', border: 'none', borderTop: '1px solid #e9ecef' }} />
+              {emissions.ets.legs.length > 0 ? (
+                <>
+                  {emissions.ets.legs.map(leg => (
+                    <div key={leg.startIndex} style={{ display: 'flex', justifyContent: 'space-between', color: '#626C71' }}>
+                      <span>{leg.from.name} - {leg.to.name} ({leg.share * 100}%):</span>
+                      <span>{(leg.coveredCo2 / 1000).toFixed(1)} t CO2</span>
+                    </div>
+                  ))}
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 'bold' }}>
+                    <span>EU ETS ({(emissions.ets.phaseIn * 100).toFixed(0)}% phase-in):</span>
+                    <span>${routeCost.etsCost.toFixed(0)}</span>
+                  </div>
+                </>
+              ) : (
+                <div style={{ color: '#626C71' }}>EU ETS: no EU/EEA port calls ahead</div>
+              )}
+            </div>
+          </div>
+
           {/* Summary */}
           <div style={{ padding: '12px', background: '#e8f5e8', borderRadius: '6px', border: '1px solid #4caf50' }}>
             <h6 style={{ margin: '0 0 8px 0', color: '#2e7d32', fontSize: '13px' }}>📊 Cost Summary</h6>
@@ -410,9 +351,21 @@ const RouteCostAnalysis = ({
             if (weatherSpeed.sog < shipSpeed * 0.9) {
               recommendations.push('• Speed reduced due to weather - consider schedule adjustment');
             }
-            if (routeCost.canalFees > 0) {
-              recommendations.push('• Suez Canal fees are a major cost factor - ensure efficient transit');
+            if (emissions.cii && ['D', 'E'].includes(emissions.cii.rating)) {
+              recommendations.push(`• CII rating ${emissions.cii.rating} on this voyage - slow steaming or a lower-carbon fuel would improve it`);
             }
+            routeCost.eca.segments.forEach(segment => {
+              recommendations.push(routeCost.eca.switched
+                ? `• Change over to ${routeCost.eca.fuelType} before entering the ${segment.area.name} (${segment.entryPoint[0].toFixed(2)}°, ${segment.entryPoint[1].toFixed(2)}°) to stay within the 0.10% sulphur limit`
+                : `• ${routeCost.eca.fuelType} meets the ${segment.area.name} sulphur limit - no fuel changeover needed`);
+            });
+            routeCost.canalTransits.forEach(transit => {
+              if (transit.issues.length > 0) {
+                recommendations.push(`• ${vesselProfile.name} exceeds ${transit.canal.name} limits (${transit.issues.join(', ')}) - choose another route`);
+              } else {
+                recommendations.push(`• ${transit.canal.name} toll is a major cost factor - book a ${transit.direction} slot to limit the ${transit.waitingHours}h wait`);
+              }
+            });
             
             if (recommendations.length === 0) {
               recommendations.push('• Conditions are favorable for optimal performance and cost efficiency');
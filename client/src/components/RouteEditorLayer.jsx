@@ -0,0 +1,147 @@
+import React from 'react';
+import { Polyline, Marker, Popup, Tooltip, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { ports, findPortByName } from '../data/ports';
+
+const createWaypointIcon = (color) => L.divIcon({
+  className: 'route-editor-waypoint',
+  html: `<div style="background-color: ${color}; width: 14px; height: 14px; border-radius: 50%; border: 3px solid white; box-shadow: 0 2px 6px rgba(0,0,0,0.4); cursor: move;"></div>`,
+  iconSize: [20, 20],
+  iconAnchor: [10, 10]
+});
+
+const insertIcon = L.divIcon({
+  className: 'route-editor-insert',
+  html: '<div style="background-color: white; width: 12px; height: 12px; border-radius: 50%; border: 2px solid #217A8A; color: #217A8A; font-size: 11px; line-height: 11px; text-align: center; font-weight: bold; cursor: pointer; opacity: 0.8;">+</div>',
+  iconSize: [16, 16],
+  iconAnchor: [8, 8]
+});
+
+/**
+ * Map layer for drawing a route: click the map to append a waypoint, drag waypoints to move them,
+ * click a "+" handle to insert a point mid-segment, and use a waypoint's popup to name it as a port or delete it.
+ * Must be rendered inside a MapContainer.
+ */
+const RouteEditorLayer = ({ draft, onChange }) => {
+  useMapEvents({
+    click: (e) => {
+      onChange({ ...draft, waypoints: [...draft.waypoints, { position: [e.latlng.lat, e.latlng.lng], portName: '', name: '' }] });
+    }
+  });
+
+  const updateWaypoint = (index, changes) => {
+    onChange({
+      ...draft,
+      waypoints: draft.waypoints.map((waypoint, i) => (i === index ? { ...waypoint, ...changes } : waypoint))
+    });
+  };
+
+  const insertWaypoint = (index, position) => {
+    const waypoints = [...draft.waypoints];
+    waypoints.splice(index, 0, { position, portName: '', name: '' });
+    onChange({ ...draft, waypoints });
+  };
+
+  const deleteWaypoint = (index) => {
+    onChange({ ...draft, waypoints: draft.waypoints.filter((_, i) => i !== index) });
+  };
+
+  const positions = draft.waypoints.map(waypoint => waypoint.position);
+  const lastIndex = draft.waypoints.length - 1;
+
+  return (
+    <>
+      {positions.length > 1 && (
+        <Polyline
+          positions={positions}
+          pathOptions={{
+            color: draft.color,
+            weight: 4,
+            opacity: 0.8,
+            dashArray: draft.style === 'dashed' ? '10, 10' : undefined
+          }}
+        />
+      )}
+
+      {/* Insert handles at segment midpoints */}
+      {positions.slice(0, -1).map((position, index) => {
+        const next = positions[index + 1];
+        const midpoint = [(position[0] + next[0]) / 2, (position[1] + next[1]) / 2];
+        return (
+          <Marker
+            key={`insert-${index}`}
+            position={midpoint}
+            icon={insertIcon}
+            eventHandlers={{ click: () => insertWaypoint(index + 1, midpoint) }}
+          >
+            <Tooltip direction="top">Insert waypoint</Tooltip>
+          </Marker>
+        );
+      })}
+
+      {/* Draggable waypoints */}
+      {draft.waypoints.map((waypoint, index) => (
+        <Marker
+          key={`waypoint-${index}`}
+          position={waypoint.position}
+          draggable={true}
+          icon={createWaypointIcon(index === 0 ? '#28a745' : index === lastIndex ? '#dc3545' : draft.color)}
+          eventHandlers={{
+            dragend: (e) => {
+              const { lat, lng } = e.target.getLatLng();
+              updateWaypoint(index, { position: [lat, lng] });
+            }
+          }}
+        >
+          <Popup>
+            <div style={{ minWidth: '180px' }}>
+              <h4 style={{ margin: '0 0 8px 0', color: draft.color }}>
+                {index === 0 ? '🚢 Start Point' : index === lastIndex ? '🏁 End Point' : `Waypoint ${index + 1}`}
+              </h4>
+              <p style={{ margin: '4px 0', fontSize: '12px' }}>
+                <strong>Coordinates:</strong> {waypoint.position[0].toFixed(4)}, {waypoint.position[1].toFixed(4)}
+              </p>
+              <label style={{ display: 'block', fontSize: '12px', color: '#666', margin: '8px 0 4px 0' }}>Port Name</label>
+              <input
+                type="text"
+                value={waypoint.portName}
+                placeholder="Leave empty for a plain waypoint"
+                list="route-editor-ports"
+                onChange={(e) => updateWaypoint(index, { portName: e.target.value })}
+                style={{ width: '100%', padding: '6px 8px', borderRadius: '4px', border: '1px solid #ddd', fontSize: '12px', boxSizing: 'border-box' }}
+              />
+              <datalist id="route-editor-ports">
+                {ports.map(port => <option key={port.id} value={port.name}>{port.id}</option>)}
+              </datalist>
+              {waypoint.portName && (
+                <p style={{ margin: '4px 0', fontSize: '11px', color: '#666' }}>
+                  {findPortByName(waypoint.portName)
+                    ? `${findPortByName(waypoint.portName).id}: tariffs and berth times from the port database`
+                    : 'Not in the port database: charged the default port fee'}
+                </p>
+              )}
+              <button
+                onClick={() => deleteWaypoint(index)}
+                style={{
+                  marginTop: '8px',
+                  padding: '4px 10px',
+                  background: '#dc3545',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '11px'
+                }}
+              >
+                🗑️ Delete Waypoint
+              </button>
+            </div>
+          </Popup>
+          {waypoint.portName && <Tooltip direction="top" permanent>{waypoint.portName}</Tooltip>}
+        </Marker>
+      ))}
+    </>
+  );
+};
+
+export default RouteEditorLayer;
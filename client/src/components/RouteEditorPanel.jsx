@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { calculateRouteDistance } from '../data/routes';
+import { formatDistance } from '../utils/navigation';
+import { importRoute, exportRoute, ROUTE_FORMATS } from '../utils/routeFormats';
+import { describeValidationIssue } from '../utils/routeValidation';
+
+const inputStyle = {
+  padding: '8px',
+  borderRadius: '6px',
+  border: '1px solid #ddd',
+  fontSize: '13px',
+  boxSizing: 'border-box'
+};
+
+const buttonStyle = (background) => ({
+  padding: '8px 14px',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '13px'
+});
+
+/**
+ * Offer text content to the user as a file download
+ * @param {Object} file - { content, fileName, mimeType }
+ */
+const downloadFile = ({ content, fileName, mimeType }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const RouteEditorPanel = ({
+  draft,
+  onDraftChange,
+  draftValidation,
+  routes = [],
+  customRoutes = [],
+  onNewRoute,
+  onEditRoute,
+  onDeleteRoute,
+  onImportRoute,
+  onSave,
+  onCancel
+}) => {
+  const [exportRouteId, setExportRouteId] = useState('');
+  const [exportFormat, setExportFormat] = useState('geojson');
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImportRoute?.(importRoute(await file.text(), file.name));
+    } catch (error) {
+      console.error('Error importing route:', error);
+      alert(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleExport = () => {
+    const route = routes.find(r => r.id === parseInt(exportRouteId));
+    if (!route) return;
+    downloadFile(exportRoute(route, exportFormat));
+  };
+
+  if (!draft) {
+    return (
+      <div style={{ padding: '15px', background: '#f8f9fa', borderRadius: '8px', border: '1px solid #e9ecef', marginBottom: '20px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+          <strong style={{ color: '#34495e' }}>✏️ Route Editor</strong>
+          <button onClick={onNewRoute} style={buttonStyle('#217A8A')}>➕ Draw New Route</button>
+          <label style={{ ...buttonStyle('#6c757d'), display: 'inline-block' }}>
+            📂 Import Route
+            <input
+              type="file"
+              accept=".geojson,.json,.gpx,.kml,.rtz,.xml"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+          </label>
+          <select
+            value={exportRouteId}
+            onChange={(e) => setExportRouteId(e.target.value)}
+            style={{ ...inputStyle, width: '240px' }}
+          >
+            <option value="">Route to export...</option>
+            {routes.map(route => (
+              <option key={route.id} value={route.id}>{route.name}</option>
+            ))}
+          </select>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            style={inputStyle}
+          >
+            {Object.entries(ROUTE_FORMATS).map(([key, format]) => (
+              <option key={key} value={key}>{format.name}</option>
+            ))}
+          </select>
+          <button onClick={handleExport} disabled={!exportRouteId} style={buttonStyle('#28a745')}>💾 Export</button>
+        </div>
+        {customRoutes.length > 0 && (
+          <div style={{ marginTop: '10px', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {customRoutes.map(route => (
+              <div key={route.id} style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '13px' }}>
+                <span style={{ width: '14px', height: '14px', borderRadius: '50%', background: route.color, display: 'inline-block' }}></span>
+                <span style={{ flex: '1', color: '#34495e' }}>
+                  {route.name} ({route.coordinates.length} waypoints, {formatDistance(calculateRouteDistance(route.coordinates))})
+                </span>
+                <button onClick={() => onEditRoute?.(route)} style={{ ...buttonStyle('#6c757d'), padding: '4px 10px', fontSize: '11px' }}>✏️ Edit</button>
+                <button onClick={() => onDeleteRoute?.(route)} style={{ ...buttonStyle('#dc3545'), padding: '4px 10px', fontSize: '11px' }}>🗑️ Delete</button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const positions = draft.waypoints.map(waypoint => waypoint.position);
+
+  return (
+    <div style={{ padding: '15px', background: '#fff8e1', borderRadius: '8px', border: '1px solid #ffe082', marginBottom: '20px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+        <strong style={{ color: '#34495e' }}>✏️ {draft.id ? 'Editing Route' : 'New Route'}</strong>
+        <input
+          type="text"
+          value={draft.name}
+          placeholder="Route name"
+          onChange={(e) => onDraftChange({ ...draft, name: e.target.value })}
+          style={{ ...inputStyle, width: '260px' }}
+        />
+        <input
+          type="color"
+          value={draft.color}
+          onChange={(e) => onDraftChange({ ...draft, color: e.target.value })}
+          style={{ ...inputStyle, width: '50px', padding: '2px' }}
+        />
+        <select
+          value={draft.style}
+          onChange={(e) => onDraftChange({ ...draft, style: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="solid">Solid</option>
+          <option value="dashed">Dashed</option>
+        </select>
+        <button
+          onClick={() => onDraftChange({ ...draft, waypoints: draft.waypoints.slice(0, -1) })}
+          disabled={draft.waypoints.length === 0}
+          style={buttonStyle('#6c757d')}
+        >
+          ↩️ Undo Last Point
+        </button>
+        <button onClick={onSave} style={buttonStyle('#28a745')}>💾 Save Route</button>
+        <button onClick={onCancel} style={buttonStyle('#dc3545')}>✖️ Cancel</button>
+      </div>
+      <div style={{ marginTop: '10px', fontSize: '12px', color: '#626C71' }}>
+        <strong>Waypoints:</strong> {draft.waypoints.length} |
+        <strong> Distance:</strong> {formatDistance(positions.length > 1 ? calculateRouteDistance(positions) : 0)} |
+        <strong> Ports:</strong> {draft.waypoints.filter(waypoint => waypoint.portName).map(waypoint => waypoint.portName).join(', ') || 'none'}
+      </div>
+      {draftValidation && !draftValidation.valid && (
+        <div style={{ marginTop: '8px', padding: '8px', background: '#ffe6e6', borderRadius: '4px', fontSize: '12px', color: '#b02a37' }}>
+          {draftValidation.issues.map(issue => (
+            <div key={issue.segmentIndex}>⚠️ {describeValidationIssue(issue)}</div>
+          ))}
+        </div>
+      )}
+      <div style={{ marginTop: '6px', fontSize: '11px', color: '#868e96' }}>
+        Click the map to add waypoints, drag them to move, click the + handles to insert mid-segment,
+        and open a waypoint to name it as a port or delete it. The start and end waypoints must be named ports.
+      </div>
+    </div>
+  );
+};
+
+export default RouteEditorPanel;
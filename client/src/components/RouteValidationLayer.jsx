@@ -0,0 +1,29 @@
+import React from 'react';
+import { Polyline, Tooltip } from 'react-leaflet';
+import { describeValidationIssue } from '../utils/routeValidation';
+
+/**
+ * Map layer highlighting route segments that failed validation in red.
+ * Must be rendered inside a MapContainer.
+ */
+const RouteValidationLayer = ({ coordinates, validation }) => {
+  if (!validation || validation.valid) return null;
+
+  return (
+    <>
+      {validation.issues.map(issue => (
+        <Polyline
+          key={`validation-${issue.segmentIndex}`}
+          positions={[coordinates[issue.segmentIndex], coordinates[issue.segmentIndex + 1]]}
+          pathOptions={{ color: '#dc3545', weight: 7, opacity: 0.85 }}
+        >
+          <Tooltip sticky>
+            ⚠️ {describeValidationIssue(issue)}
+          </Tooltip>
+        </Polyline>
+      ))}
+    </>
+  );
+};
+
+export default RouteValidationLayer;
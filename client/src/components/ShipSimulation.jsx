@@ -1,12 +1,24 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { calculateWeatherAffectedSpeed, calculateTravelTime } from '../utils/maritimeCalculations';
-import { fetchWaypointWeather } from '../services/weatherService';
+import { calculateTravelTime, calculateWeatherAffectedSpeed } from '../utils/maritimeCalculations';
+import { calculateVoyageEconomics, getSegmentCourse, getCanalTransitsAhead, getStopHours, DEFAULT_PRICE_INPUTS } from '../utils/voyageEconomics';
+import { fetchWaypointWeather, getWeatherSeed, setWeatherSeed } from '../services/weatherService';
+import { generateSeed } from '../utils/seededRandom';
 import { calculateRouteDistance } from '../data/routes';
+import { formatDistance } from '../utils/navigation';
+import { buildVoyageTimeline, getVoyageState, toDateTimeLocal } from '../utils/voyageTimeline';
+import { createSimulationClock, SIMULATION_SPEEDS, DEFAULT_TIME_MULTIPLIER } from '../services/simulationClock';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+import { createVoyageRecording, saveVoyageRecording } from '../data/voyageRecordings';
+import { getRoutePortInfo, formatPortTime } from '../data/ports';
+import { detectEcaSegments, findEmissionControlArea, getEcaFuel } from '../utils/ecaDetection';
+import PlaybackControls from './PlaybackControls';
 
 const ShipSimulation = ({ 
   selectedRoute, 
   shipSpeed, 
   setShipSpeed,
+  vesselProfile = DEFAULT_VESSEL_PROFILE,
+  priceInputs = DEFAULT_PRICE_INPUTS,
   onSimulationUpdate 
 }) => {
   const [isSimulationRunning, setIsSimulationRunning] = useState(false);
@@ -16,19 +28,48 @@ const ShipSimulation = ({
   const [currentWaypointWeather, setCurrentWaypointWeather] = useState(null);
   const [waypointData, setWaypointData] = useState({});
   const [loadingWaypoints, setLoadingWaypoints] = useState({});
-  const [simulationIntervalRef, setSimulationIntervalRef] = useState(null);
+  const [voyageTimeline, setVoyageTimeline] = useState(null);
+  const [simulationTime, setSimulationTime] = useState(null);
+  const [shipCoordinates, setShipCoordinates] = useState(null);
+  const [shipStopped, setShipStopped] = useState(false);
+  const [currentEca, setCurrentEca] = useState(null); // emission control area the ship is in
+  const [timeMultiplier, setTimeMultiplier] = useState(DEFAULT_TIME_MULTIPLIER);
+  const [clockState, setClockState] = useState(null);
+  const clockRef = useRef(null);
+  const runRef = useRef(null); // token of the current run; a preload for an older or reset run is abandoned
   const [totalTravelTime, setTotalTravelTime] = useState(0);
   const [currentSegmentTime, setCurrentSegmentTime] = useState(0);
   const [currentFuelConsumption, setCurrentFuelConsumption] = useState(null);
   const [currentRouteCost, setCurrentRouteCost] = useState(null);
+  const [waypointEtas, setWaypointEtas] = useState([]);
+  const [weatherSeed, setWeatherSeedState] = useState(() => getWeatherSeed());
+  const [departureTime, setDepartureTime] = useState(() => {
+    const now = new Date();
+    now.setMinutes(0, 0, 0);
+    return toDateTimeLocal(now);
+  });
 
-  // Start simulation with weather-based speed calculations
+  // Keep the weather service seed in sync so map popups use the same conditions
+  const updateWeatherSeed = (seed) => {
+    setWeatherSeedState(seed);
+    setWeatherSeed(seed);
+  };
+
+  // Start simulation: preload weather at the waypoint ETAs, then run the ship along the voyage
+  // timeline on a virtual clock
   const startSimulation = async () => {
     if (!selectedRoute) return;
     
     console.log('Starting simulation for route:', selectedRoute.name);
+    const run = {};
+    runRef.current = run;
+    clockRef.current?.dispose();
+    clockRef.current = null;
     setIsSimulationRunning(true);
+    setVoyageTimeline(null);
+    setClockState(null);
     setShipPosition(0);
+    setShipCoordinates(null);
     setSimulationProgress(0);
     setTotalTravelTime(0);
     setCurrentWeatherAffectedSpeed(0);
@@ -44,74 +85,137 @@ const ShipSimulation = ({
       }
     }, 100);
     
-    const totalWaypoints = selectedRoute.coordinates.length;
-    let currentWaypoint = 0;
-    
-    // Pre-fetch weather data for all waypoints
-    const weatherData = await preloadWeatherData();
+    // Pre-fetch weather data for all waypoints at their estimated arrival times
+    const preloaded = await preloadWeatherData(run);
+    if (!preloaded) return; // reset or restarted while the weather was loading
+    const { weatherData, etas, departures } = preloaded;
     console.log('Weather data loaded for simulation:', weatherData);
     
-    // Process the first waypoint immediately
-    await calculateWaypointSpeed(0, weatherData);
+    const timeline = buildVoyageTimeline(selectedRoute.coordinates, etas, departures);
+    setVoyageTimeline(timeline);
     
-    // Move ship every 2 seconds (2000ms) to wait at each waypoint
-    const simulationInterval = setInterval(async () => {
-      if (currentWaypoint >= totalWaypoints - 1) {
-        console.log('Simulation completed');
-        clearInterval(simulationInterval);
-        setIsSimulationRunning(false);
-        setSimulationProgress(100);
-        onSimulationUpdate?.({
-          isRunning: false,
-          position: currentWaypoint,
-          progress: 100,
-          weatherSpeed: currentWeatherAffectedSpeed
-        });
-        return;
-      }
+    // Record the model's prediction at every waypoint so the run can be replayed once it completes
+    const steps = selectedRoute.coordinates.map((position, index) => {
+      const waypointInfo = weatherData[`${selectedRoute.id}-waypoint-${index}`];
+      const { course, weatherSpeed, fuelConsumption, routeCost } = calculateVoyageEconomics(
+        selectedRoute, index, waypointInfo, shipSpeed, vesselProfile, priceInputs
+      );
+      const legHours = index < etas.length - 1 ? (etas[index + 1] - departures[index]) / 3600000 : 0;
+      return {
+        waypointIndex: index,
+        position,
+        eta: etas[index],
+        weatherData: waypointInfo,
+        course,
+        sog: weatherSpeed.sog,
+        stw: weatherSpeed.stw,
+        fuelRate: fuelConsumption.current,
+        legHours,
+        legFuel: fuelConsumption.current * legHours,
+        cost: routeCost.total
+      };
+    });
+    let recorded = false;
+    
+    const clock = createSimulationClock({
+      startTime: timeline.departure,
+      endTime: timeline.arrival,
+      multiplier: timeMultiplier
+    });
+    
+    let currentLeg = -1;
+    let legEconomics = null;
+    let started = false;
+    
+    clock.subscribe((state) => {
+      const { time, isRunning, isFinished } = state;
+      setClockState(state);
+      const voyageState = getVoyageState(timeline, time);
       
-      currentWaypoint++;
-      const progress = (currentWaypoint / (totalWaypoints - 1)) * 100;
+      // Speed, fuel and cost only change when the ship moves onto another leg
+      if (voyageState.legIndex !== currentLeg) {
+        currentLeg = voyageState.legIndex;
+        legEconomics = calculateWaypointSpeed(currentLeg, weatherData);
+        setCurrentSegmentTime((etas[currentLeg + 1] - departures[currentLeg]) / 3600000);
+      }
       
-      console.log(`Simulation step: waypoint ${currentWaypoint}/${totalWaypoints}, progress: ${progress.toFixed(1)}%`);
+      const waypointIndex = isFinished ? selectedRoute.coordinates.length - 1 : voyageState.legIndex;
+      setSimulationTime(voyageState.time);
+      setShipPosition(waypointIndex);
+      setShipCoordinates(voyageState.position);
+      setShipStopped(voyageState.stopped);
+      setCurrentEca(findEmissionControlArea(voyageState.position));
+      setSimulationProgress(voyageState.progress);
+      setTotalTravelTime(voyageState.elapsedHours);
+      setIsSimulationRunning(isRunning);
       
-      // Calculate weather-affected speed at current waypoint BEFORE updating position
-      await calculateWaypointSpeed(currentWaypoint, weatherData);
+      onSimulationUpdate?.({
+        isRunning,
+        started: !started,
+        position: waypointIndex,
+        coordinates: voyageState.position,
+        progress: voyageState.progress,
+        time: voyageState.time,
+        course: voyageState.course,
+        weatherSpeed: legEconomics ? legEconomics.weatherSpeed.sog : shipSpeed,
+        weatherData: legEconomics?.weatherData,
+        fuelConsumption: legEconomics?.fuelConsumption,
+        routeCost: legEconomics?.routeCost,
+        weatherSeed: weatherSeed,
+        eta: legEconomics?.weatherData.timestamp
+      });
+      started = true;
       
-      // Calculate travel time for current segment
-      if (currentWaypoint < totalWaypoints - 1) {
-        const currentCoord = selectedRoute.coordinates[currentWaypoint];
-        const nextCoord = selectedRoute.coordinates[currentWaypoint + 1];
-        const segmentTime = calculateTravelTime(currentCoord, nextCoord, currentWeatherAffectedSpeed || shipSpeed);
-        setCurrentSegmentTime(segmentTime.timeHours);
-        setTotalTravelTime(prev => prev + segmentTime.timeHours);
+      if (isFinished && !recorded) {
+        recorded = true;
+        const recording = saveVoyageRecording(createVoyageRecording({
+          route: selectedRoute,
+          vessel: vesselProfile,
+          shipSpeed,
+          weatherSeed,
+          etas,
+          departures,
+          steps
+        }));
+        if (!recording) console.warn('Voyage recording could not be saved - browser storage is full or unavailable');
       }
-      
-      // Update position and progress AFTER calculations
-      setShipPosition(currentWaypoint);
-      setSimulationProgress(progress);
-      
-    }, 2000); // Wait 2 seconds at each waypoint
+    });
     
-    setSimulationIntervalRef(simulationInterval);
+    clockRef.current = clock;
+    clock.start();
   };
 
-  // Preload weather data for all waypoints
-  const preloadWeatherData = async () => {
+  // Preload weather data for all waypoints, each at the ship's estimated arrival time there.
+  // The ETA of each waypoint depends on the weather-affected speed on the previous segment
+  // and the time spent at port calls and canal entrances, so waypoints are fetched in order.
+  // Returns null when the run was reset or restarted before the preload finished.
+  const preloadWeatherData = async (run) => {
     console.log('Preloading weather data for', selectedRoute.coordinates.length, 'waypoints...');
     
     const newWaypointData = {};
+    const etas = [];
+    const departures = [];
+    let eta = new Date(departureTime).getTime();
+    
+    // Waiting and berth time at the intermediate port calls and convoy/queue waiting at canal entrances, by waypoint
+    const stopHours = getStopHours(selectedRoute, vesselProfile, priceInputs);
     
     for (let index = 0; index < selectedRoute.coordinates.length; index++) {
       const coord = selectedRoute.coordinates[index];
       const waypointId = `${selectedRoute.id}-waypoint-${index}`;
+      etas.push(eta);
       
       try {
-        console.log(`Fetching weather for waypoint ${index + 1}/${selectedRoute.coordinates.length}`);
-        const data = await fetchWaypointWeather(coord, waypointId);
+        console.log(`Fetching weather for waypoint ${index + 1}/${selectedRoute.coordinates.length} at ${new Date(eta).toISOString()}`);
+        const data = await fetchWaypointWeather(coord, waypointId, {
+          seed: weatherSeed,
+          time: eta
+        });
+        if (runRef.current !== run) return null;
         newWaypointData[waypointId] = data;
         console.log(`Weather data loaded for ${waypointId}:`, data);
       } catch (error) {
+        if (runRef.current !== run) return null;
         console.error(`Failed to fetch weather for ${waypointId}:`, error);
         // Create a fallback data structure with proper number types
         newWaypointData[waypointId] = {
@@ -128,194 +232,94 @@ const ShipSimulation = ({
             waterTemp: 20, 
             visibility: 10 
           },
-          timestamp: new Date().toISOString(),
+          timestamp: new Date(eta).toISOString(),
           waypointId: waypointId,
           coordinates: coord
         };
       }
+      
+      // Advance the ETA by the time stopped here and the weather-affected passage time of the next segment
+      eta += (stopHours[index] || 0) * 3600000;
+      departures.push(eta);
+      if (index < selectedRoute.coordinates.length - 1) {
+        const course = getSegmentCourse(selectedRoute, index);
+        const weatherSpeed = calculateWeatherAffectedSpeed(shipSpeed, newWaypointData[waypointId], course, vesselProfile);
+        const segmentTime = calculateTravelTime(coord, selectedRoute.coordinates[index + 1], Math.max(weatherSpeed.sog, 1));
+        eta += segmentTime.timeHours * 3600000;
+      }
     }
     
     console.log('All weather data loaded:', newWaypointData);
     setWaypointData(newWaypointData);
+    setWaypointEtas(etas);
     
     // Return the data so it can be used immediately
-    return newWaypointData;
+    return { weatherData: newWaypointData, etas, departures };
   };
 
-  // Calculate speed at specific waypoint considering weather
-  const calculateWaypointSpeed = async (waypointIndex, weatherDataToUse = null) => {
+  // Calculate speed, fuel and cost on the leg starting at a waypoint, considering weather
+  const calculateWaypointSpeed = (waypointIndex, weatherDataToUse = null) => {
     const dataToUse = weatherDataToUse || waypointData;
     const waypointId = `${selectedRoute.id}-waypoint-${waypointIndex}`;
     const waypointInfo = dataToUse[waypointId];
     
-    console.log(`Calculating speed for waypoint ${waypointIndex}:`, {
-      waypointId,
-      waypointInfo,
-      hasWeather: !!(waypointInfo && waypointInfo.weather),
-      hasOcean: !!(waypointInfo && waypointInfo.ocean),
-      dataSource: weatherDataToUse ? 'local' : 'state'
-    });
-    
     if (waypointInfo && waypointInfo.weather && waypointInfo.ocean) {
-      // Calculate ship course to next waypoint
-      const currentCoord = selectedRoute.coordinates[waypointIndex];
-      const nextCoord = selectedRoute.coordinates[Math.min(waypointIndex + 1, selectedRoute.coordinates.length - 1)];
-      const course = Math.atan2(nextCoord[1] - currentCoord[1], nextCoord[0] - currentCoord[0]) * 180 / Math.PI;
-      
-      console.log(`Ship course calculated: ${course}°`);
-      
-      // Calculate weather-affected speed using maritime formulas
-      const weatherSpeed = calculateWeatherAffectedSpeed(shipSpeed, waypointInfo, course);
-      console.log(`Weather-affected speed calculated:`, weatherSpeed);
-      
-      // Calculate fuel consumption and cost estimation with weather data
-      const fuelConsumption = calculateFuelConsumption(weatherSpeed.sog, waypointIndex, selectedRoute.coordinates.length, waypointInfo);
-      const routeCost = calculateRouteCost(fuelConsumption, waypointIndex, selectedRoute.coordinates.length, waypointInfo);
+      // Weather-affected speed, fuel and cost with the shared voyage engine
+      const { weatherSpeed, fuelConsumption, routeCost } = calculateVoyageEconomics(
+        selectedRoute,
+        waypointIndex,
+        waypointInfo,
+        shipSpeed,
+        vesselProfile,
+        priceInputs
+      );
       
+      console.log(`Weather-affected speed on leg ${waypointIndex + 1}:`, weatherSpeed);
       console.log(`Fuel consumption: ${fuelConsumption.current.toFixed(2)} kg/h, Route cost: $${routeCost.total.toFixed(2)}`);
-      console.log(`Weather multiplier: ${fuelConsumption.weatherMultiplier.toFixed(2)}x, Cost breakdown:`, routeCost.breakdown);
       
       setCurrentWeatherAffectedSpeed(weatherSpeed.sog);
       setCurrentWaypointWeather(waypointInfo);
       setCurrentFuelConsumption(fuelConsumption);
       setCurrentRouteCost(routeCost);
       
-      // Update parent component
-      const updateData = {
-        isRunning: true,
-        position: waypointIndex,
-        progress: (waypointIndex / (selectedRoute.coordinates.length - 1)) * 100,
-        weatherSpeed: weatherSpeed.sog,
-        weatherData: waypointInfo,
-        course: course,
-        fuelConsumption: fuelConsumption,
-        routeCost: routeCost
-      };
-      
-      console.log('Sending update to parent:', updateData);
-      onSimulationUpdate?.(updateData);
-    } else {
-      console.warn(`Missing weather data for waypoint ${waypointIndex}:`, waypointInfo);
-      console.warn('Available waypoint data keys:', Object.keys(dataToUse));
-      
-      // Set default values if weather data is missing
-      setCurrentWeatherAffectedSpeed(shipSpeed);
-      setCurrentWaypointWeather(null);
-    }
-  };
-
-  // Calculate fuel consumption based on weather conditions and speed
-  const calculateFuelConsumption = (weatherSpeed, currentWaypointIndex, totalWaypoints, weatherData = null) => {
-    const baseFuelConsumption = 1260; // kg/h at base speed (20 knots)
-    const remainingWaypoints = totalWaypoints - currentWaypointIndex;
-    
-    // Fuel consumption increases with resistance and decreases with speed
-    // Higher resistance = more power needed = more fuel
-    const speedFactor = Math.max(0.5, weatherSpeed / shipSpeed); // Speed ratio
-    const resistanceFactor = 1 + (Math.abs(weatherSpeed - shipSpeed) / shipSpeed) * 0.5; // Resistance impact
-    
-    // Additional weather-based fuel adjustments
-    let weatherFuelMultiplier = 1.0;
-    if (weatherData && weatherData.weather && weatherData.ocean) {
-      const windSpeed = weatherData.weather.wind?.speed || 0;
-      const waveHeight = weatherData.ocean.waveHeight || 0;
-      
-      // High winds increase fuel consumption
-      if (windSpeed > 15) weatherFuelMultiplier *= 1.2;
-      else if (windSpeed > 10) weatherFuelMultiplier *= 1.1;
-      
-      // High waves increase fuel consumption
-      if (waveHeight > 3) weatherFuelMultiplier *= 1.25;
-      else if (waveHeight > 2) weatherFuelMultiplier *= 1.15;
+      return { weatherSpeed, fuelConsumption, routeCost, weatherData: waypointInfo };
     }
     
-    // Calculate fuel consumption for current waypoint
-    const currentFuelConsumption = baseFuelConsumption * resistanceFactor * weatherFuelMultiplier / speedFactor;
-    
-    // Estimate remaining fuel for the route (more accurate calculation)
-    const estimatedRemainingFuel = currentFuelConsumption * remainingWaypoints * 2; // 2 hours per waypoint
+    console.warn(`Missing weather data for waypoint ${waypointIndex}:`, waypointInfo);
     
-    return {
-      current: currentFuelConsumption,
-      remaining: estimatedRemainingFuel,
-      total: currentFuelConsumption + estimatedRemainingFuel,
-      weatherMultiplier: weatherFuelMultiplier,
-      speedFactor: speedFactor,
-      resistanceFactor: resistanceFactor
-    };
+    // Set default values if weather data is missing
+    setCurrentWeatherAffectedSpeed(shipSpeed);
+    setCurrentWaypointWeather(null);
+    return null;
   };
 
-  // Calculate overall route cost at current waypoint
-  const calculateRouteCost = (fuelConsumption, currentWaypointIndex, totalWaypoints, weatherData = null) => {
-    const fuelPrice = 0.8; // USD per kg (marine fuel oil price)
-    const operationalCost = 5000; // USD per hour (crew, maintenance, etc.)
-    const portFees = 15000; // USD per port call
-    const canalFees = selectedRoute?.style === 'dashed' ? 500000 : 0; // Suez Canal fees
-    
-    const remainingWaypoints = totalWaypoints - currentWaypointIndex;
-    const remainingHours = remainingWaypoints * 2; // 2 hours per waypoint
-    
-    // Fuel cost
-    const fuelCost = fuelConsumption.total * fuelPrice;
-    
-    // Operational cost
-    const operationalCostTotal = operationalCost * remainingHours;
-    
-    // Port fees (only for major ports)
-    const majorPortsRemaining = selectedRoute?.ports?.filter((port, index) => 
-      index > currentWaypointIndex && port.type === 'major'
-    ).length || 0;
-    const portFeesTotal = majorPortsRemaining * portFees;
-    
-    // Canal fees (if applicable and not yet passed)
-    const canalFeesTotal = canalFees;
-    
-    // Weather-related additional costs
-    let weatherCostMultiplier = 1.0;
-    if (weatherData && weatherData.weather && weatherData.ocean) {
-      const windSpeed = weatherData.weather.wind?.speed || 0;
-      const waveHeight = weatherData.ocean.waveHeight || 0;
-      
-      if (windSpeed > 15 || waveHeight > 3) {
-        weatherCostMultiplier = 1.1; // 10% additional cost for severe conditions
-      }
-    }
-    
-    // Total route cost from current waypoint to destination
-    const baseCost = fuelCost + operationalCostTotal + portFeesTotal + canalFeesTotal;
-    const totalRouteCost = baseCost * weatherCostMultiplier;
-    
-    return {
-      fuelCost: fuelCost,
-      operationalCost: operationalCostTotal,
-      portFees: portFeesTotal,
-      canalFees: canalFeesTotal,
-      weatherMultiplier: weatherCostMultiplier,
-      baseCost: baseCost,
-      total: totalRouteCost,
-      breakdown: {
-        fuel: fuelCost,
-        operational: operationalCostTotal,
-        ports: portFeesTotal,
-        canal: canalFeesTotal,
-        weather: baseCost * (weatherCostMultiplier - 1)
-      }
-    };
+  // Pause or resume the simulation clock
+  const togglePause = () => {
+    const clock = clockRef.current;
+    if (!clock) return;
+    if (clock.getState().isRunning) clock.pause();
+    else clock.start();
   };
 
-  // Stop simulation
-  const stopSimulation = () => {
-    if (simulationIntervalRef) {
-      clearInterval(simulationIntervalRef);
-      setSimulationIntervalRef(null);
-    }
-    setIsSimulationRunning(false);
+  // Change playback speed, also while the simulation is running
+  const changeTimeMultiplier = (multiplier) => {
+    setTimeMultiplier(multiplier);
+    clockRef.current?.setMultiplier(multiplier);
   };
 
   // Reset simulation
   const resetSimulation = () => {
-    stopSimulation();
+    runRef.current = null;
+    clockRef.current?.dispose();
+    clockRef.current = null;
+    setIsSimulationRunning(false);
+    setVoyageTimeline(null);
+    setClockState(null);
+    setSimulationTime(null);
     setShipPosition(0);
+    setShipCoordinates(null);
+    setShipStopped(false);
+    setCurrentEca(null);
     setSimulationProgress(0);
     setCurrentWeatherAffectedSpeed(0);
     setCurrentWaypointWeather(null);
@@ -323,6 +327,7 @@ const ShipSimulation = ({
     setCurrentSegmentTime(0);
     setCurrentFuelConsumption(null);
     setCurrentRouteCost(null);
+    setWaypointEtas([]);
     onSimulationUpdate?.({
       isRunning: false,
       position: 0,
@@ -331,14 +336,13 @@ const ShipSimulation = ({
     });
   };
 
-  // Cleanup on unmount
+  // Stop the clock on unmount
   useEffect(() => {
     return () => {
-      if (simulationIntervalRef) {
-        clearInterval(simulationIntervalRef);
-      }
+      runRef.current = null;
+      clockRef.current?.dispose();
     };
-  }, [simulationIntervalRef]);
+  }, []);
 
   if (!selectedRoute) {
     return (
@@ -357,6 +361,13 @@ const ShipSimulation = ({
 
   const totalDistance = calculateRouteDistance(selectedRoute.coordinates);
   const remainingDistance = totalDistance * (1 - simulationProgress / 100);
+  const endPort = selectedRoute.ports[selectedRoute.ports.length - 1];
+  const destinationPort = endPort ? getRoutePortInfo(endPort) : null;
+  const canalTransits = getCanalTransitsAhead(selectedRoute, 0, vesselProfile, priceInputs);
+  const ecaSegments = detectEcaSegments(selectedRoute.coordinates).segments;
+  const ecaFuel = getEcaFuel(vesselProfile);
+  const fuelInUse = currentEca ? ecaFuel.fuelType : ecaFuel.mainFuelType;
+  const fuelPriceInUse = currentEca && ecaFuel.switched ? priceInputs.ecaFuelPrice : priceInputs.fuelPrice;
 
   return (
     <div style={{ 
@@ -394,6 +405,39 @@ const ShipSimulation = ({
           </div>
         </div>
 
+        {/* Weather Seed and Departure */}
+        <div>
+          <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#34495e' }}>
+            Weather Seed / Departure:
+          </label>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <input
+              type="number"
+              min="1"
+              value={weatherSeed}
+              disabled={isSimulationRunning}
+              onChange={(e) => updateWeatherSeed(parseInt(e.target.value) || 1)}
+              style={{ width: '90px', padding: '6px', borderRadius: '4px', border: '1px solid #ddd', fontSize: '13px' }}
+              title="Same seed and departure reproduce the same generated weather"
+            />
+            <button
+              onClick={() => updateWeatherSeed(generateSeed())}
+              disabled={isSimulationRunning}
+              style={{ padding: '6px 10px', background: '#6c757d', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+              title="New random seed"
+            >
+              🎲
+            </button>
+            <input
+              type="datetime-local"
+              value={departureTime}
+              disabled={isSimulationRunning}
+              onChange={(e) => setDepartureTime(e.target.value)}
+              style={{ flex: 1, padding: '6px', borderRadius: '4px', border: '1px solid #ddd', fontSize: '13px' }}
+            />
+          </div>
+        </div>
+
         {/* Simulation Controls */}
         <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', justifyContent: 'center' }}>
           <button
@@ -410,24 +454,7 @@ const ShipSimulation = ({
               fontWeight: '500'
             }}
           >
-            {isSimulationRunning ? '⏸️ Running...' : '▶️ Start Simulation'}
-          </button>
-          
-          <button
-            onClick={stopSimulation}
-            disabled={!isSimulationRunning}
-            style={{
-              padding: '12px 20px',
-              background: !isSimulationRunning ? '#ccc' : '#dc3545',
-              color: 'white',
-              border: 'none',
-              borderRadius: '6px',
-              cursor: !isSimulationRunning ? 'not-allowed' : 'pointer',
-              fontSize: '14px',
-              fontWeight: '500'
-            }}
-          >
-            ⏹️ Stop
+            {isSimulationRunning ? '🔄 Running...' : voyageTimeline ? '🔁 Restart' : '▶️ Start Simulation'}
           </button>
           
           <button
@@ -488,6 +515,11 @@ const ShipSimulation = ({
             <div style={{ fontSize: '18px', fontWeight: 'bold', color: selectedRoute.color }}>
               Waypoint {shipPosition + 1} of {selectedRoute.coordinates.length}
             </div>
+            {shipCoordinates && (
+              <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
+                {shipCoordinates[0].toFixed(2)}°, {shipCoordinates[1].toFixed(2)}°
+              </div>
+            )}
           </div>
           
           <div style={{ 
@@ -546,6 +578,11 @@ const ShipSimulation = ({
                 {currentFuelConsumption.weatherMultiplier > 1 ? `+${((currentFuelConsumption.weatherMultiplier - 1) * 100).toFixed(0)}% weather` : 'Normal conditions'}
               </div>
             )}
+            {voyageTimeline && (
+              <div style={{ fontSize: '11px', color: currentEca ? '#00838f' : '#666', marginTop: '4px' }}>
+                {currentEca ? `🛡️ ${currentEca.name}: ` : ''}{fuelInUse} at ${fuelPriceInUse.toFixed(2)}/kg
+              </div>
+            )}
           </div>
           
           <div style={{ 
@@ -581,16 +618,34 @@ const ShipSimulation = ({
             <div style={{ fontSize: '28px', color: '#ff9800', marginBottom: '8px' }}>⏱️</div>
             <div style={{ fontSize: '12px', color: '#666', marginBottom: '4px', fontWeight: '500' }}>Status</div>
             <div style={{ fontSize: '18px', fontWeight: 'bold', color: selectedRoute.color }}>
-              {isSimulationRunning ? '🔄 Moving' : simulationProgress === 100 ? '✅ Completed' : '⏸️ Stopped'}
+              {isSimulationRunning ? (shipStopped ? '⚓ Port / Canal Queue' : '🔄 Moving') : simulationProgress >= 100 ? '✅ Completed' : voyageTimeline ? '⏸️ Paused' : '⏹️ Stopped'}
             </div>
             {isSimulationRunning && (
               <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
-                ⏳ Waiting 2s at waypoint
+                ⏩ {SIMULATION_SPEEDS.find(speed => speed.value === timeMultiplier)?.label}
               </div>
             )}
           </div>
         </div>
 
+        {/* Playback: pause/resume, playback speed and the timeline to jump to any moment of the voyage */}
+        <PlaybackControls
+          clockState={clockState}
+          startTime={voyageTimeline?.departure}
+          endTime={voyageTimeline?.arrival}
+          timeMultiplier={timeMultiplier}
+          onTogglePause={togglePause}
+          onSeek={(time) => clockRef.current?.seek(time)}
+          onMultiplierChange={changeTimeMultiplier}
+          finishedLabel="✅ Completed"
+          color={selectedRoute.color}
+        />
+        {voyageTimeline && simulationTime !== null && (
+          <div style={{ marginBottom: '15px', fontSize: '13px', color: '#666', textAlign: 'right' }}>
+            Day {Math.floor(totalTravelTime / 24) + 1} · {totalTravelTime.toFixed(1)}h elapsed
+          </div>
+        )}
+
         {/* Progress Bar */}
         <div style={{ marginBottom: '15px' }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px', fontSize: '14px', color: '#666' }}>
@@ -631,8 +686,40 @@ const ShipSimulation = ({
         {/* Travel Time Information */}
         <div style={{ textAlign: 'center', fontSize: '14px', color: '#666' }}>
           <div style={{ marginBottom: '10px' }}>
-            <strong>Total Distance:</strong> {totalDistance.toFixed(0)} km | 
-            <strong> Base Speed:</strong> {shipSpeed} knots
+            <strong>Total Distance:</strong> {formatDistance(totalDistance)} | 
+            <strong> Base Speed:</strong> {shipSpeed} knots | 
+            <strong> Vessel:</strong> {vesselProfile.name}
+          </div>
+          {canalTransits.map((transit, index) => (
+            <div key={index} style={{ marginBottom: '10px' }}>
+              <strong>{transit.canal.name}:</strong> {transit.direction} from waypoint {transit.entryIndex + 1} | 
+              <strong> Toll:</strong> ${transit.toll.toFixed(0)} ({transit.netTonnage.toLocaleString()} NT) | 
+              <strong> Convoy Wait:</strong> {transit.waitingHours}h
+              {transit.issues.length > 0 && (
+                <span style={{ color: '#dc3545' }}> | ⚠️ Exceeds canal limits: {transit.issues.join(', ')}</span>
+              )}
+            </div>
+          ))}
+          {ecaSegments.map((segment, index) => (
+            <div key={index} style={{ marginBottom: '10px' }}>
+              <strong>{segment.area.name}:</strong> {segment.entryPoint[0].toFixed(2)}°, {segment.entryPoint[1].toFixed(2)}° (leg {segment.entryIndex + 1})
+              {' → '}{segment.exitPoint[0].toFixed(2)}°, {segment.exitPoint[1].toFixed(2)}° (leg {segment.exitIndex}) | 
+              <strong> ECA Distance:</strong> {formatDistance(segment.distance)} | 
+              <strong> Fuel:</strong> {ecaFuel.switched ? `switch ${ecaFuel.mainFuelType} → ${ecaFuel.fuelType}` : ecaFuel.fuelType}
+              <span style={{ color: ecaFuel.compliant ? '#28a745' : '#dc3545' }}>
+                {ecaFuel.compliant ? ' | ✅ Compliant' : ' | ⚠️ Exceeds the 0.10% sulphur limit'}
+              </span>
+            </div>
+          ))}
+          {currentRouteCost?.eca.switched && currentRouteCost.eca.distance > 0 && (
+            <div style={{ marginBottom: '10px' }}>
+              <strong>ECA Fuel Ahead:</strong> {currentRouteCost.eca.fuelKg.toFixed(0)} kg {currentRouteCost.eca.fuelType} over {formatDistance(currentRouteCost.eca.distance)} | 
+              <strong> Extra Fuel Cost:</strong> ${currentRouteCost.eca.extraCost.toFixed(0)}
+            </div>
+          )}
+          <div style={{ marginBottom: '10px' }}>
+            <strong>Weather Seed:</strong> {weatherSeed} | 
+            <strong> Departure:</strong> {new Date(departureTime).toLocaleString()}
           </div>
           {currentWeatherAffectedSpeed > 0 && (
             <div style={{ marginBottom: '10px' }}>
@@ -640,9 +727,21 @@ const ShipSimulation = ({
               <strong> Current Segment:</strong> {currentSegmentTime.toFixed(1)}h
             </div>
           )}
+          {waypointEtas.length > 0 && (
+            <div style={{ marginBottom: '10px' }}>
+              <strong>Waypoint ETA:</strong> {new Date(waypointEtas[shipPosition]).toLocaleString()} | 
+              <strong> Arrival:</strong> {new Date(waypointEtas[waypointEtas.length - 1]).toLocaleString()} 
+              ({((waypointEtas[waypointEtas.length - 1] - waypointEtas[0]) / 3600000).toFixed(1)}h)
+              {destinationPort && (
+                <div>
+                  <strong>Local Time at {destinationPort.name}:</strong> {formatPortTime(waypointEtas[waypointEtas.length - 1], destinationPort)}
+                </div>
+              )}
+            </div>
+          )}
           {simulationProgress > 0 && simulationProgress < 100 && (
             <div>
-              <strong>Remaining Distance:</strong> {remainingDistance.toFixed(0)} km | 
+              <strong>Remaining Distance:</strong> {formatDistance(remainingDistance)} | 
               <strong> Total Time:</strong> {totalTravelTime.toFixed(1)}h
             </div>
           )}
@@ -0,0 +1,193 @@
+import React, { useState, useMemo } from 'react';
+import { optimizeArrivalSpeed, DEFAULT_SPEED_OPTIONS } from '../services/speedOptimization';
+import { getWeatherSeed } from '../services/weatherService';
+import { calculateRouteDistance } from '../data/routes';
+import { DEFAULT_PRICE_INPUTS } from '../utils/voyageEconomics';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+import { toDateTimeLocal } from '../utils/voyageTimeline';
+import { KM_PER_NM } from '../utils/navigation';
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 110;
+
+const inputStyle = { padding: '6px', borderRadius: '4px', border: '1px solid #ddd', fontSize: '13px' };
+
+const formatUsd = (value) => `$${Math.round(value).toLocaleString()}`;
+
+/**
+ * Ordered speed on every leg, optimized as bars and the constant speed as a dashed line
+ */
+const SpeedProfileChart = ({ optimized, constantSpeed }) => {
+  const speeds = optimized.legs.map(leg => leg.speed);
+  const maxSpeed = Math.max(...speeds, constantSpeed) * 1.1;
+  const minSpeed = Math.min(...speeds, constantSpeed) * 0.8;
+  const y = (speed) => CHART_HEIGHT - ((speed - minSpeed) / (maxSpeed - minSpeed)) * CHART_HEIGHT;
+  const barWidth = CHART_WIDTH / speeds.length;
+
+  return (
+    <svg width="100%" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 14}`} style={{ background: '#fff', borderRadius: '6px' }}>
+      {optimized.legs.map((leg, i) => (
+        <rect
+          key={leg.legIndex}
+          x={i * barWidth + 1}
+          y={y(leg.speed)}
+          width={Math.max(barWidth - 2, 1)}
+          height={CHART_HEIGHT - y(leg.speed)}
+          fill="#217A8A"
+          opacity="0.8"
+        >
+          <title>Leg {i + 1}: {leg.speed.toFixed(1)} kn ordered, {leg.sog.toFixed(1)} kn SOG</title>
+        </rect>
+      ))}
+      <line x1="0" x2={CHART_WIDTH} y1={y(constantSpeed)} y2={y(constantSpeed)} stroke="#e67e22" strokeWidth="1.5" strokeDasharray="5, 3" />
+      <text x="4" y={CHART_HEIGHT + 11} fontSize="9" fill="#6c757d">
+        {minSpeed.toFixed(1)}–{maxSpeed.toFixed(1)} kn · bars: optimized per leg · dashed: constant {constantSpeed.toFixed(1)} kn
+      </text>
+    </svg>
+  );
+};
+
+/**
+ * Just-in-time arrival: finds the speed on each leg that meets the required arrival time at the lowest
+ * fuel plus time cost, and compares it with the cheapest constant speed.
+ */
+const SpeedOptimizerPanel = ({
+  route,
+  vesselProfile = DEFAULT_VESSEL_PROFILE,
+  priceInputs = DEFAULT_PRICE_INPUTS
+}) => {
+  const [departureTime, setDepartureTime] = useState(() => toDateTimeLocal(new Date()));
+  const [requiredArrival, setRequiredArrival] = useState(null);
+  const [windowHours, setWindowHours] = useState(12);
+  const [charterHirePerDay, setCharterHirePerDay] = useState(DEFAULT_SPEED_OPTIONS.charterHirePerDay);
+  const [isOptimizing, setIsOptimizing] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // Until an arrival is entered, suggest the passage at design speed with a day of margin
+  const suggestedArrival = useMemo(() => {
+    if (!route) return '';
+    const hours = calculateRouteDistance(route.coordinates) / (vesselProfile.designSpeed * KM_PER_NM) + 24;
+    return toDateTimeLocal(new Date(new Date(departureTime).getTime() + hours * 3600000));
+  }, [route, vesselProfile, departureTime]);
+  const arrivalValue = requiredArrival ?? suggestedArrival;
+
+  const handleOptimize = async () => {
+    if (!route) return;
+    setIsOptimizing(true);
+    try {
+      const optimized = await optimizeArrivalSpeed(
+        route,
+        {
+          vessel: vesselProfile,
+          departureTime: new Date(departureTime),
+          requiredArrival: new Date(arrivalValue),
+          windowHours,
+          prices: priceInputs,
+          seed: getWeatherSeed()
+        },
+        { charterHirePerDay }
+      );
+      setResult(optimized);
+    } catch (error) {
+      console.error('Error optimizing speed:', error);
+      alert('Speed optimization failed: ' + error.message);
+    } finally {
+      setIsOptimizing(false);
+    }
+  };
+
+  const routeResult = result && route && result.routeId === route.id ? result : null;
+
+  return (
+    <div style={{
+      padding: '15px',
+      background: '#f8f9fa',
+      borderRadius: '8px',
+      border: '1px solid #e9ecef',
+      marginTop: '20px'
+    }}>
+      <h5 style={{ margin: '0 0 10px 0', color: '#6c757d', fontSize: '14px' }}>⏱️ Just-in-Time Arrival</h5>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '8px', fontSize: '12px', color: '#495057' }}>
+        <label>
+          Departure<br/>
+          <input type="datetime-local" value={departureTime} disabled={isOptimizing}
+            onChange={(e) => setDepartureTime(e.target.value)} style={{ ...inputStyle, width: '100%' }} />
+        </label>
+        <label>
+          Required Arrival<br/>
+          <input type="datetime-local" value={arrivalValue} disabled={isOptimizing}
+            onChange={(e) => setRequiredArrival(e.target.value)} style={{ ...inputStyle, width: '100%' }} />
+        </label>
+        <label title="Arriving before the window opens means waiting at anchor">
+          Arrival Window (hrs before)<br/>
+          <input type="number" min="0" step="1" value={windowHours} disabled={isOptimizing}
+            onChange={(e) => setWindowHours(Math.max(0, parseFloat(e.target.value) || 0))} style={{ ...inputStyle, width: '100%' }} />
+        </label>
+        <label>
+          Charter Hire (USD/day)<br/>
+          <input type="number" min="0" step="1000" value={charterHirePerDay} disabled={isOptimizing}
+            onChange={(e) => setCharterHirePerDay(Math.max(0, parseFloat(e.target.value) || 0))} style={{ ...inputStyle, width: '100%' }} />
+        </label>
+      </div>
+      <button
+        onClick={handleOptimize}
+        disabled={!route || isOptimizing}
+        style={{
+          marginTop: '10px',
+          padding: '8px 14px',
+          background: isOptimizing ? '#6c757d' : '#217A8A',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: isOptimizing ? 'not-allowed' : 'pointer',
+          fontSize: '13px'
+        }}
+      >
+        {isOptimizing ? '⏳ Optimizing...' : '⏱️ Optimize Speed'}
+      </button>
+
+      {routeResult && (
+        <>
+          {!routeResult.feasible && (
+            <div style={{ marginTop: '12px', padding: '8px', background: '#f8d7da', color: '#721c24', borderRadius: '6px', fontSize: '12px' }}>
+              ⚠️ The required arrival cannot be met even at full power: earliest arrival is {new Date(routeResult.optimized.arrival).toLocaleString()}
+            </div>
+          )}
+          <div style={{ marginTop: '12px', display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '10px', fontSize: '12px', lineHeight: '1.6' }}>
+            {[['Constant Speed', routeResult.constant, `${routeResult.constantSpeed.toFixed(1)} kn`],
+              ['Optimized Speed Profile', routeResult.optimized, `${Math.min(...routeResult.optimized.legs.map(leg => leg.speed)).toFixed(1)}–${Math.max(...routeResult.optimized.legs.map(leg => leg.speed)).toFixed(1)} kn`]
+            ].map(([title, plan, speeds]) => (
+              <div key={title} style={{ padding: '10px', background: '#fff', borderRadius: '6px' }}>
+                <strong>{title}</strong> ({speeds})<br/>
+                Arrival: {new Date(plan.arrival).toLocaleString()}<br/>
+                {plan.sailingHours.toFixed(1)} hrs at sea{plan.waitingHours > 0.05 && ` · ${plan.waitingHours.toFixed(1)} hrs at anchor`}<br/>
+                {(plan.fuel / 1000).toFixed(1)} tons fuel · {formatUsd(plan.fuelCost)}<br/>
+                Time cost: {formatUsd(plan.timeCost)}<br/>
+                <strong>Total: {formatUsd(plan.total)}</strong>
+              </div>
+            ))}
+            <div style={{ padding: '10px', background: routeResult.savings.cost >= 0 ? '#e8f5e8' : '#fff3cd', borderRadius: '6px' }}>
+              <strong>Savings vs Constant Speed</strong><br/>
+              Fuel: {(routeResult.savings.fuel / 1000).toFixed(1)} tons<br/>
+              Cost: {formatUsd(routeResult.savings.cost)}
+              {routeResult.constant.total > 0 && ` (${(routeResult.savings.cost / routeResult.constant.total * 100).toFixed(1)}%)`}<br/>
+              Time cost: {formatUsd(routeResult.timeCostPerHour)}/hr
+              {routeResult.stopHours > 0 && <><br/>Port/canal stops: {routeResult.stopHours.toFixed(1)} hrs</>}
+            </div>
+          </div>
+          <div style={{ marginTop: '10px' }}>
+            <SpeedProfileChart optimized={routeResult.optimized} constantSpeed={routeResult.constantSpeed} />
+          </div>
+        </>
+      )}
+
+      <div style={{ marginTop: '10px', fontSize: '11px', color: '#868e96' }}>
+        Speeds up in fair weather and slows down in head seas, where each knot costs more fuel, so that the
+        extra fuel per hour saved is the same on every leg. Time costs (operational cost plus charter hire) run
+        until arrival or until the arrival window opens, whichever is later.
+      </div>
+    </div>
+  );
+};
+
+export default SpeedOptimizerPanel;
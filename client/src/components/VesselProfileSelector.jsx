@@ -0,0 +1,279 @@
+import React, { useState, useMemo } from 'react';
+import {
+  getVesselProfiles,
+  saveVesselProfile,
+  deleteVesselProfile,
+  DEFAULT_VESSEL_PROFILE
+} from '../data/vesselProfiles';
+import { FUEL_TYPES, DEFAULT_FUEL_TYPE } from '../utils/emissions';
+import { calculateSpeedPowerCurve, getHullForm } from '../utils/hullResistance';
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'container',
+  length: '',
+  beam: '',
+  draft: '',
+  operatingDraft: '',
+  blockCoefficient: '',
+  wettedSurface: '',
+  height: '',
+  netTonnage: '',
+  deadweight: '',
+  fuelType: DEFAULT_FUEL_TYPE,
+  designSpeed: '',
+  installedPower: '',
+  sfoc: '',
+  frontalWindageArea: '',
+  lateralWindageArea: ''
+};
+
+const FORM_FIELDS = [
+  { key: 'length', label: 'Length (m)' },
+  { key: 'beam', label: 'Beam (m)' },
+  { key: 'draft', label: 'Draft (m)' },
+  { key: 'operatingDraft', label: 'Operating Draft (m)' },
+  { key: 'blockCoefficient', label: 'Block Coefficient (Cb)', step: '0.01' },
+  { key: 'wettedSurface', label: 'Wetted Surface (m²)' },
+  { key: 'height', label: 'Height above WL (m)' },
+  { key: 'netTonnage', label: 'Net Tonnage (NT)' },
+  { key: 'deadweight', label: 'Deadweight (t)' },
+  { key: 'designSpeed', label: 'Design Speed (kn)' },
+  { key: 'installedPower', label: 'Installed Power (kW)' },
+  { key: 'sfoc', label: 'SFOC (g/kWh)' },
+  { key: 'frontalWindageArea', label: 'Frontal Windage (m²)' },
+  { key: 'lateralWindageArea', label: 'Lateral Windage (m²)' }
+];
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  borderRadius: '4px',
+  border: '1px solid #ddd',
+  fontSize: '13px',
+  boxSizing: 'border-box'
+};
+
+const VesselProfileSelector = ({ selectedProfile = DEFAULT_VESSEL_PROFILE, onProfileChange }) => {
+  const [profiles, setProfiles] = useState(() => getVesselProfiles());
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const hullForm = useMemo(() => getHullForm(selectedProfile), [selectedProfile]);
+  const speedPowerCurve = useMemo(() => calculateSpeedPowerCurve(selectedProfile), [selectedProfile]);
+
+  const handleSave = () => {
+    if (!form.name.trim() || !form.designSpeed || !form.installedPower || !form.sfoc) {
+      alert('Name, design speed, installed power and SFOC are required');
+      return;
+    }
+
+    // Only pass fields the user filled in so missing values come from the ship type template
+    const input = { name: form.name.trim(), type: form.type, fuelType: form.fuelType };
+    FORM_FIELDS.forEach(({ key }) => {
+      if (form[key] !== '') input[key] = parseFloat(form[key]);
+    });
+
+    const saved = saveVesselProfile(input);
+    setProfiles(getVesselProfiles());
+    setForm(EMPTY_FORM);
+    setIsEditing(false);
+    onProfileChange?.(saved);
+  };
+
+  const handleDelete = () => {
+    if (selectedProfile.builtIn) return;
+    deleteVesselProfile(selectedProfile.id);
+    setProfiles(getVesselProfiles());
+    onProfileChange?.(DEFAULT_VESSEL_PROFILE);
+  };
+
+  return (
+    <div style={{
+      padding: '15px',
+      background: '#f8f9fa',
+      borderRadius: '8px',
+      border: '1px solid #e9ecef',
+      marginBottom: '20px'
+    }}>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', justifyContent: 'center', flexWrap: 'wrap' }}>
+        <label style={{ fontWeight: '500', color: '#34495e' }}>Vessel Profile:</label>
+        <select
+          value={selectedProfile.id}
+          onChange={(e) => onProfileChange?.(profiles.find(p => p.id === e.target.value))}
+          style={{
+            width: '300px',
+            padding: '10px',
+            borderRadius: '6px',
+            border: '1px solid #ddd',
+            fontSize: '14px',
+            backgroundColor: '#fff'
+          }}
+        >
+          <optgroup label="Built-in Ship Types">
+            {profiles.filter(p => p.builtIn).map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.name}</option>
+            ))}
+          </optgroup>
+          {profiles.some(p => !p.builtIn) && (
+            <optgroup label="Custom Profiles">
+              {profiles.filter(p => !p.builtIn).map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <button
+          onClick={() => setIsEditing(!isEditing)}
+          style={{
+            padding: '8px 14px',
+            background: '#217A8A',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            fontSize: '13px'
+          }}
+        >
+          {isEditing ? '✖️ Cancel' : '➕ New Profile'}
+        </button>
+        {!selectedProfile.builtIn && (
+          <button
+            onClick={handleDelete}
+            style={{
+              padding: '8px 14px',
+              background: '#dc3545',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontSize: '13px'
+            }}
+          >
+            🗑️ Delete
+          </button>
+        )}
+      </div>
+
+      {/* Selected Profile Particulars */}
+      <div style={{ marginTop: '10px', fontSize: '12px', color: '#626C71', textAlign: 'center' }}>
+        <strong>L×B×T:</strong> {selectedProfile.length}×{selectedProfile.beam}×{selectedProfile.draft} m |
+        <strong> NT:</strong> {selectedProfile.netTonnage?.toLocaleString() ?? 'N/A'} |
+        <strong> DWT:</strong> {selectedProfile.deadweight?.toLocaleString() ?? 'N/A'} |
+        <strong> Fuel:</strong> {selectedProfile.fuelType || DEFAULT_FUEL_TYPE} |
+        <strong> Design Speed:</strong> {selectedProfile.designSpeed} kn |
+        <strong> Power:</strong> {selectedProfile.installedPower.toLocaleString()} kW |
+        <strong> SFOC:</strong> {selectedProfile.sfoc} g/kWh |
+        <strong> Windage:</strong> {selectedProfile.frontalWindageArea}/{selectedProfile.lateralWindageArea} m² |
+        <strong> Cb:</strong> {hullForm.blockCoefficient.toFixed(3)} |
+        <strong> Wetted Surface:</strong> {Math.round(hullForm.wettedSurface).toLocaleString()} m²
+        {selectedProfile.operatingDraft && selectedProfile.operatingDraft !== selectedProfile.draft && (
+          <> (at {selectedProfile.operatingDraft} m operating draft)</>
+        )}
+      </div>
+
+      {/* Calm-Water Speed-Power Curve */}
+      <details style={{ marginTop: '8px', fontSize: '12px', color: '#626C71' }}>
+        <summary style={{ cursor: 'pointer', textAlign: 'center' }}>⚙️ Calm-Water Speed-Power Curve (Holtrop-Mennen)</summary>
+        <table style={{ margin: '8px auto 0', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              {['Speed (kn)', 'Resistance (kN)', 'Effective (kW)', 'Brake (kW)', 'MCR', 'Fuel (t/day)'].map(heading => (
+                <th key={heading} style={{ padding: '2px 8px', borderBottom: '1px solid #dee2e6' }}>{heading}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {speedPowerCurve.map(point => (
+              <tr key={point.speed} style={{ color: point.engineLoad > 1 ? '#dc3545' : undefined }}>
+                <td style={{ padding: '2px 8px', textAlign: 'right' }}>{point.speed.toFixed(0)}</td>
+                <td style={{ padding: '2px 8px', textAlign: 'right' }}>{point.resistance.toFixed(0)}</td>
+                <td style={{ padding: '2px 8px', textAlign: 'right' }}>{Math.round(point.effectivePower).toLocaleString()}</td>
+                <td style={{ padding: '2px 8px', textAlign: 'right' }}>{Math.round(point.brakePower).toLocaleString()}</td>
+                <td style={{ padding: '2px 8px', textAlign: 'right' }}>{(point.engineLoad * 100).toFixed(0)}%</td>
+                <td style={{ padding: '2px 8px', textAlign: 'right' }}>{(point.brakePower * selectedProfile.sfoc * 24 / 1e6).toFixed(1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+
+      {/* New Profile Form */}
+      {isEditing && (
+        <div style={{ marginTop: '15px', padding: '12px', background: '#fff', borderRadius: '6px', border: '1px solid #e9ecef' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '10px' }}>
+            <div>
+              <label style={{ display: 'block', fontSize: '12px', color: '#666', marginBottom: '4px' }}>Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label style={{ display: 'block', fontSize: '12px', color: '#666', marginBottom: '4px' }}>Ship Type</label>
+              <select
+                value={form.type}
+                onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                style={inputStyle}
+              >
+                <option value="container">Container</option>
+                <option value="bulker">Bulk Carrier</option>
+                <option value="tanker">Tanker</option>
+              </select>
+            </div>
+            <div>
+              <label style={{ display: 'block', fontSize: '12px', color: '#666', marginBottom: '4px' }}>Fuel Type</label>
+              <select
+                value={form.fuelType}
+                onChange={(e) => setForm(prev => ({ ...prev, fuelType: e.target.value }))}
+                style={inputStyle}
+              >
+                {Object.entries(FUEL_TYPES).map(([key, fuel]) => (
+                  <option key={key} value={key}>{fuel.name}</option>
+                ))}
+              </select>
+            </div>
+            {FORM_FIELDS.map(({ key, label, step }) => (
+              <div key={key}>
+                <label style={{ display: 'block', fontSize: '12px', color: '#666', marginBottom: '4px' }}>{label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={step}
+                  value={form[key]}
+                  onChange={(e) => setForm(prev => ({ ...prev, [key]: e.target.value }))}
+                  style={inputStyle}
+                />
+              </div>
+            ))}
+          </div>
+          <div style={{ marginTop: '10px', fontSize: '11px', color: '#868e96' }}>
+            Windage areas default to beam × height and length × height, net tonnage and deadweight are scaled from the ship type by its dimensions;
+            the wetted surface is estimated from the hull form, and the block coefficient comes from the selected ship type.
+            A lighter operating draft (e.g. ballast) lowers the calm-water resistance.
+          </div>
+          <div style={{ marginTop: '10px', textAlign: 'right' }}>
+            <button
+              onClick={handleSave}
+              style={{
+                padding: '8px 14px',
+                background: '#28a745',
+                color: 'white',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '13px'
+              }}
+            >
+              💾 Save Profile
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VesselProfileSelector;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getVoyageRecordings, deleteVoyageRecording, subscribeToVoyageRecordings } from '../data/voyageRecordings';
+import { createSimulationClock, DEFAULT_TIME_MULTIPLIER } from '../services/simulationClock';
+import { buildVoyageTimeline, getVoyageState, getTravelledPath } from '../utils/voyageTimeline';
+import PlaybackControls from './PlaybackControls';
+
+const detailStyle = { margin: '4px 0', fontSize: '13px', color: '#34495e' };
+
+/**
+ * Lists recorded simulation runs and replays one on the map with the playback controls,
+ * showing the weather, speed, fuel and cost the model predicted at each step.
+ * Reports the replayed ship to the map via onReplayUpdate (null when no replay is active).
+ */
+const VoyageReplay = ({ onReplayUpdate }) => {
+  const [recordings, setRecordings] = useState(() => getVoyageRecordings());
+  const [replay, setReplay] = useState(null); // { recording, timeline }
+  const [replayState, setReplayState] = useState(null);
+  const [clockState, setClockState] = useState(null);
+  const [timeMultiplier, setTimeMultiplier] = useState(DEFAULT_TIME_MULTIPLIER);
+  const clockRef = useRef(null);
+
+  // Runs saved by the simulation show up without a reload
+  useEffect(() => subscribeToVoyageRecordings(setRecordings), []);
+
+  // Stop the clock on unmount
+  useEffect(() => {
+    return () => clockRef.current?.dispose();
+  }, []);
+
+  const stopReplay = () => {
+    clockRef.current?.dispose();
+    clockRef.current = null;
+    setReplay(null);
+    setReplayState(null);
+    setClockState(null);
+    onReplayUpdate?.(null);
+  };
+
+  const startReplay = (recording) => {
+    stopReplay();
+    const timeline = buildVoyageTimeline(recording.route.coordinates, recording.etas, recording.departures);
+    const clock = createSimulationClock({
+      startTime: timeline.departure,
+      endTime: timeline.arrival,
+      multiplier: timeMultiplier
+    });
+
+    clock.subscribe((state) => {
+      const voyageState = getVoyageState(timeline, state.time);
+      const step = recording.steps[state.isFinished ? recording.steps.length - 1 : voyageState.legIndex];
+      const fuelBurned = recording.steps
+        .slice(0, voyageState.legIndex)
+        .reduce((total, previous) => total + previous.legFuel, recording.steps[voyageState.legIndex].legFuel * voyageState.fraction);
+      const current = { ...voyageState, step, fuelBurned };
+
+      setClockState(state);
+      setReplayState(current);
+      onReplayUpdate?.({
+        route: recording.route,
+        position: voyageState.position,
+        trail: getTravelledPath(timeline, voyageState),
+        step,
+        fuelBurned
+      });
+    });
+
+    clockRef.current = clock;
+    setReplay({ recording, timeline });
+    clock.start();
+  };
+
+  const handleDelete = (recording) => {
+    if (!window.confirm(`Delete the recorded run on "${recording.route.name}"?`)) return;
+    if (replay?.recording.id === recording.id) stopReplay();
+    if (!deleteVoyageRecording(recording.id)) alert('Failed to delete the recording - browser storage is unavailable');
+  };
+
+  const togglePause = () => {
+    const clock = clockRef.current;
+    if (!clock) return;
+    if (clock.getState().isRunning) clock.pause();
+    else clock.start();
+  };
+
+  const changeTimeMultiplier = (multiplier) => {
+    setTimeMultiplier(multiplier);
+    clockRef.current?.setMultiplier(multiplier);
+  };
+
+  const step = replayState?.step;
+
+  return (
+    <div>
+      {recordings.length === 0 ? (
+        <div style={{ textAlign: 'center', color: '#6c757d', fontSize: '14px' }}>
+          No recorded runs yet. Every ship simulation that reaches its destination is saved here for replay.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '15px' }}>
+          {recordings.map(recording => (
+            <div
+              key={recording.id}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '10px',
+                padding: '10px 12px',
+                borderRadius: '8px',
+                border: `2px solid ${replay?.recording.id === recording.id ? recording.route.color : '#e9ecef'}`,
+                background: '#f8f9fa',
+                fontSize: '13px'
+              }}
+            >
+              <div>
+                <div style={{ fontWeight: 'bold', color: recording.route.color }}>{recording.route.name}</div>
+                <div style={{ color: '#626C71' }}>
+                  {recording.vessel.name} · {recording.shipSpeed} kn · seed {recording.weatherSeed} ·
+                  departed {new Date(recording.etas[0]).toLocaleString()}
+                </div>
+                <div style={{ color: '#626C71' }}>
+                  {recording.totals.hours.toFixed(1)}h · {(recording.totals.fuel / 1000).toFixed(1)} t fuel ·
+                  ${recording.totals.cost.toFixed(0)} predicted cost · recorded {new Date(recording.recordedAt).toLocaleString()}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '6px', flexShrink: 0 }}>
+                <button
+                  onClick={() => startReplay(recording)}
+                  style={{ padding: '6px 10px', background: '#28a745', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                  ▶️ Replay
+                </button>
+                <button
+                  onClick={() => handleDelete(recording)}
+                  style={{ padding: '6px 10px', background: '#dc3545', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {replay && (
+        <div style={{ padding: '15px', borderRadius: '8px', border: `2px solid ${replay.recording.route.color}40` }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+            <strong style={{ color: replay.recording.route.color }}>📼 Replaying: {replay.recording.route.name}</strong>
+            <button
+              onClick={stopReplay}
+              style={{ padding: '6px 10px', background: '#6c757d', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+            >
+              ⏹️ Stop Replay
+            </button>
+          </div>
+
+          <PlaybackControls
+            clockState={clockState}
+            startTime={replay.timeline.departure}
+            endTime={replay.timeline.arrival}
+            timeMultiplier={timeMultiplier}
+            onTogglePause={togglePause}
+            onSeek={(time) => clockRef.current?.seek(time)}
+            onMultiplierChange={changeTimeMultiplier}
+            color={replay.recording.route.color}
+          />
+
+          {step && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '10px' }}>
+              <div>
+                <p style={detailStyle}><strong>Waypoint:</strong> {step.waypointIndex + 1} of {replay.recording.steps.length}</p>
+                <p style={detailStyle}><strong>Position:</strong> {replayState.position[0].toFixed(2)}°, {replayState.position[1].toFixed(2)}°</p>
+                <p style={detailStyle}><strong>Progress:</strong> {replayState.progress.toFixed(1)}% · {replayState.elapsedHours.toFixed(1)}h</p>
+              </div>
+              <div>
+                <p style={detailStyle}><strong>SOG / STW:</strong> {step.sog.toFixed(1)} / {step.stw.toFixed(1)} kn</p>
+                <p style={detailStyle}><strong>Course:</strong> {step.course.toFixed(0)}°</p>
+                <p style={detailStyle}><strong>Fuel:</strong> {step.fuelRate.toFixed(0)} kg/h · {(replayState.fuelBurned / 1000).toFixed(1)} t burned</p>
+                <p style={detailStyle}><strong>Predicted Cost:</strong> ${step.cost.toFixed(0)}</p>
+              </div>
+              {step.weatherData && (
+                <div>
+                  <p style={detailStyle}><strong>Wind:</strong> {step.weatherData.weather.wind.speed.toFixed(1)} m/s from {step.weatherData.weather.wind.deg.toFixed(0)}°</p>
+                  <p style={detailStyle}><strong>Waves / Swell:</strong> {step.weatherData.ocean.waveHeight.toFixed(1)} m / {step.weatherData.ocean.swellHeight.toFixed(1)} m</p>
+                  <p style={detailStyle}><strong>Current:</strong> {step.weatherData.ocean.currentSpeed.toFixed(1)} kn to {step.weatherData.ocean.currentDirection.toFixed(0)}°</p>
+                  <p style={detailStyle}><strong>Weather:</strong> {step.weatherData.source || 'unknown'} at {new Date(step.weatherData.timestamp).toLocaleString()}</p>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoyageReplay;
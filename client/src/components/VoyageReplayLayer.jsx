@@ -0,0 +1,43 @@
+import React from 'react';
+import { Polyline, Marker, Popup, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+
+const createReplayIcon = (color) => L.divIcon({
+  className: 'voyage-replay-marker',
+  html: `<div style="background-color: ${color}; width: 26px; height: 26px; border-radius: 50%; border: 3px dashed white; box-shadow: 0 4px 12px rgba(0,0,0,0.6); display: flex; align-items: center; justify-content: center; font-size: 15px;">📼</div>`,
+  iconSize: [30, 30],
+  iconAnchor: [15, 15]
+});
+
+/**
+ * Map layer for a voyage replay: the recorded route, the part already sailed and the ship.
+ * Must be rendered inside a MapContainer.
+ */
+const VoyageReplayLayer = ({ replay }) => {
+  if (!replay) return null;
+  const { route, position, trail, step, fuelBurned } = replay;
+
+  return (
+    <>
+      <Polyline
+        positions={route.coordinates}
+        pathOptions={{ color: route.color, weight: 3, opacity: 0.4, dashArray: '4, 8' }}
+      />
+      <Polyline positions={trail} pathOptions={{ color: route.color, weight: 5, opacity: 0.9 }} />
+      <Marker position={position} icon={createReplayIcon(route.color)}>
+        <Popup>
+          <div style={{ minWidth: '200px' }}>
+            <h4 style={{ margin: '0 0 8px 0', color: route.color }}>📼 Replay: {route.name}</h4>
+            <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Waypoint:</strong> {step.waypointIndex + 1} of {route.coordinates.length}</p>
+            <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>SOG / STW:</strong> {step.sog.toFixed(1)} / {step.stw.toFixed(1)} knots</p>
+            <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Fuel Burned:</strong> {(fuelBurned / 1000).toFixed(1)} t</p>
+            <p style={{ margin: '4px 0', fontSize: '12px' }}><strong>Predicted Cost:</strong> ${step.cost.toFixed(0)}</p>
+          </div>
+        </Popup>
+        <Tooltip direction="top">📼 {route.name}: {step.sog.toFixed(1)} knots</Tooltip>
+      </Marker>
+    </>
+  );
+};
+
+export default VoyageReplayLayer;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { optimizeRoute, ROUTING_OBJECTIVES } from '../services/weatherRouting';
+import { DEFAULT_PRICE_INPUTS } from '../utils/voyageEconomics';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+import { DEFAULT_VALIDATION_OPTIONS, describeValidationIssue } from '../utils/routeValidation';
+
+const formatSaving = (value, unit, digits = 1) =>
+  `${Math.abs(value).toFixed(digits)} ${unit} ${value >= 0 ? 'saved' : 'extra'}`;
+
+const WeatherRoutingPanel = ({
+  route,
+  shipSpeed = 20,
+  vesselProfile = DEFAULT_VESSEL_PROFILE,
+  priceInputs = DEFAULT_PRICE_INPUTS,
+  coastBuffer = DEFAULT_VALIDATION_OPTIONS.coastBuffer,
+  result,
+  onResult
+}) => {
+  const [objective, setObjective] = useState('time');
+  const [isOptimizing, setIsOptimizing] = useState(false);
+  const [progress, setProgress] = useState(0);
+
+  const handleOptimize = async () => {
+    if (!route) return;
+    setIsOptimizing(true);
+    setProgress(0);
+    try {
+      const optimized = await optimizeRoute(
+        route,
+        { baseSpeed: shipSpeed, vessel: vesselProfile, departureTime: Date.now() },
+        { objective, coastBuffer },
+        setProgress
+      );
+      onResult?.(optimized);
+    } catch (error) {
+      console.error('Error optimizing route:', error);
+      alert('Weather routing failed: ' + error.message);
+    } finally {
+      setIsOptimizing(false);
+    }
+  };
+
+  const routeResult = result && route && result.routeId === route.id ? result : null;
+
+  return (
+    <div style={{
+      padding: '15px',
+      background: '#f8f9fa',
+      borderRadius: '8px',
+      border: '1px solid #e9ecef',
+      marginTop: '20px'
+    }}>
+      <h5 style={{ margin: '0 0 10px 0', color: '#6c757d', fontSize: '14px' }}>🧭 Weather Routing</h5>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <select
+          value={objective}
+          onChange={(e) => setObjective(e.target.value)}
+          disabled={isOptimizing}
+          style={{
+            padding: '8px',
+            borderRadius: '6px',
+            border: '1px solid #ddd',
+            fontSize: '13px',
+            backgroundColor: '#fff'
+          }}
+        >
+          {Object.entries(ROUTING_OBJECTIVES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleOptimize}
+          disabled={!route || isOptimizing}
+          style={{
+            padding: '8px 14px',
+            background: isOptimizing ? '#6c757d' : '#217A8A',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            cursor: isOptimizing ? 'not-allowed' : 'pointer',
+            fontSize: '13px'
+          }}
+        >
+          {isOptimizing ? `⏳ Optimizing... ${progress}%` : '🧭 Optimize Route'}
+        </button>
+        {routeResult && (
+          <button
+            onClick={() => onResult?.(null)}
+            style={{
+              padding: '8px 14px',
+              background: '#dc3545',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontSize: '13px'
+            }}
+          >
+            🗑️ Clear
+          </button>
+        )}
+      </div>
+
+      {routeResult && (
+        <div style={{ marginTop: '12px', display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '10px', fontSize: '12px', lineHeight: '1.6' }}>
+          <div style={{ padding: '10px', background: '#fff', borderRadius: '6px' }}>
+            <strong>Planned Track</strong><br/>
+            {routeResult.planned.distance.toFixed(0)} km · {routeResult.planned.hours.toFixed(1)} hrs<br/>
+            {(routeResult.planned.fuel / 1000).toFixed(1)} tons fuel
+          </div>
+          <div style={{ padding: '10px', background: '#fff', borderRadius: '6px' }}>
+            <strong>Optimized Track ({ROUTING_OBJECTIVES[routeResult.objective]})</strong><br/>
+            {routeResult.optimized.distance.toFixed(0)} km · {routeResult.optimized.hours.toFixed(1)} hrs<br/>
+            {(routeResult.optimized.fuel / 1000).toFixed(1)} tons fuel
+          </div>
+          <div style={{ padding: '10px', background: '#e8f5e8', borderRadius: '6px' }}>
+            <strong>Savings</strong><br/>
+            Time: {formatSaving(routeResult.savings.hours, 'hrs')}<br/>
+            Fuel: {formatSaving(routeResult.savings.fuel / 1000, 'tons')} ({formatSaving(routeResult.savings.fuel * priceInputs.fuelPrice, 'USD', 0)})
+          </div>
+        </div>
+      )}
+
+      {routeResult && !routeResult.validation.valid && (
+        <div style={{ marginTop: '10px', padding: '8px 10px', background: '#f8d7da', borderRadius: '6px', fontSize: '12px', color: '#721c24' }}>
+          ⚠️ {routeResult.validation.issues.map(describeValidationIssue).join('; ')}
+        </div>
+      )}
+
+      <div style={{ marginTop: '10px', fontSize: '11px', color: '#868e96' }}>
+        Searches lanes either side of the planned track using forecast weather at each position's ETA,
+        passing through every waypoint and keeping off-track legs clear of land and the coast buffer.
+        The optimized track is drawn dashed in green on the map.
+      </div>
+    </div>
+  );
+};
+
+export default WeatherRoutingPanel;
@@ -202,7 +202,8 @@ const WeatherSpeedDisplay = ({
             padding: '4px 8px',
             borderRadius: '4px'
           }}>
-            Impact: <strong>{weatherFactors.factors.wind?.speedImpact.toFixed(2)} kn loss</strong>
+            Apparent: {weatherFactors.factors.wind?.relativeSpeed.toFixed(1)} m/s at {weatherFactors.factors.wind?.relativeAngle.toFixed(0)}° off the bow<br/>
+            Impact: <strong>{weatherFactors.factors.wind?.addedResistance.toFixed(0)} kN, {weatherFactors.factors.wind?.speedImpact.toFixed(2)} kn loss</strong>
           </div>
         </div>
 
@@ -234,7 +235,8 @@ const WeatherSpeedDisplay = ({
             padding: '4px 8px',
             borderRadius: '4px'
           }}>
-            Impact: <strong>{weatherFactors.factors.waves?.speedLoss.toFixed(2)} kn loss</strong>
+            Tp {weatherFactors.factors.waves?.peakPeriod.toFixed(1)} s, {weatherFactors.factors.waves?.relativeAngle.toFixed(0)}° off the bow<br/>
+            Impact: <strong>{weatherFactors.factors.waves?.addedResistance.toFixed(0)} kN, {weatherFactors.factors.waves?.speedLoss.toFixed(2)} kn loss</strong>
           </div>
         </div>
 
@@ -268,7 +270,8 @@ const WeatherSpeedDisplay = ({
             padding: '4px 8px',
             borderRadius: '4px'
           }}>
-            Impact: <strong>{weatherFactors.factors.swell?.speedLoss.toFixed(2)} kn loss</strong>
+            Tp {weatherFactors.factors.swell?.peakPeriod.toFixed(1)} s, {weatherFactors.factors.swell?.relativeAngle.toFixed(0)}° off the bow<br/>
+            Impact: <strong>{weatherFactors.factors.swell?.addedResistance.toFixed(0)} kN, {weatherFactors.factors.swell?.speedLoss.toFixed(2)} kn loss</strong>
           </div>
         </div>
 
@@ -292,7 +295,7 @@ const WeatherSpeedDisplay = ({
               fontWeight: '600',
               color: '#c2185b'
             }}>
-              {currentWaypointWeather.ocean.currentSpeed} kn
+              {Number(currentWaypointWeather.ocean.currentSpeed).toFixed(1)} kn
             </span>
           </div>
           <div style={{ 
@@ -303,6 +306,7 @@ const WeatherSpeedDisplay = ({
             borderRadius: '4px'
           }}>
             Impact: <strong>{weatherFactors.factors.current?.alongCourse.toFixed(2)} kn</strong>
+            {currentWaypointWeather.ocean.currentSource === 'climatology' && ' · monthly climatology'}
           </div>
         </div>
       </div>
@@ -372,7 +376,7 @@ const WeatherSpeedDisplay = ({
           Total Resistance: {weatherFactors.totalResistance.toFixed(0)} N
         </div>
         <div style={{ fontSize: '11px', color: '#666' }}>
-          Combined environmental forces affecting ship performance
+          Added power: {weatherFactors.addedPower?.toFixed(0) ?? 0} kW · Involuntary speed loss: {weatherFactors.involuntarySpeedLoss?.toFixed(2) ?? 0} kn
         </div>
       </div>
     </div>
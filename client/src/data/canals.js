@@ -0,0 +1,83 @@
+// Canals
+// Canal definitions (corridor, transit directions, size limits, convoy/queue waiting) and the default toll tariffs
+import { NAVIGABLE_CHANNELS } from './navigableChannels';
+
+/**
+ * Look up the corridor of a canal from the navigable channels (shared with route validation)
+ * @param {string} name - Channel name
+ * @returns {Object} { path, width }
+ */
+const getChannel = (name) => {
+  const { path, width } = NAVIGABLE_CHANNELS.find(channel => channel.name === name);
+  return { path, width };
+};
+
+// directions[0] is sailing along the channel path in its listed order, directions[1] the reverse
+export const canals = [
+  {
+    id: 'suez',
+    name: 'Suez Canal',
+    ...getChannel('Suez Canal'),
+    directions: ['southbound', 'northbound'],
+    waitingHours: { southbound: 14, northbound: 10 }, // one daily southbound convoy, two northbound
+    limits: { maxDraft: 20.1, maxBeam: 77.5 }
+  },
+  {
+    id: 'panama',
+    name: 'Panama Canal',
+    ...getChannel('Panama Canal'),
+    directions: ['southbound', 'northbound'],
+    waitingHours: { southbound: 30, northbound: 24 }, // queue without a booked slot
+    limits: { maxLength: 366, maxBeam: 51.25, maxDraft: 15.2 }
+  },
+  {
+    id: 'kiel',
+    name: 'Kiel Canal',
+    ...getChannel('Kiel Canal'),
+    directions: ['eastbound', 'westbound'],
+    waitingHours: { eastbound: 2, westbound: 2 },
+    limits: { maxLength: 235, maxBeam: 32.5, maxDraft: 9.5 }
+  }
+];
+
+// Tolls in USD per net ton, charged band by band (the first `upTo` net tons at the first rate, and so on),
+// scaled by ship type. Net tonnage stands in for the canals' own tonnage systems (SCNT, PC/UMS).
+export const DEFAULT_CANAL_TARIFFS = {
+  suez: {
+    bands: [
+      { upTo: 5000, rate: 14 },
+      { upTo: 10000, rate: 10 },
+      { upTo: 20000, rate: 8 },
+      { upTo: 40000, rate: 6 },
+      { upTo: 70000, rate: 5 },
+      { upTo: 120000, rate: 4.5 },
+      { upTo: Infinity, rate: 4 }
+    ],
+    typeFactors: { container: 1.0, bulker: 0.9, tanker: 1.1 }
+  },
+  panama: {
+    bands: [
+      { upTo: 10000, rate: 6 },
+      { upTo: 20000, rate: 5.3 },
+      { upTo: 60000, rate: 4.3 },
+      { upTo: Infinity, rate: 4 }
+    ],
+    typeFactors: { container: 1.1, bulker: 0.95, tanker: 1.0 }
+  },
+  kiel: {
+    bands: [
+      { upTo: 1000, rate: 1.2 },
+      { upTo: 5000, rate: 0.8 },
+      { upTo: 20000, rate: 0.5 },
+      { upTo: Infinity, rate: 0.35 }
+    ],
+    typeFactors: { container: 1.0, bulker: 1.0, tanker: 1.0 }
+  }
+};
+
+/**
+ * Find a canal by id
+ * @param {string} id - Canal identifier
+ * @returns {Object|null} Canal, or null
+ */
+export const getCanal = (id) => canals.find(canal => canal.id === id) || null;
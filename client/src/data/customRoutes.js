@@ -0,0 +1,101 @@
+// Custom Routes
+// Planner-drawn and imported routes persisted in localStorage in the same shape as the built-in routes
+// (read them through routeRepository.js so every view is notified of changes)
+import { findPortByName } from './ports';
+
+export const CUSTOM_ROUTES_STORAGE_KEY = 'maritime.customRoutes';
+
+export const ROUTE_COLORS = ['#2E7D32', '#8E24AA', '#F57C00', '#00838F', '#C2185B', '#5D4037'];
+
+/**
+ * Load custom routes from localStorage
+ * @returns {Array} Custom routes
+ */
+const loadCustomRoutes = () => {
+  try {
+    const stored = window.localStorage.getItem(CUSTOM_ROUTES_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading custom routes:', error);
+    return [];
+  }
+};
+
+/**
+ * Persist custom routes to localStorage
+ * @param {Array} customRoutes - Custom routes
+ */
+const storeCustomRoutes = (customRoutes) => {
+  try {
+    window.localStorage.setItem(CUSTOM_ROUTES_STORAGE_KEY, JSON.stringify(customRoutes));
+  } catch (error) {
+    console.error('Error saving custom routes:', error);
+  }
+};
+
+/**
+ * Get all custom routes
+ * @returns {Array} Custom routes
+ */
+export const getCustomRoutes = () => loadCustomRoutes();
+
+/**
+ * Build a route from editor waypoints; waypoints with a port name become ports
+ * (first is the start port, last is the end port, others are major ports).
+ * Port names found in the port database are linked to it by UN/LOCODE.
+ * @param {Object} draft - { id, name, color, style, waypoints: [{ position, portName, name }] }
+ * @returns {Object} Route object { id, name, coordinates, color, style, ports, waypointNames, custom }
+ */
+export const createRouteFromWaypoints = (draft) => {
+  const lastIndex = draft.waypoints.length - 1;
+  const hasWaypointNames = draft.waypoints.some(waypoint => waypoint.name);
+  return {
+    id: draft.id || Date.now(),
+    name: draft.name,
+    coordinates: draft.waypoints.map(waypoint => waypoint.position),
+    color: draft.color,
+    style: draft.style,
+    ports: draft.waypoints
+      .map((waypoint, index) => ({ waypoint, index }))
+      .filter(({ waypoint }) => waypoint.portName)
+      .map(({ waypoint, index }) => ({
+        portId: findPortByName(waypoint.portName)?.id ?? null,
+        waypointIndex: index,
+        name: waypoint.portName,
+        position: waypoint.position,
+        type: index === 0 ? 'start' : index === lastIndex ? 'end' : 'major'
+      })),
+    ...(hasWaypointNames && { waypointNames: draft.waypoints.map(waypoint => waypoint.name || '') }),
+    custom: true
+  };
+};
+
+/**
+ * Convert a route back into editor waypoints
+ * @param {Object} route - Route object
+ * @returns {Array} Waypoints [{ position, portName, name }]
+ */
+export const getRouteWaypoints = (route) =>
+  route.coordinates.map((coord, index) => {
+    const port = route.ports.find(p => p.position[0] === coord[0] && p.position[1] === coord[1]);
+    return { position: coord, portName: port ? port.name : '', name: route.waypointNames?.[index] || '' };
+  });
+
+/**
+ * Save (create or update) a custom route
+ * @param {Object} route - Route object
+ * @returns {Object} Saved route
+ */
+export const saveCustomRoute = (route) => {
+  const customRoutes = loadCustomRoutes().filter(r => r.id !== route.id);
+  storeCustomRoutes([...customRoutes, route]);
+  return route;
+};
+
+/**
+ * Delete a custom route (built-in routes cannot be deleted)
+ * @param {number} id - Route identifier
+ */
+export const deleteCustomRoute = (id) => {
+  storeCustomRoutes(loadCustomRoutes().filter(route => route.id !== id));
+};
@@ -0,0 +1,97 @@
+// Emission Control Areas
+// Simplified ECA/SECA boundaries (MARPOL Annex VI) and the fuel rules that apply inside them
+
+// Maximum sulphur content of fuel burned inside an ECA (0.10% m/m)
+export const ECA_SULPHUR_LIMIT = 0.001;
+
+// Fuel grade ships switch to on entering an ECA when their main fuel exceeds the limit
+export const ECA_FUEL_TYPE = 'MGO';
+
+// Polygons follow the seaward boundaries of each area closely enough for route planning; where an area
+// meets the coast they cut across land, which routes never cross. Positions are [lat, lng].
+export const emissionControlAreas = [
+  {
+    id: 'baltic',
+    name: 'Baltic Sea ECA',
+    pollutants: ['SOx', 'NOx'],
+    color: '#1565c0',
+    polygon: [
+      [57.75, 10.55], [57.75, 12.5], [59.5, 15.0], [63.0, 17.0], [66.0, 21.5], [66.0, 25.5], [64.5, 26.0],
+      [62.0, 22.5], [60.8, 26.0], [60.2, 30.8], [59.2, 28.0], [58.0, 25.0], [56.8, 24.3], [55.8, 21.5],
+      [54.4, 20.5], [54.1, 18.8], [53.5, 14.5], [53.8, 11.5], [54.25, 10.0], [55.0, 9.3], [56.5, 9.8],
+      [57.5, 10.3]
+    ]
+  },
+  {
+    id: 'north-sea',
+    name: 'North Sea ECA',
+    pollutants: ['SOx', 'NOx'],
+    color: '#1976d2',
+    polygon: [
+      [62.0, -4.0], [62.0, 6.0], [59.0, 6.5], [58.3, 8.0], [59.95, 10.8], [59.0, 11.3], [58.4, 11.9],
+      [57.75, 12.5], [57.75, 10.55], [57.5, 10.3], [56.5, 9.8], [55.0, 9.3], [54.25, 10.0], [53.4, 10.2],
+      [53.0, 7.5], [51.0, 4.6], [50.5, 2.0], [49.3, 0.5], [48.5, -1.5], [48.5, -5.0], [50.1, -5.0],
+      [50.8, -3.0], [52.5, -2.0], [55.0, -2.5], [57.5, -4.0], [58.6, -4.0]
+    ]
+  },
+  {
+    id: 'north-america-atlantic',
+    name: 'North American ECA (Atlantic and Gulf of Mexico)',
+    pollutants: ['SOx', 'NOx', 'PM'],
+    color: '#00838f',
+    polygon: [
+      [60.0, -68.0], [60.0, -58.0], [55.0, -52.0], [50.0, -48.0], [46.0, -48.0], [42.5, -58.0],
+      [41.0, -65.0], [40.0, -68.0], [38.5, -71.0], [36.0, -72.5], [33.0, -75.0], [30.5, -77.0],
+      [28.0, -77.8], [27.0, -79.0], [25.5, -79.5], [24.2, -80.5], [24.0, -82.0], [24.3, -83.5],
+      [25.0, -84.5], [25.8, -86.0], [25.8, -93.0], [26.0, -97.1], [30.5, -97.0], [31.0, -88.0],
+      [31.0, -82.0], [45.0, -75.0]
+    ]
+  },
+  {
+    id: 'north-america-pacific',
+    name: 'North American ECA (Pacific)',
+    pollutants: ['SOx', 'NOx', 'PM'],
+    color: '#00838f',
+    polygon: [
+      [32.5, -117.1], [30.5, -120.5], [34.0, -124.0], [38.0, -127.5], [42.0, -130.0], [48.0, -131.0],
+      [52.0, -136.0], [56.0, -141.0], [60.0, -146.0], [61.0, -146.0], [60.0, -135.0], [49.0, -121.0],
+      [33.0, -115.5]
+    ]
+  },
+  {
+    id: 'north-america-hawaii',
+    name: 'North American ECA (Hawaii)',
+    pollutants: ['SOx', 'NOx', 'PM'],
+    color: '#00838f',
+    polygon: [[16.5, -161.5], [16.5, -153.0], [23.5, -153.0], [23.5, -161.5]]
+  },
+  {
+    id: 'us-caribbean',
+    name: 'United States Caribbean Sea ECA',
+    pollutants: ['SOx', 'NOx', 'PM'],
+    color: '#00897b',
+    polygon: [[16.3, -68.5], [16.3, -63.8], [21.0, -63.8], [21.0, -68.5]]
+  },
+  {
+    id: 'mediterranean',
+    name: 'Mediterranean Sea SECA',
+    pollutants: ['SOx', 'PM'], // in force since 1 May 2025
+    color: '#5e35b1',
+    polygon: [
+      [36.3, -5.6], [36.8, -4.5], [37.2, -3.0], [38.5, -1.0], [40.0, -0.5], [41.6, 2.0], [42.7, 2.8],
+      [43.6, 3.8], [43.5, 5.4], [43.8, 7.3], [44.6, 9.0], [45.6, 12.0], [45.9, 13.6], [45.6, 14.3],
+      [43.5, 16.8], [42.0, 19.5], [40.0, 21.5], [41.0, 22.8], [41.2, 24.0], [40.9, 26.0], [40.05, 26.5],
+      [37.5, 27.5], [37.0, 30.5], [36.8, 36.2], [34.5, 36.0], [33.0, 35.3], [31.2, 34.2], [31.0, 32.6],
+      [31.15, 32.2], [30.9, 29.9], [30.8, 29.0], [31.2, 25.5], [31.8, 23.5], [32.5, 21.5], [31.5, 20.3],
+      [30.0, 19.0], [30.8, 15.5], [32.7, 13.0], [33.3, 11.0], [33.8, 10.0], [35.5, 10.5], [36.6, 10.0],
+      [36.7, 8.0], [36.5, 3.0], [35.6, 0.0], [35.0, -2.0], [35.75, -5.6]
+    ]
+  }
+];
+
+/**
+ * Find an emission control area by id
+ * @param {string} id - Area identifier
+ * @returns {Object|null} Area, or null
+ */
+export const getEmissionControlArea = (id) => emissionControlAreas.find(area => area.id === id) || null;
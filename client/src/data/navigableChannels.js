@@ -0,0 +1,11 @@
+// Navigable Channels
+// Man-made and narrow passages that the 1:110m coastline closes off, as a centre line and a half-width in km
+
+export const NAVIGABLE_CHANNELS = [
+  { name: 'Suez Canal', width: 15, path: [[31.27, 32.31], [30.58, 32.27], [30.32, 32.38], [29.93, 32.56]] },
+  { name: 'Gulf of Suez', width: 20, path: [[29.93, 32.56], [29.20, 32.75], [28.20, 33.40], [27.60, 34.00]] },
+  { name: 'Panama Canal', width: 15, path: [[9.38, -79.92], [9.10, -79.68], [8.88, -79.52]] },
+  { name: 'Kiel Canal', width: 10, path: [[53.89, 9.14], [54.20, 9.60], [54.37, 10.15]] },
+  { name: 'Strait of Gibraltar', width: 10, path: [[36.00, -5.00], [35.97, -5.40], [35.93, -5.80], [35.90, -6.10]] },
+  { name: 'Turkish Straits', width: 10, path: [[40.00, 26.18], [40.40, 26.70], [40.98, 28.98], [41.22, 29.13]] }
+];
@@ -0,0 +1,228 @@
+// Ports
+// Bundled port database keyed by UN/LOCODE: position, time zone, typical waiting and berth times, dues and pilotage
+
+// Charges are typical totals for a large ocean-going vessel per call, in USD
+export const ports = [
+  {
+    id: 'EGALY',
+    name: 'Alexandria',
+    country: 'Egypt',
+    position: [31.1842, 29.8727],
+    timeZone: 'Africa/Cairo',
+    waitingHours: 12,  // typical anchorage wait before berthing
+    berthHours: 36,    // typical time alongside
+    portDues: 28000,
+    pilotage: 6000
+  },
+  {
+    id: 'EGPSD',
+    name: 'Port Said',
+    country: 'Egypt',
+    position: [31.2653, 32.3019],
+    timeZone: 'Africa/Cairo',
+    waitingHours: 10,
+    berthHours: 30,
+    portDues: 26000,
+    pilotage: 5500
+  },
+  {
+    id: 'GIGIB',
+    name: 'Gibraltar',
+    country: 'Gibraltar',
+    position: [36.1408, -5.3536],
+    timeZone: 'Europe/Gibraltar',
+    waitingHours: 2,
+    berthHours: 8,     // bunkering call
+    portDues: 9000,
+    pilotage: 3000
+  },
+  {
+    id: 'ESALG',
+    name: 'Algeciras',
+    country: 'Spain',
+    position: [36.1275, -5.4364],
+    timeZone: 'Europe/Madrid',
+    waitingHours: 4,
+    berthHours: 24,
+    portDues: 32000,
+    pilotage: 4500
+  },
+  {
+    id: 'NLRTM',
+    name: 'Rotterdam',
+    country: 'Netherlands',
+    position: [51.9490, 4.1453],
+    timeZone: 'Europe/Amsterdam',
+    waitingHours: 6,
+    berthHours: 36,
+    portDues: 55000,
+    pilotage: 12000
+  },
+  {
+    id: 'DEHAM',
+    name: 'Hamburg',
+    country: 'Germany',
+    position: [53.5396, 9.9690],
+    timeZone: 'Europe/Berlin',
+    waitingHours: 8,
+    berthHours: 36,
+    portDues: 48000,
+    pilotage: 15000
+  },
+  {
+    id: 'GRPIR',
+    name: 'Piraeus',
+    country: 'Greece',
+    position: [37.9420, 23.6265],
+    timeZone: 'Europe/Athens',
+    waitingHours: 6,
+    berthHours: 30,
+    portDues: 30000,
+    pilotage: 5000
+  },
+  {
+    id: 'USNYC',
+    name: 'New York',
+    country: 'United States',
+    position: [40.6681, -74.0451],
+    timeZone: 'America/New_York',
+    waitingHours: 8,
+    berthHours: 40,
+    portDues: 62000,
+    pilotage: 18000
+  },
+  {
+    id: 'USLAX',
+    name: 'Los Angeles',
+    country: 'United States',
+    position: [33.7395, -118.2610],
+    timeZone: 'America/Los_Angeles',
+    waitingHours: 24,
+    berthHours: 48,
+    portDues: 65000,
+    pilotage: 16000
+  },
+  {
+    id: 'SAJED',
+    name: 'Jeddah',
+    country: 'Saudi Arabia',
+    position: [21.4735, 39.1580],
+    timeZone: 'Asia/Riyadh',
+    waitingHours: 12,
+    berthHours: 30,
+    portDues: 27000,
+    pilotage: 5000
+  },
+  {
+    id: 'YEADE',
+    name: 'Aden',
+    country: 'Yemen',
+    position: [12.7906, 44.9850],
+    timeZone: 'Asia/Aden',
+    waitingHours: 6,
+    berthHours: 12,    // bunkering call
+    portDues: 14000,
+    pilotage: 3500
+  },
+  {
+    id: 'AEJEA',
+    name: 'Jebel Ali',
+    country: 'United Arab Emirates',
+    position: [25.0113, 55.0611],
+    timeZone: 'Asia/Dubai',
+    waitingHours: 8,
+    berthHours: 30,
+    portDues: 38000,
+    pilotage: 6500
+  },
+  {
+    id: 'LKCMB',
+    name: 'Colombo',
+    country: 'Sri Lanka',
+    position: [6.9497, 79.8428],
+    timeZone: 'Asia/Colombo',
+    waitingHours: 10,
+    berthHours: 24,
+    portDues: 24000,
+    pilotage: 4000
+  },
+  {
+    id: 'SGSIN',
+    name: 'Singapore',
+    country: 'Singapore',
+    position: [1.2644, 103.8220],
+    timeZone: 'Asia/Singapore',
+    waitingHours: 6,
+    berthHours: 30,
+    portDues: 45000,
+    pilotage: 7000
+  },
+  {
+    id: 'CNSHA',
+    name: 'Shanghai',
+    country: 'China',
+    position: [30.6260, 122.0650],
+    timeZone: 'Asia/Shanghai',
+    waitingHours: 18,
+    berthHours: 36,
+    portDues: 42000,
+    pilotage: 9000
+  },
+  {
+    id: 'BRSSZ',
+    name: 'Santos',
+    country: 'Brazil',
+    position: [-23.9608, -46.3336],
+    timeZone: 'America/Sao_Paulo',
+    waitingHours: 36,
+    berthHours: 40,
+    portDues: 40000,
+    pilotage: 11000
+  },
+  {
+    id: 'ZADUR',
+    name: 'Durban',
+    country: 'South Africa',
+    position: [-29.8683, 31.0292],
+    timeZone: 'Africa/Johannesburg',
+    waitingHours: 48,
+    berthHours: 40,
+    portDues: 36000,
+    pilotage: 8000
+  }
+];
+
+/**
+ * Find a port by its UN/LOCODE
+ * @param {string} id - UN/LOCODE, e.g. 'EGALY'
+ * @returns {Object|null} Port, or null if not in the database
+ */
+export const getPort = (id) => (id && ports.find(port => port.id === id.toUpperCase())) || null;
+
+/**
+ * Find a port by name (case-insensitive) or UN/LOCODE
+ * @param {string} name - Port name or UN/LOCODE as typed by the user
+ * @returns {Object|null} Port, or null if not in the database
+ */
+export const findPortByName = (name) => {
+  const text = (name || '').trim().toLowerCase();
+  if (!text) return null;
+  return ports.find(port => port.name.toLowerCase() === text || port.id.toLowerCase() === text) || null;
+};
+
+/**
+ * Get the database entry for a route port: by its portId, otherwise by its name
+ * (routes saved before the port database have names only)
+ * @param {Object} routePort - Route port { portId, name, position, type }
+ * @returns {Object|null} Port, or null if the port is not in the database
+ */
+export const getRoutePortInfo = (routePort) => getPort(routePort.portId) || findPortByName(routePort.name);
+
+/**
+ * Format a moment in a port's local time
+ * @param {number} time - Milliseconds since epoch
+ * @param {Object} port - Port with timeZone (falls back to the browser's time zone)
+ * @returns {string} e.g. "1/3/2026, 14:00:00 GMT+2"
+ */
+export const formatPortTime = (time, port) =>
+  new Date(time).toLocaleString(undefined, { timeZone: port?.timeZone, timeZoneName: 'short' });
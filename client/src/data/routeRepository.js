@@ -0,0 +1,69 @@
+// Route Repository
+// Single route source for SimpleMap, WorldMap and MaritimeGlobe: built-in routes plus user-created and imported ones
+import { routes as builtInRoutes } from './routes';
+import {
+  getCustomRoutes,
+  saveCustomRoute,
+  deleteCustomRoute,
+  CUSTOM_ROUTES_STORAGE_KEY
+} from './customRoutes';
+
+const listeners = new Set();
+
+/**
+ * Notify every subscribed view that the routes changed
+ */
+const notifyListeners = () => {
+  const current = getRoutes();
+  listeners.forEach(listener => listener(current));
+};
+
+// Pick up routes saved in another browser tab
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === CUSTOM_ROUTES_STORAGE_KEY) notifyListeners();
+  });
+}
+
+/**
+ * Get all routes (built-in first, then user-created and imported)
+ * @returns {Array} Route objects { id, name, coordinates, color, style, ports }
+ */
+export const getRoutes = () => [...builtInRoutes, ...getCustomRoutes()];
+
+/**
+ * Find a route by id
+ * @param {number} id - Route identifier
+ * @returns {Object|null} Route, or null if not found
+ */
+export const getRoute = (id) => getRoutes().find(route => route.id === id) || null;
+
+/**
+ * Save (create or update) a user route and notify all views
+ * @param {Object} route - Route object
+ * @returns {Object} Saved route
+ */
+export const saveRoute = (route) => {
+  const saved = saveCustomRoute(route);
+  notifyListeners();
+  return saved;
+};
+
+/**
+ * Delete a user route and notify all views (built-in routes cannot be deleted)
+ * @param {number} id - Route identifier
+ */
+export const deleteRoute = (id) => {
+  deleteCustomRoute(id);
+  notifyListeners();
+};
+
+/**
+ * Subscribe to route changes
+ * @param {Function} listener - Called with the full route list after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToRoutes = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
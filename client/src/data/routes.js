@@ -1,5 +1,9 @@
 // Maritime Trade Routes Data
-export const routes = [
+// Routes call at ports from the port database by UN/LOCODE, at one of their waypoints
+import { trackDistance, kmToNm } from '../utils/navigation';
+import { getPort } from './ports';
+
+const routeDefinitions = [
   {
     id: 1,
     name: "Alexandria to New York (Atlantic Route)",
@@ -94,9 +98,9 @@ export const routes = [
     color: "#FF4444",
     style: "solid",
     ports: [
-      { name: "Alexandria", position: [30.213982, 32.557983], type: "start" },
-      { name: "Gibraltar", position: [35.95, -5.75], type: "major" },
-      { name: "New York", position: [40.7081, -73.9779], type: "end" }
+      { portId: "EGALY", waypointIndex: 0, type: "start" },
+      { portId: "GIGIB", waypointIndex: 39, type: "major" },
+      { portId: "USNYC", waypointIndex: 85, type: "end" }
     ],
     description: "Direct Atlantic route from Mediterranean to North America",
     estimatedDays: 12,
@@ -150,9 +154,9 @@ export const routes = [
     color: "#4444FF",
     style: "dashed",
     ports: [
-      { name: "Alexandria", position: [30.213982, 32.557983], type: "start" },
-      { name: "Aden", position: [12.40439, 43.746586], type: "major" },
-      { name: "Singapore", position: [1.1, 103.6], type: "end" }
+      { portId: "EGALY", waypointIndex: 0, type: "start" },
+      { portId: "YEADE", waypointIndex: 9, type: "major" },
+      { portId: "SGSIN", waypointIndex: 39, type: "end" }
     ],
     description: "Suez Canal route through Red Sea and Indian Ocean",
     estimatedDays: 18,
@@ -160,30 +164,28 @@ export const routes = [
   }
 ];
 
+/**
+ * Fill in each route port's name from the port database and its position from the waypoint it is called at
+ * @param {Object} route - Route definition with ports [{ portId, waypointIndex, type }]
+ * @returns {Object} Route with ports [{ portId, waypointIndex, type, name, position }]
+ */
+const resolveRoutePorts = (route) => ({
+  ...route,
+  ports: route.ports.map(port => ({
+    ...port,
+    name: getPort(port.portId).name,
+    position: route.coordinates[port.waypointIndex]
+  }))
+});
+
+export const routes = routeDefinitions.map(resolveRoutePorts);
+
 /**
  * Calculate total distance of a route
  * @param {Array} coordinates - Array of [lat, lng] coordinates
- * @returns {number} Total distance in kilometers
+ * @returns {number} Total distance in kilometers (great-circle legs)
  */
-export const calculateRouteDistance = (coordinates) => {
-  let total = 0;
-  for (let i = 0; i < coordinates.length - 1; i++) {
-    const [lat1, lng1] = coordinates[i];
-    const [lat2, lng2] = coordinates[i + 1];
-    const R = 6371; // Earth's radius in km
-    const dLat = ((lat2 - lat1) * Math.PI) / 180;
-    const dLng = ((lng2 - lng1) * Math.PI) / 180;
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos((lat1 * Math.PI) / 180) *
-        Math.cos((lat2 * Math.PI) / 180) *
-        Math.sin(dLng / 2) *
-        Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    total += R * c;
-  }
-  return total;
-};
+export const calculateRouteDistance = (coordinates) => trackDistance(coordinates, 'km');
 
 /**
  * Get route statistics
@@ -196,6 +198,7 @@ export const getRouteStats = (route) => {
   
   return {
     totalDistance: totalDistance,
+    totalDistanceNm: kmToNm(totalDistance),
     waypointCount: waypointCount,
     averageSegmentDistance: totalDistance / (waypointCount - 1),
     estimatedDays: route.estimatedDays,
@@ -0,0 +1,232 @@
+// Vessel Profiles
+// Built-in ship type library plus user-defined profiles persisted in localStorage
+
+const STORAGE_KEY = 'maritime.vesselProfiles';
+
+export const builtInVesselProfiles = [
+  {
+    id: 'ulcv',
+    name: 'Ultra Large Container Ship (20,000 TEU)',
+    type: 'container',
+    length: 400,              // meters
+    beam: 60,                 // meters
+    draft: 16,                // meters
+    netTonnage: 100000,       // NT, basis for canal tolls
+    deadweight: 200000,       // t, capacity for the CII rating
+    fuelType: 'VLSFO',        // see FUEL_TYPES in utils/emissions
+    blockCoefficient: 0.62,   // Cb at design draft
+    wettedSurface: 26100,     // m² at design draft
+    bulbousBowArea: 80,       // m², bulb section at the forward perpendicular
+    transomArea: 35,          // m², immersed transom
+    designSpeed: 22,          // knots
+    installedPower: 60000,    // kW (MCR)
+    sfoc: 170,                // g/kWh
+    frontalWindageArea: 2700, // m² above waterline, head-on
+    lateralWindageArea: 16000, // m² above waterline, beam-on
+    builtIn: true
+  },
+  {
+    id: 'feeder',
+    name: 'Feeder Container Ship (1,700 TEU)',
+    type: 'container',
+    length: 170,
+    beam: 27,
+    draft: 9.5,
+    netTonnage: 8000,
+    deadweight: 21000,
+    fuelType: 'VLSFO',
+    blockCoefficient: 0.62,
+    wettedSurface: 5560,
+    bulbousBowArea: 15,
+    transomArea: 8,
+    designSpeed: 19,
+    installedPower: 12000,
+    sfoc: 185,
+    frontalWindageArea: 810,
+    lateralWindageArea: 4700,
+    builtIn: true
+  },
+  {
+    id: 'capesize',
+    name: 'Capesize Bulk Carrier (180,000 DWT)',
+    type: 'bulker',
+    length: 292,
+    beam: 45,
+    draft: 18,
+    netTonnage: 58000,
+    deadweight: 180000,
+    fuelType: 'VLSFO',
+    blockCoefficient: 0.82,
+    wettedSurface: 20300,
+    bulbousBowArea: 60,
+    transomArea: 0,
+    designSpeed: 14.5,
+    installedPower: 16000,
+    sfoc: 175,
+    frontalWindageArea: 1000,
+    lateralWindageArea: 3600,
+    builtIn: true
+  },
+  {
+    id: 'supramax',
+    name: 'Supramax Bulk Carrier (58,000 DWT)',
+    type: 'bulker',
+    length: 200,
+    beam: 32,
+    draft: 13,
+    netTonnage: 19000,
+    deadweight: 58000,
+    fuelType: 'VLSFO',
+    blockCoefficient: 0.8,
+    wettedSurface: 9770,
+    bulbousBowArea: 25,
+    transomArea: 0,
+    designSpeed: 14,
+    installedPower: 9000,
+    sfoc: 180,
+    frontalWindageArea: 800,
+    lateralWindageArea: 3200,
+    builtIn: true
+  },
+  {
+    id: 'aframax',
+    name: 'Aframax Tanker (110,000 DWT)',
+    type: 'tanker',
+    length: 250,
+    beam: 44,
+    draft: 15,
+    netTonnage: 33000,
+    deadweight: 110000,
+    fuelType: 'VLSFO',
+    blockCoefficient: 0.79,
+    wettedSurface: 15400,
+    bulbousBowArea: 50,
+    transomArea: 0,
+    designSpeed: 15,
+    installedPower: 14000,
+    sfoc: 175,
+    frontalWindageArea: 1000,
+    lateralWindageArea: 3500,
+    builtIn: true
+  },
+  {
+    id: 'vlcc',
+    name: 'VLCC Tanker (300,000 DWT)',
+    type: 'tanker',
+    length: 330,
+    beam: 60,
+    draft: 22,
+    netTonnage: 95000,
+    deadweight: 300000,
+    fuelType: 'VLSFO',
+    blockCoefficient: 0.8,
+    wettedSurface: 28900,
+    bulbousBowArea: 90,
+    transomArea: 0,
+    designSpeed: 15.5,
+    installedPower: 25000,
+    sfoc: 170,
+    frontalWindageArea: 1400,
+    lateralWindageArea: 5000,
+    builtIn: true
+  }
+];
+
+export const DEFAULT_VESSEL_PROFILE_ID = 'ulcv';
+export const DEFAULT_VESSEL_PROFILE = builtInVesselProfiles[0];
+
+/**
+ * Draft the vessel is sailing at: its operating draft (loading condition) when set, otherwise the design draft
+ * @param {Object} vessel - Vessel profile
+ * @returns {number} Draft in m
+ */
+export const getOperatingDraft = (vessel) => vessel.operatingDraft || vessel.draft;
+
+/**
+ * Load user-defined vessel profiles from localStorage
+ * @returns {Array} User-defined profiles
+ */
+const loadCustomProfiles = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    // Profiles saved before the hull form was added get it from their ship type
+    return stored ? JSON.parse(stored).map(profile => (profile.blockCoefficient ? profile : createVesselProfile(profile))) : [];
+  } catch (error) {
+    console.error('Error loading vessel profiles:', error);
+    return [];
+  }
+};
+
+/**
+ * Persist user-defined vessel profiles to localStorage
+ * @param {Array} profiles - User-defined profiles
+ */
+const storeCustomProfiles = (profiles) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    console.error('Error saving vessel profiles:', error);
+  }
+};
+
+/**
+ * Get all available vessel profiles (built-in first, then user-defined)
+ * @returns {Array} Vessel profiles
+ */
+export const getVesselProfiles = () => [...builtInVesselProfiles, ...loadCustomProfiles()];
+
+/**
+ * Find a vessel profile by id
+ * @param {string} id - Profile identifier
+ * @returns {Object} Matching profile, or the default profile if not found
+ */
+export const getVesselProfile = (id) =>
+  getVesselProfiles().find(profile => profile.id === id) || DEFAULT_VESSEL_PROFILE;
+
+/**
+ * Build a complete vessel profile from user input, taking any missing
+ * hull form values from the built-in profile of the same ship type
+ * @param {Object} input - Partial profile (dimensions, net tonnage, deadweight, fuel type, hull form, speed, power, SFOC, windage)
+ * @returns {Object} Complete vessel profile
+ */
+export const createVesselProfile = (input) => {
+  const template = builtInVesselProfiles.find(profile => profile.type === input.type) || DEFAULT_VESSEL_PROFILE;
+  // Net tonnage and deadweight scale roughly with the hull's box volume
+  const boxVolumeRatio = (input.length || template.length) * (input.beam || template.beam) * (input.draft || template.draft) /
+    (template.length * template.beam * template.draft);
+  // Bulb and transom areas scale with the midship section; the wetted surface is estimated from the hull form
+  const sectionRatio = (input.beam || template.beam) * (input.draft || template.draft) / (template.beam * template.draft);
+  return {
+    ...template,
+    wettedSurface: null,
+    bulbousBowArea: Math.round(template.bulbousBowArea * sectionRatio),
+    transomArea: Math.round(template.transomArea * sectionRatio),
+    frontalWindageArea: input.beam && input.height ? input.beam * input.height : template.frontalWindageArea,
+    lateralWindageArea: input.length && input.height ? input.length * input.height : template.lateralWindageArea,
+    netTonnage: Math.round(template.netTonnage * boxVolumeRatio),
+    deadweight: Math.round(template.deadweight * boxVolumeRatio),
+    ...input,
+    id: input.id || `custom-${Date.now()}`,
+    builtIn: false
+  };
+};
+
+/**
+ * Save (create or update) a user-defined vessel profile
+ * @param {Object} profile - Vessel profile
+ * @returns {Object} Saved profile
+ */
+export const saveVesselProfile = (profile) => {
+  const saved = createVesselProfile(profile);
+  const profiles = loadCustomProfiles().filter(p => p.id !== saved.id);
+  storeCustomProfiles([...profiles, saved]);
+  return saved;
+};
+
+/**
+ * Delete a user-defined vessel profile (built-in profiles cannot be deleted)
+ * @param {string} id - Profile identifier
+ */
+export const deleteVesselProfile = (id) => {
+  storeCustomProfiles(loadCustomProfiles().filter(profile => profile.id !== id));
+};
@@ -0,0 +1,112 @@
+// Voyage Recordings
+// Completed simulation runs persisted in localStorage: the route as sailed, the weather used at each
+// waypoint and the speed, fuel and cost the model predicted there, so a run can be replayed and reviewed
+export const VOYAGE_RECORDINGS_STORAGE_KEY = 'maritime.voyageRecordings';
+
+// Oldest runs are dropped beyond this to stay well inside the localStorage quota
+const MAX_RECORDINGS = 20;
+
+const listeners = new Set();
+
+/**
+ * Load recordings from localStorage
+ * @returns {Array} Recordings, newest first
+ */
+const loadRecordings = () => {
+  try {
+    const stored = window.localStorage.getItem(VOYAGE_RECORDINGS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading voyage recordings:', error);
+    return [];
+  }
+};
+
+/**
+ * Persist recordings to localStorage and notify subscribers. Subscribers are only notified once the
+ * write succeeded, so lists never show recordings that would be gone after a reload.
+ * @param {Array} recordings - Recordings, newest first
+ * @returns {boolean} True when the recordings were stored
+ */
+const storeRecordings = (recordings) => {
+  try {
+    window.localStorage.setItem(VOYAGE_RECORDINGS_STORAGE_KEY, JSON.stringify(recordings));
+  } catch (error) {
+    console.error('Error saving voyage recordings:', error);
+    return false;
+  }
+  listeners.forEach(listener => listener(recordings));
+  return true;
+};
+
+/**
+ * Build a recording of a simulation run
+ * @param {Object} run - { route, vessel, shipSpeed, weatherSeed, etas, departures, steps }, where departures
+ *   differ from the ETAs at port calls and each step is
+ *   { waypointIndex, position, eta, weatherData, course, sog, stw, fuelRate (kg/h), legHours, legFuel (kg), cost (USD) }
+ * @returns {Object} Recording
+ */
+export const createVoyageRecording = ({ route, vessel, shipSpeed, weatherSeed, etas, departures = etas, steps }) => ({
+  id: Date.now(),
+  recordedAt: new Date().toISOString(),
+  route: {
+    id: route.id,
+    name: route.name,
+    color: route.color,
+    coordinates: route.coordinates,
+    ports: route.ports
+  },
+  vessel: { id: vessel.id, name: vessel.name },
+  shipSpeed,
+  weatherSeed,
+  etas,
+  departures,
+  steps: steps.map(step => ({
+    ...step,
+    // Keep only the normalized weather record, not provider payloads
+    weatherData: step.weatherData && {
+      weather: step.weatherData.weather,
+      ocean: step.weatherData.ocean,
+      source: step.weatherData.source,
+      timestamp: step.weatherData.timestamp
+    }
+  })),
+  totals: {
+    hours: (etas[etas.length - 1] - etas[0]) / 3600000,
+    fuel: steps.reduce((total, step) => total + step.legFuel, 0),
+    cost: steps[0]?.cost ?? 0
+  }
+});
+
+/**
+ * Get all saved recordings
+ * @returns {Array} Recordings, newest first
+ */
+export const getVoyageRecordings = () => loadRecordings();
+
+/**
+ * Save a recording
+ * @param {Object} recording - Result of createVoyageRecording
+ * @returns {Object|null} Saved recording, or null when it could not be stored (e.g. storage quota exceeded)
+ */
+export const saveVoyageRecording = (recording) => {
+  const stored = storeRecordings([recording, ...loadRecordings().filter(existing => existing.id !== recording.id)].slice(0, MAX_RECORDINGS));
+  return stored ? recording : null;
+};
+
+/**
+ * Delete a recording
+ * @param {number} id - Recording identifier
+ * @returns {boolean} True when the change was stored
+ */
+export const deleteVoyageRecording = (id) => storeRecordings(loadRecordings().filter(recording => recording.id !== id));
+
+/**
+ * Subscribe to recording changes
+ * @param {Function} listener - Called with the full recording list after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToVoyageRecordings = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
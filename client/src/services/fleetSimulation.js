@@ -0,0 +1,86 @@
+// Fleet Simulation
+// Plans each ship's voyage (weather at its own ETAs) and reports every ship's state at a shared clock time
+import { evaluateTrack } from './weatherRouting';
+import { getWeatherSeed } from './weatherService';
+import { buildVoyageTimeline, getVoyageState, getTravelledPath } from '../utils/voyageTimeline';
+import { getVesselProfile, DEFAULT_VESSEL_PROFILE_ID } from '../data/vesselProfiles';
+import { getStopHours } from '../utils/voyageEconomics';
+
+export const FLEET_COLORS = ['#FF6B35', '#6f42c1', '#20c997', '#e83e8c', '#fd7e14', '#17a2b8', '#795548', '#343a40'];
+
+/**
+ * Create a fleet ship entry
+ * @param {Object} overrides - { id, name, routeId, vesselProfileId, departureTime (ms), speed (knots), color }
+ * @param {number} index - Position in the fleet, used for the default name and color
+ * @returns {Object} Fleet ship
+ */
+export const createFleetShip = (overrides = {}, index = 0) => {
+  const vessel = getVesselProfile(overrides.vesselProfileId || DEFAULT_VESSEL_PROFILE_ID);
+  const departure = new Date();
+  departure.setMinutes(0, 0, 0);
+
+  return {
+    id: `ship-${Date.now()}-${index}`,
+    name: `Ship ${index + 1}`,
+    routeId: null,
+    vesselProfileId: vessel.id,
+    departureTime: departure.getTime(),
+    speed: vessel.designSpeed,
+    color: FLEET_COLORS[index % FLEET_COLORS.length],
+    ...overrides
+  };
+};
+
+/**
+ * Plan a ship's voyage: request weather at each waypoint for the ship's ETA and derive
+ * the per-leg speed, fuel and timeline, including the time stopped at port calls and canal entrances
+ * @param {Object} ship - Fleet ship
+ * @param {Object} route - The ship's route
+ * @returns {Promise<Object>} Voyage plan { shipId, timeline, legs, fuel (kg) }
+ */
+export const planFleetVoyage = async (ship, route) => {
+  const vessel = getVesselProfile(ship.vesselProfileId);
+  const evaluation = await evaluateTrack(route.coordinates, {
+    baseSpeed: ship.speed,
+    vessel,
+    departureTime: ship.departureTime,
+    seed: getWeatherSeed(),
+    idPrefix: `${ship.id}-waypoint`,
+    stopHours: getStopHours(route, vessel)
+  });
+
+  return {
+    shipId: ship.id,
+    timeline: buildVoyageTimeline(route.coordinates, evaluation.etas, evaluation.departures),
+    legs: evaluation.legs,
+    fuel: evaluation.fuel
+  };
+};
+
+/**
+ * Get a ship's state at a moment of the shared clock
+ * @param {Object} plan - Result of planFleetVoyage
+ * @param {number} time - Clock time (ms since epoch)
+ * @returns {Object} { status: 'scheduled'|'underway'|'arrived', position, course, sog (knots), fuelBurned (kg), progress (%), trail, eta }
+ */
+export const getFleetShipState = (plan, time) => {
+  const { timeline, legs } = plan;
+  const voyageState = getVoyageState(timeline, time);
+  const status = time < timeline.departure ? 'scheduled' : voyageState.finished ? 'arrived' : 'underway';
+
+  // Legs already sailed burn their full fuel, the current leg in proportion to the time spent on it
+  const fuelBurned = status === 'scheduled' ? 0 : legs
+    .slice(0, voyageState.legIndex)
+    .reduce((total, leg) => total + leg.fuel, legs[voyageState.legIndex].fuel * voyageState.fraction);
+
+  return {
+    status,
+    position: voyageState.position,
+    course: voyageState.course,
+    sog: status === 'underway' && !voyageState.stopped ? legs[voyageState.legIndex].sog : 0,
+    fuelBurned,
+    progress: voyageState.progress,
+    trail: status === 'scheduled' ? [] : getTravelledPath(timeline, voyageState),
+    eta: timeline.arrival
+  };
+};
@@ -0,0 +1,124 @@
+// Simulation Clock
+// Virtual voyage time that advances at a selectable multiple of wall time, with pause/resume and seeking
+
+// Simulated seconds per wall-clock second
+export const SIMULATION_SPEEDS = [
+  { label: '10 min / s', value: 600 },
+  { label: '1 h / s', value: 3600 },
+  { label: '6 h / s', value: 21600 },
+  { label: '1 day / s', value: 86400 }
+];
+
+export const DEFAULT_TIME_MULTIPLIER = 3600;
+
+// How often the clock advances and notifies listeners (wall time)
+const TICK_INTERVAL_MS = 200;
+
+/**
+ * Create a simulation clock running from startTime to endTime. The clock starts paused;
+ * when it reaches endTime it pauses itself and reports finished.
+ * @param {Object} options - { startTime, endTime, multiplier } (times in ms since epoch)
+ * @returns {Object} Clock with start, pause, seek, setMultiplier, getState, subscribe and dispose
+ */
+export const createSimulationClock = ({ startTime, endTime = Infinity, multiplier = DEFAULT_TIME_MULTIPLIER }) => {
+  const listeners = new Set();
+  let time = startTime;
+  let speed = multiplier;
+  let timer = null;
+  let lastWallTime = 0;
+
+  const getState = () => ({
+    time,
+    multiplier: speed,
+    isRunning: timer !== null,
+    isFinished: time >= endTime
+  });
+
+  const notifyListeners = () => {
+    const state = getState();
+    listeners.forEach(listener => listener(state));
+  };
+
+  const stopTimer = () => {
+    if (timer !== null) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  // Move virtual time forward by the wall time elapsed since the last advance
+  const advance = () => {
+    const now = performance.now();
+    time = Math.min(endTime, time + (now - lastWallTime) * speed);
+    lastWallTime = now;
+  };
+
+  const tick = () => {
+    advance();
+    if (time >= endTime) stopTimer();
+    notifyListeners();
+  };
+
+  return {
+    /**
+     * Start or resume the clock (does nothing once it has reached endTime)
+     */
+    start: () => {
+      if (timer !== null || time >= endTime) return;
+      lastWallTime = performance.now();
+      timer = setInterval(tick, TICK_INTERVAL_MS);
+      notifyListeners();
+    },
+
+    /**
+     * Pause the clock, keeping the current time
+     */
+    pause: () => {
+      if (timer === null) return;
+      advance();
+      stopTimer();
+      notifyListeners();
+    },
+
+    /**
+     * Jump to a moment, clamped to startTime..endTime
+     * @param {number} newTime - Time in ms since epoch
+     */
+    seek: (newTime) => {
+      time = Math.min(Math.max(newTime, startTime), endTime);
+      lastWallTime = performance.now();
+      if (time >= endTime) stopTimer();
+      notifyListeners();
+    },
+
+    /**
+     * Change how many simulated seconds pass per wall-clock second
+     * @param {number} newMultiplier - Time multiplier
+     */
+    setMultiplier: (newMultiplier) => {
+      if (timer !== null) advance();
+      speed = newMultiplier;
+      notifyListeners();
+    },
+
+    getState,
+
+    /**
+     * Subscribe to clock updates
+     * @param {Function} listener - Called with { time, multiplier, isRunning, isFinished } on every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Stop the clock and drop all listeners
+     */
+    dispose: () => {
+      stopTimer();
+      listeners.clear();
+    }
+  };
+};
@@ -0,0 +1,268 @@
+// Speed Optimization
+// Just-in-time arrival: the cheapest speed on each leg (fuel plus time-dependent cost) that still meets a required arrival time
+import { fetchWaypointWeather } from './weatherService';
+import { calculateWeatherAffectedSpeed } from '../utils/maritimeCalculations';
+import { findSpeedAtPower } from '../utils/hullResistance';
+import { initialBearing, KM_PER_NM } from '../utils/navigation';
+import { calculateRouteDistance } from '../data/routes';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+import { DEFAULT_PRICE_INPUTS, calculateFuelConsumption, getStopHours } from '../utils/voyageEconomics';
+import { detectEcaSegments, getEcaFuel } from '../utils/ecaDetection';
+
+export const DEFAULT_SPEED_OPTIONS = {
+  charterHirePerDay: 30000, // USD per day, on top of the operational cost per hour
+  minSpeedFactor: 0.5,      // slowest ordered speed as a fraction of design speed (slow steaming limit)
+  speedStep: 0.1,           // knots between candidate speeds
+  weatherPasses: 2          // times the weather is re-fetched at the ETAs of the latest speed plan
+};
+
+const MULTIPLIER_ITERATIONS = 40; // bisection steps on the value of an hour when the schedule binds
+
+/**
+ * Speed range the optimizer may order. The top speed is where the calm-water speed-power curve reaches the
+ * installed power (MCR).
+ * @param {Object} vessel - Vessel profile
+ * @param {Object} settings - Speed options (see DEFAULT_SPEED_OPTIONS)
+ * @returns {Array} Candidate ordered speeds in knots, ascending
+ */
+const getCandidateSpeeds = (vessel, settings) => {
+  const maxSpeed = findSpeedAtPower(vessel.installedPower, vessel);
+  const minSpeed = vessel.designSpeed * settings.minSpeedFactor;
+  const speeds = [];
+  for (let speed = minSpeed; speed < maxSpeed; speed += settings.speedStep) speeds.push(speed);
+  speeds.push(maxSpeed);
+  return speeds;
+};
+
+/**
+ * Tabulate passage time, fuel and fuel cost of every leg at every candidate speed, for the weather at the leg start
+ * @param {Array} legs - Legs { from, to, distance, fuelPrice, weatherData }
+ * @param {Array} speeds - Candidate ordered speeds
+ * @param {Object} vessel - Vessel profile
+ * @returns {Array} Per leg, per speed { speed, sog, hours, fuel, fuelCost }
+ */
+const tabulateLegs = (legs, speeds, vessel) => legs.map(leg => {
+  const course = initialBearing(leg.from, leg.to);
+  return speeds.map(speed => {
+    const weatherSpeed = calculateWeatherAffectedSpeed(speed, leg.weatherData, course, vessel);
+    const sog = Math.max(weatherSpeed.sog, 1);
+    const hours = leg.distance / (sog * KM_PER_NM);
+    const fuel = calculateFuelConsumption(weatherSpeed, hours, vessel).total;
+    return { speed, sog, hours, fuel, fuelCost: fuel * leg.fuelPrice };
+  });
+});
+
+/**
+ * Pick the cheapest speed on every leg when an hour at sea costs hourCost
+ * @param {Array} table - Result of tabulateLegs
+ * @param {number} hourCost - USD per hour
+ * @returns {Array} Chosen table entry per leg
+ */
+const chooseSpeeds = (table, hourCost) => table.map(options => options.reduce((best, option) =>
+  (option.fuelCost + hourCost * option.hours < best.fuelCost + hourCost * best.hours ? option : best)));
+
+const sumHours = (plan) => plan.reduce((total, entry) => total + entry.hours, 0);
+
+/**
+ * Find the plan whose sailing time just fits a target, by bisecting the cost of an hour between two bounds
+ * (a higher cost of an hour picks faster speeds). Equalizing that marginal cost across legs is what makes
+ * the plan the cheapest in fuel for its passage time.
+ * @param {Array} table - Result of tabulateLegs
+ * @param {number} low - Hour cost whose plan takes longer than the target
+ * @param {number} high - Hour cost whose plan fits the target
+ * @param {number} targetHours - Sailing hours to fit
+ * @returns {Array} Chosen table entry per leg
+ */
+const fitHours = (table, low, high, targetHours) => {
+  for (let i = 0; i < MULTIPLIER_ITERATIONS; i++) {
+    const middle = (low + high) / 2;
+    if (sumHours(chooseSpeeds(table, middle)) > targetHours) low = middle;
+    else high = middle;
+  }
+  return chooseSpeeds(table, high);
+};
+
+/**
+ * Minimize fuel cost plus time cost for an arrival inside a window. Time costs run until the ship arrives,
+ * but no earlier than the window opens (before that it would wait at anchor), so the cost-optimal plan is
+ * slowed down to arrive as the window opens or sped up to arrive before it closes.
+ * @param {Array} table - Result of tabulateLegs
+ * @param {number} timeCostPerHour - Time-dependent cost in USD per hour
+ * @param {number} earliestHours - Sailing hours until the window opens
+ * @param {number} latestHours - Sailing hours until the window closes (the required arrival)
+ * @returns {Object} { plan, feasible }
+ */
+const optimizeSpeeds = (table, timeCostPerHour, earliestHours, latestHours) => {
+  const unconstrained = chooseSpeeds(table, timeCostPerHour);
+  const hours = sumHours(unconstrained);
+
+  if (hours > latestHours) {
+    const fastest = table.map(options => options[options.length - 1]);
+    if (sumHours(fastest) > latestHours) return { plan: fastest, feasible: false };
+    let high = timeCostPerHour * 2 + 1;
+    while (sumHours(chooseSpeeds(table, high)) > latestHours) high *= 2;
+    return { plan: fitHours(table, timeCostPerHour, high, latestHours), feasible: true };
+  }
+
+  if (hours < earliestHours) {
+    // Hours before the window opens cost nothing extra, so burn as little fuel as the time allows
+    const slowest = chooseSpeeds(table, 0);
+    if (sumHours(slowest) <= earliestHours) return { plan: slowest, feasible: true };
+    return { plan: fitHours(table, 0, timeCostPerHour, earliestHours), feasible: true };
+  }
+
+  return { plan: unconstrained, feasible: true };
+};
+
+/**
+ * The cheapest single ordered speed for the whole passage that arrives before the window closes
+ * @param {Array} table - Result of tabulateLegs
+ * @param {number} timeCostPerHour - Time-dependent cost in USD per hour
+ * @param {number} earliestHours - Sailing hours until the window opens
+ * @param {number} latestHours - Sailing hours until the window closes
+ * @returns {Object} { plan, feasible }
+ */
+const findConstantSpeed = (table, timeCostPerHour, earliestHours, latestHours) => {
+  const speedCount = table[0]?.length ?? 0;
+  let best = null;
+  for (let index = 0; index < speedCount; index++) {
+    const plan = table.map(options => options[index]);
+    const hours = sumHours(plan);
+    if (hours > latestHours) continue;
+    const cost = plan.reduce((total, entry) => total + entry.fuelCost, 0) + timeCostPerHour * Math.max(hours, earliestHours);
+    if (!best || cost < best.cost) best = { plan, cost };
+  }
+  return best
+    ? { plan: best.plan, feasible: true }
+    : { plan: table.map(options => options[speedCount - 1]), feasible: false };
+};
+
+/**
+ * Fetch the weather at every leg start for the ship's ETA there under a speed plan
+ * @param {Object} route - Route object
+ * @param {Array} legs - Legs without weather
+ * @param {Array} legHours - Passage hours per leg
+ * @param {Object} context - { departure, stopHours, seed, provider, idPrefix }
+ * @returns {Promise<Array>} Legs with weatherData
+ */
+const fetchLegWeather = async (route, legs, legHours, context) => {
+  const { departure, stopHours, seed, provider, idPrefix } = context;
+  let elapsedHours = 0;
+  const times = legs.map((leg, i) => {
+    elapsedHours += stopHours[i] || 0;
+    const time = departure + elapsedHours * 3600000;
+    elapsedHours += legHours[i];
+    return time;
+  });
+  const weather = await Promise.all(legs.map((leg, i) =>
+    fetchWaypointWeather(leg.from, `${route.id}-${idPrefix}-${i}`, { seed, provider, time: times[i] })
+  ));
+  return legs.map((leg, i) => ({ ...leg, weatherData: weather[i] }));
+};
+
+/**
+ * Summarize a speed plan with ETAs and costs
+ * @param {Array} plan - Chosen table entry per leg
+ * @param {Object} context - { departure, stopHours, timeCostPerHour, earliestArrival }
+ * @returns {Object} { legs, hours (incl. stops), sailingHours, waitingHours (at anchor for the window), fuel (kg),
+ *   fuelCost, timeCost, total, arrival }
+ */
+const summarizePlan = (plan, { departure, stopHours, timeCostPerHour, earliestArrival }) => {
+  let elapsedHours = 0;
+  const legs = plan.map((entry, i) => {
+    elapsedHours += stopHours[i] || 0;
+    const eta = departure + elapsedHours * 3600000;
+    elapsedHours += entry.hours;
+    return { ...entry, legIndex: i, eta };
+  });
+  const arrival = departure + elapsedHours * 3600000;
+  const waitingHours = Math.max(0, (earliestArrival - arrival) / 3600000);
+  const fuel = plan.reduce((total, entry) => total + entry.fuel, 0);
+  const fuelCost = plan.reduce((total, entry) => total + entry.fuelCost, 0);
+  const timeCost = (elapsedHours + waitingHours) * timeCostPerHour;
+  return {
+    legs,
+    hours: elapsedHours,
+    sailingHours: sumHours(plan),
+    waitingHours,
+    fuel,
+    fuelCost,
+    timeCost,
+    total: fuelCost + timeCost,
+    arrival
+  };
+};
+
+/**
+ * Optimize the speed on every leg of a route for just-in-time arrival. Weather is taken at each leg's ETA
+ * under the best constant-speed plan, and both plans are costed on that same weather, so the savings come
+ * from varying the speed alone.
+ * @param {Object} route - Route object with coordinates
+ * @param {Object} params - Voyage parameters
+ * @param {Object} params.vessel - Vessel profile
+ * @param {Date|string|number} params.departureTime - Departure time (defaults to now)
+ * @param {Date|string|number} params.requiredArrival - Latest arrival time (end of the laycan or berth window)
+ * @param {number} params.windowHours - Length of the arrival window before the required arrival (0 for an exact time)
+ * @param {Object} params.prices - Price inputs (fuel, ECA fuel and operational cost per hour)
+ * @param {number} params.seed - Weather seed
+ * @param {Object} params.provider - Weather provider (defaults to the active one)
+ * @param {Object} options - Speed options (see DEFAULT_SPEED_OPTIONS)
+ * @returns {Promise<Object>} { routeId, feasible, earliestArrival, requiredArrival, stopHours, timeCostPerHour,
+ *   optimized, constant (plan summaries), constantSpeed, savings: { fuel (kg), cost (USD) } }
+ */
+export const optimizeArrivalSpeed = async (route, params, options = {}) => {
+  const settings = { ...DEFAULT_SPEED_OPTIONS, ...options };
+  const { vessel = DEFAULT_VESSEL_PROFILE, prices = DEFAULT_PRICE_INPUTS, windowHours = 0, seed, provider } = params;
+  const departure = new Date(params.departureTime ?? Date.now()).getTime();
+  const requiredArrival = new Date(params.requiredArrival).getTime();
+  if (!(requiredArrival > departure)) throw new Error('Required arrival must be after departure');
+  const earliestArrival = Math.max(departure, requiredArrival - windowHours * 3600000);
+
+  const stopHours = getStopHours(route, vessel, prices);
+  const totalStopHours = Object.values(stopHours).reduce((total, hours) => total + hours, 0);
+  const latestHours = (requiredArrival - departure) / 3600000 - totalStopHours;
+  const earliestHours = (earliestArrival - departure) / 3600000 - totalStopHours;
+  const timeCostPerHour = prices.operationalCostPerHour + settings.charterHirePerDay / 24;
+  const context = { departure, stopHours, timeCostPerHour, earliestArrival, seed, provider, idPrefix: 'jit-speed' };
+
+  // Legs inside emission control areas burn the ECA fuel for the share of their distance inside
+  const { legDistances } = detectEcaSegments(route.coordinates);
+  const ecaPremium = getEcaFuel(vessel).switched ? prices.ecaFuelPrice - prices.fuelPrice : 0;
+  const legs = route.coordinates.slice(0, -1).map((from, i) => {
+    const to = route.coordinates[i + 1];
+    const distance = calculateRouteDistance([from, to]);
+    return { from, to, distance, fuelPrice: prices.fuelPrice + (distance > 0 ? ecaPremium * legDistances[i] / distance : 0) };
+  });
+  const speeds = getCandidateSpeeds(vessel, settings);
+
+  // Start from the average speed the schedule needs, then refine the weather at the constant-speed ETAs
+  const totalDistance = legs.reduce((total, leg) => total + leg.distance, 0);
+  let legHours = legs.map(leg => leg.distance / totalDistance * Math.max(latestHours, 1));
+  let table = null;
+  let constant = null;
+  for (let pass = 0; pass < settings.weatherPasses; pass++) {
+    table = tabulateLegs(await fetchLegWeather(route, legs, legHours, context), speeds, vessel);
+    constant = findConstantSpeed(table, timeCostPerHour, earliestHours, latestHours);
+    legHours = constant.plan.map(entry => entry.hours);
+  }
+  const optimized = optimizeSpeeds(table, timeCostPerHour, earliestHours, latestHours);
+
+  const optimizedSummary = summarizePlan(optimized.plan, context);
+  const constantSummary = summarizePlan(constant.plan, context);
+
+  return {
+    routeId: route.id,
+    feasible: optimized.feasible,
+    earliestArrival,
+    requiredArrival,
+    stopHours: totalStopHours,
+    timeCostPerHour,
+    optimized: optimizedSummary,
+    constant: constantSummary,
+    constantSpeed: constant.plan[0]?.speed ?? 0,
+    savings: {
+      fuel: constantSummary.fuel - optimizedSummary.fuel,
+      cost: constantSummary.total - optimizedSummary.total
+    }
+  };
+};
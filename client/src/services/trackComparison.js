@@ -0,0 +1,136 @@
+// Track Comparison
+// Compares an actual (AIS) track with a planned route: deviation from the route, actual speed profile,
+// passage time and, per route leg, the actual speed next to the speed model's prediction for calibration
+import { greatCircleDistance, crossTrackDistance, alongTrackDistance, initialBearing, trackDistance, kmToNm } from '../utils/navigation';
+import { calculateWeatherAffectedSpeed } from '../utils/maritimeCalculations';
+import { fetchWaypointWeather } from './weatherService';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+
+/**
+ * Distance from a position to a route leg: cross-track distance when the position lies alongside
+ * the leg, otherwise the distance to the nearer end
+ * @param {Array} position - [lat, lng]
+ * @param {Array} from - Leg start [lat, lng]
+ * @param {Array} to - Leg end [lat, lng]
+ * @returns {number} Distance in km
+ */
+const distanceToLeg = (position, from, to) => {
+  const along = alongTrackDistance(position, from, to);
+  if (along <= 0) return greatCircleDistance(position, from);
+  if (along >= greatCircleDistance(from, to)) return greatCircleDistance(position, to);
+  return Math.abs(crossTrackDistance(position, from, to));
+};
+
+/**
+ * Find the route leg nearest to a position
+ * @param {Array} position - [lat, lng]
+ * @param {Array} coordinates - Route coordinates
+ * @returns {Object} { legIndex, deviation (km) }
+ */
+export const locateOnRoute = (position, coordinates) => {
+  let nearest = { legIndex: 0, deviation: Infinity };
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const deviation = distanceToLeg(position, coordinates[i], coordinates[i + 1]);
+    if (deviation < nearest.deviation) nearest = { legIndex: i, deviation };
+  }
+  return nearest;
+};
+
+/**
+ * Compare an actual track with a planned route
+ * @param {Array} reports - AIS position reports in time order ({ position, sog, time })
+ * @param {Object} route - Planned route
+ * @returns {Object} { points, maxDeviation, meanDeviation (nm), distance, plannedDistance (km), startTime, endTime,
+ *   passageHours, averageSog (knots), profile: [{ time, distance, sog }], legs: [{ legIndex, reportCount, actualSog, startTime, startPosition }] }
+ */
+export const compareTrackToRoute = (reports, route) => {
+  const points = reports.map(report => {
+    const { legIndex, deviation } = locateOnRoute(report.position, route.coordinates);
+    return { ...report, legIndex, deviation: kmToNm(deviation) };
+  });
+
+  // Speed profile: reported SOG, or the speed made good since the previous report when SOG is missing
+  let distance = 0;
+  const profile = points.map((point, index) => {
+    let derivedSog = null;
+    if (index > 0) {
+      const previous = points[index - 1];
+      const legDistance = greatCircleDistance(previous.position, point.position);
+      distance += legDistance;
+      const hours = point.time !== null && previous.time !== null ? (point.time - previous.time) / 3600000 : 0;
+      if (hours > 0) derivedSog = kmToNm(legDistance) / hours;
+    }
+    return { time: point.time, distance, sog: point.sog ?? derivedSog };
+  });
+
+  const timed = points.filter(point => point.time !== null);
+  const startTime = timed.length > 0 ? timed[0].time : null;
+  const endTime = timed.length > 0 ? timed[timed.length - 1].time : null;
+  const passageHours = timed.length > 1 ? (endTime - startTime) / 3600000 : null;
+
+  const mean = (values) => (values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null);
+  const speeds = profile.map(entry => entry.sog).filter(sog => sog !== null);
+
+  const legs = route.coordinates.slice(0, -1).map((_, legIndex) => {
+    const legIndexes = points.map((point, index) => index).filter(index => points[index].legIndex === legIndex);
+    const legPoints = legIndexes.map(index => points[index]);
+    const legSpeeds = legIndexes.map(index => profile[index].sog).filter(sog => sog !== null);
+    return {
+      legIndex,
+      reportCount: legPoints.length,
+      actualSog: mean(legSpeeds),
+      startTime: legPoints.find(point => point.time !== null)?.time ?? null,
+      startPosition: legPoints[0]?.position ?? null
+    };
+  });
+
+  return {
+    points,
+    // reduce rather than Math.max(...) - long AIS logs overflow the argument limit
+    maxDeviation: points.reduce((max, point) => Math.max(max, point.deviation), -Infinity),
+    meanDeviation: mean(points.map(point => point.deviation)),
+    distance,
+    plannedDistance: trackDistance(route.coordinates),
+    startTime,
+    endTime,
+    passageHours,
+    averageSog: passageHours ? kmToNm(distance) / passageHours : mean(speeds),
+    profile,
+    legs
+  };
+};
+
+/**
+ * Predict the speed on every leg the ship actually sailed, using the weather where and when it sailed
+ * it, so the model can be calibrated against the actual speeds
+ * @param {Object} comparison - Result of compareTrackToRoute
+ * @param {Object} route - Planned route
+ * @param {Object} params - { baseSpeed (knots), vessel, seed }
+ * @returns {Promise<Object>} { legs: [{ ...leg, modelSog, difference }], meanDifference (knots, actual minus model) }
+ */
+export const compareLegSpeedsWithModel = async (comparison, route, { baseSpeed, vessel = DEFAULT_VESSEL_PROFILE, seed }) => {
+  const legs = [];
+
+  for (const leg of comparison.legs) {
+    if (leg.actualSog === null) {
+      legs.push({ ...leg, modelSog: null, difference: null });
+      continue;
+    }
+    const from = route.coordinates[leg.legIndex];
+    const to = route.coordinates[leg.legIndex + 1];
+    const weatherData = await fetchWaypointWeather(leg.startPosition, `ais-leg-${leg.legIndex}`, {
+      seed,
+      time: leg.startTime ?? Date.now()
+    });
+    const weatherSpeed = calculateWeatherAffectedSpeed(baseSpeed, weatherData, initialBearing(from, to), vessel);
+    legs.push({ ...leg, modelSog: weatherSpeed.sog, difference: leg.actualSog - weatherSpeed.sog });
+  }
+
+  const differences = legs.map(leg => leg.difference).filter(difference => difference !== null);
+  return {
+    legs,
+    meanDifference: differences.length > 0
+      ? differences.reduce((total, difference) => total + difference, 0) / differences.length
+      : null
+  };
+};
@@ -0,0 +1,128 @@
+// Fallback Weather Provider
+// Generates plausible conditions locally when no live source is available.
+// Values are seeded by coordinates, time bucket and a user-visible seed, so reruns are identical.
+// Each bucket boundary acts as a forecast step and conditions are interpolated between them.
+
+import { createWeatherRecord, interpolateForecast } from './weatherRecord';
+import { createSeededRandom } from '../../utils/seededRandom';
+import { calculateFetch, calculateWindSea, calculateSwell, MAX_FETCH } from '../../utils/waveGrowth';
+
+// Generated conditions are anchored at time bucket boundaries
+export const WEATHER_TIME_BUCKET_HOURS = 3;
+
+/**
+ * Get the start of the time bucket containing a given time
+ * @param {Date|string|number} time - Valid time
+ * @returns {Date} Bucket start
+ */
+export const getTimeBucketStart = (time) => {
+  const bucketMs = WEATHER_TIME_BUCKET_HOURS * 60 * 60 * 1000;
+  return new Date(Math.floor(new Date(time).getTime() / bucketMs) * bucketMs);
+};
+
+/**
+ * Create the random generator for a location and time
+ * @param {Array} coordinates - [latitude, longitude]
+ * @param {Date|string|number} time - Valid time
+ * @param {number} seed - User-visible weather seed
+ * @returns {Function} Seeded generator returning numbers in [0, 1)
+ */
+export const createWeatherRandom = (coordinates, time, seed) => {
+  const [lat, lon] = coordinates;
+  return createSeededRandom(seed, lat.toFixed(3), lon.toFixed(3), getTimeBucketStart(time).getTime());
+};
+
+/**
+ * Generate realistic oceanographic data based on weather conditions
+ * The wind sea grows with wind speed over the open-water fetch upwind of the position and the time the wind
+ * has been blowing; swell comes from a distant storm and is sheltered by land in between. Currents are left out
+ * so the weather record takes them from the monthly climatology.
+ * @param {Object} weatherData - Weather data with wind, main and weather fields
+ * @param {Function} random - Random generator returning numbers in [0, 1)
+ * @param {Array} coordinates - [latitude, longitude], used for fetch and exposure (open ocean if omitted)
+ * @returns {Object} Simulated ocean data
+ */
+export const generateOceanData = (weatherData, random = Math.random, coordinates = null) => {
+  const windSpeed = weatherData.wind?.speed || 0;
+  const windDirection = weatherData.wind?.deg || 0;
+  
+  // Wind sea from the local wind, fetch and duration
+  const fetch = coordinates ? calculateFetch(coordinates, windDirection) : MAX_FETCH;
+  const duration = 6 + random() * 42; // hours the wind has been blowing
+  const windSea = calculateWindSea(windSpeed, fetch, duration);
+  
+  // Swell from a storm somewhere upwind of the local wind
+  const storm = {
+    windSpeed: 10 + random() * 10,
+    fetch: 300 + random() * 400,
+    duration: 24 + random() * 24,
+    distance: 500 + random() * 2500,
+    direction: (windDirection + random() * 90 - 45 + 360) % 360
+  };
+  const swell = calculateSwell(coordinates, storm);
+  
+  // Water temperature based on weather temperature
+  const waterTemp = (weatherData.main?.temp || 20) + (random() * 2 - 1);
+  
+  // Visibility based on weather conditions
+  let visibility = 10; // Default 10km
+  if (weatherData.weather?.[0]?.main === 'Rain') visibility = 5 + random() * 3;
+  if (weatherData.weather?.[0]?.main === 'Fog') visibility = 1 + random() * 2;
+  
+  return {
+    waveHeight: Math.max(0.1, windSea.significantHeight),
+    wavePeriod: windSea.peakPeriod,
+    waveDirection: Math.floor(windDirection),
+    swellDirection: Math.floor(swell.direction),
+    swellHeight: swell.significantHeight,
+    swellPeriod: swell.peakPeriod,
+    waterTemp: waterTemp,
+    visibility: visibility
+  };
+};
+
+/**
+ * Generate the conditions for one time bucket
+ * @param {Array} coordinates - [latitude, longitude]
+ * @param {string} waypointId - Unique identifier for the waypoint
+ * @param {number} seed - Weather seed
+ * @param {Date} bucketStart - Start of the time bucket
+ * @returns {Object} Normalized weather record
+ */
+const generateBucketRecord = (coordinates, waypointId, seed, bucketStart) => {
+  const random = createWeatherRandom(coordinates, bucketStart, seed);
+  const wind = { speed: 5 + random() * 10, deg: Math.floor(random() * 360) }; // 5-15 m/s
+  const main = { temp: 15 + random() * 20 }; // 15-35°C
+
+  return createWeatherRecord({
+    coordinates,
+    waypointId,
+    source: 'fallback',
+    wind,
+    main,
+    ocean: generateOceanData({ wind, main }, random, coordinates),
+    timestamp: bucketStart.toISOString(),
+    seed
+  });
+};
+
+/**
+ * Create the fallback weather provider
+ * @returns {Object} Weather provider
+ */
+export const createFallbackProvider = () => ({
+  id: 'fallback',
+  name: 'Simulated (fallback generator)',
+
+  fetchWeather: async (coordinates, waypointId, { seed = 1, time = Date.now() } = {}) => {
+    const bucketStart = getTimeBucketStart(time);
+    const nextBucketStart = new Date(bucketStart.getTime() + WEATHER_TIME_BUCKET_HOURS * 60 * 60 * 1000);
+
+    const record = interpolateForecast([
+      generateBucketRecord(coordinates, waypointId, seed, bucketStart),
+      generateBucketRecord(coordinates, waypointId, seed, nextBucketStart)
+    ], time);
+
+    return { ...record, timestamp: new Date(time).toISOString() };
+  }
+});
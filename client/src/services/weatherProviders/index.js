@@ -0,0 +1,63 @@
+// Weather Provider Registry
+// Providers implement { id, name, isAvailable(), fetchWeather(coordinates, waypointId, { seed, time }) }
+// and resolve to a normalized record (see weatherRecord.js)
+
+import { createOpenWeatherMapProvider } from './openWeatherMapProvider';
+import { createOpenMeteoMarineProvider } from './openMeteoMarineProvider';
+import { createStaticFileProvider } from './staticFileProvider';
+import { createFallbackProvider } from './fallbackProvider';
+
+export { createWeatherRecord } from './weatherRecord';
+export { createOpenWeatherMapProvider, createOpenMeteoMarineProvider, createStaticFileProvider, createFallbackProvider };
+
+const env = import.meta.env || {};
+
+export const fallbackProvider = createFallbackProvider();
+
+const providers = {
+  openweathermap: createOpenWeatherMapProvider({
+    apiKey: env.VITE_weather_api,
+    baseUrl: env.VITE_openweather_base_url
+  }),
+  'open-meteo': createOpenMeteoMarineProvider({
+    marineBaseUrl: env.VITE_open_meteo_marine_url,
+    forecastBaseUrl: env.VITE_open_meteo_forecast_url
+  }),
+  static: createStaticFileProvider({ url: env.VITE_weather_static_url }),
+  fallback: fallbackProvider
+};
+
+let activeProviderId = env.VITE_weather_provider ||
+  (providers.openweathermap.isAvailable() ? 'openweathermap' : 'fallback');
+
+/**
+ * Register (or replace) a weather provider
+ * @param {Object} provider - Provider implementing the provider interface
+ */
+export const registerWeatherProvider = (provider) => {
+  providers[provider.id] = provider;
+};
+
+/**
+ * List registered weather providers
+ * @returns {Array} Providers
+ */
+export const getWeatherProviders = () => Object.values(providers);
+
+/**
+ * Get the provider currently used for weather requests
+ * @returns {Object} Active provider
+ */
+export const getActiveWeatherProvider = () => providers[activeProviderId] || fallbackProvider;
+
+/**
+ * Select the provider used for weather requests
+ * @param {string} providerId - Provider id
+ */
+export const setActiveWeatherProvider = (providerId) => {
+  if (!providers[providerId]) {
+    console.warn(`Unknown weather provider: ${providerId}`);
+    return;
+  }
+  activeProviderId = providerId;
+};
@@ -0,0 +1,110 @@
+// Open-Meteo Marine Weather Provider
+// Real wave, swell and current data from the marine API, wind from the forecast API,
+// interpolated between hourly forecast steps
+
+import { createWeatherRecord, interpolateForecast } from './weatherRecord';
+import { KM_PER_NM } from '../../utils/navigation';
+
+const KMH_TO_KNOTS = 1 / KM_PER_NM;
+
+// WMO weather interpretation codes mapped to OpenWeatherMap-style conditions
+const WMO_CONDITIONS = [
+  { codes: [0], condition: { id: 800, main: 'Clear', description: 'clear sky' } },
+  { codes: [1, 2], condition: { id: 802, main: 'Clouds', description: 'partly cloudy' } },
+  { codes: [3], condition: { id: 804, main: 'Clouds', description: 'overcast' } },
+  { codes: [45, 48], condition: { id: 741, main: 'Fog', description: 'fog' } },
+  { codes: [51, 53, 55, 56, 57], condition: { id: 300, main: 'Drizzle', description: 'drizzle' } },
+  { codes: [61, 63, 65, 66, 67, 80, 81, 82], condition: { id: 500, main: 'Rain', description: 'rain' } },
+  { codes: [71, 73, 75, 77, 85, 86], condition: { id: 600, main: 'Snow', description: 'snow' } },
+  { codes: [95, 96, 99], condition: { id: 211, main: 'Thunderstorm', description: 'thunderstorm' } }
+];
+
+const toCondition = (weatherCode) =>
+  WMO_CONDITIONS.find(entry => entry.codes.includes(weatherCode))?.condition;
+
+// Format a time as an Open-Meteo hour parameter (GMT, "YYYY-MM-DDTHH:00")
+const toHourParam = (ms) => new Date(ms).toISOString().slice(0, 13) + ':00';
+
+/**
+ * Create the Open-Meteo marine provider
+ * @param {Object} options
+ * @param {string} options.marineBaseUrl - Marine API base URL (override to point at a mock server)
+ * @param {string} options.forecastBaseUrl - Forecast API base URL (override to point at a mock server)
+ * @returns {Object} Weather provider
+ */
+export const createOpenMeteoMarineProvider = ({
+  marineBaseUrl = 'https://marine-api.open-meteo.com/v1',
+  forecastBaseUrl = 'https://api.open-meteo.com/v1'
+} = {}) => ({
+  id: 'open-meteo',
+  name: 'Open-Meteo Marine',
+  isAvailable: () => true,
+
+  fetchWeather: async (coordinates, waypointId, { time = Date.now() } = {}) => {
+    const [lat, lon] = coordinates;
+
+    // Request the two hourly steps bracketing the valid time
+    const validTime = new Date(time).getTime();
+    const hourMs = 60 * 60 * 1000;
+    const startHour = Math.floor(validTime / hourMs) * hourMs;
+    const range = `start_hour=${toHourParam(startHour)}&end_hour=${toHourParam(startHour + hourMs)}&timezone=GMT`;
+
+    const marineParams = [
+      'wave_height', 'wave_direction', 'wave_period',
+      'swell_wave_height', 'swell_wave_direction', 'swell_wave_period',
+      'ocean_current_velocity', 'ocean_current_direction'
+    ].join(',');
+    const forecastParams = [
+      'temperature_2m', 'relative_humidity_2m', 'pressure_msl',
+      'wind_speed_10m', 'wind_direction_10m', 'weather_code', 'visibility'
+    ].join(',');
+
+    const [marineResponse, forecastResponse] = await Promise.all([
+      fetch(`${marineBaseUrl}/marine?latitude=${lat}&longitude=${lon}&hourly=${marineParams}&cell_selection=sea&${range}`),
+      fetch(`${forecastBaseUrl}/forecast?latitude=${lat}&longitude=${lon}&hourly=${forecastParams}&wind_speed_unit=ms&${range}`)
+    ]);
+
+    if (!marineResponse.ok) {
+      throw new Error(`Open-Meteo marine API error: ${marineResponse.status}`);
+    }
+    if (!forecastResponse.ok) {
+      throw new Error(`Open-Meteo forecast API error: ${forecastResponse.status}`);
+    }
+
+    const marine = (await marineResponse.json()).hourly || {};
+    const forecast = (await forecastResponse.json()).hourly || {};
+    if (!marine.time || marine.time.length === 0) {
+      throw new Error('Open-Meteo returned no forecast steps');
+    }
+
+    const steps = marine.time.map((stepTime, i) => {
+      const condition = toCondition(forecast.weather_code?.[i]);
+      return createWeatherRecord({
+        coordinates,
+        waypointId,
+        source: 'open-meteo',
+        wind: { speed: forecast.wind_speed_10m?.[i], deg: forecast.wind_direction_10m?.[i] },
+        main: {
+          temp: forecast.temperature_2m?.[i],
+          humidity: forecast.relative_humidity_2m?.[i],
+          pressure: forecast.pressure_msl?.[i]
+        },
+        conditions: condition ? [condition] : undefined,
+        ocean: {
+          waveHeight: marine.wave_height?.[i],
+          waveDirection: marine.wave_direction?.[i],
+          wavePeriod: marine.wave_period?.[i],
+          swellHeight: marine.swell_wave_height?.[i],
+          swellDirection: marine.swell_wave_direction?.[i],
+          swellPeriod: marine.swell_wave_period?.[i],
+          currentSpeed: Number.isFinite(marine.ocean_current_velocity?.[i]) ? marine.ocean_current_velocity[i] * KMH_TO_KNOTS : undefined,
+          currentDirection: marine.ocean_current_direction?.[i],
+          visibility: forecast.visibility?.[i] !== undefined ? forecast.visibility[i] / 1000 : undefined // m to km
+        },
+        timestamp: new Date(`${stepTime}Z`).toISOString()
+      });
+    });
+
+    return { ...interpolateForecast(steps, validTime), timestamp: new Date(validTime).toISOString() };
+  }
+});
@@ -0,0 +1,67 @@
+// OpenWeatherMap Weather Provider
+// Atmospheric data from the /weather (current) and /forecast (3-hourly) endpoints;
+// ocean values are derived locally
+
+import { createWeatherRecord, interpolateForecast } from './weatherRecord';
+import { generateOceanData, createWeatherRandom } from './fallbackProvider';
+
+// Requests up to this far ahead of now (or in the past) use current conditions instead of the forecast
+const CURRENT_CONDITIONS_WINDOW_MS = 90 * 60 * 1000;
+
+/**
+ * Create the OpenWeatherMap provider
+ * @param {Object} options
+ * @param {string} options.apiKey - OpenWeatherMap API key
+ * @param {string} options.baseUrl - API base URL (override to point at a mock server)
+ * @returns {Object} Weather provider
+ */
+export const createOpenWeatherMapProvider = ({ apiKey, baseUrl = 'https://api.openweathermap.org/data/2.5' } = {}) => {
+  const toRecord = (data, coordinates, waypointId, seed) => {
+    const validTime = data.dt ? data.dt * 1000 : Date.now();
+    return createWeatherRecord({
+      coordinates,
+      waypointId,
+      source: 'openweathermap',
+      wind: data.wind,
+      main: data.main,
+      conditions: data.weather,
+      // OpenWeatherMap doesn't provide marine data, so simulate it (seeded) from the wind field
+      ocean: generateOceanData(data, createWeatherRandom(coordinates, validTime, seed), coordinates),
+      timestamp: new Date(validTime).toISOString(),
+      seed
+    });
+  };
+
+  const request = async (endpoint, coordinates) => {
+    const [lat, lon] = coordinates;
+    const response = await fetch(`${baseUrl}/${endpoint}?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`);
+    if (!response.ok) {
+      throw new Error(`OpenWeatherMap API error: ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    id: 'openweathermap',
+    name: 'OpenWeatherMap',
+    isAvailable: () => !!apiKey,
+
+    fetchWeather: async (coordinates, waypointId, { seed = 1, time = Date.now() } = {}) => {
+      const validTime = new Date(time).getTime();
+
+      if (validTime <= Date.now() + CURRENT_CONDITIONS_WINDOW_MS) {
+        const data = await request('weather', coordinates);
+        return toRecord(data, coordinates, waypointId, seed);
+      }
+
+      // Future valid time: interpolate between the bracketing 3-hourly forecast steps
+      const forecast = await request('forecast', coordinates);
+      const steps = (forecast.list || []).map(item => toRecord(item, coordinates, waypointId, seed));
+      if (steps.length === 0) {
+        throw new Error('OpenWeatherMap forecast returned no steps');
+      }
+
+      return { ...interpolateForecast(steps, validTime), timestamp: new Date(validTime).toISOString() };
+    }
+  };
+};
@@ -0,0 +1,69 @@
+// Static File Weather Provider
+// Serves conditions from a JSON file of recorded observations: the nearest location wins,
+// and records at that location with timestamps are interpolated to the valid time
+
+import { createWeatherRecord, interpolateForecast } from './weatherRecord';
+import { greatCircleDistance } from '../../utils/navigation';
+
+/**
+ * Create the static file provider
+ * File format: { "records": [{ "coordinates": [lat, lon], "timestamp"?: ISO, "wind": {...}, "main": {...}, "ocean": {...} }] }
+ * @param {Object} options
+ * @param {string} options.url - URL of the JSON file
+ * @returns {Object} Weather provider
+ */
+export const createStaticFileProvider = ({ url = '/weather-static.json' } = {}) => {
+  let recordsPromise = null;
+
+  const loadRecords = () => {
+    if (!recordsPromise) {
+      recordsPromise = fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Static weather file error: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => data.records || [])
+        .catch(error => {
+          // Allow a retry on the next request
+          recordsPromise = null;
+          throw error;
+        });
+    }
+    return recordsPromise;
+  };
+
+  return {
+    id: 'static',
+    name: 'Static File',
+    isAvailable: () => true,
+
+    fetchWeather: async (coordinates, waypointId, { time = Date.now() } = {}) => {
+      const records = await loadRecords();
+      if (records.length === 0) {
+        throw new Error('Static weather file contains no records');
+      }
+
+      const [lat, lon] = coordinates;
+      const nearest = records.reduce((best, record) => {
+        const distance = greatCircleDistance(record.coordinates, [lat, lon]);
+        return distance < best.distance ? { record, distance } : best;
+      }, { record: null, distance: Infinity }).record;
+
+      // All records at the nearest location, as time steps
+      const steps = records
+        .filter(record => record.coordinates[0] === nearest.coordinates[0] && record.coordinates[1] === nearest.coordinates[1])
+        .map(record => createWeatherRecord({
+          ...record,
+          coordinates,
+          waypointId,
+          source: 'static',
+          timestamp: record.timestamp || new Date(time).toISOString()
+        }))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      return { ...interpolateForecast(steps, time), timestamp: new Date(time).toISOString() };
+    }
+  };
+};
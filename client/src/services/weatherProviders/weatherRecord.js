@@ -0,0 +1,133 @@
+// Normalized Weather Record
+// Every weather provider returns this shape so calculations and UI never depend on a specific API
+
+import { getClimatologyCurrent } from '../../utils/oceanCurrents';
+
+/**
+ * Build a normalized weather + ocean record
+ * @param {Object} data - Raw provider values
+ * @param {Array} data.coordinates - [latitude, longitude]
+ * @param {string} data.waypointId - Unique identifier for the waypoint
+ * @param {string} data.source - Provider id that produced the record
+ * @param {Object} data.wind - { speed (m/s), deg }
+ * @param {Object} data.main - { temp (°C), humidity (%), pressure (hPa) }
+ * @param {Array} data.conditions - [{ id, main, description }] (OpenWeatherMap condition codes)
+ * @param {Object} data.ocean - Wave, swell, current, water temperature and visibility values; a missing current
+ *   is taken from the monthly climatology at the coordinates and timestamp
+ * @param {string} data.timestamp - ISO timestamp the conditions are valid for
+ * @param {number} data.seed - Weather seed used for generated values (if any)
+ * @returns {Object} Normalized weather record
+ */
+export const createWeatherRecord = ({ coordinates, waypointId, source, wind = {}, main = {}, conditions, ocean = {}, timestamp, seed }) => {
+  const toNumber = (value, fallback = 0) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  };
+  const hasLiveCurrent = Number.isFinite(parseFloat(ocean.currentSpeed));
+  const current = hasLiveCurrent || !coordinates
+    ? { speed: toNumber(ocean.currentSpeed), direction: toNumber(ocean.currentDirection) }
+    : getClimatologyCurrent(coordinates, timestamp || Date.now());
+
+  return {
+    weather: {
+      wind: { speed: toNumber(wind.speed), deg: toNumber(wind.deg) },
+      main: {
+        temp: toNumber(main.temp, 20),
+        humidity: main.humidity,
+        pressure: main.pressure
+      },
+      weather: conditions && conditions.length > 0
+        ? conditions
+        : [{ id: 800, main: 'Clear', description: 'clear sky' }]
+    },
+    ocean: {
+      waveHeight: toNumber(ocean.waveHeight),
+      wavePeriod: ocean.wavePeriod,
+      waveDirection: ocean.waveDirection,
+      swellHeight: toNumber(ocean.swellHeight),
+      swellDirection: toNumber(ocean.swellDirection),
+      swellPeriod: ocean.swellPeriod,
+      currentSpeed: current.speed,
+      currentDirection: current.direction,
+      currentSource: hasLiveCurrent ? 'live' : 'climatology',
+      waterTemp: toNumber(ocean.waterTemp, toNumber(main.temp, 20)),
+      visibility: toNumber(ocean.visibility, 10)
+    },
+    source: source,
+    seed: seed,
+    timestamp: timestamp || new Date().toISOString(),
+    waypointId: waypointId,
+    coordinates: coordinates
+  };
+};
+
+const lerp = (a, b, fraction) => a + (b - a) * fraction;
+
+// Interpolate directions along the shortest arc (e.g. 350° → 10° passes through 0°)
+const lerpAngle = (a, b, fraction) => {
+  const delta = ((b - a + 540) % 360) - 180;
+  return (a + delta * fraction + 360) % 360;
+};
+
+/**
+ * Interpolate between two normalized weather records
+ * Directions are interpolated along the shortest arc; non-numeric values take the nearer step
+ * @param {Object} before - Record at the earlier forecast step
+ * @param {Object} after - Record at the later forecast step
+ * @param {number} fraction - Position between the steps (0 = before, 1 = after)
+ * @returns {Object} Interpolated record
+ */
+export const interpolateWeatherRecords = (before, after, fraction) => {
+  if (!after || fraction <= 0) return before;
+  if (fraction >= 1) return after;
+
+  const mix = (a, b, isAngle = false) => {
+    if (typeof a !== 'number' || typeof b !== 'number') return fraction < 0.5 ? a : b;
+    return isAngle ? lerpAngle(a, b, fraction) : lerp(a, b, fraction);
+  };
+
+  const ocean = {};
+  Object.keys(before.ocean).forEach(key => {
+    ocean[key] = mix(before.ocean[key], after.ocean[key], key.endsWith('Direction'));
+  });
+
+  return {
+    ...before,
+    weather: {
+      wind: {
+        speed: mix(before.weather.wind.speed, after.weather.wind.speed),
+        deg: mix(before.weather.wind.deg, after.weather.wind.deg, true)
+      },
+      main: {
+        temp: mix(before.weather.main.temp, after.weather.main.temp),
+        humidity: mix(before.weather.main.humidity, after.weather.main.humidity),
+        pressure: mix(before.weather.main.pressure, after.weather.main.pressure)
+      },
+      weather: fraction < 0.5 ? before.weather.weather : after.weather.weather
+    },
+    ocean
+  };
+};
+
+/**
+ * Get conditions at a valid time from a series of forecast steps
+ * Times before the first or after the last step use the nearest step
+ * @param {Array} steps - Normalized records sorted by timestamp
+ * @param {Date|string|number} time - Valid time
+ * @returns {Object} Record valid at the requested time
+ */
+export const interpolateForecast = (steps, time) => {
+  const target = new Date(time).getTime();
+  const stepTime = (step) => new Date(step.timestamp).getTime();
+
+  if (target <= stepTime(steps[0])) return steps[0];
+
+  for (let i = 1; i < steps.length; i++) {
+    if (target <= stepTime(steps[i])) {
+      const fraction = (target - stepTime(steps[i - 1])) / (stepTime(steps[i]) - stepTime(steps[i - 1]));
+      return interpolateWeatherRecords(steps[i - 1], steps[i], fraction);
+    }
+  }
+
+  return steps[steps.length - 1];
+};
@@ -0,0 +1,235 @@
+// Weather Routing
+// Graph search over a lattice of lanes either side of the planned track, proposing a minimum-time or minimum-fuel route
+import { fetchWaypointWeather } from './weatherService';
+import { calculateWeatherAffectedSpeed } from '../utils/maritimeCalculations';
+import { initialBearing, finalBearing, destinationPoint, intermediatePoint, KM_PER_NM } from '../utils/navigation';
+import { calculateRouteDistance } from '../data/routes';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+import { checkPosition, validateRoute, DEFAULT_VALIDATION_OPTIONS } from '../utils/routeValidation';
+import { calculateFuelConsumption } from '../utils/voyageEconomics';
+
+export const ROUTING_OBJECTIVES = {
+  time: 'Minimum Time',
+  fuel: 'Minimum Fuel'
+};
+
+export const DEFAULT_ROUTING_OPTIONS = {
+  objective: 'time',
+  stageLength: 300,   // km between lattice stages along the planned track
+  laneSpacing: 40,    // km between neighbouring lanes
+  laneCount: 3,       // lanes on each side of the planned track
+  maxLaneChange: 1,   // lanes the ship may shift between consecutive stages
+  coastBuffer: DEFAULT_VALIDATION_OPTIONS.coastBuffer // km - off-track nodes and legs closer to the coast are dropped
+};
+
+/**
+ * Resample a track into stages roughly stageLength km apart. Every waypoint of the track is kept as a fixed
+ * stage, so the lattice closes back onto the planned track at canals, straits and turning points.
+ * @param {Array} coordinates - Array of [lat, lng] coordinates
+ * @param {number} stageLength - Distance between stages in km
+ * @returns {Array} Stages with { position, course, fixed } where course is the local track direction
+ */
+const resampleTrack = (coordinates, stageLength) => {
+  const stages = [];
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const from = coordinates[i];
+    const to = coordinates[i + 1];
+    stages.push({ position: from, course: initialBearing(from, to), fixed: true });
+
+    // Stages are spread evenly over the segment so none is left as a stub next to a waypoint
+    const stageCount = Math.round(calculateRouteDistance([from, to]) / stageLength);
+    for (let k = 1; k < stageCount; k++) {
+      // Stages follow the great circle, so the course is the local heading at each stage
+      const position = intermediatePoint(from, to, k / stageCount);
+      stages.push({ position, course: initialBearing(position, to), fixed: false });
+    }
+  }
+
+  const last = coordinates[coordinates.length - 1];
+  stages.push({ position: last, course: finalBearing(coordinates[coordinates.length - 2], last), fixed: true });
+  return stages;
+};
+
+/**
+ * Build the routing lattice: each stage holds nodes offset perpendicular to the planned track.
+ * The lattice narrows towards every fixed stage so tracks pass through the route's waypoints, and
+ * off-track nodes on land or inside the coast buffer are left out.
+ * @param {Array} stages - Result of resampleTrack
+ * @param {Object} options - Routing options (see DEFAULT_ROUTING_OPTIONS)
+ * @returns {Array} Array of stages, each an array of { lane, position }
+ */
+const buildLattice = (stages, options) => {
+  // Stages since the previous fixed stage and until the next one limit how far the lanes can spread
+  const sincePrevious = [];
+  stages.forEach((stage, index) => {
+    sincePrevious.push(stage.fixed ? 0 : sincePrevious[index - 1] + 1);
+  });
+  const untilNext = [];
+  for (let index = stages.length - 1; index >= 0; index--) {
+    untilNext[index] = stages[index].fixed ? 0 : untilNext[index + 1] + 1;
+  }
+
+  return stages.map((stage, index) => {
+    const maxLane = Math.min(options.laneCount, sincePrevious[index] * options.maxLaneChange, untilNext[index] * options.maxLaneChange);
+    const nodes = [{ lane: 0, position: stage.position }];
+    for (let lane = -maxLane; lane <= maxLane; lane++) {
+      if (lane === 0) continue;
+      const position = destinationPoint(stage.position, stage.course + 90, lane * options.laneSpacing);
+      const { onLand, coastDistance } = checkPosition(position, options.coastBuffer);
+      if (!onLand && coastDistance >= options.coastBuffer) nodes.push({ lane, position });
+    }
+    return nodes;
+  });
+};
+
+/**
+ * Calculate passage time and fuel for one leg using the weather at its start
+ * @param {Array} from - Leg start [lat, lng]
+ * @param {Array} to - Leg end [lat, lng]
+ * @param {Object} weatherData - Weather record at the leg start
+ * @param {number} baseSpeed - Ordered speed in knots
+ * @param {Object} vessel - Vessel profile
+ * @returns {Object} { distance (km), hours, fuel (kg), sog (knots) }
+ */
+export const calculateLegPerformance = (from, to, weatherData, baseSpeed, vessel = DEFAULT_VESSEL_PROFILE) => {
+  const distance = calculateRouteDistance([from, to]);
+  const weatherSpeed = calculateWeatherAffectedSpeed(baseSpeed, weatherData, initialBearing(from, to), vessel);
+  const sog = Math.max(weatherSpeed.sog, 1);
+  const hours = distance / (sog * KM_PER_NM);
+  const fuel = calculateFuelConsumption(weatherSpeed, hours, vessel).total;
+  return { distance, hours, fuel, sog };
+};
+
+/**
+ * Evaluate a track leg by leg, requesting weather at each position for the ship's ETA
+ * @param {Array} track - Array of [lat, lng] positions
+ * @param {Object} params - { baseSpeed, vessel, departureTime, seed, provider, idPrefix, stopHours (keyed by
+ *   position index, see getStopHours) }
+ * @returns {Promise<Object>} { distance (km), hours (including stops), fuel (kg), etas, departures, legs (per-leg performance) }
+ */
+export const evaluateTrack = async (track, params) => {
+  const { baseSpeed, vessel = DEFAULT_VESSEL_PROFILE, seed, provider, idPrefix = 'track', stopHours = {} } = params;
+  const departure = new Date(params.departureTime ?? Date.now()).getTime();
+  let elapsedHours = 0;
+  let distance = 0;
+  let fuel = 0;
+  const etas = [departure];
+  const departures = [];
+  const legs = [];
+
+  for (let i = 0; i < track.length - 1; i++) {
+    elapsedHours += stopHours[i] || 0;
+    const time = departure + elapsedHours * 3600000;
+    departures.push(time);
+    const weatherData = await fetchWaypointWeather(track[i], `${idPrefix}-${i}`, { seed, provider, time });
+    const leg = calculateLegPerformance(track[i], track[i + 1], weatherData, baseSpeed, vessel);
+    elapsedHours += leg.hours;
+    distance += leg.distance;
+    fuel += leg.fuel;
+    legs.push(leg);
+    etas.push(departure + elapsedHours * 3600000);
+  }
+  departures.push(etas[etas.length - 1]);
+
+  return { distance, hours: elapsedHours, fuel, etas, departures, legs };
+};
+
+/**
+ * Optimize a route for weather between its first and last position.
+ * Works stage by stage (forward dynamic programming), fetching each node's weather
+ * for the earliest time the ship can reach it, so forecasts are time-dependent.
+ * @param {Object} route - Route object with coordinates
+ * @param {Object} params - Voyage parameters
+ * @param {number} params.baseSpeed - Ordered speed in knots
+ * @param {Object} params.vessel - Vessel profile
+ * @param {Date|string|number} params.departureTime - Departure time (defaults to now)
+ * @param {number} params.seed - Weather seed
+ * @param {Object} params.provider - Weather provider (defaults to the active one)
+ * @param {Object} options - Routing options (see DEFAULT_ROUTING_OPTIONS)
+ * @param {Function} onProgress - Optional callback receiving progress 0 to 100
+ * @returns {Promise<Object>} { objective, track, etas, validation (see validateRoute), planned, optimized, savings }
+ */
+export const optimizeRoute = async (route, params, options = {}, onProgress) => {
+  const settings = { ...DEFAULT_ROUTING_OPTIONS, ...options };
+  const { baseSpeed, vessel = DEFAULT_VESSEL_PROFILE, seed, provider } = params;
+  const departure = new Date(params.departureTime ?? Date.now()).getTime();
+
+  const stages = resampleTrack(route.coordinates, settings.stageLength);
+  const lattice = buildLattice(stages, settings);
+
+  // Legs along the planned track are always allowed, so the search can fall back on it;
+  // any other leg must stay clear of land and the coast buffer
+  const isNavigableLeg = (node, nextNode) => (node.lane === 0 && nextNode.lane === 0) ||
+    validateRoute({ coordinates: [node.position, nextNode.position], ports: route.ports }, { coastBuffer: settings.coastBuffer }).valid;
+
+  // Labels per node: best cost so far, elapsed time/fuel/distance and the predecessor lane
+  let labels = [{ cost: 0, hours: 0, fuel: 0, distance: 0, previous: null }];
+  const history = [labels];
+
+  for (let stageIndex = 0; stageIndex < lattice.length - 1; stageIndex++) {
+    const nodes = lattice[stageIndex];
+    const nextNodes = lattice[stageIndex + 1];
+
+    const weather = await Promise.all(nodes.map((node, i) => fetchWaypointWeather(
+      node.position,
+      `${route.id}-routing-${stageIndex}-${node.lane}`,
+      { seed, provider, time: departure + labels[i].hours * 3600000 }
+    )));
+
+    const nextLabels = nextNodes.map(() => ({ cost: Infinity }));
+    nodes.forEach((node, i) => {
+      if (labels[i].cost === Infinity) return;
+      nextNodes.forEach((nextNode, j) => {
+        if (Math.abs(nextNode.lane - node.lane) > settings.maxLaneChange) return;
+        if (!isNavigableLeg(node, nextNode)) return;
+        const leg = calculateLegPerformance(node.position, nextNode.position, weather[i], baseSpeed, vessel);
+        const cost = labels[i].cost + (settings.objective === 'fuel' ? leg.fuel : leg.hours);
+        if (cost < nextLabels[j].cost) {
+          nextLabels[j] = {
+            cost,
+            hours: labels[i].hours + leg.hours,
+            fuel: labels[i].fuel + leg.fuel,
+            distance: labels[i].distance + leg.distance,
+            previous: i
+          };
+        }
+      });
+    });
+
+    labels = nextLabels;
+    history.push(labels);
+    onProgress?.(Math.round((stageIndex + 1) / (lattice.length - 1) * 100));
+  }
+
+  // Walk back from the destination to recover the optimized track
+  const track = [];
+  const etas = [];
+  let nodeIndex = 0;
+  for (let stageIndex = lattice.length - 1; stageIndex >= 0; stageIndex--) {
+    const label = history[stageIndex][nodeIndex];
+    track.unshift(lattice[stageIndex][nodeIndex].position);
+    etas.unshift(departure + label.hours * 3600000);
+    nodeIndex = label.previous;
+  }
+  const best = history[history.length - 1][0];
+
+  // The planned track is evaluated on the route's own waypoints, the track the ship would otherwise sail
+  const planned = await evaluateTrack(route.coordinates, {
+    baseSpeed, vessel, seed, provider, departureTime: departure, idPrefix: `${route.id}-planned`
+  });
+
+  return {
+    objective: settings.objective,
+    routeId: route.id,
+    track,
+    etas,
+    validation: validateRoute({ ...route, coordinates: track }, { coastBuffer: settings.coastBuffer }),
+    planned: { distance: planned.distance, hours: planned.hours, fuel: planned.fuel },
+    optimized: { distance: best.distance, hours: best.hours, fuel: best.fuel },
+    savings: {
+      hours: planned.hours - best.hours,
+      fuel: planned.fuel - best.fuel
+    }
+  };
+};
@@ -1,139 +1,77 @@
-// Weather Service for OpenWeatherMap API
-const OPENWEATHER_API_KEY = import.meta.env.VITE_weather_api;
+// Weather Service
+// Fetches waypoint conditions through the active weather provider (see weatherProviders/)
+import { getActiveWeatherProvider, fallbackProvider } from './weatherProviders';
+import { generateSeed } from '../utils/seededRandom';
 
-// Debug logging
-console.log('Weather API Key:', OPENWEATHER_API_KEY ? 'Set' : 'Not set');
-console.log('Environment variables:', import.meta.env);
+export {
+  getWeatherProviders,
+  getActiveWeatherProvider,
+  setActiveWeatherProvider,
+  registerWeatherProvider
+} from './weatherProviders';
 
-const OPENWEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5';
+// Seed for generated weather values; the same seed reproduces the same conditions
+let weatherSeed = parseInt(import.meta.env.VITE_weather_seed) || generateSeed();
 
 /**
- * Fetch weather data for a specific waypoint
- * @param {Array} coordinates - [latitude, longitude]
- * @param {string} waypointId - Unique identifier for the waypoint
- * @returns {Promise<Object>} Weather and ocean data
+ * Get the current weather seed
+ * @returns {number} Weather seed
  */
-export const fetchWaypointWeather = async (coordinates, waypointId) => {
-  try {
-    const [lat, lon] = coordinates;
-    
-    // Check if API key is available
-    if (!OPENWEATHER_API_KEY) {
-      console.log('Using fallback weather data - no API key provided');
-      return generateFallbackWeatherData(coordinates, waypointId);
-    }
-    
-    // Fetch current weather data
-    const weatherResponse = await fetch(
-      `${OPENWEATHER_BASE_URL}/weather?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}&units=metric`
-    );
-    
-    if (!weatherResponse.ok) {
-      console.warn(`Weather API error: ${weatherResponse.status} - Using fallback data`);
-      // Return fallback data instead of throwing error
-      return generateFallbackWeatherData(coordinates, waypointId);
-    }
-    
-    const weatherData = await weatherResponse.json();
-    
-    // Simulate oceanographic data (since OpenWeatherMap doesn't provide detailed marine data)
-    const oceanData = generateOceanData(weatherData);
-    
-    return {
-      weather: weatherData,
-      ocean: oceanData,
-      timestamp: new Date().toISOString(),
-      waypointId: waypointId,
-      coordinates: coordinates
-    };
-  } catch (error) {
-    console.error('Error fetching waypoint weather:', error);
-    console.log('Using fallback weather data');
-    // Return fallback data instead of throwing error
-    return generateFallbackWeatherData(coordinates, waypointId);
-  }
-};
+export const getWeatherSeed = () => weatherSeed;
 
 /**
- * Generate realistic oceanographic data based on weather conditions
- * @param {Object} weatherData - Weather data from API
- * @returns {Object} Simulated ocean data
+ * Set the weather seed used for generated weather values
+ * @param {number} seed - Weather seed
  */
-const generateOceanData = (weatherData) => {
-  const windSpeed = weatherData.wind?.speed || 0;
-  const windDirection = weatherData.wind?.deg || 0;
-  
-  // Generate realistic wave heights based on wind speed
-  const waveHeight = Math.max(0.3, (windSpeed * 0.2) + (Math.random() * 0.5));
-  
-  // Generate swell data (related to wind but with some variation)
-  const swellHeight = Math.max(0.2, waveHeight * 0.6 + (Math.random() * 0.3));
-  const swellDirection = (windDirection + (Math.random() * 60 - 30)) % 360;
-  
-  // Generate current data (ocean currents are more stable)
-  const currentSpeed = 0.5 + (Math.random() * 1.5);
-  const currentDirection = Math.floor(Math.random() * 360);
-  
-  // Water temperature based on weather temperature
-  const waterTemp = (weatherData.main?.temp || 20) + (Math.random() * 2 - 1);
-  
-  // Visibility based on weather conditions
-  let visibility = 10; // Default 10km
-  if (weatherData.weather?.[0]?.main === 'Rain') visibility = 5 + Math.random() * 3;
-  if (weatherData.weather?.[0]?.main === 'Fog') visibility = 1 + Math.random() * 2;
-  
-  return {
-    waveHeight: waveHeight,
-    swellDirection: Math.floor(swellDirection),
-    swellHeight: swellHeight,
-    currentSpeed: currentSpeed,
-    currentDirection: Math.floor(currentDirection),
-    waterTemp: waterTemp,
-    visibility: visibility
-  };
+export const setWeatherSeed = (seed) => {
+  weatherSeed = seed;
 };
 
 /**
- * Generate fallback weather data when API fails
+ * Fetch weather data for a specific waypoint
  * @param {Array} coordinates - [latitude, longitude]
  * @param {string} waypointId - Unique identifier for the waypoint
- * @returns {Object} Fallback weather and ocean data
+ * @param {Object} options - Optional settings
+ * @param {Object} options.provider - Provider to use instead of the active one
+ * @param {number} options.seed - Weather seed (defaults to the current weather seed)
+ * @param {Date|string|number} options.time - Time the conditions are requested for (defaults to now)
+ * @returns {Promise<Object>} Normalized weather and ocean record
  */
-const generateFallbackWeatherData = (coordinates, waypointId) => {
-  // Generate realistic fallback weather data
-  const windSpeed = 5 + Math.random() * 10; // 5-15 m/s
-  const windDirection = Math.floor(Math.random() * 360);
-  const temperature = 15 + Math.random() * 20; // 15-35°C
-  
-  return {
-    weather: {
-      wind: { speed: windSpeed, deg: windDirection },
-      main: { temp: temperature },
-      weather: [{ main: 'Clear', description: 'clear sky' }]
-    },
-    ocean: generateOceanData({
-      wind: { speed: windSpeed, deg: windDirection },
-      main: { temp: temperature }
-    }),
-    timestamp: new Date().toISOString(),
-    waypointId: waypointId,
-    coordinates: coordinates
+export const fetchWaypointWeather = async (coordinates, waypointId, options = {}) => {
+  const provider = options.provider || getActiveWeatherProvider();
+  const requestOptions = {
+    seed: options.seed ?? weatherSeed,
+    time: options.time ?? Date.now()
   };
+
+  if (provider.isAvailable && !provider.isAvailable()) {
+    console.log(`Using fallback weather data - ${provider.name} is not configured`);
+    return fallbackProvider.fetchWeather(coordinates, waypointId, requestOptions);
+  }
+
+  try {
+    return await provider.fetchWeather(coordinates, waypointId, requestOptions);
+  } catch (error) {
+    console.warn(`${provider.name} weather error: ${error.message} - Using fallback data`);
+    // Return fallback data instead of throwing error
+    return fallbackProvider.fetchWeather(coordinates, waypointId, requestOptions);
+  }
 };
 
 /**
  * Batch fetch weather data for multiple waypoints
  * @param {Array} waypoints - Array of waypoint objects with coordinates
  * @param {number} routeId - Route identifier
+ * @param {Object} options - Request options passed to fetchWaypointWeather
  * @returns {Promise<Object>} Weather data for all waypoints
  */
-export const fetchRouteWeatherData = async (waypoints, routeId) => {
+export const fetchRouteWeatherData = async (waypoints, routeId, options = {}) => {
   const weatherData = {};
   const promises = [];
   
   waypoints.forEach((waypoint, index) => {
     const waypointId = `${routeId}-waypoint-${index}`;
-    const promise = fetchWaypointWeather(waypoint, waypointId)
+    const promise = fetchWaypointWeather(waypoint, waypointId, options)
       .then(data => {
         weatherData[waypointId] = data;
       })
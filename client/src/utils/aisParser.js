@@ -0,0 +1,249 @@
+// AIS Parser
+// Decodes AIS position reports (message types 1, 2, 3 and 18) from NMEA !AIVDM/!AIVDO logs or CSV exports
+
+// Values the AIS standard uses for "not available"
+const SOG_NOT_AVAILABLE = 1023;
+const LNG_NOT_AVAILABLE = 181 * 600000;
+const LAT_NOT_AVAILABLE = 91 * 600000;
+const COG_NOT_AVAILABLE = 3600;
+const HEADING_NOT_AVAILABLE = 511;
+
+// Bit offsets of the position report fields
+const POSITION_REPORT_LAYOUTS = {
+  classA: { sog: 50, lng: 61, lat: 89, cog: 116, heading: 128, second: 137 },
+  classB: { sog: 46, lng: 57, lat: 85, cog: 112, heading: 124, second: 133 }
+};
+
+const MESSAGE_LAYOUTS = { 1: 'classA', 2: 'classA', 3: 'classA', 18: 'classB' };
+
+/**
+ * Check an NMEA sentence checksum (XOR of the characters between the start character and '*')
+ * @param {string} sentence - Sentence starting with '!' or '$'
+ * @returns {boolean} True if the checksum is present and matches
+ */
+const hasValidChecksum = (sentence) => {
+  const starIndex = sentence.lastIndexOf('*');
+  if (starIndex === -1) return false;
+  let checksum = 0;
+  for (let i = 1; i < starIndex; i++) checksum ^= sentence.charCodeAt(i);
+  return checksum === parseInt(sentence.slice(starIndex + 1, starIndex + 3), 16);
+};
+
+/**
+ * Unpack an armored AIS payload into a bit string
+ * @param {string} payload - Six-bit ASCII payload
+ * @param {number} fillBits - Padding bits at the end
+ * @returns {string} Bits as '0'/'1' characters
+ */
+const payloadToBits = (payload, fillBits = 0) => {
+  let bits = '';
+  for (const char of payload) {
+    let value = char.charCodeAt(0) - 48;
+    if (value > 40) value -= 8;
+    bits += value.toString(2).padStart(6, '0');
+  }
+  return fillBits > 0 ? bits.slice(0, -fillBits) : bits;
+};
+
+const readUnsigned = (bits, start, length) => parseInt(bits.substr(start, length), 2);
+
+const readSigned = (bits, start, length) => {
+  const value = readUnsigned(bits, start, length);
+  return bits[start] === '1' ? value - 2 ** length : value;
+};
+
+/**
+ * Decode a position report from an AIS payload
+ * @param {string} payload - Six-bit ASCII payload
+ * @param {number} fillBits - Padding bits at the end
+ * @returns {Object|null} { messageType, mmsi, position: [lat, lng], sog, cog, heading, second }, or null
+ *   if the message is not a position report or has no position
+ */
+export const decodeAisPayload = (payload, fillBits = 0) => {
+  const bits = payloadToBits(payload, fillBits);
+  const messageType = readUnsigned(bits, 0, 6);
+  const layout = POSITION_REPORT_LAYOUTS[MESSAGE_LAYOUTS[messageType]];
+  if (!layout || bits.length < layout.second + 6) return null;
+
+  const rawLng = readSigned(bits, layout.lng, 28);
+  const rawLat = readSigned(bits, layout.lat, 27);
+  if (rawLng === LNG_NOT_AVAILABLE || rawLat === LAT_NOT_AVAILABLE) return null;
+
+  const rawSog = readUnsigned(bits, layout.sog, 10);
+  const rawCog = readUnsigned(bits, layout.cog, 12);
+  const rawHeading = readUnsigned(bits, layout.heading, 9);
+
+  return {
+    messageType,
+    mmsi: String(readUnsigned(bits, 8, 30)),
+    position: [rawLat / 600000, rawLng / 600000],
+    sog: rawSog === SOG_NOT_AVAILABLE ? null : rawSog / 10,
+    cog: rawCog === COG_NOT_AVAILABLE ? null : rawCog / 10,
+    heading: rawHeading === HEADING_NOT_AVAILABLE ? null : rawHeading,
+    second: readUnsigned(bits, layout.second, 6)
+  };
+};
+
+/**
+ * Parse a timestamp given as ISO 8601 text or Unix seconds/milliseconds
+ * @param {string} value - Timestamp text
+ * @returns {number|null} Milliseconds since epoch, or null
+ */
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = parseFloat(text);
+    return number > 1e11 ? number : number * 1000;
+  }
+  const time = Date.parse(text.includes('T') || text.endsWith('Z') ? text : `${text.replace(' ', 'T')}Z`);
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Split a log line into its receive time and NMEA sentence. Supports an NMEA 4.0 tag block
+ * (\c:1767225600*5A\!AIVDM,...) or a timestamp before the sentence (2026-01-01T00:00:00Z !AIVDM,...).
+ * @param {string} line - Log line
+ * @returns {Object|null} { time, sentence }, or null if the line has no AIVDM/AIVDO sentence
+ */
+const splitLogLine = (line) => {
+  const sentenceStart = line.search(/!AIVD[MO],/);
+  if (sentenceStart === -1) return null;
+  const prefix = line.slice(0, sentenceStart);
+
+  const tagTime = prefix.match(/[\\,]c:(\d+)/);
+  const leadingTime = prefix.replace(/\\.*\\/, '').trim().replace(/[,;]$/, '');
+  return {
+    time: tagTime ? parseTimestamp(tagTime[1]) : parseTimestamp(leadingTime),
+    sentence: line.slice(sentenceStart).trim()
+  };
+};
+
+/**
+ * Parse an NMEA AIS log, joining multi-sentence messages
+ * @param {string} text - Log contents, one sentence per line
+ * @returns {Object} { reports, skipped } where reports are decoded position reports with a time (ms or null)
+ */
+export const parseNmeaAis = (text) => {
+  const reports = [];
+  const fragments = {};
+  let skipped = 0;
+
+  text.split(/\r?\n/).forEach(line => {
+    const entry = splitLogLine(line);
+    if (!entry) return;
+    if (!hasValidChecksum(entry.sentence)) {
+      skipped++;
+      return;
+    }
+
+    const fields = entry.sentence.split('*')[0].split(',');
+    const [, fragmentCountText, fragmentNumberText, sequenceId, channel, payloadPart, fillBitsText] = fields;
+    const fragmentCount = parseInt(fragmentCountText);
+    const fragmentNumber = parseInt(fragmentNumberText);
+
+    // Collect fragments until the last one arrives
+    const key = `${sequenceId}-${channel}`;
+    if (fragmentNumber === 1) fragments[key] = { payload: '', time: entry.time };
+    if (!fragments[key]) {
+      skipped++;
+      return;
+    }
+    fragments[key].payload += payloadPart;
+    if (fragmentNumber < fragmentCount) return;
+
+    const { payload, time } = fragments[key];
+    delete fragments[key];
+    const report = decodeAisPayload(payload, parseInt(fillBitsText) || 0);
+    if (report) reports.push({ ...report, time });
+  });
+
+  return { reports, skipped };
+};
+
+// Accepted CSV column names (lower case), e.g. the MarineCadastre MMSI,BaseDateTime,LAT,LON,SOG,COG,Heading layout
+const CSV_COLUMNS = {
+  mmsi: ['mmsi'],
+  time: ['basedatetime', 'timestamp', 'time', 'datetime', 'date_time', 'utc'],
+  lat: ['lat', 'latitude'],
+  lng: ['lon', 'lng', 'long', 'longitude'],
+  sog: ['sog', 'speed'],
+  cog: ['cog', 'course'],
+  heading: ['heading', 'hdg', 'true_heading']
+};
+
+/**
+ * Parse an AIS CSV export with a header row
+ * @param {string} text - CSV contents
+ * @returns {Object} { reports, skipped }
+ */
+export const parseAisCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) throw new Error('CSV file has no data rows');
+
+  const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const header = lines[0].split(delimiter).map(name => name.trim().replace(/^"|"$/g, '').toLowerCase());
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+    columns[field] = header.findIndex(name => names.includes(name));
+  });
+  if (columns.lat === -1 || columns.lng === -1) throw new Error('CSV needs latitude and longitude columns');
+
+  const reports = [];
+  let skipped = 0;
+  lines.slice(1).forEach(line => {
+    const cells = line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const read = (field) => (columns[field] === -1 ? undefined : cells[columns[field]]);
+    const lat = parseFloat(read('lat'));
+    const lng = parseFloat(read('lng'));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      skipped++;
+      return;
+    }
+    const toNumber = (value) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : null);
+    reports.push({
+      mmsi: read('mmsi') || 'unknown',
+      position: [lat, lng],
+      sog: toNumber(read('sog')),
+      cog: toNumber(read('cog')),
+      heading: toNumber(read('heading')),
+      time: parseTimestamp(read('time'))
+    });
+  });
+
+  return { reports, skipped };
+};
+
+/**
+ * Import an AIS track file (NMEA log or CSV), grouped by vessel
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to recognise CSV
+ * @returns {Object} { vessels: [{ mmsi, reports }] sorted by report count, skipped }, reports in time order
+ */
+export const importAisTrack = (text, fileName = '') => {
+  const isNmea = /!AIVD[MO],/.test(text);
+  if (!isNmea && !/\.csv$/i.test(fileName) && !text.split(/\r?\n/)[0].includes(',')) {
+    throw new Error('Unrecognised AIS file: expected NMEA !AIVDM sentences or CSV');
+  }
+
+  const { reports, skipped } = isNmea ? parseNmeaAis(text) : parseAisCsv(text);
+  if (reports.length === 0) throw new Error('No AIS position reports found');
+
+  const byVessel = {};
+  reports.forEach(report => {
+    (byVessel[report.mmsi] = byVessel[report.mmsi] || []).push(report);
+  });
+
+  const vessels = Object.entries(byVessel)
+    .map(([mmsi, vesselReports]) => ({
+      mmsi,
+      // Reports without a time go last; the sort is stable, so they keep their file order
+      reports: vesselReports.sort((a, b) => {
+        if (a.time === null || b.time === null) return (a.time === null) - (b.time === null);
+        return a.time - b.time;
+      })
+    }))
+    .sort((a, b) => b.reports.length - a.reports.length);
+
+  return { vessels, skipped };
+};
@@ -0,0 +1,184 @@
+// Canal Transits
+// Detects where a route sails through a canal and prices the transit for a vessel (toll, waiting time, size limits)
+import { greatCircleDistance, intermediatePoint, alongTrackDistance, crossTrackDistance } from './navigation';
+import { canals, DEFAULT_CANAL_TARIFFS } from '../data/canals';
+import { getOperatingDraft } from '../data/vesselProfiles';
+
+const SAMPLE_SPACING = 2;        // km between checked points along route legs near a canal
+const MIN_TRANSIT_DISTANCE = 10; // km a route must sail inside a canal corridor to count as a transit
+const KM_PER_DEGREE = 111.32;
+
+// Transits only depend on the route geometry, so they are computed once per coordinate array
+const transitCache = new WeakMap();
+
+/**
+ * Locate a position relative to a canal's centre line
+ * @param {Array} position - [lat, lng]
+ * @param {Object} canal - Canal with path
+ * @returns {Object} { offset (km from the centre line), along (km from the start of the path) }
+ */
+const locateOnCanal = (position, canal) => {
+  let nearest = { offset: Infinity, along: 0 };
+  let pathDistance = 0;
+  for (let i = 0; i < canal.path.length - 1; i++) {
+    const from = canal.path[i];
+    const to = canal.path[i + 1];
+    const length = greatCircleDistance(from, to);
+    const along = Math.min(Math.max(alongTrackDistance(position, from, to), 0), length);
+    const offset = along <= 0
+      ? greatCircleDistance(position, from)
+      : along >= length ? greatCircleDistance(position, to) : Math.abs(crossTrackDistance(position, from, to));
+    if (offset < nearest.offset) nearest = { offset, along: pathDistance + along };
+    pathDistance += length;
+  }
+  return nearest;
+};
+
+/**
+ * Bounding box of a canal corridor, in degrees
+ * @param {Object} canal - Canal with path and width (km)
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+const getCanalBounds = (canal) => {
+  const margin = canal.width / KM_PER_DEGREE * 2;
+  const lats = canal.path.map(point => point[0]);
+  const lngs = canal.path.map(point => point[1]);
+  return {
+    minLat: Math.min(...lats) - margin,
+    maxLat: Math.max(...lats) + margin,
+    minLng: Math.min(...lngs) - margin,
+    maxLng: Math.max(...lngs) + margin
+  };
+};
+
+/**
+ * Check whether a route leg could come near a canal (bounding box overlap)
+ * @param {Array} from - Leg start [lat, lng]
+ * @param {Array} to - Leg end [lat, lng]
+ * @param {Object} bounds - Result of getCanalBounds
+ * @returns {boolean} True if the leg needs to be sampled
+ */
+const legNearCanal = (from, to, bounds) =>
+  Math.max(from[0], to[0]) >= bounds.minLat && Math.min(from[0], to[0]) <= bounds.maxLat &&
+  Math.max(from[1], to[1]) >= bounds.minLng && Math.min(from[1], to[1]) <= bounds.maxLng;
+
+/**
+ * Find the stretches of a route that sail through each canal
+ * @param {Array} coordinates - Route coordinates
+ * @returns {Array} Transits [{ canalId, direction, entryIndex, exitIndex, distance (km inside the canal) }] in route order,
+ *   where the ship enters the canal on the leg starting at entryIndex and leaves it on the leg ending at exitIndex
+ */
+export const detectCanalTransits = (coordinates) => {
+  if (transitCache.has(coordinates)) return transitCache.get(coordinates);
+  const transits = [];
+
+  canals.forEach(canal => {
+    const bounds = getCanalBounds(canal);
+    let run = null;
+
+    const closeRun = () => {
+      if (run && run.distance >= MIN_TRANSIT_DISTANCE) {
+        transits.push({
+          canalId: canal.id,
+          direction: run.lastAlong >= run.firstAlong ? canal.directions[0] : canal.directions[1],
+          entryIndex: run.entryIndex,
+          exitIndex: run.exitIndex,
+          distance: run.distance
+        });
+      }
+      run = null;
+    };
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      const from = coordinates[i];
+      const to = coordinates[i + 1];
+      if (!legNearCanal(from, to, bounds)) {
+        closeRun();
+        continue;
+      }
+
+      const steps = Math.max(1, Math.ceil(greatCircleDistance(from, to) / SAMPLE_SPACING));
+      const stepDistance = greatCircleDistance(from, to) / steps;
+      for (let step = 0; step <= steps; step++) {
+        const { offset, along } = locateOnCanal(intermediatePoint(from, to, step / steps), canal);
+        if (offset > canal.width) {
+          closeRun();
+          continue;
+        }
+        if (!run) run = { entryIndex: i, firstAlong: along, distance: 0 };
+        else if (step > 0) run.distance += stepDistance;
+        run.lastAlong = along;
+        run.exitIndex = step === 0 ? i : i + 1;
+      }
+    }
+    closeRun();
+  });
+
+  transits.sort((a, b) => a.entryIndex - b.entryIndex);
+  transitCache.set(coordinates, transits);
+  return transits;
+};
+
+/**
+ * Net tonnage of a vessel; profiles without one get an estimate from their hull dimensions at the operating draft
+ * @param {Object} vessel - Vessel profile
+ * @returns {number} Net tonnage
+ */
+const getNetTonnage = (vessel) => vessel.netTonnage || Math.round(0.25 * vessel.length * vessel.beam * getOperatingDraft(vessel));
+
+/**
+ * Calculate the toll for one canal transit from the vessel's net tonnage and type
+ * @param {string} canalId - Canal identifier
+ * @param {Object} vessel - Vessel profile
+ * @param {Object} tariffs - Tariff table (see DEFAULT_CANAL_TARIFFS)
+ * @returns {Object} { netTonnage, toll (USD) }
+ */
+export const calculateCanalToll = (canalId, vessel, tariffs = DEFAULT_CANAL_TARIFFS) => {
+  const tariff = tariffs[canalId] || DEFAULT_CANAL_TARIFFS[canalId];
+  const netTonnage = getNetTonnage(vessel);
+
+  let toll = 0;
+  let bandStart = 0;
+  for (const band of tariff.bands) {
+    if (netTonnage <= bandStart) break;
+    toll += (Math.min(netTonnage, band.upTo) - bandStart) * band.rate;
+    bandStart = band.upTo;
+  }
+
+  return { netTonnage, toll: toll * (tariff.typeFactors[vessel.type] ?? 1) };
+};
+
+/**
+ * Check a vessel against a canal's size limits; the draft limit applies to the draft it is sailing at
+ * @param {Object} canal - Canal with limits
+ * @param {Object} vessel - Vessel profile
+ * @returns {Array} Exceeded limits, e.g. ['length 400 m > 366 m']
+ */
+export const checkCanalLimits = (canal, vessel) => {
+  const issues = [];
+  const { maxLength, maxBeam, maxDraft } = canal.limits;
+  if (maxLength && vessel.length > maxLength) issues.push(`length ${vessel.length} m > ${maxLength} m`);
+  if (maxBeam && vessel.beam > maxBeam) issues.push(`beam ${vessel.beam} m > ${maxBeam} m`);
+  const draft = getOperatingDraft(vessel);
+  if (maxDraft && draft > maxDraft) issues.push(`draft ${draft} m > ${maxDraft} m`);
+  return issues;
+};
+
+/**
+ * Price every canal transit on a route for a vessel
+ * @param {Object} route - Route object
+ * @param {Object} vessel - Vessel profile
+ * @param {Object} tariffs - Tariff table (see DEFAULT_CANAL_TARIFFS)
+ * @returns {Array} Transits [{ canalId, direction, entryIndex, exitIndex, distance, canal, netTonnage, toll, waitingHours, issues }]
+ */
+export const planCanalTransits = (route, vessel, tariffs = DEFAULT_CANAL_TARIFFS) =>
+  detectCanalTransits(route.coordinates).map(transit => {
+    const canal = canals.find(candidate => candidate.id === transit.canalId);
+    return {
+      ...transit,
+      canal,
+      ...calculateCanalToll(transit.canalId, vessel, tariffs),
+      waitingHours: canal.waitingHours[transit.direction],
+      issues: checkCanalLimits(canal, vessel)
+    };
+  });
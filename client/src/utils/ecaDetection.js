@@ -0,0 +1,161 @@
+// ECA Detection
+// Finds where a route enters and leaves emission control areas and the fuel a vessel must burn inside them
+import { greatCircleDistance, intermediatePoint } from './navigation';
+import { emissionControlAreas, ECA_SULPHUR_LIMIT, ECA_FUEL_TYPE } from '../data/emissionControlAreas';
+import { FUEL_TYPES, DEFAULT_FUEL_TYPE } from './emissions';
+
+const SAMPLE_SPACING = 5;      // km between checked points along route legs
+const BOUNDARY_ITERATIONS = 12; // bisection steps locating an entry or exit point (~1 m at 5 km spacing)
+
+// Detection only depends on the route geometry, so it runs once per coordinate array
+const detectionCache = new WeakMap();
+
+// Bounding boxes let most positions skip the polygon tests
+const areaBounds = new Map(emissionControlAreas.map(area => {
+  const lats = area.polygon.map(point => point[0]);
+  const lngs = area.polygon.map(point => point[1]);
+  return [area.id, { minLat: Math.min(...lats), maxLat: Math.max(...lats), minLng: Math.min(...lngs), maxLng: Math.max(...lngs) }];
+}));
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {Array} position - [lat, lng]
+ * @param {Array} polygon - Polygon of [lat, lng]
+ * @returns {boolean} True if the position is inside
+ */
+const isInsidePolygon = ([lat, lng], polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [yi, xi] = polygon[i];
+    const [yj, xj] = polygon[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Find the emission control area containing a position
+ * @param {Array} position - [lat, lng]
+ * @returns {Object|null} Area, or null outside all ECAs
+ */
+export const findEmissionControlArea = (position) => emissionControlAreas.find(area => {
+  const bounds = areaBounds.get(area.id);
+  return position[0] >= bounds.minLat && position[0] <= bounds.maxLat &&
+    position[1] >= bounds.minLng && position[1] <= bounds.maxLng &&
+    isInsidePolygon(position, area.polygon);
+}) || null;
+
+/**
+ * Locate the point on a leg where the area changes, between two fractions known to differ
+ * @param {Array} from - Leg start [lat, lng]
+ * @param {Array} to - Leg end [lat, lng]
+ * @param {number} outside - Fraction with the first area
+ * @param {number} inside - Fraction with the other area
+ * @returns {number} Fraction of the leg at the boundary
+ */
+const findBoundary = (from, to, outside, inside) => {
+  const startArea = findEmissionControlArea(intermediatePoint(from, to, outside));
+  for (let i = 0; i < BOUNDARY_ITERATIONS; i++) {
+    const middle = (outside + inside) / 2;
+    if (findEmissionControlArea(intermediatePoint(from, to, middle)) === startArea) outside = middle;
+    else inside = middle;
+  }
+  return (outside + inside) / 2;
+};
+
+/**
+ * Find the stretches of a route inside emission control areas
+ * @param {Array} coordinates - Route coordinates
+ * @returns {Object} { segments, legDistances } where segments are [{ areaId, area, entryIndex, exitIndex,
+ *   entryPoint, exitPoint, distance (km) }] in route order (entered on the leg starting at entryIndex, left on the
+ *   leg ending at exitIndex; a route starting or ending inside has its first or last waypoint as entry or exit point)
+ *   and legDistances[i] is the distance (km) sailed inside ECAs on the leg from waypoint i to i + 1
+ */
+export const detectEcaSegments = (coordinates) => {
+  if (detectionCache.has(coordinates)) return detectionCache.get(coordinates);
+  const segments = [];
+  const legDistances = [];
+  let current = null;
+
+  const firstArea = coordinates.length > 0 ? findEmissionControlArea(coordinates[0]) : null;
+  if (firstArea) {
+    current = { areaId: firstArea.id, area: firstArea, entryIndex: 0, entryPoint: coordinates[0], distance: 0 };
+  }
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const from = coordinates[i];
+    const to = coordinates[i + 1];
+    const legLength = greatCircleDistance(from, to);
+    const steps = Math.max(1, Math.ceil(legLength / SAMPLE_SPACING));
+    let legDistance = 0;
+    let previousFraction = 0;
+    let previousArea = current?.area || null;
+    // Fraction of the leg where the ship last changed area (0 while it stays in the same one)
+    let stretchStart = 0;
+
+    for (let step = 1; step <= steps; step++) {
+      const fraction = step / steps;
+      const area = findEmissionControlArea(intermediatePoint(from, to, fraction));
+      if (area === previousArea) {
+        previousFraction = fraction;
+        continue;
+      }
+
+      const boundary = findBoundary(from, to, previousFraction, fraction);
+      const boundaryPoint = intermediatePoint(from, to, boundary);
+      if (current) {
+        const inside = (boundary - stretchStart) * legLength;
+        current.distance += inside;
+        legDistance += inside;
+        segments.push({ ...current, exitIndex: i + 1, exitPoint: boundaryPoint });
+        current = null;
+      }
+      if (area) {
+        current = { areaId: area.id, area, entryIndex: i, entryPoint: boundaryPoint, distance: 0 };
+      }
+      stretchStart = boundary;
+      previousArea = area;
+      previousFraction = fraction;
+    }
+
+    if (current) {
+      const inside = (1 - stretchStart) * legLength;
+      current.distance += inside;
+      legDistance += inside;
+    }
+    legDistances.push(legDistance);
+  }
+
+  if (current) {
+    segments.push({ ...current, exitIndex: coordinates.length - 1, exitPoint: coordinates[coordinates.length - 1] });
+  }
+
+  const result = { segments, legDistances };
+  detectionCache.set(coordinates, result);
+  return result;
+};
+
+/**
+ * Distance still to be sailed inside emission control areas from a waypoint
+ * @param {Array} coordinates - Route coordinates
+ * @param {number} waypointIndex - Current waypoint index
+ * @returns {number} Distance in km
+ */
+export const getEcaDistanceAhead = (coordinates, waypointIndex = 0) =>
+  detectEcaSegments(coordinates).legDistances.slice(waypointIndex).reduce((total, distance) => total + distance, 0);
+
+/**
+ * Fuel a vessel burns inside emission control areas: its main fuel if that meets the sulphur limit,
+ * otherwise the ECA fuel it switches to at the boundary
+ * @param {Object} vessel - Vessel profile with fuelType
+ * @returns {Object} { mainFuelType, fuelType (burned inside ECAs), switched, sulphurContent, compliant }
+ */
+export const getEcaFuel = (vessel) => {
+  const mainFuelType = FUEL_TYPES[vessel.fuelType] ? vessel.fuelType : DEFAULT_FUEL_TYPE;
+  const switched = FUEL_TYPES[mainFuelType].sulphurContent > ECA_SULPHUR_LIMIT;
+  const fuelType = switched ? ECA_FUEL_TYPE : mainFuelType;
+  const { sulphurContent } = FUEL_TYPES[fuelType];
+  return { mainFuelType, fuelType, switched, sulphurContent, compliant: sulphurContent <= ECA_SULPHUR_LIMIT };
+};
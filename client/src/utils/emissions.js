@@ -0,0 +1,165 @@
+// Emissions
+// Converts fuel burned to CO2, SOx and NOx, rates the voyage's carbon intensity (IMO CII) and prices EU ETS allowances
+import { calculateRouteDistance } from '../data/routes';
+import { getRoutePortInfo } from '../data/ports';
+import { kmToNm } from './navigation';
+
+// Emission factors per kg of fuel: CO2 (MEPC.308(73) Cf), SOx as SO2 from the sulphur content, NOx for a Tier II engine
+export const FUEL_TYPES = {
+  HFO: { name: 'Heavy Fuel Oil (3.5% S)', co2Factor: 3.114, sulphurContent: 0.035, noxFactor: 0.087 },
+  VLSFO: { name: 'Very Low Sulphur Fuel Oil (0.5% S)', co2Factor: 3.151, sulphurContent: 0.005, noxFactor: 0.087 },
+  MGO: { name: 'Marine Gas Oil (0.1% S)', co2Factor: 3.206, sulphurContent: 0.001, noxFactor: 0.080 },
+  LNG: { name: 'Liquefied Natural Gas', co2Factor: 2.750, sulphurContent: 0, noxFactor: 0.013 }
+};
+
+export const DEFAULT_FUEL_TYPE = 'VLSFO';
+
+// SO2 has twice the molar mass of the sulphur it is formed from
+const SO2_PER_KG_SULPHUR = 2;
+
+// CII reference lines (MEPC.353(78)): CII_ref = a * capacity^-c, capacity in DWT (capped for large bulkers)
+const CII_REFERENCE_LINES = {
+  bulker: { a: 4745, c: 0.622, maxCapacity: 279000 },
+  tanker: { a: 5247, c: 0.610 },
+  container: { a: 1984, c: 0.489 }
+};
+
+// Rating boundaries as ratios of attained to required CII (MEPC.354(78)): below d1 is A, below d2 B, ...
+const CII_RATING_BOUNDARIES = {
+  bulker: [0.86, 0.94, 1.06, 1.18],
+  tanker: [0.82, 0.93, 1.08, 1.28],
+  container: [0.83, 0.94, 1.07, 1.19]
+};
+
+// Display colours for the CII ratings, from A (well below the required line) to E
+export const CII_RATING_COLORS = { A: '#2e7d32', B: '#7cb342', C: '#f9a825', D: '#ef6c00', E: '#c62828' };
+
+// Required reduction below the 2019 reference line, % by year (MEPC.338(76) and MEPC.400(83))
+const CII_REDUCTION_FACTORS = { 2023: 5, 2024: 7, 2025: 9, 2026: 11, 2027: 13.625, 2028: 16.25, 2029: 18.875, 2030: 21.5 };
+
+// Share of verified emissions for which allowances must be surrendered, by year
+const EU_ETS_PHASE_IN = { 2024: 0.4, 2025: 0.7 };
+
+// EU and EEA states whose ports bring a voyage under the EU ETS
+const EU_ETS_COUNTRIES = new Set([
+  'Austria', 'Belgium', 'Bulgaria', 'Croatia', 'Cyprus', 'Czechia', 'Denmark', 'Estonia', 'Finland', 'France',
+  'Germany', 'Greece', 'Hungary', 'Iceland', 'Ireland', 'Italy', 'Latvia', 'Lithuania', 'Luxembourg', 'Malta',
+  'Netherlands', 'Norway', 'Poland', 'Portugal', 'Romania', 'Slovakia', 'Slovenia', 'Spain', 'Sweden'
+]);
+
+/**
+ * Convert fuel burned to emissions
+ * @param {number} fuelKg - Fuel burned in kg
+ * @param {string} fuelType - Key of FUEL_TYPES
+ * @returns {Object} { co2, sox, nox } in kg
+ */
+export const calculateEmissions = (fuelKg, fuelType = DEFAULT_FUEL_TYPE) => {
+  const fuel = FUEL_TYPES[fuelType] || FUEL_TYPES[DEFAULT_FUEL_TYPE];
+  return {
+    co2: fuelKg * fuel.co2Factor,
+    sox: fuelKg * fuel.sulphurContent * SO2_PER_KG_SULPHUR,
+    nox: fuelKg * fuel.noxFactor
+  };
+};
+
+/**
+ * Calculate the attained CII of a voyage and its A-E rating for the vessel
+ * @param {number} co2Kg - CO2 emitted in kg
+ * @param {number} distanceNm - Distance sailed in nautical miles
+ * @param {Object} vessel - Vessel profile (type, deadweight)
+ * @param {number} year - Year the voyage is rated against
+ * @returns {Object|null} { attained, required (g CO2/DWT·nm), ratio, rating }, or null without a deadweight or distance
+ */
+export const calculateCII = (co2Kg, distanceNm, vessel, year = new Date().getFullYear()) => {
+  const reference = CII_REFERENCE_LINES[vessel.type] || CII_REFERENCE_LINES.container;
+  const boundaries = CII_RATING_BOUNDARIES[vessel.type] || CII_RATING_BOUNDARIES.container;
+  if (!vessel.deadweight || !distanceNm) return null;
+
+  const capacity = Math.min(vessel.deadweight, reference.maxCapacity || Infinity);
+  const years = Object.keys(CII_REDUCTION_FACTORS).map(Number);
+  const reductionYear = Math.min(Math.max(year, Math.min(...years)), Math.max(...years));
+  const required = (1 - CII_REDUCTION_FACTORS[reductionYear] / 100) * reference.a * capacity ** -reference.c;
+  const attained = (co2Kg * 1000) / (capacity * distanceNm);
+  const ratio = attained / required;
+  const ratingIndex = boundaries.findIndex(boundary => ratio < boundary);
+
+  return {
+    attained,
+    required,
+    ratio,
+    rating: 'ABCDE'[ratingIndex === -1 ? 4 : ratingIndex]
+  };
+};
+
+/**
+ * Split a route into port-to-port legs and the share of each leg's emissions covered by the EU ETS:
+ * all of it between two EU/EEA ports, half of it to or from one, none otherwise
+ * @param {Object} route - Route object
+ * @returns {Array} Legs [{ from, to, startIndex, endIndex, share }] with from/to route ports
+ */
+export const getEtsLegs = (route) => {
+  const isEuPort = (port) => EU_ETS_COUNTRIES.has(getRoutePortInfo(port)?.country);
+  const portIndex = (port) => (Number.isInteger(port.waypointIndex)
+    ? port.waypointIndex
+    : route.coordinates.findIndex(coord => coord[0] === port.position[0] && coord[1] === port.position[1]));
+
+  const calls = (route.ports || [])
+    .map(port => ({ port, index: portIndex(port) }))
+    .filter(call => call.index !== -1)
+    .sort((a, b) => a.index - b.index);
+
+  return calls.slice(0, -1).map((call, i) => {
+    const next = calls[i + 1];
+    const euPorts = [call.port, next.port].filter(isEuPort).length;
+    return { from: call.port, to: next.port, startIndex: call.index, endIndex: next.index, share: euPorts / 2 };
+  });
+};
+
+/**
+ * Emissions, CII and EU ETS cost for the rest of a voyage. The CO2 is spread over the route in proportion
+ * to distance to find the part emitted on EU-related legs.
+ * @param {Object} params - { route, waypointIndex, fuelKg, vessel, euaPrice (USD per t CO2), year,
+ *   ecaFuelKg and ecaFuelType (the part of fuelKg burned as another grade inside emission control areas) }
+ * @returns {Object} { fuelType, co2, sox, nox (kg), distanceNm, cii, ets: { legs, coveredCo2 (kg), phaseIn, allowances (t), cost (USD) } }
+ */
+export const calculateVoyageEmissions = ({
+  route,
+  waypointIndex = 0,
+  fuelKg,
+  vessel,
+  euaPrice,
+  year = new Date().getFullYear(),
+  ecaFuelKg = 0,
+  ecaFuelType = null
+}) => {
+  const fuelType = vessel.fuelType || DEFAULT_FUEL_TYPE;
+  const mainEmissions = calculateEmissions(fuelKg - ecaFuelKg, fuelType);
+  const ecaEmissions = calculateEmissions(ecaFuelKg, ecaFuelType || fuelType);
+  const emissions = {
+    co2: mainEmissions.co2 + ecaEmissions.co2,
+    sox: mainEmissions.sox + ecaEmissions.sox,
+    nox: mainEmissions.nox + ecaEmissions.nox
+  };
+  const remainingDistance = calculateRouteDistance(route.coordinates.slice(waypointIndex));
+
+  // CO2 on each EU-related leg, counting only the part of the leg still ahead
+  const legs = getEtsLegs(route)
+    .filter(leg => leg.share > 0 && leg.endIndex > waypointIndex)
+    .map(leg => {
+      const legDistance = calculateRouteDistance(route.coordinates.slice(Math.max(leg.startIndex, waypointIndex), leg.endIndex + 1));
+      const co2 = remainingDistance > 0 ? emissions.co2 * legDistance / remainingDistance : 0;
+      return { ...leg, co2, coveredCo2: co2 * leg.share };
+    });
+
+  const coveredCo2 = legs.reduce((total, leg) => total + leg.coveredCo2, 0);
+  const phaseIn = year < 2024 ? 0 : EU_ETS_PHASE_IN[year] ?? 1;
+  const allowances = (coveredCo2 / 1000) * phaseIn;
+
+  return {
+    fuelType,
+    ...emissions,
+    distanceNm: kmToNm(remainingDistance),
+    cii: calculateCII(emissions.co2, kmToNm(remainingDistance), vessel, year),
+    ets: { legs, coveredCo2, phaseIn, allowances, cost: allowances * euaPrice }
+  };
+};
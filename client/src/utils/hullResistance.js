@@ -0,0 +1,224 @@
+// Hull Resistance
+// Calm-water resistance and speed-power estimate after Holtrop & Mennen (1982, 1984)
+
+import { DEFAULT_VESSEL_PROFILE, getOperatingDraft } from '../data/vesselProfiles';
+
+const GRAVITY = 9.81;                 // m/s²
+const WATER_DENSITY = 1025;           // kg/m³
+const KINEMATIC_VISCOSITY = 1.1883e-6; // m²/s, sea water at 15 °C
+const MS_PER_KNOT = 0.514444;
+
+// The hull form only depends on the profile, which power estimates look up many times per route
+const hullFormCache = new WeakMap();
+
+// Hull form values that are rarely known for a ship; profiles may override any of them
+export const DEFAULT_HULL_FORM = {
+  midshipCoefficient: 0.98,
+  bulbousBowArea: 0,        // m², transverse section of the bulb at the forward perpendicular
+  transomArea: 0,           // m², immersed transom at rest
+  sternShape: 0,            // Cstern: -25 pram, -10 V-shaped, 0 normal, 10 U-shaped (Hogner)
+  propulsiveEfficiency: 0.7, // quasi-propulsive coefficient ηD (open water × hull × relative rotative)
+  shaftEfficiency: 0.98
+};
+
+/**
+ * Block coefficient at another draft: fuller sections near the waterline make Cb rise with draft
+ * @param {number} blockCoefficient - Cb at the design draft
+ * @param {number} draft - Operating draft in m
+ * @param {number} designDraft - Design draft in m
+ * @returns {number} Cb at the operating draft
+ */
+const blockCoefficientAtDraft = (blockCoefficient, draft, designDraft) =>
+  1 - (1 - blockCoefficient) * Math.cbrt(designDraft / draft);
+
+/**
+ * Holtrop's wetted surface estimate for the hull without appendages
+ * @param {Object} hull - { length, beam, draft, blockCoefficient, midshipCoefficient, waterplaneCoefficient, bulbousBowArea }
+ * @returns {number} Wetted surface in m²
+ */
+export const estimateWettedSurface = ({ length, beam, draft, blockCoefficient, midshipCoefficient, waterplaneCoefficient, bulbousBowArea }) =>
+  length * (2 * draft + beam) * Math.sqrt(midshipCoefficient) *
+    (0.453 + 0.4425 * blockCoefficient - 0.2862 * midshipCoefficient - 0.003467 * beam / draft + 0.3696 * waterplaneCoefficient) +
+    2.38 * bulbousBowArea / blockCoefficient;
+
+/**
+ * Hull form of a vessel at its operating draft (loading condition). Coefficients the profile lacks are estimated
+ * from the block coefficient: waterplane coefficient from the prismatic (Schneekluth), longitudinal centre of
+ * buoyancy from the Froude number at design speed, and the wetted surface from Holtrop's regression, scaled
+ * with draft when the profile gives it at the design draft.
+ * @param {Object} vessel - Vessel profile (length, beam, draft, blockCoefficient, optional operatingDraft, wettedSurface)
+ * @returns {Object} Hull form { length, beam, draft, blockCoefficient, midshipCoefficient, prismaticCoefficient,
+ *   waterplaneCoefficient, lcb (% of length forward of midships), displacementVolume, wettedSurface, ... }
+ */
+export const getHullForm = (vessel = DEFAULT_VESSEL_PROFILE) => {
+  if (hullFormCache.has(vessel)) return hullFormCache.get(vessel);
+  const form = { ...DEFAULT_HULL_FORM, ...vessel };
+  const designDraft = vessel.draft;
+  const draft = getOperatingDraft(vessel);
+  const blockCoefficient = blockCoefficientAtDraft(vessel.blockCoefficient, draft, designDraft);
+  const midshipCoefficient = form.midshipCoefficient;
+  const prismaticCoefficient = blockCoefficient / midshipCoefficient;
+  const waterplaneCoefficient = vessel.waterplaneCoefficient || 0.763 * (prismaticCoefficient + 0.34);
+  const designFroude = (vessel.designSpeed * MS_PER_KNOT) / Math.sqrt(GRAVITY * vessel.length);
+  const lcb = vessel.lcb ?? 8.8 - 38.9 * designFroude;
+  // The bulb and transom only count for their immersed part
+  const bulbousBowArea = form.bulbousBowArea * Math.min(1, draft / designDraft);
+  const transomArea = form.transomArea * Math.max(0, 1 - 2 * (designDraft - draft) / designDraft);
+
+  const hull = {
+    ...form,
+    draft,
+    blockCoefficient,
+    midshipCoefficient,
+    prismaticCoefficient,
+    waterplaneCoefficient,
+    lcb,
+    bulbousBowArea,
+    transomArea,
+    bulbCentreHeight: vessel.bulbCentreHeight ?? 0.4 * draft,
+    displacementVolume: vessel.length * vessel.beam * draft * blockCoefficient
+  };
+  const estimated = estimateWettedSurface(hull);
+  hull.wettedSurface = vessel.wettedSurface
+    ? vessel.wettedSurface * estimated / estimateWettedSurface(getHullForm({ ...vessel, operatingDraft: null, wettedSurface: null }))
+    : estimated;
+  hullFormCache.set(vessel, hull);
+  return hull;
+};
+
+/**
+ * Calm-water resistance after Holtrop & Mennen, valid up to a Froude number of about 0.45
+ * @param {number} speed - Speed through water in knots
+ * @param {Object} hull - Result of getHullForm
+ * @returns {Object} Resistance components in kN { frictional, formFactor, wave, bulb, transom, correlation, total }
+ */
+export const calculateHoltropResistance = (speed, hull) => {
+  const { length: L, beam: B, draft: T, prismaticCoefficient: Cp, midshipCoefficient: Cm, waterplaneCoefficient: Cwp,
+    lcb, displacementVolume: volume, wettedSurface: S, bulbousBowArea: ABT, bulbCentreHeight: hB, transomArea: AT } = hull;
+  const V = Math.max(speed, 0.1) * MS_PER_KNOT;
+  const dynamicPressure = 0.5 * WATER_DENSITY * V * V;
+  const Fn = V / Math.sqrt(GRAVITY * L);
+
+  // Frictional resistance (ITTC-57) and form factor
+  const CF = 0.075 / Math.pow(Math.log10(V * L / KINEMATIC_VISCOSITY) - 2, 2);
+  const frictional = dynamicPressure * S * CF;
+  const LR = L * (1 - Cp + 0.06 * Cp * lcb / (4 * Cp - 1));
+  const TL = T / L;
+  const c12 = TL > 0.05 ? Math.pow(TL, 0.2228446) : TL > 0.02 ? 48.2 * Math.pow(TL - 0.02, 2.078) + 0.479948 : 0.479948;
+  const c13 = 1 + 0.003 * hull.sternShape;
+  const formFactor = c13 * (0.93 + c12 * Math.pow(B / LR, 0.92497) * Math.pow(0.95 - Cp, -0.521448) *
+    Math.pow(1 - Cp + 0.0225 * lcb, 0.6906));
+
+  // Wave-making resistance
+  const halfEntranceAngle = 1 + 89 * Math.exp(-Math.pow(L / B, 0.80856) * Math.pow(1 - Cwp, 0.30484) *
+    Math.pow(1 - Cp - 0.0225 * lcb, 0.6367) * Math.pow(LR / B, 0.34574) * Math.pow(100 * volume / Math.pow(L, 3), 0.16302));
+  const BL = B / L;
+  const c7 = BL < 0.11 ? 0.229577 * Math.cbrt(BL) : BL < 0.25 ? BL : 0.5 - 0.0625 / BL;
+  const c1 = 2223105 * Math.pow(c7, 3.78613) * Math.pow(T / B, 1.07961) * Math.pow(90 - halfEntranceAngle, -1.37565);
+  const c3 = ABT > 0 ? 0.56 * Math.pow(ABT, 1.5) / (B * T * (0.31 * Math.sqrt(ABT) + T - hB)) : 0;
+  const c2 = Math.exp(-1.89 * Math.sqrt(c3));
+  const c5 = 1 - 0.8 * AT / (B * T * Cm);
+  const lambda = L / B < 12 ? 1.446 * Cp - 0.03 * L / B : 1.446 * Cp - 0.36;
+  const c16 = Cp < 0.8 ? 8.07981 * Cp - 13.8673 * Cp * Cp + 6.984388 * Math.pow(Cp, 3) : 1.73014 - 0.7067 * Cp;
+  const m1 = 0.0140407 * L / T - 1.75254 * Math.cbrt(volume) / L - 4.79323 * B / L - c16;
+  const slenderness = L / Math.cbrt(volume);
+  const c15 = slenderness < 8 ? -1.69385 : slenderness > 12 ? 0 : -1.69385 + (slenderness - 8) / 2.36;
+  const m2 = c15 * Cp * Cp * Math.exp(-0.1 / (Fn * Fn));
+  const wave = c1 * c2 * c5 * volume * WATER_DENSITY * GRAVITY *
+    Math.exp(m1 * Math.pow(Fn, -0.9) + m2 * Math.cos(lambda / (Fn * Fn)));
+
+  // Bulbous bow near the surface
+  let bulb = 0;
+  if (ABT > 0) {
+    const emergence = 0.56 * Math.sqrt(ABT) / (T - 1.5 * hB);
+    const immersionFroude = V / Math.sqrt(GRAVITY * (T - hB - 0.25 * Math.sqrt(ABT)) + 0.15 * V * V);
+    bulb = 0.11 * Math.exp(-3 / (emergence * emergence)) * Math.pow(immersionFroude, 3) * Math.pow(ABT, 1.5) *
+      WATER_DENSITY * GRAVITY / (1 + immersionFroude * immersionFroude);
+  }
+
+  // Immersed transom
+  let transom = 0;
+  if (AT > 0) {
+    const transomFroude = V / Math.sqrt(2 * GRAVITY * AT / (B + B * Cwp));
+    transom = transomFroude < 5 ? dynamicPressure * AT * 0.2 * (1 - 0.2 * transomFroude) : 0;
+  }
+
+  // Model-ship correlation allowance
+  const c4 = Math.min(T / L, 0.04);
+  const CA = 0.006 * Math.pow(L + 100, -0.16) - 0.00205 +
+    0.003 * Math.sqrt(L / 7.5) * Math.pow(hull.blockCoefficient, 4) * c2 * (0.04 - c4);
+  const correlation = dynamicPressure * S * CA;
+
+  const total = frictional * formFactor + wave + bulb + transom + correlation;
+  return {
+    frictional: frictional / 1000,
+    formFactor,
+    wave: wave / 1000,
+    bulb: bulb / 1000,
+    transom: transom / 1000,
+    correlation: correlation / 1000,
+    total: total / 1000
+  };
+};
+
+/**
+ * Calm-water effective and brake power of a vessel at a speed through water
+ * @param {number} speed - Speed through water in knots
+ * @param {Object} vessel - Vessel profile
+ * @returns {Object} { speed, resistance (kN), effectivePower (kW), brakePower (kW), engineLoad (fraction of MCR) }
+ */
+export const calculateCalmWaterPower = (speed, vessel = DEFAULT_VESSEL_PROFILE) => {
+  const hull = getHullForm(vessel);
+  const resistance = calculateHoltropResistance(speed, hull).total;
+  const effectivePower = resistance * Math.max(speed, 0) * MS_PER_KNOT;
+  const brakePower = effectivePower / (hull.propulsiveEfficiency * hull.shaftEfficiency);
+  return { speed, resistance, effectivePower, brakePower, engineLoad: brakePower / vessel.installedPower };
+};
+
+/**
+ * Effect of an added resistance (wind, waves) on a ship making a speed through water: the extra brake power
+ * needed to hold the speed, or the speed lost at unchanged power from the slope of the calm-water power curve
+ * @param {number} addedResistance - Added resistance in kN (negative for a pushing force)
+ * @param {number} speed - Speed through water in knots
+ * @param {Object} vessel - Vessel profile
+ * @returns {Object} { extraPower (kW), speedLoss (kn) }
+ */
+export const calculateAddedResistanceEffect = (addedResistance, speed, vessel = DEFAULT_VESSEL_PROFILE) => {
+  const hull = getHullForm(vessel);
+  const extraPower = addedResistance * speed * MS_PER_KNOT / (hull.propulsiveEfficiency * hull.shaftEfficiency);
+  const powerSlope = calculateCalmWaterPower(speed + 0.5, vessel).brakePower - calculateCalmWaterPower(Math.max(speed - 0.5, 0), vessel).brakePower;
+  return { extraPower, speedLoss: powerSlope > 0 ? extraPower / powerSlope : 0 };
+};
+
+/**
+ * Speed-power curve over a range of speeds
+ * @param {Object} vessel - Vessel profile
+ * @param {number} minSpeed - Lowest speed in knots
+ * @param {number} maxSpeed - Highest speed in knots
+ * @param {number} step - Knots between points
+ * @returns {Array} Result of calculateCalmWaterPower for every speed
+ */
+export const calculateSpeedPowerCurve = (vessel = DEFAULT_VESSEL_PROFILE, minSpeed = 8, maxSpeed = vessel.designSpeed + 2, step = 1) => {
+  const curve = [];
+  for (let speed = minSpeed; speed <= maxSpeed + 1e-9; speed += step) {
+    curve.push(calculateCalmWaterPower(speed, vessel));
+  }
+  return curve;
+};
+
+/**
+ * Calm-water speed a vessel reaches with a given brake power
+ * @param {number} power - Brake power in kW
+ * @param {Object} vessel - Vessel profile
+ * @returns {number} Speed through water in knots
+ */
+export const findSpeedAtPower = (power, vessel = DEFAULT_VESSEL_PROFILE) => {
+  let low = 0;
+  let high = 40;
+  for (let i = 0; i < 40; i++) {
+    const middle = (low + high) / 2;
+    if (calculateCalmWaterPower(middle, vessel).brakePower > power) high = middle;
+    else low = middle;
+  }
+  return (low + high) / 2;
+};
@@ -1,139 +1,112 @@
 // Maritime Speed Calculation Utilities
 // Based on "Navigating the Elements: How Wind, Waves, Swell, and Currents Govern Ship Speed"
 
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+import { greatCircleDistance, kmToNm, KM_PER_NM } from './navigation';
+import { calculateCalmWaterPower, calculateAddedResistanceEffect } from './hullResistance';
+import { calculateApparentWind, calculateWindLoadCoefficients } from './windLoads';
+import { describeSeaway, calculateSeawayResistance } from './seaway';
+import { getClimatologyCurrent } from './oceanCurrents';
+
 // Constants for maritime calculations
+// Ship-specific characteristics live in the vessel profile (see data/vesselProfiles.js)
 export const MARITIME_CONSTANTS = {
   // Air density at sea level (kg/m³)
   AIR_DENSITY: 1.225,
   
   // Water density (kg/m³)
   WATER_DENSITY: 1025,
-  
-  // Drag coefficient for typical container ship
-  SHIP_DRAG_COEFFICIENT: 0.8,
-  
-  // Ship characteristics (typical container ship)
-  SHIP_LENGTH: 400, // meters
-  SHIP_BEAM: 60,    // meters
-  SHIP_HEIGHT: 45,  // meters
-  
-  // Empirical coefficients for wave resistance
-  WAVE_RESISTANCE_COEFFICIENT: 0.3, // kn loss per meter wave height
-  SWELL_RESISTANCE_COEFFICIENT: 0.2, // kn loss per meter swell height
-  
-  // Wind resistance coefficient
-  WIND_RESISTANCE_COEFFICIENT: 0.025, // kn loss per kn headwind
 };
 
 /**
- * Calculate wind resistance force on ship
- * Formula: Fw = 1/2 * ρa * Cd * A * vr²
- * @param {number} windSpeed - Wind speed in m/s
- * @param {number} windDirection - Wind direction in degrees (meteorological)
- * @param {number} shipCourse - Ship's course in degrees
- * @param {number} shipSpeed - Ship speed in knots
- * @returns {Object} Wind resistance data
+ * Calculate propulsion power required at a given speed through water
+ * Brake power for the vessel's calm-water resistance (Holtrop-Mennen) at its operating draft
+ * @param {number} speed - Speed through water in knots
+ * @param {Object} vessel - Vessel profile
+ * @returns {number} Required power in kW
  */
-export const calculateWindResistance = (windSpeed, windDirection, shipCourse, shipSpeed) => {
-  // Convert wind direction to relative to ship course
-  const relativeWindAngle = ((windDirection + 180) % 360) - shipCourse;
-  const relativeWindAngleRad = (relativeWindAngle * Math.PI) / 180;
-  
-  // Calculate relative wind speed component along ship's course
-  const relativeWindSpeed = windSpeed * Math.cos(relativeWindAngleRad);
-  
-  // Calculate transverse cross-sectional area (simplified)
-  const transverseArea = MARITIME_CONSTANTS.SHIP_BEAM * MARITIME_CONSTANTS.SHIP_HEIGHT;
-  
-  // Calculate wind resistance force
-  const windForce = 0.5 * MARITIME_CONSTANTS.AIR_DENSITY * 
-                   MARITIME_CONSTANTS.SHIP_DRAG_COEFFICIENT * 
-                   transverseArea * 
-                   Math.pow(windSpeed, 2);
-  
-  // Convert to speed impact (knots)
-  const windSpeedImpact = relativeWindSpeed * MARITIME_CONSTANTS.WIND_RESISTANCE_COEFFICIENT;
-  
-  return {
-    force: windForce,
-    relativeAngle: relativeWindAngle,
-    relativeSpeed: relativeWindSpeed,
-    speedImpact: windSpeedImpact,
-    isHeadwind: relativeWindSpeed > 0,
-    isTailwind: relativeWindSpeed < 0
-  };
-};
+export const calculatePropulsionPower = (speed, vessel = DEFAULT_VESSEL_PROFILE) =>
+  calculateCalmWaterPower(speed, vessel).brakePower;
 
 /**
- * Calculate wave resistance impact on ship speed
- * @param {number} waveHeight - Wave height in meters
- * @param {number} waveDirection - Wave direction in degrees
- * @param {number} shipCourse - Ship's course in degrees
- * @returns {Object} Wave resistance data
+ * Calculate fuel consumption rate for a given engine power
+ * @param {number} power - Engine power in kW
+ * @param {Object} vessel - Vessel profile
+ * @returns {number} Fuel consumption in kg/h
  */
-export const calculateWaveResistance = (waveHeight, waveDirection, shipCourse) => {
-  // Calculate relative angle between waves and ship course
-  const relativeWaveAngle = waveDirection - shipCourse;
-  const relativeWaveAngleRad = (relativeWaveAngle * Math.PI) / 180;
-  
-  // Calculate wave component along ship's course
-  const waveAlongCourse = waveHeight * Math.cos(relativeWaveAngleRad);
-  
-  // Calculate speed loss due to waves
-  const speedLoss = Math.max(0, waveAlongCourse) * MARITIME_CONSTANTS.WAVE_RESISTANCE_COEFFICIENT;
-  
-  return {
-    relativeAngle: relativeWaveAngle,
-    alongCourse: waveAlongCourse,
-    speedLoss: speedLoss,
-    isHeadSea: waveAlongCourse > 0,
-    isFollowingSea: waveAlongCourse < 0
-  };
+export const calculateFuelRate = (power, vessel = DEFAULT_VESSEL_PROFILE) => {
+  return power * vessel.sfoc / 1000; // SFOC in g/kWh
 };
 
 /**
- * Calculate swell resistance impact on ship speed
- * @param {number} swellHeight - Swell height in meters
- * @param {number} swellDirection - Swell direction in degrees
+ * Calculate added wind resistance on ship
+ * Formula: X = 1/2 * ρa * CX(γ) * AF * Vaw², with Blendermann's CX for the apparent wind angle γ
+ * @param {number} windSpeed - Wind speed in m/s
+ * @param {number} windDirection - Wind direction in degrees (meteorological)
  * @param {number} shipCourse - Ship's course in degrees
- * @returns {Object} Swell resistance data
+ * @param {number} shipSpeed - Ship speed in knots
+ * @param {Object} vessel - Vessel profile
+ * @returns {Object} Wind resistance data
  */
-export const calculateSwellResistance = (swellHeight, swellDirection, shipCourse) => {
-  // Calculate relative angle between swell and ship course
-  const relativeSwellAngle = swellDirection - shipCourse;
-  const relativeSwellAngleRad = (relativeSwellAngle * Math.PI) / 180;
-  
-  // Calculate swell component along ship's course
-  const swellAlongCourse = swellHeight * Math.cos(relativeSwellAngleRad);
-  
-  // Calculate speed loss due to swell
-  const speedLoss = Math.max(0, swellAlongCourse) * MARITIME_CONSTANTS.SWELL_RESISTANCE_COEFFICIENT;
-  
+export const calculateWindResistance = (windSpeed, windDirection, shipCourse, shipSpeed, vessel = DEFAULT_VESSEL_PROFILE) => {
+  const apparentWind = calculateApparentWind(windSpeed, windDirection, shipCourse, shipSpeed);
+  const coefficients = calculateWindLoadCoefficients(apparentWind.angle, vessel);
+  const halfAirDensity = 0.5 * MARITIME_CONSTANTS.AIR_DENSITY;
+
+  // Wind forces in N: longitudinal (positive astern) on the frontal area, lateral on the lateral area
+  const longitudinalForce = halfAirDensity * coefficients.CX * vessel.frontalWindageArea * Math.pow(apparentWind.speed, 2);
+  const lateralForce = halfAirDensity * coefficients.CY * vessel.lateralWindageArea * Math.pow(apparentWind.speed, 2);
+
+  // Only the part above still air is added: the ship's own headwind belongs to its speed-power curve
+  const shipSpeedMs = shipSpeed * KM_PER_NM / 3.6;
+  const stillAirForce = halfAirDensity * calculateWindLoadCoefficients(0, vessel).CX * vessel.frontalWindageArea * Math.pow(shipSpeedMs, 2);
+  const addedResistance = (longitudinalForce - stillAirForce) / 1000; // kN
+
+  const { extraPower, speedLoss: windSpeedImpact } = calculateAddedResistanceEffect(addedResistance, shipSpeed, vessel);
+
   return {
-    relativeAngle: relativeSwellAngle,
-    alongCourse: swellAlongCourse,
-    speedLoss: speedLoss,
-    isHeadSwell: swellAlongCourse > 0,
-    isFollowingSwell: swellAlongCourse < 0
+    force: addedResistance * 1000,
+    addedResistance: addedResistance,
+    longitudinalForce: longitudinalForce,
+    lateralForce: lateralForce,
+    coefficients: coefficients,
+    extraPower: extraPower,
+    relativeAngle: apparentWind.angle,
+    relativeSpeed: apparentWind.speed,
+    speedImpact: windSpeedImpact,
+    isHeadwind: addedResistance > 0,
+    isTailwind: addedResistance < 0
   };
 };
 
 /**
  * Calculate current effect on ship speed over ground
- * @param {number} currentSpeed - Current speed in knots
- * @param {number} currentDirection - Current direction in degrees
+ * When no current is reported (no live source), the monthly climatology at the position is used instead
+ * @param {number} currentSpeed - Current speed in knots, or null/undefined when unknown
+ * @param {number} currentDirection - Direction the current sets towards, degrees
  * @param {number} shipCourse - Ship's course in degrees
+ * @param {Array} position - [lat, lng] for the climatology fallback (optional)
+ * @param {Date|string|number} time - Valid time for the climatology fallback
  * @returns {Object} Current effect data
  */
-export const calculateCurrentEffect = (currentSpeed, currentDirection, shipCourse) => {
+export const calculateCurrentEffect = (currentSpeed, currentDirection, shipCourse, position = null, time = Date.now()) => {
+  const speed = parseFloat(currentSpeed);
+  const useClimatology = !Number.isFinite(speed) && position;
+  const current = useClimatology
+    ? getClimatologyCurrent(position, time)
+    : { speed: Number.isFinite(speed) ? speed : 0, direction: parseFloat(currentDirection) || 0 };
+
   // Calculate relative angle between current and ship course
-  const relativeCurrentAngle = currentDirection - shipCourse;
+  const relativeCurrentAngle = current.direction - shipCourse;
   const relativeCurrentAngleRad = (relativeCurrentAngle * Math.PI) / 180;
   
   // Calculate current component along ship's course
-  const currentAlongCourse = currentSpeed * Math.cos(relativeCurrentAngleRad);
+  const currentAlongCourse = current.speed * Math.cos(relativeCurrentAngleRad);
   
   return {
+    speed: current.speed,
+    direction: current.direction,
+    source: useClimatology ? 'climatology' : 'reported',
     relativeAngle: relativeCurrentAngle,
     alongCourse: currentAlongCourse,
     isFavorable: currentAlongCourse > 0,
@@ -141,20 +114,51 @@ export const calculateCurrentEffect = (currentSpeed, currentDirection, shipCours
   };
 };
 
+/**
+ * Speed through water a ship makes at a given brake power against a constant added resistance
+ * @param {number} power - Brake power in kW
+ * @param {number} addedResistance - Added resistance in kN
+ * @param {number} maxSpeed - Upper bound in knots
+ * @param {Object} vessel - Vessel profile
+ * @returns {number} Speed through water in knots
+ */
+const findSpeedAgainstResistance = (power, addedResistance, maxSpeed, vessel) => {
+  let low = 0;
+  let high = maxSpeed;
+  for (let i = 0; i < 30; i++) {
+    const speed = (low + high) / 2;
+    const required = calculatePropulsionPower(speed, vessel) + calculateAddedResistanceEffect(addedResistance, speed, vessel).extraPower;
+    if (required > power) high = speed;
+    else low = speed;
+  }
+  return low;
+};
+
 /**
  * Calculate comprehensive weather-affected ship speed
- * @param {number} baseSpeed - Base ship speed in knots
+ * The ship holds its ordered speed through water against the wind and wave added resistance, using more power,
+ * as long as the engine has power to spare (up to the installed power, or the calm-water power when the ordered
+ * speed already needs more). Beyond that it slows down: the involuntary speed loss. Current only changes the
+ * speed over ground.
+ * @param {number} baseSpeed - Base (ordered) ship speed through water in knots
  * @param {Object} weatherData - Weather data object
  * @param {number} shipCourse - Ship's course in degrees
+ * @param {Object} vessel - Vessel profile
  * @returns {Object} Comprehensive speed calculation results
  */
-export const calculateWeatherAffectedSpeed = (baseSpeed, weatherData, shipCourse) => {
+export const calculateWeatherAffectedSpeed = (baseSpeed, weatherData, shipCourse, vessel = DEFAULT_VESSEL_PROFILE) => {
+  const basePower = calculatePropulsionPower(baseSpeed, vessel);
+
   if (!weatherData || !weatherData.weather || !weatherData.ocean) {
     return {
       sog: baseSpeed,
       stw: baseSpeed,
+      basePower: basePower,
+      baseFuelRate: calculateFuelRate(basePower, vessel),
       powerIncrease: 0,
       fuelIncrease: 0,
+      addedPower: 0,
+      involuntarySpeedLoss: 0,
       factors: {},
       totalResistance: 0
     };
@@ -163,48 +167,52 @@ export const calculateWeatherAffectedSpeed = (baseSpeed, weatherData, shipCourse
   // Extract weather data
   const windSpeed = weatherData.weather.wind?.speed || 0;
   const windDirection = weatherData.weather.wind?.deg || 0;
-  const waveHeight = parseFloat(weatherData.ocean.waveHeight) || 0;
-  const swellHeight = parseFloat(weatherData.ocean.swellHeight) || 0;
-  const swellDirection = weatherData.ocean.swellDirection || 0;
-  const currentSpeed = parseFloat(weatherData.ocean.currentSpeed) || 0;
-  const currentDirection = weatherData.ocean.currentDirection || 0;
+  const currentSpeed = weatherData.ocean.currentSpeed;
+  const currentDirection = weatherData.ocean.currentDirection;
 
   // Calculate individual resistance components
-  const windResistance = calculateWindResistance(windSpeed, windDirection, shipCourse, baseSpeed);
-  const waveResistance = calculateWaveResistance(waveHeight, swellDirection, shipCourse);
-  const swellResistance = calculateSwellResistance(swellHeight, swellDirection, shipCourse);
-  const currentEffect = calculateCurrentEffect(currentSpeed, currentDirection, shipCourse);
-
-  // Calculate total speed impact
-  const totalSpeedImpact = currentEffect.alongCourse - 
-                          windResistance.speedImpact - 
-                          waveResistance.speedLoss - 
-                          swellResistance.speedLoss;
-
-  // Calculate Speed Over Ground (SOG) and Speed Through Water (STW)
-  const sog = Math.max(0, baseSpeed + totalSpeedImpact);
-  const stwRequired = Math.max(5, baseSpeed - totalSpeedImpact); // Minimum 5 knots
-
-  // Calculate power and fuel requirements (power scales with cube of speed)
-  const basePower = 7000; // kW at base speed
-  const powerIncrease = basePower * Math.pow(stwRequired / baseSpeed, 3) - basePower;
-  const fuelIncrease = powerIncrease * 0.18; // kg/h (SFOC = 0.18 kg/kWh)
+  const windResistance = calculateWindResistance(windSpeed, windDirection, shipCourse, baseSpeed, vessel);
+  const seawayResistance = calculateSeawayResistance(describeSeaway(weatherData.ocean, weatherData.weather.wind), shipCourse, baseSpeed, vessel);
+  const waveResistance = seawayResistance.windSea;
+  const swellResistance = seawayResistance.swell;
+  const currentEffect = calculateCurrentEffect(currentSpeed, currentDirection, shipCourse, weatherData.coordinates, weatherData.timestamp);
+
+  // Power to hold the ordered speed through water against wind and waves, limited by the engine
+  const addedResistance = windResistance.addedResistance + seawayResistance.addedResistance; // kN
+  const addedPower = windResistance.extraPower + seawayResistance.extraPower; // kW at the ordered speed
+  const maxPower = Math.max(vessel.installedPower || Infinity, basePower);
+  const requiredPower = Math.max(0, basePower + addedPower);
+  const stw = requiredPower <= maxPower
+    ? baseSpeed
+    : findSpeedAgainstResistance(maxPower, addedResistance, baseSpeed, vessel);
+  const power = Math.min(requiredPower, maxPower);
+
+  // Speed Over Ground (SOG): speed through water plus the current along the course
+  const sog = Math.max(0, stw + currentEffect.alongCourse);
+  const totalSpeedImpact = sog - baseSpeed;
+
+  const powerIncrease = power - basePower;
+  const fuelIncrease = calculateFuelRate(powerIncrease, vessel); // kg/h
 
   // Calculate total resistance force
   const totalResistance = windResistance.force + 
-                         (waveResistance.speedLoss * 1000) + 
-                         (swellResistance.speedLoss * 1000);
+                         (seawayResistance.addedResistance * 1000);
 
   return {
     sog: sog,
-    stw: stwRequired,
-    powerIncrease: Math.max(0, powerIncrease),
-    fuelIncrease: Math.max(0, fuelIncrease),
+    stw: stw,
+    basePower: basePower,
+    baseFuelRate: calculateFuelRate(basePower, vessel),
+    powerIncrease: powerIncrease, // kW, negative when a following wind or sea helps
+    fuelIncrease: fuelIncrease,
     totalResistance: totalResistance,
+    addedPower: addedPower, // kW to hold the ordered speed against wind and waves
+    involuntarySpeedLoss: baseSpeed - stw, // kn the engine cannot hold
     factors: {
       wind: windResistance,
       waves: waveResistance,
       swell: swellResistance,
+      seaway: seawayResistance,
       current: currentEffect,
       totalSpeedImpact: totalSpeedImpact
     }
@@ -219,21 +227,10 @@ export const calculateWeatherAffectedSpeed = (baseSpeed, weatherData, shipCourse
  * @returns {Object} Travel time data
  */
 export const calculateTravelTime = (waypoint1, waypoint2, speed) => {
-  // Calculate distance using Haversine formula
-  const R = 6371; // Earth's radius in km
-  const lat1 = (waypoint1[0] * Math.PI) / 180;
-  const lat2 = (waypoint2[0] * Math.PI) / 180;
-  const dLat = ((waypoint2[0] - waypoint1[0]) * Math.PI) / 180;
-  const dLng = ((waypoint2[1] - waypoint1[1]) * Math.PI) / 180;
-
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1) * Math.cos(lat2) *
-            Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c; // Distance in km
+  const distance = greatCircleDistance(waypoint1, waypoint2); // Distance in km
 
   // Convert speed from knots to km/h
-  const speedKmh = speed * 1.852;
+  const speedKmh = speed * KM_PER_NM;
   
   // Calculate travel time
   const timeHours = distance / speedKmh;
@@ -241,6 +238,7 @@ export const calculateTravelTime = (waypoint1, waypoint2, speed) => {
 
   return {
     distance: distance,
+    distanceNm: kmToNm(distance),
     speedKmh: speedKmh,
     timeHours: timeHours,
     timeMinutes: timeMinutes,
@@ -0,0 +1,242 @@
+// Navigation
+// Spherical-earth navigation math: great-circle and rhumb-line distances and bearings, intermediate
+// and destination points, and cross-track/along-track distance. Positions are [lat, lng] in degrees.
+
+export const EARTH_RADIUS_KM = 6371;
+export const KM_PER_NM = 1.852;
+export const EARTH_RADIUS_NM = EARTH_RADIUS_KM / KM_PER_NM;
+
+// Distance units accepted by every function below
+export const DISTANCE_UNITS = {
+  km: EARTH_RADIUS_KM,
+  nm: EARTH_RADIUS_NM
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Get the earth radius in a distance unit
+ * @param {string} unit - 'km' or 'nm'
+ * @returns {number} Earth radius
+ */
+const getEarthRadius = (unit) => {
+  const radius = DISTANCE_UNITS[unit];
+  if (!radius) throw new Error(`Unknown distance unit: ${unit}`);
+  return radius;
+};
+
+/**
+ * Normalize a bearing to the range 0-360 degrees
+ * @param {number} bearing - Bearing in degrees
+ * @returns {number} Bearing in [0, 360)
+ */
+export const normalizeBearing = (bearing) => ((bearing % 360) + 360) % 360;
+
+/**
+ * Convert kilometres to nautical miles
+ * @param {number} km - Distance in km
+ * @returns {number} Distance in nautical miles
+ */
+export const kmToNm = (km) => km / KM_PER_NM;
+
+/**
+ * Convert nautical miles to kilometres
+ * @param {number} nm - Distance in nautical miles
+ * @returns {number} Distance in km
+ */
+export const nmToKm = (nm) => nm * KM_PER_NM;
+
+/**
+ * Great-circle distance between two positions (Haversine formula)
+ * @param {Array} from - Start position [lat, lng]
+ * @param {Array} to - End position [lat, lng]
+ * @param {string} unit - 'km' (default) or 'nm'
+ * @returns {number} Distance
+ */
+export const greatCircleDistance = (from, to, unit = 'km') => {
+  const lat1 = toRadians(from[0]);
+  const lat2 = toRadians(to[0]);
+  const dLat = toRadians(to[0] - from[0]);
+  const dLng = toRadians(to[1] - from[1]);
+
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1) * Math.cos(lat2) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return getEarthRadius(unit) * c;
+};
+
+/**
+ * Initial great-circle bearing (true course on departure) from one position towards another
+ * @param {Array} from - Start position [lat, lng]
+ * @param {Array} to - End position [lat, lng]
+ * @returns {number} Bearing in degrees, 0-360 clockwise from true north
+ */
+export const initialBearing = (from, to) => {
+  const lat1 = toRadians(from[0]);
+  const lat2 = toRadians(to[0]);
+  const dLng = toRadians(to[1] - from[1]);
+
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return normalizeBearing(toDegrees(Math.atan2(y, x)));
+};
+
+/**
+ * Final great-circle bearing (true course on arrival) from one position to another
+ * @param {Array} from - Start position [lat, lng]
+ * @param {Array} to - End position [lat, lng]
+ * @returns {number} Bearing in degrees, 0-360
+ */
+export const finalBearing = (from, to) => normalizeBearing(initialBearing(to, from) + 180);
+
+/**
+ * Difference in isometric latitude used by the rhumb-line formulas
+ * @param {number} lat1 - Start latitude in radians
+ * @param {number} lat2 - End latitude in radians
+ * @returns {number} Projected latitude difference
+ */
+const projectedLatitudeDifference = (lat1, lat2) =>
+  Math.log(Math.tan(Math.PI / 4 + lat2 / 2) / Math.tan(Math.PI / 4 + lat1 / 2));
+
+/**
+ * Longitude difference in radians, taking the shorter way across the antimeridian
+ * @param {Array} from - Start position [lat, lng]
+ * @param {Array} to - End position [lat, lng]
+ * @returns {number} Longitude difference in radians
+ */
+const shortestLongitudeDifference = (from, to) => {
+  let dLng = toRadians(to[1] - from[1]);
+  if (Math.abs(dLng) > Math.PI) dLng = dLng > 0 ? -(2 * Math.PI - dLng) : 2 * Math.PI + dLng;
+  return dLng;
+};
+
+/**
+ * Rhumb-line (loxodrome, constant course) distance between two positions
+ * @param {Array} from - Start position [lat, lng]
+ * @param {Array} to - End position [lat, lng]
+ * @param {string} unit - 'km' (default) or 'nm'
+ * @returns {number} Distance
+ */
+export const rhumbLineDistance = (from, to, unit = 'km') => {
+  const lat1 = toRadians(from[0]);
+  const lat2 = toRadians(to[0]);
+  const dLat = lat2 - lat1;
+  const dPsi = projectedLatitudeDifference(lat1, lat2);
+  // On an east-west line dPsi is 0, so use the cosine of the latitude instead
+  const q = Math.abs(dPsi) > 1e-12 ? dLat / dPsi : Math.cos(lat1);
+  const dLng = shortestLongitudeDifference(from, to);
+  return Math.sqrt(dLat * dLat + q * q * dLng * dLng) * getEarthRadius(unit);
+};
+
+/**
+ * Rhumb-line (constant) bearing from one position to another
+ * @param {Array} from - Start position [lat, lng]
+ * @param {Array} to - End position [lat, lng]
+ * @returns {number} Bearing in degrees, 0-360
+ */
+export const rhumbLineBearing = (from, to) => {
+  const dPsi = projectedLatitudeDifference(toRadians(from[0]), toRadians(to[0]));
+  const dLng = shortestLongitudeDifference(from, to);
+  return normalizeBearing(toDegrees(Math.atan2(dLng, dPsi)));
+};
+
+/**
+ * Point at a fraction of the way along the great circle between two positions
+ * @param {Array} from - Start position [lat, lng]
+ * @param {Array} to - End position [lat, lng]
+ * @param {number} fraction - 0 at the start, 1 at the end
+ * @returns {Array} Position [lat, lng]
+ */
+export const intermediatePoint = (from, to, fraction) => {
+  const lat1 = toRadians(from[0]);
+  const lng1 = toRadians(from[1]);
+  const lat2 = toRadians(to[0]);
+  const lng2 = toRadians(to[1]);
+  const delta = greatCircleDistance(from, to) / EARTH_RADIUS_KM;
+  if (delta === 0) return [from[0], from[1]];
+
+  const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+  const b = Math.sin(fraction * delta) / Math.sin(delta);
+  const x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+  const y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+  const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+  return [toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))), toDegrees(Math.atan2(y, x))];
+};
+
+/**
+ * Destination reached by following a great circle from a position on an initial bearing
+ * @param {Array} from - Start position [lat, lng]
+ * @param {number} bearing - Initial bearing in degrees
+ * @param {number} distance - Distance travelled
+ * @param {string} unit - 'km' (default) or 'nm'
+ * @returns {Array} Position [lat, lng], longitude normalized to -180..180
+ */
+export const destinationPoint = (from, bearing, distance, unit = 'km') => {
+  const delta = distance / getEarthRadius(unit);
+  const theta = toRadians(bearing);
+  const lat1 = toRadians(from[0]);
+  const lng1 = toRadians(from[1]);
+
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta));
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+    Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  return [toDegrees(lat2), ((toDegrees(lng2) + 540) % 360) - 180];
+};
+
+/**
+ * Cross-track distance: how far a position lies off the great circle through two track points
+ * @param {Array} point - Position [lat, lng]
+ * @param {Array} trackStart - Track start [lat, lng]
+ * @param {Array} trackEnd - Track end [lat, lng]
+ * @param {string} unit - 'km' (default) or 'nm'
+ * @returns {number} Signed distance (positive to starboard/right of the track, negative to port/left)
+ */
+export const crossTrackDistance = (point, trackStart, trackEnd, unit = 'km') => {
+  const delta13 = greatCircleDistance(trackStart, point) / EARTH_RADIUS_KM;
+  const theta13 = toRadians(initialBearing(trackStart, point));
+  const theta12 = toRadians(initialBearing(trackStart, trackEnd));
+  return Math.asin(Math.sin(delta13) * Math.sin(theta13 - theta12)) * getEarthRadius(unit);
+};
+
+/**
+ * Along-track distance: how far along the great-circle track the closest point to a position lies
+ * @param {Array} point - Position [lat, lng]
+ * @param {Array} trackStart - Track start [lat, lng]
+ * @param {Array} trackEnd - Track end [lat, lng]
+ * @param {string} unit - 'km' (default) or 'nm'
+ * @returns {number} Signed distance from the track start (negative if behind it)
+ */
+export const alongTrackDistance = (point, trackStart, trackEnd, unit = 'km') => {
+  const delta13 = greatCircleDistance(trackStart, point) / EARTH_RADIUS_KM;
+  const theta13 = toRadians(initialBearing(trackStart, point));
+  const theta12 = toRadians(initialBearing(trackStart, trackEnd));
+  const deltaXt = Math.asin(Math.sin(delta13) * Math.sin(theta13 - theta12));
+  const deltaAt = Math.acos(Math.min(1, Math.max(-1, Math.cos(delta13) / Math.cos(deltaXt))));
+  return Math.sign(Math.cos(theta12 - theta13)) * deltaAt * getEarthRadius(unit);
+};
+
+/**
+ * Total great-circle length of a track
+ * @param {Array} coordinates - Array of [lat, lng] positions
+ * @param {string} unit - 'km' (default) or 'nm'
+ * @returns {number} Distance
+ */
+export const trackDistance = (coordinates, unit = 'km') => {
+  let total = 0;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    total += greatCircleDistance(coordinates[i], coordinates[i + 1], unit);
+  }
+  return total;
+};
+
+/**
+ * Format a distance in both kilometres and nautical miles for display
+ * @param {number} km - Distance in km
+ * @returns {string} e.g. "9,260 km (5,000 nm)"
+ */
+export const formatDistance = (km) =>
+  `${Math.round(km).toLocaleString()} km (${Math.round(kmToNm(km)).toLocaleString()} nm)`;
@@ -0,0 +1,100 @@
+// Ocean Current Climatology
+// Monthly mean surface currents from the bundled grid, sampled with bilinear interpolation
+
+import climatology from '../data/oceanCurrents.json';
+import { normalizeBearing } from './navigation';
+
+const CM_PER_SECOND_PER_KNOT = 51.4444;
+const MS_PER_MONTH = 30.44 * 24 * 60 * 60 * 1000;
+
+const { resolution, rows, cols, months } = climatology;
+const [originLat, originLng] = climatology.origin;
+
+/**
+ * Current vector at a grid node, null on land or outside the grid
+ */
+const nodeVector = (month, row, col) => {
+  if (row < 0 || row >= rows) return null;
+  const index = row * cols + (((col % cols) + cols) % cols);
+  const u = months[month].u[index];
+  return u === null ? null : [u, months[month].v[index]];
+};
+
+/**
+ * Bilinear interpolation of one month's grid. Land nodes are left out and the remaining weights renormalized,
+ * so currents running along a coast are not dragged to zero by the land next to them.
+ */
+const sampleMonth = (month, lat, lng) => {
+  const rowPosition = (lat - originLat) / resolution;
+  const colPosition = (lng - originLng) / resolution;
+  const row = Math.floor(rowPosition);
+  const col = Math.floor(colPosition);
+  const rowFraction = rowPosition - row;
+  const colFraction = colPosition - col;
+
+  let u = 0;
+  let v = 0;
+  let weight = 0;
+  [[0, 0], [0, 1], [1, 0], [1, 1]].forEach(([dRow, dCol]) => {
+    const vector = nodeVector(month, row + dRow, col + dCol);
+    if (!vector) return;
+    const nodeWeight = (dRow ? rowFraction : 1 - rowFraction) * (dCol ? colFraction : 1 - colFraction);
+    u += vector[0] * nodeWeight;
+    v += vector[1] * nodeWeight;
+    weight += nodeWeight;
+  });
+  return weight > 0 ? [u / weight, v / weight] : [0, 0];
+};
+
+/**
+ * Climatological surface current at a position and time. Monthly means are taken as valid mid-month and
+ * interpolated linearly between months.
+ * @param {Array} position - [lat, lng]
+ * @param {Date|string|number} time - Valid time
+ * @returns {Object} { speed (knots), direction (degrees the current sets towards), u, v (knots east/north) }
+ */
+export const getClimatologyCurrent = (position, time = Date.now()) => {
+  const date = new Date(time);
+  const midMonth = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 15, 12);
+  const fraction = (date.getTime() - midMonth) / MS_PER_MONTH;
+  const month = date.getUTCMonth();
+  const otherMonth = (month + (fraction >= 0 ? 1 : 11)) % 12;
+  const weight = Math.min(Math.abs(fraction), 1);
+
+  const [u1, v1] = sampleMonth(month, position[0], position[1]);
+  const [u2, v2] = sampleMonth(otherMonth, position[0], position[1]);
+  const u = (u1 + (u2 - u1) * weight) / CM_PER_SECOND_PER_KNOT;
+  const v = (v1 + (v2 - v1) * weight) / CM_PER_SECOND_PER_KNOT;
+
+  return {
+    speed: Math.hypot(u, v),
+    direction: normalizeBearing((Math.atan2(u, v) * 180) / Math.PI),
+    u,
+    v
+  };
+};
+
+/**
+ * Grid nodes of one month's climatology for drawing, skipping land and near-still water
+ * @param {number} month - Month index (0 = January)
+ * @param {number} minSpeed - Slowest current to include in knots
+ * @returns {Array} [{ position: [lat, lng], speed (knots), direction (degrees towards) }]
+ */
+export const getCurrentField = (month, minSpeed = 0.1) => {
+  const field = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const vector = nodeVector(month, row, col);
+      if (!vector) continue;
+      const [u, v] = vector.map(value => value / CM_PER_SECOND_PER_KNOT);
+      const speed = Math.hypot(u, v);
+      if (speed < minSpeed) continue;
+      field.push({
+        position: [originLat + row * resolution, originLng + col * resolution],
+        speed,
+        direction: normalizeBearing((Math.atan2(u, v) * 180) / Math.PI)
+      });
+    }
+  }
+  return field;
+};
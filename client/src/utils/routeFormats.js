@@ -0,0 +1,456 @@
+// Route File Formats
+// Import and export routes as GeoJSON, GPX, KML and IEC 61174 RTZ (ECDIS route exchange)
+import { createRouteFromWaypoints, getRouteWaypoints, getCustomRoutes, ROUTE_COLORS } from '../data/customRoutes';
+import { greatCircleDistance } from './navigation';
+
+const APP_NAME = 'Maritime Route Planner';
+
+export const ROUTE_FORMATS = {
+  geojson: { name: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  gpx: { name: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { name: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  rtz: { name: 'RTZ (ECDIS)', extension: 'rtz', mimeType: 'application/xml' }
+};
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Find elements by local name regardless of XML namespace prefix
+ * @param {Element|Document} parent - Parent node
+ * @param {string} localName - Element local name
+ * @returns {Array} Matching elements
+ */
+const getElements = (parent, localName) => Array.from(parent.getElementsByTagNameNS('*', localName));
+
+/**
+ * Get the text of the first direct child element with a local name
+ * @param {Element} parent - Parent element
+ * @param {string} localName - Child local name
+ * @returns {string} Trimmed text, or an empty string
+ */
+const getChildText = (parent, localName) => {
+  const child = Array.from(parent.children).find(element => element.localName === localName);
+  return child ? child.textContent.trim() : '';
+};
+
+/**
+ * Parse an XML document, throwing if it is not well-formed
+ * @param {string} text - XML text
+ * @returns {Document} Parsed document
+ */
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML');
+  }
+  return doc;
+};
+
+/**
+ * Name every waypoint for export: port name, then waypoint name, then a WP number
+ * @param {Object} route - Route object
+ * @returns {Array} Waypoints [{ position, portName, name, label }]
+ */
+const getExportWaypoints = (route) =>
+  getRouteWaypoints(route).map((waypoint, index) => ({
+    ...waypoint,
+    label: waypoint.portName || waypoint.name || `WP${String(index + 1).padStart(3, '0')}`
+  }));
+
+/**
+ * Get the port type for a waypoint of an exported route
+ * @param {Object} route - Route object
+ * @param {Array} position - Waypoint position [lat, lng]
+ * @returns {string|null} Port type, or null if the waypoint is not a port
+ */
+const getPortType = (route, position) => {
+  const port = route.ports.find(p => p.position[0] === position[0] && p.position[1] === position[1]);
+  return port ? port.type : null;
+};
+
+/**
+ * Convert a #RRGGBB color to KML's aabbggrr
+ * @param {string} color - CSS hex color
+ * @returns {string} KML color
+ */
+const toKmlColor = (color) => {
+  const hex = (color || '#217A8A').replace('#', '');
+  return `ff${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toLowerCase();
+};
+
+/**
+ * Convert KML's aabbggrr to a #RRGGBB color
+ * @param {string} kmlColor - KML color
+ * @returns {string|null} CSS hex color, or null if not parseable
+ */
+const fromKmlColor = (kmlColor) => {
+  if (!/^[0-9a-f]{8}$/i.test(kmlColor || '')) return null;
+  return `#${kmlColor.slice(6, 8)}${kmlColor.slice(4, 6)}${kmlColor.slice(2, 4)}`.toUpperCase();
+};
+
+/**
+ * Export a route as a GeoJSON FeatureCollection (LineString plus Point features for ports)
+ * @param {Object} route - Route object
+ * @returns {string} GeoJSON text
+ */
+const exportGeoJson = (route) => {
+  const waypoints = getExportWaypoints(route);
+  const collection = {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: route.coordinates.map(([lat, lng]) => [lng, lat])
+        },
+        properties: {
+          name: route.name,
+          color: route.color,
+          style: route.style,
+          waypointNames: waypoints.map(waypoint => waypoint.label)
+        }
+      },
+      ...route.ports.map(port => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [port.position[1], port.position[0]] },
+        properties: { name: port.name, type: 'port', portType: port.type }
+      }))
+    ]
+  };
+  return JSON.stringify(collection, null, 2);
+};
+
+/**
+ * Export a route as a GPX 1.1 route (ports carry <type>port</type>)
+ * @param {Object} route - Route object
+ * @returns {string} GPX text
+ */
+const exportGpx = (route) => {
+  const points = getExportWaypoints(route).map(waypoint => [
+    `    <rtept lat="${waypoint.position[0].toFixed(6)}" lon="${waypoint.position[1].toFixed(6)}">`,
+    `      <name>${escapeXml(waypoint.label)}</name>`,
+    waypoint.portName ? '      <type>port</type>' : null,
+    '    </rtept>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${APP_NAME}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    '  <rte>',
+    `    <name>${escapeXml(route.name)}</name>`,
+    ...points,
+    '  </rte>',
+    '</gpx>'
+  ].join('\n');
+};
+
+/**
+ * Export a route as KML (LineString placemark plus a named point placemark per waypoint, typed as port or waypoint)
+ * @param {Object} route - Route object
+ * @returns {string} KML text
+ */
+const exportKml = (route) => {
+  const waypoints = getExportWaypoints(route);
+  const lineCoordinates = route.coordinates.map(([lat, lng]) => `${lng.toFixed(6)},${lat.toFixed(6)},0`).join(' ');
+  const pointPlacemarks = waypoints.map(waypoint => {
+    const portType = getPortType(route, waypoint.position);
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(waypoint.label)}</name>`,
+      '      <ExtendedData>',
+      `        <Data name="type"><value>${portType || 'waypoint'}</value></Data>`,
+      '      </ExtendedData>',
+      `      <Point><coordinates>${waypoint.position[1].toFixed(6)},${waypoint.position[0].toFixed(6)},0</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(route.name)}</name>`,
+    `    <Style id="route"><LineStyle><color>${toKmlColor(route.color)}</color><width>4</width></LineStyle></Style>`,
+    '    <Placemark>',
+    `      <name>${escapeXml(route.name)}</name>`,
+    '      <styleUrl>#route</styleUrl>',
+    `      <LineString><tessellate>1</tessellate><coordinates>${lineCoordinates}</coordinates></LineString>`,
+    '    </Placemark>',
+    ...pointPlacemarks,
+    '  </Document>',
+    '</kml>'
+  ].join('\n');
+};
+
+/**
+ * Export a route as IEC 61174 RTZ 1.0; ports are flagged with a waypoint extension
+ * @param {Object} route - Route object
+ * @returns {string} RTZ text
+ */
+const exportRtz = (route) => {
+  const waypoints = getExportWaypoints(route).map((waypoint, index) => {
+    const portType = getPortType(route, waypoint.position);
+    return [
+      `    <waypoint id="${index + 1}" name="${escapeXml(waypoint.label)}">`,
+      `      <position lat="${waypoint.position[0].toFixed(6)}" lon="${waypoint.position[1].toFixed(6)}"/>`,
+      portType ? `      <extensions><extension manufacturer="${APP_NAME}" name="port" version="1.0" type="${portType}"/></extensions>` : null,
+      '    </waypoint>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<route version="1.0" xmlns="http://www.cirm.org/RTZ/1/0">',
+    `  <routeInfo routeName="${escapeXml(route.name)}"/>`,
+    '  <waypoints>',
+    '    <defaultWaypoint radius="0.5"><leg geometryType="Loxodrome"/></defaultWaypoint>',
+    ...waypoints,
+    '  </waypoints>',
+    '</route>'
+  ].join('\n');
+};
+
+/**
+ * Attach point markers to the nearest waypoint of a track
+ * @param {Array} waypoints - Waypoints [{ position, portName, name }] (modified in place)
+ * @param {Array} markers - Markers [{ position, name, isPort }]
+ */
+const snapMarkersToWaypoints = (waypoints, markers) => {
+  markers.forEach(marker => {
+    let closest = waypoints[0];
+    let closestDistance = Infinity;
+    waypoints.forEach(waypoint => {
+      const distance = greatCircleDistance(waypoint.position, marker.position);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closest = waypoint;
+      }
+    });
+    if (marker.isPort) closest.portName = marker.name;
+    else if (!closest.name) closest.name = marker.name;
+  });
+};
+
+/**
+ * Parse GeoJSON (FeatureCollection, Feature or bare geometry) with a LineString track
+ * @param {string} text - GeoJSON text
+ * @returns {Object} Parsed route { name, color, style, waypoints }
+ */
+const parseGeoJson = (text) => {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features
+    : data.type === 'Feature' ? [data]
+      : [{ type: 'Feature', geometry: data, properties: {} }];
+
+  const line = features.find(feature => ['LineString', 'MultiLineString'].includes(feature.geometry?.type));
+  if (!line) throw new Error('No LineString found in GeoJSON');
+
+  const lineCoordinates = line.geometry.type === 'MultiLineString' ? line.geometry.coordinates.flat() : line.geometry.coordinates;
+  const properties = line.properties || {};
+  const waypoints = lineCoordinates.map(([lng, lat], index) => ({
+    position: [lat, lng],
+    portName: '',
+    name: properties.waypointNames?.[index] || ''
+  }));
+
+  snapMarkersToWaypoints(waypoints, features
+    .filter(feature => feature.geometry?.type === 'Point')
+    .map(feature => ({
+      position: [feature.geometry.coordinates[1], feature.geometry.coordinates[0]],
+      name: feature.properties?.name || '',
+      isPort: feature.properties?.type !== 'waypoint'
+    }))
+    .filter(marker => marker.name));
+
+  return { name: properties.name, color: properties.color, style: properties.style, waypoints };
+};
+
+/**
+ * Parse a GPX route (or the first track if there is no route); waypoints become port markers
+ * @param {string} text - GPX text
+ * @returns {Object} Parsed route { name, waypoints }
+ */
+const parseGpx = (text) => {
+  const doc = parseXml(text);
+  const route = getElements(doc, 'rte')[0];
+  const track = getElements(doc, 'trk')[0];
+  const container = route || track;
+  const points = route ? getElements(route, 'rtept') : track ? getElements(track, 'trkpt') : [];
+  if (points.length === 0) throw new Error('No route or track points found in GPX');
+
+  const waypoints = points.map(point => {
+    const type = getChildText(point, 'type').toLowerCase();
+    const symbol = getChildText(point, 'sym').toLowerCase();
+    const name = getChildText(point, 'name');
+    const isPort = type === 'port' || symbol === 'anchor' || symbol === 'port';
+    return {
+      position: [parseFloat(point.getAttribute('lat')), parseFloat(point.getAttribute('lon'))],
+      portName: isPort ? name : '',
+      name: isPort ? '' : name
+    };
+  });
+
+  snapMarkersToWaypoints(waypoints, getElements(doc, 'wpt').map(point => ({
+    position: [parseFloat(point.getAttribute('lat')), parseFloat(point.getAttribute('lon'))],
+    name: getChildText(point, 'name'),
+    isPort: true
+  })).filter(marker => marker.name));
+
+  return { name: getChildText(container, 'name'), waypoints };
+};
+
+/**
+ * Parse KML: the first LineString is the track, point placemarks are ports or waypoint names
+ * @param {string} text - KML text
+ * @returns {Object} Parsed route { name, color, waypoints }
+ */
+const parseKml = (text) => {
+  const doc = parseXml(text);
+  const parseCoordinates = (element) => element.textContent.trim().split(/\s+/).map(tuple => {
+    const [lng, lat] = tuple.split(',').map(parseFloat);
+    return [lat, lng];
+  });
+
+  const line = getElements(doc, 'LineString')[0];
+  if (!line) throw new Error('No LineString found in KML');
+  const waypoints = parseCoordinates(getElements(line, 'coordinates')[0])
+    .map(position => ({ position, portName: '', name: '' }));
+
+  const markers = getElements(doc, 'Placemark')
+    .filter(placemark => getElements(placemark, 'Point').length > 0)
+    .map(placemark => {
+      const typeData = getElements(placemark, 'Data').find(data => data.getAttribute('name') === 'type');
+      const type = typeData ? getChildText(typeData, 'value') : 'port';
+      return {
+        position: parseCoordinates(getElements(getElements(placemark, 'Point')[0], 'coordinates')[0])[0],
+        name: getChildText(placemark, 'name'),
+        isPort: type !== 'waypoint'
+      };
+    })
+    .filter(marker => marker.name);
+  snapMarkersToWaypoints(waypoints, markers);
+
+  const kmlDocument = getElements(doc, 'Document')[0];
+  const lineColor = getElements(doc, 'LineStyle').map(style => getChildText(style, 'color'))[0];
+  return {
+    name: (kmlDocument && getChildText(kmlDocument, 'name')) || getChildText(line.parentElement, 'name'),
+    color: fromKmlColor(lineColor),
+    waypoints
+  };
+};
+
+/**
+ * Parse an IEC 61174 RTZ route; waypoints flagged with the port extension become ports
+ * @param {string} text - RTZ text
+ * @returns {Object} Parsed route { name, waypoints }
+ */
+const parseRtz = (text) => {
+  const doc = parseXml(text);
+  const waypointElements = getElements(doc, 'waypoint');
+  if (waypointElements.length === 0) throw new Error('No waypoints found in RTZ');
+
+  const waypoints = waypointElements.map(element => {
+    const position = getElements(element, 'position')[0];
+    const name = element.getAttribute('name') || '';
+    const isPort = getElements(element, 'extension').some(extension => extension.getAttribute('name') === 'port');
+    return {
+      position: [parseFloat(position.getAttribute('lat')), parseFloat(position.getAttribute('lon'))],
+      portName: isPort ? name : '',
+      name: isPort ? '' : name
+    };
+  });
+
+  const routeInfo = getElements(doc, 'routeInfo')[0];
+  return { name: routeInfo?.getAttribute('routeName'), waypoints };
+};
+
+const PARSERS = {
+  geojson: parseGeoJson,
+  gpx: parseGpx,
+  kml: parseKml,
+  rtz: parseRtz
+};
+
+const EXPORTERS = {
+  geojson: exportGeoJson,
+  gpx: exportGpx,
+  kml: exportKml,
+  rtz: exportRtz
+};
+
+/**
+ * Detect a route file format from its name, falling back to its content
+ * @param {string} fileName - File name
+ * @param {string} text - File content
+ * @returns {string|null} Format key (see ROUTE_FORMATS), or null if unknown
+ */
+export const detectRouteFormat = (fileName, text) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (extension === 'json' || extension === 'geojson') return 'geojson';
+  if (PARSERS[extension]) return extension;
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(start)) return 'gpx';
+  if (/<kml[\s>]/.test(start)) return 'kml';
+  if (/<route[\s>]/.test(start)) return 'rtz';
+  return null;
+};
+
+/**
+ * Import a route from a GeoJSON, GPX, KML or RTZ file.
+ * Start and end waypoints always become ports so the route behaves like a built-in one.
+ * @param {string} text - File content
+ * @param {string} fileName - File name (used to detect the format and as a fallback route name)
+ * @returns {Object} Route object (not yet saved)
+ */
+export const importRoute = (text, fileName = '') => {
+  const format = detectRouteFormat(fileName, text);
+  if (!format) throw new Error('Unrecognised route file format');
+
+  const parsed = PARSERS[format](text);
+  const waypoints = parsed.waypoints.filter(waypoint =>
+    Number.isFinite(waypoint.position[0]) && Number.isFinite(waypoint.position[1])
+  );
+  if (waypoints.length < 2) throw new Error('A route needs at least two waypoints');
+
+  const first = waypoints[0];
+  const last = waypoints[waypoints.length - 1];
+  if (!first.portName) first.portName = first.name || 'Departure';
+  if (!last.portName) last.portName = last.name || 'Arrival';
+
+  return createRouteFromWaypoints({
+    id: null,
+    name: parsed.name || fileName.replace(/\.[^.]+$/, '') || `Imported ${ROUTE_FORMATS[format].name} Route`,
+    color: parsed.color || ROUTE_COLORS[getCustomRoutes().length % ROUTE_COLORS.length],
+    style: parsed.style === 'dashed' ? 'dashed' : 'solid',
+    waypoints
+  });
+};
+
+/**
+ * Export a route to a file format
+ * @param {Object} route - Route object
+ * @param {string} format - Format key (see ROUTE_FORMATS)
+ * @returns {Object} { content, fileName, mimeType }
+ */
+export const exportRoute = (route, format) => {
+  const exporter = EXPORTERS[format];
+  if (!exporter) throw new Error(`Unsupported route format: ${format}`);
+  const safeName = route.name.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '') || 'route';
+  return {
+    content: exporter(route),
+    fileName: `${safeName}.${ROUTE_FORMATS[format].extension}`,
+    mimeType: ROUTE_FORMATS[format].mimeType
+  };
+};
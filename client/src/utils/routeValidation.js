@@ -0,0 +1,188 @@
+// Route Validation
+// Checks route segments against bundled low-resolution land polygons for land crossings and coast proximity
+import landData from '../data/landPolygons.json';
+import { NAVIGABLE_CHANNELS } from '../data/navigableChannels';
+
+const KM_PER_DEGREE = 111.32;
+
+export const DEFAULT_VALIDATION_OPTIONS = {
+  coastBuffer: 5,          // km - segments closer to the coast than this are flagged
+  sampleSpacing: 10,       // km between checked points along each segment
+  portApproachRadius: 30   // km around route ports where coast checks are skipped
+};
+
+// Pre-compute bounding boxes so most polygons can be skipped quickly
+const LAND_POLYGONS = landData.polygons.map(ring => {
+  let minLng = Infinity, maxLng = -Infinity, minLat = Infinity, maxLat = -Infinity;
+  ring.forEach(([lng, lat]) => {
+    minLng = Math.min(minLng, lng);
+    maxLng = Math.max(maxLng, lng);
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+  });
+  return { ring, minLng, maxLng, minLat, maxLat };
+});
+
+/**
+ * Approximate distance between two positions (equirectangular, accurate over short ranges)
+ * @param {Array} a - [lat, lng]
+ * @param {Array} b - [lat, lng]
+ * @returns {number} Distance in km
+ */
+const localDistance = (a, b) => {
+  const x = (b[1] - a[1]) * Math.cos(((a[0] + b[0]) / 2) * Math.PI / 180);
+  const y = b[0] - a[0];
+  return Math.hypot(x, y) * KM_PER_DEGREE;
+};
+
+/**
+ * Distance from a position to a line segment, in a local projection centred on the position
+ * @param {Array} point - [lat, lng]
+ * @param {Array} a - Segment start [lat, lng]
+ * @param {Array} b - Segment end [lat, lng]
+ * @returns {number} Distance in km
+ */
+const distanceToSegment = (point, a, b) => {
+  const cosLat = Math.cos(point[0] * Math.PI / 180);
+  const ax = (a[1] - point[1]) * cosLat, ay = a[0] - point[0];
+  const bx = (b[1] - point[1]) * cosLat, by = b[0] - point[0];
+  const dx = bx - ax, dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy) * KM_PER_DEGREE;
+};
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array} ring - Polygon ring of [lng, lat]
+ * @returns {boolean} True if the point is inside
+ */
+const isInsideRing = (lat, lng, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Check whether a position is on land, without measuring the distance to the coast
+ * @param {Array} position - [lat, lng]
+ * @returns {boolean} True on land
+ */
+export const isOnLand = ([lat, lng]) => LAND_POLYGONS.some(polygon =>
+  lat >= polygon.minLat && lat <= polygon.maxLat && lng >= polygon.minLng && lng <= polygon.maxLng &&
+  isInsideRing(lat, lng, polygon.ring));
+
+/**
+ * Check a position against the land polygons
+ * @param {Array} position - [lat, lng]
+ * @param {number} searchRadius - Only coastlines within this distance (km) are measured
+ * @returns {Object} { onLand, coastDistance } (coastDistance is Infinity beyond searchRadius)
+ */
+export const checkPosition = (position, searchRadius = DEFAULT_VALIDATION_OPTIONS.coastBuffer) => {
+  const [lat, lng] = position;
+  const latMargin = searchRadius / KM_PER_DEGREE;
+  const lngMargin = latMargin / Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+  let coastDistance = Infinity;
+
+  for (const polygon of LAND_POLYGONS) {
+    if (lat < polygon.minLat - latMargin || lat > polygon.maxLat + latMargin ||
+        lng < polygon.minLng - lngMargin || lng > polygon.maxLng + lngMargin) {
+      continue;
+    }
+    if (isInsideRing(lat, lng, polygon.ring)) {
+      return { onLand: true, coastDistance: 0 };
+    }
+    const { ring } = polygon;
+    for (let i = 0; i < ring.length - 1; i++) {
+      const distance = distanceToSegment(position, [ring[i][1], ring[i][0]], [ring[i + 1][1], ring[i + 1][0]]);
+      if (distance < coastDistance) coastDistance = distance;
+    }
+  }
+
+  return { onLand: false, coastDistance };
+};
+
+/**
+ * Find the navigable channel (canal or strait) containing a position, if any
+ * @param {Array} position - [lat, lng]
+ * @returns {Object|null} Channel, or null
+ */
+const findChannel = (position) =>
+  NAVIGABLE_CHANNELS.find(channel =>
+    channel.path.slice(0, -1).some((point, i) => distanceToSegment(position, point, channel.path[i + 1]) <= channel.width)
+  ) || null;
+
+/**
+ * Sample positions along a segment, unwrapping longitude across the antimeridian
+ * @param {Array} from - Segment start [lat, lng]
+ * @param {Array} to - Segment end [lat, lng]
+ * @param {number} spacing - Distance between samples in km
+ * @returns {Array} Positions [lat, lng], including both ends
+ */
+const sampleSegment = (from, to, spacing) => {
+  let toLng = to[1];
+  if (toLng - from[1] > 180) toLng -= 360;
+  if (toLng - from[1] < -180) toLng += 360;
+  const end = [to[0], toLng];
+  const steps = Math.max(1, Math.ceil(localDistance(from, end) / spacing));
+  const samples = [];
+  for (let i = 0; i <= steps; i++) {
+    const fraction = i / steps;
+    const lng = from[1] + (end[1] - from[1]) * fraction;
+    samples.push([from[0] + (end[0] - from[0]) * fraction, ((lng + 540) % 360) - 180]);
+  }
+  return samples;
+};
+
+/**
+ * Validate each segment of a route: flag segments that cross land or come closer to the coast
+ * than the buffer. Positions near the route's ports or inside a navigable channel are exempt.
+ * @param {Object} route - Route object with coordinates and ports
+ * @param {Object} options - Validation options (see DEFAULT_VALIDATION_OPTIONS)
+ * @returns {Object} { valid, issues: [{ segmentIndex, type: 'land'|'coast', position, coastDistance }] }
+ */
+export const validateRoute = (route, options = {}) => {
+  const settings = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+  const portPositions = (route.ports || []).map(port => port.position);
+  const issues = [];
+
+  for (let segmentIndex = 0; segmentIndex < route.coordinates.length - 1; segmentIndex++) {
+    let worst = null;
+
+    for (const position of sampleSegment(route.coordinates[segmentIndex], route.coordinates[segmentIndex + 1], settings.sampleSpacing)) {
+      if (portPositions.some(port => localDistance(port, position) <= settings.portApproachRadius)) continue;
+      if (findChannel(position)) continue;
+
+      const { onLand, coastDistance } = checkPosition(position, settings.coastBuffer);
+      if (onLand) {
+        worst = { segmentIndex, type: 'land', position, coastDistance: 0 };
+        break;
+      }
+      if (coastDistance < settings.coastBuffer && (!worst || coastDistance < worst.coastDistance)) {
+        worst = { segmentIndex, type: 'coast', position, coastDistance };
+      }
+    }
+
+    if (worst) issues.push(worst);
+  }
+
+  return { valid: issues.length === 0, issues };
+};
+
+/**
+ * Describe a validation issue for display
+ * @param {Object} issue - Validation issue
+ * @returns {string} Human-readable description
+ */
+export const describeValidationIssue = (issue) =>
+  issue.type === 'land'
+    ? `Segment ${issue.segmentIndex + 1}-${issue.segmentIndex + 2} crosses land near ${issue.position[0].toFixed(2)}, ${issue.position[1].toFixed(2)}`
+    : `Segment ${issue.segmentIndex + 1}-${issue.segmentIndex + 2} passes ${issue.coastDistance.toFixed(1)} km from the coast`;
@@ -0,0 +1,279 @@
+// Seaway
+// Wind sea and swell as wave spectra, and the added resistance and involuntary speed loss they cause
+
+import { normalizeBearing } from './navigation';
+import { getHullForm, calculateAddedResistanceEffect } from './hullResistance';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+
+const GRAVITY = 9.81;       // m/s²
+const WATER_DENSITY = 1025; // kg/m³
+const MS_PER_KNOT = 0.514444;
+
+// Peak enhancement factors: developing wind sea (JONSWAP mean) and narrow-banded swell
+export const WIND_SEA_GAMMA = 3.3;
+export const SWELL_GAMMA = 5;
+
+// Swell peak period when the weather source has none
+const DEFAULT_SWELL_PERIOD = 11; // s
+
+// Longitudinal radius of gyration as a fraction of length, typical for merchant ships
+const PITCH_GYRATION_RATIO = 0.25;
+
+// Frequencies the spectra are integrated over (rad/s), covering peak periods from about 3 to 25 s
+const FREQUENCY_STEPS = 48;
+const MIN_FREQUENCY = 0.2;
+const MAX_FREQUENCY = 2.6;
+const FREQUENCIES = Array.from({ length: FREQUENCY_STEPS + 1 }, (_, i) =>
+  MIN_FREQUENCY + (i * (MAX_FREQUENCY - MIN_FREQUENCY)) / FREQUENCY_STEPS);
+
+// Exponents of the STAwave-2 motion transfer function below (b1, d1) and above its peak, with the powers of
+// each integration frequency precomputed since the function is evaluated for every speed
+const MOTION_EXPONENTS = { below: { b1: 11, d1: 14 }, above: { b1: -8.5, d1: -14 } };
+const FREQUENCY_POWERS = FREQUENCIES.map(frequency => ({
+  below: { b1: Math.pow(frequency, 11), d1: Math.pow(frequency, 14) },
+  above: { b1: Math.pow(frequency, -8.5), d1: Math.pow(frequency, -14) }
+}));
+
+// Significant wave height at the lower limit of each Beaufort number (WMO open sea), for Kwon's coefficients
+const BEAUFORT_WAVE_HEIGHTS = [0, 0.1, 0.2, 0.6, 1, 2, 3, 4, 5.5, 7, 9, 11.5, 14];
+
+// The reflection part of the transfer function depends on frequency and hull only, so it is tabulated per profile
+const reflectionCache = new WeakMap();
+
+// Seaways are described once per ocean record and their spectra tabulated once per component, since speed
+// estimates evaluate the same weather at many speeds
+const seawayCache = new WeakMap();
+const spectrumCache = new WeakMap();
+
+/**
+ * JONSWAP spectral density (Pierson-Moskowitz for gamma = 1), normalized to the significant wave height
+ * @param {number} frequency - Wave frequency in rad/s
+ * @param {Object} component - { significantHeight (m), peakPeriod (s), gamma }
+ * @returns {number} Spectral density in m²·s/rad
+ */
+export const calculateSpectralDensity = (frequency, { significantHeight, peakPeriod, gamma }) => {
+  if (!(significantHeight > 0) || !(peakPeriod > 0) || frequency <= 0) return 0;
+  const peakFrequency = (2 * Math.PI) / peakPeriod;
+  const sigma = frequency <= peakFrequency ? 0.07 : 0.09;
+  const peakShape = Math.pow(gamma, Math.exp(-Math.pow(frequency - peakFrequency, 2) / (2 * sigma * sigma * peakFrequency * peakFrequency)));
+  const pm = (5 / 16) * significantHeight * significantHeight * Math.pow(peakFrequency, 4) * Math.pow(frequency, -5) *
+    Math.exp(-1.25 * Math.pow(peakFrequency / frequency, 4));
+  return (1 - 0.287 * Math.log(gamma)) * pm * peakShape;
+};
+
+/**
+ * Describe the seaway at a position as a wind sea and a swell component. The wind sea comes from the wind
+ * direction when no wave direction is reported, and a missing wind sea peak period is taken from a fully
+ * developed sea of the same height (Tp ≈ 5·√Hs).
+ * @param {Object} ocean - Ocean record (waveHeight, wavePeriod, waveDirection, swellHeight, swellPeriod, swellDirection)
+ * @param {Object} wind - Wind record { speed, deg }
+ * @returns {Object} { windSea, swell } with { significantHeight (m), peakPeriod (s), direction (from, degrees), gamma }
+ */
+export const describeSeaway = (ocean = {}, wind = {}) => {
+  if (seawayCache.has(ocean) && seawayCache.get(ocean).wind === wind) return seawayCache.get(ocean).seaway;
+  const waveHeight = parseFloat(ocean.waveHeight) || 0;
+  const swellHeight = parseFloat(ocean.swellHeight) || 0;
+  const seaway = {
+    windSea: {
+      significantHeight: waveHeight,
+      peakPeriod: parseFloat(ocean.wavePeriod) || 5 * Math.sqrt(waveHeight),
+      direction: Number.isFinite(parseFloat(ocean.waveDirection)) ? parseFloat(ocean.waveDirection) : (wind.deg || 0),
+      gamma: WIND_SEA_GAMMA
+    },
+    swell: {
+      significantHeight: swellHeight,
+      peakPeriod: parseFloat(ocean.swellPeriod) || DEFAULT_SWELL_PERIOD,
+      direction: parseFloat(ocean.swellDirection) || 0,
+      gamma: SWELL_GAMMA
+    }
+  };
+  seawayCache.set(ocean, { wind, seaway });
+  return seaway;
+};
+
+/**
+ * Spectral density of a wave component at each integration frequency
+ * @param {Object} component - Wave component from describeSeaway
+ * @returns {Array} Density per entry of FREQUENCIES
+ */
+const getSpectrum = (component) => {
+  if (!spectrumCache.has(component)) {
+    spectrumCache.set(component, FREQUENCIES.map(frequency => calculateSpectralDensity(frequency, component)));
+  }
+  return spectrumCache.get(component);
+};
+
+/**
+ * Modified Bessel functions I1 and K1 (Abramowitz & Stegun 9.8.3, 9.8.4, 9.8.7, 9.8.8)
+ * @param {number} x - Argument, > 0
+ * @returns {Object} { i1, k1 }
+ */
+const besselI1K1 = (x) => {
+  let i1;
+  if (x <= 3.75) {
+    const t = (x / 3.75) ** 2;
+    i1 = x * (0.5 + t * (0.87890594 + t * (0.51498869 + t * (0.15084934 + t * (0.02658733 + t * (0.00301532 + t * 0.00032411))))));
+  } else {
+    const t = 3.75 / x;
+    i1 = (Math.exp(x) / Math.sqrt(x)) * (0.39894228 + t * (-0.03988024 + t * (-0.00362018 + t * (0.00163801 +
+      t * (-0.01031555 + t * (0.02282967 + t * (-0.02895312 + t * (0.01787654 - t * 0.00420059))))))));
+  }
+  let k1;
+  if (x <= 2) {
+    const t = (x / 2) ** 2;
+    k1 = (x * Math.log(x / 2) * i1 + 1 + t * (0.15443144 + t * (-0.67278579 + t * (-0.18156897 + t * (-0.01919402 +
+      t * (-0.00110404 - t * 0.00004686)))))) / x;
+  } else {
+    const t = 2 / x;
+    k1 = (Math.exp(-x) / Math.sqrt(x)) * (1.25331414 + t * (0.23498619 + t * (-0.0365562 + t * (0.01504268 +
+      t * (-0.00780353 + t * (0.00325614 - t * 0.00068245))))));
+  }
+  return { i1, k1 };
+};
+
+/**
+ * Reflection coefficient of the hull for each integration frequency: how much of a short wave the bow reflects
+ * rather than lets pass beneath the keel, α = π²I1²(1.5kT) / (π²I1²(1.5kT) + K1²(1.5kT))
+ * @param {Object} vessel - Vessel profile (cache key)
+ * @param {Object} hull - Result of getHullForm
+ * @returns {Array} Coefficient per entry of FREQUENCIES
+ */
+const getReflectionCoefficients = (vessel, hull) => {
+  if (reflectionCache.has(vessel)) return reflectionCache.get(vessel);
+  const coefficients = FREQUENCIES.map(frequency => {
+    const x = 1.5 * (frequency * frequency / GRAVITY) * hull.draft;
+    if (x > 20) return 1;
+    const { i1, k1 } = besselI1K1(x);
+    const reflected = Math.PI * Math.PI * i1 * i1;
+    return reflected / (reflected + k1 * k1);
+  });
+  reflectionCache.set(vessel, coefficients);
+  return coefficients;
+};
+
+/**
+ * Beaufort number equivalent to a significant wave height, interpolated between WMO sea state limits
+ * @param {number} significantHeight - Significant wave height in m
+ * @returns {number} Beaufort number (0-12, fractional)
+ */
+const beaufortFromWaveHeight = (significantHeight) => {
+  const index = BEAUFORT_WAVE_HEIGHTS.findIndex(height => height > significantHeight);
+  if (index === -1) return BEAUFORT_WAVE_HEIGHTS.length - 1;
+  const lower = BEAUFORT_WAVE_HEIGHTS[index - 1];
+  return index - 1 + (significantHeight - lower) / (BEAUFORT_WAVE_HEIGHTS[index] - lower);
+};
+
+/**
+ * Kwon's direction reduction coefficient, interpolated between the centres of his head, bow, beam and
+ * following sectors so the loss changes smoothly with heading
+ * @param {number} relativeAngle - Angle the waves come from, off the bow (0 head seas, 180 following)
+ * @param {number} beaufort - Beaufort number, limited to the range the coefficients were fitted for
+ * @returns {number} Coefficient (1 in head seas)
+ */
+const kwonDirectionCoefficient = (relativeAngle, beaufort) => {
+  const bn = Math.min(Math.max(beaufort, 3), 9);
+  const angle = relativeAngle > 180 ? 360 - relativeAngle : relativeAngle;
+  const sectors = [
+    [15, 1],
+    [45, Math.max(0, (1.7 - 0.03 * (bn - 4) ** 2) / 2)],
+    [105, Math.max(0, (0.9 - 0.06 * (bn - 6) ** 2) / 2)],
+    [165, Math.max(0, (0.4 - 0.03 * (bn - 8) ** 2) / 2)]
+  ];
+  if (angle <= sectors[0][0]) return sectors[0][1];
+  const next = sectors.findIndex(([centre]) => centre >= angle);
+  if (next === -1) return sectors[sectors.length - 1][1];
+  const [fromAngle, fromValue] = sectors[next - 1];
+  const [toAngle, toValue] = sectors[next];
+  return fromValue + ((angle - fromAngle) / (toAngle - fromAngle)) * (toValue - fromValue);
+};
+
+/**
+ * Mean added resistance of one wave component. The head-sea transfer function combines the motion-induced
+ * part of STAwave-2 (ship length, beam, block coefficient and Froude number) with the reflection of short waves
+ * at the bow (Fujii-Takahashi, growing with speed); it is integrated over the component's spectrum and reduced
+ * for oblique and following seas with Kwon's direction coefficient.
+ * @param {Object} component - Wave component from describeSeaway
+ * @param {number} shipCourse - Ship's course in degrees
+ * @param {number} shipSpeed - Speed through water in knots
+ * @param {Object} vessel - Vessel profile
+ * @returns {Object} { relativeAngle, significantHeight, peakPeriod, headingFactor, addedResistance (kN) }
+ */
+const integrateAddedResistance = (component, shipCourse, shipSpeed, vessel) => {
+  const relativeAngle = normalizeBearing(component.direction - shipCourse);
+  const result = {
+    relativeAngle,
+    significantHeight: component.significantHeight,
+    peakPeriod: component.peakPeriod,
+    headingFactor: 0,
+    addedResistance: 0
+  };
+  if (!(component.significantHeight > 0)) return result;
+
+  const hull = getHullForm(vessel);
+  const { length, beam, blockCoefficient } = hull;
+  const froude = Math.max(shipSpeed * MS_PER_KNOT / Math.sqrt(GRAVITY * length), 0.05);
+  const reflection = getReflectionCoefficients(vessel, hull);
+
+  // Motion-induced part (STAwave-2): peaks near pitch resonance, where the wave length is close to the ship length
+  const a1 = 60.3 * Math.pow(blockCoefficient, 1.34);
+  const frequencyScale = (Math.sqrt(length / GRAVITY) * Math.cbrt(PITCH_GYRATION_RATIO) / 1.17) * Math.pow(froude, -0.143);
+  const motionScale = 4 * Math.PI * WATER_DENSITY * GRAVITY * beam * beam / length * a1 * Math.pow(froude, 1.5) * Math.exp(-3.5 * froude);
+  const reflectionScale = 0.5 * WATER_DENSITY * GRAVITY * beam * (1 + 5 * Math.sqrt(froude));
+
+  // R = 2 ∫ S(ω) · Raw(ω)/ζa² dω, trapezoidal
+  const step = (MAX_FREQUENCY - MIN_FREQUENCY) / FREQUENCY_STEPS;
+  let integral = 0;
+  const spectrum = getSpectrum(component);
+  const scalePowers = {
+    below: { b1: Math.pow(frequencyScale, 11), d1: Math.pow(frequencyScale, 14) },
+    above: { b1: Math.pow(frequencyScale, -8.5), d1: Math.pow(frequencyScale, -14) }
+  };
+  for (let i = 0; i <= FREQUENCY_STEPS; i++) {
+    const density = spectrum[i];
+    if (density < 1e-9) continue;
+    const range = frequencyScale * FREQUENCIES[i] < 1 ? 'below' : 'above';
+    const { b1, d1 } = MOTION_EXPONENTS[range];
+    const scaledB1 = scalePowers[range].b1 * FREQUENCY_POWERS[i][range].b1;
+    const scaledD1 = scalePowers[range].d1 * FREQUENCY_POWERS[i][range].d1;
+    const motion = motionScale * scaledB1 * Math.exp((b1 / d1) * (1 - scaledD1));
+    const transfer = motion + reflectionScale * reflection[i];
+    integral += density * transfer * (i === 0 || i === FREQUENCY_STEPS ? 0.5 : 1) * step;
+  }
+
+  result.headingFactor = kwonDirectionCoefficient(relativeAngle, beaufortFromWaveHeight(component.significantHeight));
+  result.addedResistance = (2 * integral * result.headingFactor) / 1000;
+  return result;
+};
+
+/**
+ * Added resistance of one wave component with the added power and involuntary speed loss it causes
+ * @param {Object} component - Wave component from describeSeaway
+ * @param {number} shipCourse - Ship's course in degrees
+ * @param {number} shipSpeed - Speed through water in knots
+ * @param {Object} vessel - Vessel profile
+ * @returns {Object} { relativeAngle, significantHeight, peakPeriod, headingFactor, addedResistance (kN), extraPower (kW), speedLoss (kn) }
+ */
+export const calculateAddedResistanceInWaves = (component, shipCourse, shipSpeed, vessel = DEFAULT_VESSEL_PROFILE) => {
+  const result = integrateAddedResistance(component, shipCourse, shipSpeed, vessel);
+  return { ...result, ...calculateAddedResistanceEffect(result.addedResistance, shipSpeed, vessel) };
+};
+
+/**
+ * Added resistance, added power and involuntary speed loss in a seaway of wind sea and swell
+ * @param {Object} seaway - Result of describeSeaway
+ * @param {number} shipCourse - Ship's course in degrees
+ * @param {number} shipSpeed - Speed through water in knots
+ * @param {Object} vessel - Vessel profile
+ * @returns {Object} { windSea, swell (per component results), addedResistance (kN), extraPower (kW), speedLoss (kn) }
+ */
+export const calculateSeawayResistance = (seaway, shipCourse, shipSpeed, vessel = DEFAULT_VESSEL_PROFILE) => {
+  const components = [seaway.windSea, seaway.swell].map(component => integrateAddedResistance(component, shipCourse, shipSpeed, vessel));
+  const addedResistance = components[0].addedResistance + components[1].addedResistance;
+  // Power and speed loss are linear in the added resistance, so the total is shared out by each component's part
+  const effect = calculateAddedResistanceEffect(addedResistance, shipSpeed, vessel);
+  const [windSea, swell] = components.map(component => {
+    const share = addedResistance !== 0 ? component.addedResistance / addedResistance : 0;
+    return { ...component, extraPower: effect.extraPower * share, speedLoss: effect.speedLoss * share };
+  });
+  return { windSea, swell, addedResistance, ...effect };
+};
@@ -0,0 +1,46 @@
+// Seeded Random Number Generation
+// Deterministic pseudo-random numbers so simulations can be reproduced exactly
+
+/**
+ * Hash a string to a 32-bit unsigned integer (FNV-1a)
+ * @param {string} value - String to hash
+ * @returns {number} 32-bit hash
+ */
+export const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a Mulberry32 pseudo-random generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export const mulberry32 = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Create a generator keyed by any number of values (e.g. seed, coordinates, time bucket)
+ * The same key parts always produce the same sequence
+ * @param {...(string|number)} keyParts - Values identifying the sequence
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export const createSeededRandom = (...keyParts) => mulberry32(hashString(keyParts.join('|')));
+
+/**
+ * Generate a new user-facing seed
+ * @returns {number} Seed between 1 and 999999
+ */
+export const generateSeed = () => 1 + Math.floor(Math.random() * 999999);
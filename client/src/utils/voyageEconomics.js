@@ -0,0 +1,284 @@
+// Voyage Economics
+// Single source for fuel (including ECA fuel switching), operational, port, canal, emissions allowance and weather surcharge costs
+
+import { calculateWeatherAffectedSpeed, calculateFuelRate } from './maritimeCalculations';
+import { initialBearing, greatCircleDistance, KM_PER_NM } from './navigation';
+import { calculateRouteDistance } from '../data/routes';
+import { DEFAULT_VESSEL_PROFILE } from '../data/vesselProfiles';
+import { getRoutePortInfo } from '../data/ports';
+import { DEFAULT_CANAL_TARIFFS } from '../data/canals';
+import { planCanalTransits } from './canalTransits';
+import { calculateVoyageEmissions } from './emissions';
+import { detectEcaSegments, getEcaDistanceAhead, getEcaFuel } from './ecaDetection';
+
+// Waiting and berth time assumed at ports that are not in the port database
+const UNLISTED_PORT_HOURS = { waitingHours: 12, berthHours: 24 };
+
+// Default price inputs (all overridable by the user)
+export const DEFAULT_PRICE_INPUTS = {
+  fuelPrice: 0.8,                // USD per kg (marine fuel oil price)
+  ecaFuelPrice: 1.05,            // USD per kg of low-sulphur fuel burned inside emission control areas
+  operationalCostPerHour: 5000,  // USD per hour (crew, maintenance, etc.)
+  portFeePerCall: 15000,         // USD per call at ports not in the port database
+  canalTariffs: DEFAULT_CANAL_TARIFFS, // USD per net ton by canal, tonnage band and ship type
+  euaPrice: 80,                  // USD per EU ETS allowance (t CO2)
+  severeWeatherSurcharge: 0.1    // fraction added to cost in severe conditions
+};
+
+/**
+ * Calculate the ship's course from a waypoint towards the next one
+ * @param {Object} route - Route object
+ * @param {number} waypointIndex - Current waypoint index
+ * @returns {number} Initial great-circle course in degrees true
+ */
+export const getSegmentCourse = (route, waypointIndex) => {
+  const currentCoord = route.coordinates[waypointIndex];
+  const nextCoord = route.coordinates[Math.min(waypointIndex + 1, route.coordinates.length - 1)];
+  return initialBearing(currentCoord, nextCoord);
+};
+
+/**
+ * Find the route waypoint a port is called at (the closest one for ports without a waypointIndex)
+ * @param {Object} route - Route object
+ * @param {Object} port - Route port with waypointIndex or position [lat, lng]
+ * @returns {number} Waypoint index
+ */
+export const getPortWaypointIndex = (route, port) => {
+  if (Number.isInteger(port.waypointIndex)) return port.waypointIndex;
+  let closestIndex = 0;
+  let closestDistance = Infinity;
+  route.coordinates.forEach((coord, index) => {
+    const distance = greatCircleDistance(coord, port.position);
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      closestIndex = index;
+    }
+  });
+  return closestIndex;
+};
+
+/**
+ * List the port calls still ahead of the ship with their charges and time in port. Intermediate calls
+ * add waiting and berth time to the voyage; at the destination the voyage ends on berthing, so only
+ * the waiting time counts. Ports not in the port database are charged the flat port fee.
+ * @param {Object} route - Route object
+ * @param {number} waypointIndex - Current waypoint index
+ * @param {Object} prices - Price inputs (see DEFAULT_PRICE_INPUTS)
+ * @returns {Array} Port calls [{ port, info, waypointIndex, isDestination, portDues, pilotage, cost, hours }]
+ */
+export const getPortCallsAhead = (route, waypointIndex, prices = DEFAULT_PRICE_INPUTS) =>
+  (route.ports || [])
+    .filter(port => port.type !== 'start')
+    .map(port => ({ port, info: getRoutePortInfo(port), waypointIndex: getPortWaypointIndex(route, port) }))
+    .filter(call => call.waypointIndex > waypointIndex)
+    .map(call => {
+      const isDestination = call.port.type === 'end';
+      const { waitingHours, berthHours } = call.info || UNLISTED_PORT_HOURS;
+      const portDues = call.info ? call.info.portDues : prices.portFeePerCall;
+      const pilotage = call.info ? call.info.pilotage : 0;
+      return {
+        ...call,
+        isDestination,
+        portDues,
+        pilotage,
+        cost: portDues + pilotage,
+        hours: isDestination ? waitingHours : waitingHours + berthHours
+      };
+    });
+
+/**
+ * List the canal transits still ahead of the ship, with tolls for the vessel and the convoy/queue
+ * waiting time at the canal entrance
+ * @param {Object} route - Route object
+ * @param {number} waypointIndex - Current waypoint index
+ * @param {Object} vessel - Vessel profile
+ * @param {Object} prices - Price inputs (see DEFAULT_PRICE_INPUTS)
+ * @returns {Array} Transits (see planCanalTransits) entered at or after the waypoint
+ */
+export const getCanalTransitsAhead = (route, waypointIndex, vessel = DEFAULT_VESSEL_PROFILE, prices = DEFAULT_PRICE_INPUTS) =>
+  planCanalTransits(route, vessel, prices.canalTariffs).filter(transit => transit.entryIndex >= waypointIndex);
+
+/**
+ * Hours the ship stops at each waypoint: waiting and berth time at intermediate port calls and convoy/queue
+ * waiting at canal entrances
+ * @param {Object} route - Route object
+ * @param {Object} vessel - Vessel profile
+ * @param {Object} prices - Price inputs (see DEFAULT_PRICE_INPUTS)
+ * @returns {Object} Hours keyed by waypoint index
+ */
+export const getStopHours = (route, vessel = DEFAULT_VESSEL_PROFILE, prices = DEFAULT_PRICE_INPUTS) => {
+  const stopHours = {};
+  getPortCallsAhead(route, 0, prices)
+    .filter(call => !call.isDestination)
+    .forEach(call => { stopHours[call.waypointIndex] = (stopHours[call.waypointIndex] || 0) + call.hours; });
+  getCanalTransitsAhead(route, 0, vessel, prices)
+    .forEach(transit => { stopHours[transit.entryIndex] = (stopHours[transit.entryIndex] || 0) + transit.waitingHours; });
+  return stopHours;
+};
+
+/**
+ * Plan the fuel burned inside emission control areas on the rest of the voyage. Fuel is split by distance:
+ * the share of the remaining distance inside ECAs is burned as the ECA fuel, at the ECA fuel price when
+ * the vessel has to switch to it.
+ * @param {Object} route - Route object
+ * @param {number} waypointIndex - Current waypoint index
+ * @param {number} fuelKg - Fuel for the rest of the voyage in kg
+ * @param {Object} vessel - Vessel profile
+ * @param {Object} prices - Price inputs (see DEFAULT_PRICE_INPUTS)
+ * @returns {Object} { segments (ECA stretches not yet left), distance (km inside ECAs), fuelType, switched,
+ *   sulphurContent, compliant, fuelKg (burned inside ECAs), extraCost (USD over the main fuel) }
+ */
+export const getEcaFuelAhead = (route, waypointIndex, fuelKg, vessel = DEFAULT_VESSEL_PROFILE, prices = DEFAULT_PRICE_INPUTS) => {
+  const segments = detectEcaSegments(route.coordinates).segments.filter(segment => segment.exitIndex > waypointIndex);
+  const distance = getEcaDistanceAhead(route.coordinates, waypointIndex);
+  const remainingDistance = calculateRouteDistance(route.coordinates.slice(waypointIndex));
+  const ecaFuel = getEcaFuel(vessel);
+  const ecaFuelKg = remainingDistance > 0 ? fuelKg * distance / remainingDistance : 0;
+
+  return {
+    segments,
+    distance,
+    ...ecaFuel,
+    fuelKg: ecaFuelKg,
+    extraCost: ecaFuel.switched ? ecaFuelKg * (prices.ecaFuelPrice - prices.fuelPrice) : 0
+  };
+};
+
+/**
+ * Calculate fuel consumption from the brake power the ship needs in the conditions: the calm-water power at
+ * the ordered speed plus the power to hold it against wind and waves (limited by the engine)
+ * @param {Object} weatherSpeed - Result of calculateWeatherAffectedSpeed
+ * @param {number} remainingHours - Remaining passage time in hours
+ * @param {Object} vessel - Vessel profile
+ * @returns {Object} Fuel consumption data (current and base in kg/h, remaining/total in kg, power in kW,
+ *   weatherMultiplier = current / calm-water rate)
+ */
+export const calculateFuelConsumption = (weatherSpeed, remainingHours, vessel = DEFAULT_VESSEL_PROFILE) => {
+  const power = Math.max(0, weatherSpeed.basePower + weatherSpeed.powerIncrease);
+  const baseFuelConsumption = calculateFuelRate(weatherSpeed.basePower, vessel); // kg/h in calm water
+  const currentFuelConsumption = calculateFuelRate(power, vessel);
+  const remainingFuel = currentFuelConsumption * remainingHours;
+
+  return {
+    current: currentFuelConsumption,
+    base: baseFuelConsumption,
+    power: power,
+    remaining: remainingFuel,
+    total: remainingFuel,
+    weatherMultiplier: baseFuelConsumption > 0 ? currentFuelConsumption / baseFuelConsumption : 1
+  };
+};
+
+/**
+ * Calculate remaining route cost from a waypoint to the destination
+ * @param {Object} fuelConsumption - Result of calculateFuelConsumption
+ * @param {number} remainingHours - Remaining voyage time in hours, including time in port
+ * @param {Object} route - Route object
+ * @param {number} waypointIndex - Current waypoint index
+ * @param {Object} weatherData - Waypoint weather data
+ * @param {Object} prices - Price inputs (see DEFAULT_PRICE_INPUTS)
+ * @param {Object} vessel - Vessel profile (canal tolls depend on its tonnage and type, emissions on its fuel and deadweight)
+ * @returns {Object} Cost data with breakdown and the emissions of the remaining fuel
+ */
+export const calculateRouteCost = (fuelConsumption, remainingHours, route, waypointIndex, weatherData = null, prices = DEFAULT_PRICE_INPUTS, vessel = DEFAULT_VESSEL_PROFILE) => {
+  // Fuel inside emission control areas is switched to a compliant grade at its own price
+  const eca = getEcaFuelAhead(route, waypointIndex, fuelConsumption.total, vessel, prices);
+  const fuelCost = fuelConsumption.total * prices.fuelPrice + eca.extraCost;
+  const operationalCostTotal = prices.operationalCostPerHour * remainingHours;
+
+  // Dues and pilotage for every port call still ahead of the ship
+  const portCalls = getPortCallsAhead(route, waypointIndex, prices);
+  const portFeesTotal = portCalls.reduce((total, call) => total + call.cost, 0);
+
+  // Tolls for the canal transits still ahead
+  const canalTransits = getCanalTransitsAhead(route, waypointIndex, vessel, prices);
+  const canalFeesTotal = canalTransits.reduce((total, transit) => total + transit.toll, 0);
+
+  // Emissions of the remaining fuel and the EU ETS allowances due for them
+  const emissions = calculateVoyageEmissions({
+    route,
+    waypointIndex,
+    fuelKg: fuelConsumption.total,
+    vessel,
+    euaPrice: prices.euaPrice,
+    ecaFuelKg: eca.switched ? eca.fuelKg : 0,
+    ecaFuelType: eca.fuelType
+  });
+  const etsCost = emissions.ets.cost;
+
+  // Weather-related additional costs
+  let weatherCostMultiplier = 1.0;
+  if (weatherData && weatherData.weather && weatherData.ocean) {
+    const windSpeed = weatherData.weather.wind?.speed || 0;
+    const waveHeight = parseFloat(weatherData.ocean.waveHeight) || 0;
+
+    if (windSpeed > 15 || waveHeight > 3) {
+      weatherCostMultiplier = 1 + prices.severeWeatherSurcharge;
+    }
+  }
+
+  const baseCost = fuelCost + operationalCostTotal + portFeesTotal + canalFeesTotal + etsCost;
+  const totalRouteCost = baseCost * weatherCostMultiplier;
+
+  return {
+    fuelCost: fuelCost,
+    eca,
+    operationalCost: operationalCostTotal,
+    portFees: portFeesTotal,
+    portCalls,
+    canalFees: canalFeesTotal,
+    canalTransits,
+    etsCost,
+    emissions,
+    weatherMultiplier: weatherCostMultiplier,
+    baseCost: baseCost,
+    total: totalRouteCost,
+    breakdown: {
+      fuel: fuelCost,
+      ecaFuel: eca.extraCost,
+      operational: operationalCostTotal,
+      ports: portFeesTotal,
+      canal: canalFeesTotal,
+      ets: etsCost,
+      weather: baseCost * (weatherCostMultiplier - 1)
+    }
+  };
+};
+
+/**
+ * Calculate speed, fuel and cost for the rest of the voyage from a waypoint
+ * @param {Object} route - Route object
+ * @param {number} waypointIndex - Current waypoint index
+ * @param {Object} weatherData - Weather data at the waypoint (may be null)
+ * @param {number} baseSpeed - Ordered speed in knots
+ * @param {Object} vessel - Vessel profile
+ * @param {Object} prices - Price inputs (see DEFAULT_PRICE_INPUTS)
+ * @returns {Object} { course, weatherSpeed, remainingDistance, sailingHours, portHours, canalWaitingHours, remainingHours, fuelConsumption, routeCost }
+ */
+export const calculateVoyageEconomics = (route, waypointIndex, weatherData, baseSpeed, vessel = DEFAULT_VESSEL_PROFILE, prices = DEFAULT_PRICE_INPUTS) => {
+  const course = getSegmentCourse(route, waypointIndex);
+  const weatherSpeed = calculateWeatherAffectedSpeed(baseSpeed, weatherData, course, vessel);
+
+  const remainingDistance = calculateRouteDistance(route.coordinates.slice(waypointIndex)); // km
+  const sailingHours = remainingDistance / (Math.max(weatherSpeed.sog, 1) * KM_PER_NM);
+  const portHours = getPortCallsAhead(route, waypointIndex, prices).reduce((total, call) => total + call.hours, 0);
+  const canalWaitingHours = getCanalTransitsAhead(route, waypointIndex, vessel, prices)
+    .reduce((total, transit) => total + transit.waitingHours, 0);
+  const remainingHours = sailingHours + portHours + canalWaitingHours;
+
+  // Main engine fuel is burned while sailing; time in port and at canal anchorages only adds operational cost
+  const fuelConsumption = calculateFuelConsumption(weatherSpeed, sailingHours, vessel);
+  const routeCost = calculateRouteCost(fuelConsumption, remainingHours, route, waypointIndex, weatherData, prices, vessel);
+
+  return {
+    course,
+    weatherSpeed,
+    remainingDistance,
+    sailingHours,
+    portHours,
+    canalWaitingHours,
+    remainingHours,
+    fuelConsumption,
+    routeCost
+  };
+};
@@ -0,0 +1,109 @@
+// Voyage Timeline
+// Maps a moment of the voyage to the ship's position, interpolated along the great-circle leg it is on
+import { greatCircleDistance, intermediatePoint, initialBearing, finalBearing } from './navigation';
+
+/**
+ * Build a voyage timeline from route coordinates and the ETA at each waypoint
+ * A route with a single waypoint gets one zero-length leg, so the ship stays at that waypoint.
+ * @param {Array} coordinates - Array of [lat, lng] waypoints
+ * @param {Array} etas - Arrival time at each waypoint (ms since epoch)
+ * @param {Array} departures - Departure time from each waypoint, later than the ETA at port calls and canal
+ *   entrances (defaults to the ETAs)
+ * @returns {Object} { departure, arrival, totalDistance (km), legs: [{ from, to, startTime, endTime, startDistance, distance }] }
+ */
+export const buildVoyageTimeline = (coordinates, etas, departures = etas) => {
+  if (!coordinates || coordinates.length === 0) {
+    throw new Error('A voyage timeline needs at least one waypoint');
+  }
+
+  const legs = [];
+  let startDistance = 0;
+
+  if (coordinates.length === 1) {
+    legs.push({
+      from: coordinates[0],
+      to: coordinates[0],
+      startTime: etas[0],
+      endTime: etas[0],
+      startDistance,
+      distance: 0
+    });
+  }
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const distance = greatCircleDistance(coordinates[i], coordinates[i + 1]);
+    legs.push({
+      from: coordinates[i],
+      to: coordinates[i + 1],
+      startTime: departures[i],
+      endTime: etas[i + 1],
+      startDistance,
+      distance
+    });
+    startDistance += distance;
+  }
+
+  return {
+    departure: etas[0],
+    arrival: etas[etas.length - 1],
+    totalDistance: startDistance,
+    legs
+  };
+};
+
+/**
+ * Get the ship's state at a moment of the voyage. Speed is constant along each leg,
+ * so the position moves along the leg in proportion to the time spent on it.
+ * Between arriving at a waypoint and departing from it (port call, canal queue) the ship stays there.
+ * @param {Object} timeline - Result of buildVoyageTimeline
+ * @param {number} time - Moment (ms since epoch), clamped to departure..arrival
+ * @returns {Object} { time, legIndex, fraction, position, course, distanceTravelled, remainingDistance, progress (%), elapsedHours, stopped, finished }
+ */
+export const getVoyageState = (timeline, time) => {
+  const { legs, departure, arrival, totalDistance } = timeline;
+  const clampedTime = Math.min(Math.max(time, departure), arrival);
+
+  let legIndex = legs.findIndex(leg => clampedTime < leg.endTime);
+  if (legIndex === -1) legIndex = legs.length - 1;
+  const leg = legs[legIndex];
+
+  const legDuration = leg.endTime - leg.startTime;
+  const fraction = legDuration > 0 ? Math.min(1, Math.max(0, (clampedTime - leg.startTime) / legDuration)) : 1;
+  const position = intermediatePoint(leg.from, leg.to, fraction);
+  const distanceTravelled = leg.startDistance + leg.distance * fraction;
+
+  return {
+    time: clampedTime,
+    legIndex,
+    fraction,
+    position,
+    course: fraction < 1 ? initialBearing(position, leg.to) : finalBearing(leg.from, leg.to),
+    distanceTravelled,
+    remainingDistance: Math.max(0, totalDistance - distanceTravelled),
+    progress: totalDistance > 0 ? (distanceTravelled / totalDistance) * 100 : 100,
+    elapsedHours: (clampedTime - departure) / 3600000,
+    stopped: clampedTime < leg.startTime,
+    finished: clampedTime >= arrival
+  };
+};
+
+/**
+ * Get the part of the route already sailed, ending at the ship's current position
+ * @param {Object} timeline - Result of buildVoyageTimeline
+ * @param {Object} state - Result of getVoyageState
+ * @returns {Array} Positions [lat, lng]
+ */
+export const getTravelledPath = (timeline, state) => [
+  ...timeline.legs.slice(0, state.legIndex + 1).map(leg => leg.from),
+  state.position
+];
+
+/**
+ * Format a date for a datetime-local input (local time, minute precision)
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. "2026-01-01T12:00"
+ */
+export const toDateTimeLocal = (date) => {
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
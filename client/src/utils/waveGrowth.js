@@ -0,0 +1,96 @@
+// Wave Growth
+// Wind sea from wind speed, fetch and duration (JONSWAP growth curves) and swell from distant storms
+
+import { destinationPoint } from './navigation';
+import { isOnLand } from './routeValidation';
+
+const GRAVITY = 9.81; // m/s²
+
+export const MAX_FETCH = 2000; // km, beyond which even a gale's sea is fully developed
+
+// Upwind search for the coast: the first step is short for positions close inshore and steps grow with distance
+const FIRST_FETCH_STEP = 10;    // km
+const FETCH_STEP_GROWTH = 1.15;
+const MAX_FETCH_STEP = 100;     // km
+
+// Fetch only depends on position and direction, so it is kept per rounded position and 10° sector
+const FETCH_SECTOR = 10;
+const MAX_CACHED_FETCHES = 5000;
+const fetchCache = new Map();
+
+/**
+ * Distance over open water from a position towards a bearing, until the first land
+ * @param {Array} position - [lat, lng]
+ * @param {number} bearing - Direction to search in degrees (upwind: the direction the wind blows from)
+ * @param {number} maxDistance - Search limit in km
+ * @returns {number} Fetch in km (maxDistance when no land is found)
+ */
+export const calculateFetch = (position, bearing, maxDistance = MAX_FETCH) => {
+  const sector = Math.round(bearing / FETCH_SECTOR) * FETCH_SECTOR % 360;
+  const key = `${position[0].toFixed(2)},${position[1].toFixed(2)},${sector},${maxDistance}`;
+  if (fetchCache.has(key)) return fetchCache.get(key);
+
+  let distance = 0;
+  let step = FIRST_FETCH_STEP;
+  let fetch = maxDistance;
+  while (distance < maxDistance) {
+    distance = Math.min(distance + step, maxDistance);
+    if (isOnLand(destinationPoint(position, sector, distance))) {
+      fetch = Math.max(distance - step / 2, 1);
+      break;
+    }
+    step = Math.min(step * FETCH_STEP_GROWTH, MAX_FETCH_STEP);
+  }
+
+  if (fetchCache.size >= MAX_CACHED_FETCHES) fetchCache.clear();
+  fetchCache.set(key, fetch);
+  return fetch;
+};
+
+/**
+ * Significant height and peak period of a wind sea. Growth is limited by whichever is shorter: the fetch, or the
+ * fetch the waves could cover in the time the wind has blown; it stops once the sea is fully developed.
+ * @param {number} windSpeed - Wind speed at 10 m in m/s
+ * @param {number} fetch - Fetch in km
+ * @param {number} duration - Hours the wind has been blowing
+ * @returns {Object} { significantHeight (m), peakPeriod (s), limitedBy: 'fetch'|'duration'|'fully developed' }
+ */
+export const calculateWindSea = (windSpeed, fetch, duration) => {
+  if (!(windSpeed > 0)) return { significantHeight: 0, peakPeriod: 0, limitedBy: 'fetch' };
+
+  const dragCoefficient = 0.001 * (1.1 + 0.035 * windSpeed);
+  const frictionVelocity = windSpeed * Math.sqrt(dragCoefficient);
+  const lengthScale = (frictionVelocity * frictionVelocity) / GRAVITY;
+
+  const fetchLimit = (fetch * 1000) / lengthScale;
+  const durationLimit = 5.23e-3 * Math.pow((GRAVITY * duration * 3600) / frictionVelocity, 1.5);
+  const effectiveFetch = Math.min(fetchLimit, durationLimit);
+
+  const height = 4.13e-2 * Math.sqrt(effectiveFetch);
+  const period = 0.651 * Math.cbrt(effectiveFetch);
+  const fullyDeveloped = height >= 211.5;
+  return {
+    significantHeight: Math.min(height, 211.5) * lengthScale,
+    peakPeriod: Math.min(period, 239.8) * frictionVelocity / GRAVITY,
+    limitedBy: fullyDeveloped ? 'fully developed' : (durationLimit < fetchLimit ? 'duration' : 'fetch')
+  };
+};
+
+/**
+ * Swell reaching a position from a storm: the storm's sea loses height and lengthens its period as it travels,
+ * and land between the storm and the position shelters it (enclosed seas see little swell)
+ * @param {Array|null} position - [lat, lng], or null for a fully exposed open-ocean position
+ * @param {Object} storm - { windSpeed (m/s), fetch (km), duration (h), distance (km), direction (degrees the swell comes from) }
+ * @returns {Object} { significantHeight (m), peakPeriod (s), direction, exposure (0-1 open water towards the storm) }
+ */
+export const calculateSwell = (position, storm) => {
+  const source = calculateWindSea(storm.windSpeed, storm.fetch, storm.duration);
+  const exposure = position ? Math.min(1, calculateFetch(position, storm.direction) / storm.distance) : 1;
+  const decay = Math.sqrt(400 / (400 + storm.distance));
+  return {
+    significantHeight: source.significantHeight * decay * exposure,
+    peakPeriod: source.peakPeriod * (1 + storm.distance / 5000),
+    direction: storm.direction,
+    exposure
+  };
+};
@@ -0,0 +1,71 @@
+// Wind Loads
+// Apparent wind and angle-dependent wind force coefficients after Blendermann (1994)
+
+import { normalizeBearing } from './navigation';
+
+const MS_PER_KNOT = 0.514444;
+
+// Blendermann's coefficients per ship type: lateral drag CDt, longitudinal drag referred to the frontal area in head
+// (CDlAF0) and stern (CDlAF180) wind, and the cross-force parameter delta
+export const WIND_LOAD_COEFFICIENTS = {
+  container: { name: 'Container ship, loaded', CDt: 0.90, CDlAF0: 0.55, CDlAF180: 0.55, delta: 0.40 },
+  bulker: { name: 'Cargo vessel, loaded', CDt: 0.85, CDlAF0: 0.65, CDlAF180: 0.55, delta: 0.40 },
+  tanker: { name: 'Tanker, loaded', CDt: 0.70, CDlAF0: 0.90, CDlAF180: 0.55, delta: 0.40 },
+  tankerBallast: { name: 'Tanker, in ballast', CDt: 0.70, CDlAF0: 0.75, CDlAF180: 0.55, delta: 0.40 },
+  lng: { name: 'LNG tanker', CDt: 0.70, CDlAF0: 0.60, CDlAF180: 0.65, delta: 0.50 },
+  carCarrier: { name: 'Car carrier', CDt: 0.95, CDlAF0: 0.55, CDlAF180: 0.60, delta: 0.80 },
+  ferry: { name: 'Ferry', CDt: 0.90, CDlAF0: 0.45, CDlAF180: 0.50, delta: 0.80 }
+};
+
+// Operating draft below this fraction of the design draft counts as ballast
+const BALLAST_DRAFT_RATIO = 0.8;
+
+/**
+ * Wind load coefficient set for a vessel: its own windLoadType if given, otherwise by ship type and loading
+ * @param {Object} vessel - Vessel profile
+ * @returns {Object} Coefficient set from WIND_LOAD_COEFFICIENTS
+ */
+export const getWindLoadCoefficients = (vessel) => {
+  if (WIND_LOAD_COEFFICIENTS[vessel.windLoadType]) return WIND_LOAD_COEFFICIENTS[vessel.windLoadType];
+  if (vessel.type === 'tanker' && vessel.operatingDraft && vessel.operatingDraft < vessel.draft * BALLAST_DRAFT_RATIO) {
+    return WIND_LOAD_COEFFICIENTS.tankerBallast;
+  }
+  return WIND_LOAD_COEFFICIENTS[vessel.type] || WIND_LOAD_COEFFICIENTS.container;
+};
+
+/**
+ * Apparent wind felt on board: true wind combined with the headwind from the ship's own speed
+ * @param {number} windSpeed - True wind speed in m/s
+ * @param {number} windDirection - Direction the true wind blows from, degrees (meteorological)
+ * @param {number} shipCourse - Ship's course in degrees
+ * @param {number} shipSpeed - Ship speed through water in knots
+ * @returns {Object} { speed (m/s), angle (degrees off the bow the wind comes from, 0 head, 180 stern, 0-360 clockwise) }
+ */
+export const calculateApparentWind = (windSpeed, windDirection, shipCourse, shipSpeed) => {
+  const trueAngle = ((windDirection - shipCourse) * Math.PI) / 180;
+  const ahead = windSpeed * Math.cos(trueAngle) + shipSpeed * MS_PER_KNOT;
+  const abeam = windSpeed * Math.sin(trueAngle);
+  return {
+    speed: Math.hypot(ahead, abeam),
+    angle: normalizeBearing((Math.atan2(abeam, ahead) * 180) / Math.PI)
+  };
+};
+
+/**
+ * Longitudinal and lateral wind force coefficients at an apparent wind angle (Blendermann)
+ * @param {number} angle - Apparent wind angle off the bow in degrees
+ * @param {Object} vessel - Vessel profile with frontalWindageArea and lateralWindageArea
+ * @returns {Object} { CX (referred to the frontal area, positive pushing astern), CY (referred to the lateral area) }
+ */
+export const calculateWindLoadCoefficients = (angle, vessel) => {
+  const { CDt, CDlAF0, CDlAF180, delta } = getWindLoadCoefficients(vessel);
+  const gamma = (angle * Math.PI) / 180;
+  const areaRatio = vessel.frontalWindageArea / vessel.lateralWindageArea;
+  // Longitudinal drag referred to the lateral area, for head or stern winds
+  const CDl = (Math.cos(gamma) >= 0 ? CDlAF0 : CDlAF180) * areaRatio;
+  const denominator = 1 - (delta / 2) * (1 - CDl / CDt) * Math.pow(Math.sin(2 * gamma), 2);
+  return {
+    CX: (CDl / areaRatio) * Math.cos(gamma) / denominator,
+    CY: CDt * Math.sin(gamma) / denominator
+  };
+};